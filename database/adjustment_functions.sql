@@ -0,0 +1,71 @@
+-- =============================================
+-- Adjustment Functions
+-- Admin ปรับยอดเงิน (เพิ่ม/หัก) แบบ Atomic
+-- ต้องรันหลัง balance_adjustments.sql, wallet_functions.sql
+-- =============================================
+
+-- Function: ปรับยอดเงินตาม adjustment ที่รออยู่ + เปลี่ยนสถานะเป็น applied ใน transaction เดียว
+-- lock adjustment ก่อน กันยืนยันซ้ำ / สถานะ applied แต่ยอดเงินไม่เปลี่ยน
+CREATE OR REPLACE FUNCTION apply_balance_adjustment(
+    p_adjustment_id TEXT,
+    p_confirmed_by TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_adjustment balance_adjustments%ROWTYPE;
+    v_confirmed_by TEXT;
+    v_details JSONB;
+    v_result JSON;
+    v_new_balance DECIMAL;
+BEGIN
+    SELECT * INTO v_adjustment
+    FROM balance_adjustments
+    WHERE adjustment_id = p_adjustment_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ADJUSTMENT_NOT_FOUND: %', p_adjustment_id;
+    END IF;
+
+    IF v_adjustment.status <> 'pending' THEN
+        RAISE EXCEPTION 'ADJUSTMENT_NOT_PENDING: % is %', p_adjustment_id, v_adjustment.status;
+    END IF;
+
+    v_confirmed_by := COALESCE(p_confirmed_by, v_adjustment.confirmed_by);
+    v_details := jsonb_build_object(
+        'method', 'admin',
+        'adjustmentId', v_adjustment.adjustment_id,
+        'reasonCode', v_adjustment.reason_code,
+        'note', v_adjustment.note,
+        'requestedBy', v_adjustment.requested_by,
+        'confirmedBy', v_confirmed_by
+    );
+
+    IF v_adjustment.direction = 'credit' THEN
+        v_result := wallet_credit(v_adjustment.user_id, v_adjustment.amount, 'adjustment_credit', v_details);
+    ELSE
+        v_result := wallet_debit(v_adjustment.user_id, v_adjustment.amount, 'adjustment_debit', v_details);
+    END IF;
+    v_new_balance := (v_result->>'newBalance')::DECIMAL;
+
+    UPDATE balance_adjustments
+    SET status = 'applied',
+        confirmed_by = v_confirmed_by,
+        decided_at = NOW(),
+        transaction_id = v_result->>'transactionId',
+        old_balance = CASE
+            WHEN v_adjustment.direction = 'credit' THEN v_new_balance - v_adjustment.amount
+            ELSE v_new_balance + v_adjustment.amount
+        END,
+        new_balance = v_new_balance
+    WHERE adjustment_id = p_adjustment_id
+    RETURNING * INTO v_adjustment;
+
+    RETURN row_to_json(v_adjustment);
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Adjustment functions created successfully!' AS message;
@@ -0,0 +1,75 @@
+-- =============================================
+-- Angpao Auto-Redeem
+-- Worker รับซองอั่งเปาจากคำขอที่รอดำเนินการ (topup_requests method = truemoney) อัตโนมัติ
+-- ต้องรันหลัง topup_requests.sql และ redeemed_vouchers.sql
+-- =============================================
+
+-- สถานะของ worker ต่อคำขอ
+ALTER TABLE topup_requests
+    ADD COLUMN IF NOT EXISTS auto_status TEXT CHECK (auto_status IN ('queued', 'manual')), -- NULL = ยังไม่เคยลอง, queued = worker กำลังทำ/รอลองใหม่, manual = ส่งให้ Admin ตรวจเอง
+    ADD COLUMN IF NOT EXISTS auto_attempts INT DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS auto_error TEXT, -- error ล่าสุดจาก provider
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE, -- ลองใหม่ได้ตั้งแต่เวลานี้ (ใช้เป็น lease กัน worker หลายตัวทำซ้ำด้วย)
+    ADD COLUMN IF NOT EXISTS auto_timeouts INT DEFAULT 0; -- จำนวนครั้งที่ provider timeout (อาจรับซองไปแล้ว)
+
+CREATE INDEX IF NOT EXISTS idx_topup_requests_angpao_queue
+    ON topup_requests(next_attempt_at NULLS FIRST, created_at)
+    WHERE status = 'pending' AND method = 'truemoney';
+
+-- Function: provider redeem สำเร็จ -> เติมเงิน + ปิดซอง + อนุมัติคำขอ (all in one transaction)
+-- lock คำขอก่อน เพื่อไม่ให้ Admin approve ซ้ำพร้อมกัน
+CREATE OR REPLACE FUNCTION complete_angpao_request(
+    p_request_id TEXT,
+    p_voucher_hash TEXT,
+    p_amount DECIMAL,
+    p_provider_transaction_id TEXT,
+    p_details JSONB DEFAULT '{}'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_request topup_requests%ROWTYPE;
+    v_credit JSON;
+BEGIN
+    SELECT * INTO v_request
+    FROM topup_requests
+    WHERE request_id = p_request_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'REQUEST_NOT_FOUND: %', p_request_id;
+    END IF;
+
+    IF v_request.status <> 'pending' THEN
+        RAISE EXCEPTION 'REQUEST_NOT_PENDING: % is %', p_request_id, v_request.status;
+    END IF;
+
+    v_credit := complete_voucher_redemption(
+        p_voucher_hash,
+        v_request.user_id,
+        p_amount,
+        p_provider_transaction_id,
+        COALESCE(p_details, '{}') || jsonb_build_object('requestId', p_request_id, 'approvedBy', 'angpao_worker')
+    );
+
+    UPDATE topup_requests
+    SET status = 'approved',
+        amount = p_amount,
+        admin_note = 'อนุมัติอัตโนมัติ (รับซองอั่งเปาสำเร็จ)',
+        reviewed_by = 'angpao_worker',
+        reviewed_at = NOW(),
+        auto_error = NULL,
+        next_attempt_at = NULL,
+        updated_at = NOW()
+    WHERE request_id = p_request_id;
+
+    RETURN (v_credit::JSONB || jsonb_build_object(
+        'requestId', p_request_id,
+        'userId', v_request.user_id
+    ))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Angpao auto-redeem columns created successfully!' AS message;
@@ -0,0 +1,44 @@
+-- =============================================
+-- Balance Adjustments
+-- Admin ปรับยอดเงิน (เพิ่ม/หัก) พร้อม reason code
+-- ยอดเกินที่กำหนดต้องให้ Admin อีกคนยืนยัน
+-- =============================================
+
+-- เพิ่ม transaction types สำหรับการปรับยอดโดย Admin
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+    CHECK (type IN ('topup', 'purchase', 'refund', 'transfer_out', 'transfer_in', 'adjustment_credit', 'adjustment_debit'));
+
+CREATE TABLE IF NOT EXISTS balance_adjustments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    adjustment_id TEXT UNIQUE NOT NULL, -- ADJ + timestamp
+    user_id TEXT NOT NULL, -- discord_id ของผู้ถูกปรับยอด
+    direction TEXT NOT NULL CHECK (direction IN ('credit', 'debit')),
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    reason_code TEXT NOT NULL CHECK (reason_code IN ('correction', 'chargeback', 'compensation', 'promo', 'manual_topup', 'other')),
+    note TEXT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'rejected', 'failed')),
+    requested_by TEXT NOT NULL, -- discord_id ของ admin ที่สร้าง
+    confirmed_by TEXT, -- discord_id ของ admin คนที่สองที่ยืนยัน/ปฏิเสธ
+    transaction_id TEXT, -- transaction ที่เกิดขึ้นเมื่อ applied
+    old_balance DECIMAL(12, 2),
+    new_balance DECIMAL(12, 2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    decided_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_balance_adjustments_user_id ON balance_adjustments(user_id);
+CREATE INDEX IF NOT EXISTS idx_balance_adjustments_pending ON balance_adjustments(status) WHERE status = 'pending';
+
+-- Enable RLS
+ALTER TABLE balance_adjustments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to balance_adjustments" ON balance_adjustments;
+CREATE POLICY "Service role has full access to balance_adjustments" ON balance_adjustments
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Balance adjustments table created successfully!' AS message;
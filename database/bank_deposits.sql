@@ -0,0 +1,242 @@
+-- =============================================
+-- Bank Deposits (Unique-satang Matching)
+-- คำขอเติมเงิน promptpay / bank_transfer ได้ยอดเศษสตางค์ไม่ซ้ำกัน (เช่น 100.37)
+-- ยอดเงินเข้าจาก bank statement จะถูกจับคู่กับคำขอแล้วเติมเงินอัตโนมัติ
+-- ยอดที่จับคู่ไม่ได้ / ไม่ชัดเจน เข้าคิวให้ Admin ตรวจ
+-- ต้องรันหลัง topup_requests.sql และ wallet_functions.sql
+-- =============================================
+
+-- ยอดที่ user ต้องโอนจริง (ยอดที่ขอ + เศษสตางค์)
+ALTER TABLE topup_requests ADD COLUMN IF NOT EXISTS expected_amount DECIMAL(12, 2);
+ALTER TABLE topup_requests ADD COLUMN IF NOT EXISTS matched_deposit_id TEXT;
+
+-- ยอดของคำขอที่ยัง pending ต้องไม่ซ้ำกัน
+CREATE UNIQUE INDEX IF NOT EXISTS idx_topup_requests_expected_amount_pending
+    ON topup_requests(expected_amount)
+    WHERE status = 'pending' AND expected_amount IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS bank_deposits (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    deposit_id TEXT UNIQUE NOT NULL, -- DEP + timestamp
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    deposited_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    bank_ref TEXT UNIQUE, -- เลขอ้างอิงจาก statement (กันนำเข้าซ้ำ)
+    sender_name TEXT,
+    sender_account TEXT,
+    source TEXT NOT NULL DEFAULT 'feed', -- feed, import
+    status TEXT NOT NULL CHECK (status IN ('matched', 'unmatched', 'ambiguous', 'ignored')),
+    matched_request_id TEXT, -- topup_requests.request_id
+    candidate_request_ids JSONB DEFAULT '[]', -- คำขอที่ยอดตรง (กรณี ambiguous)
+    transaction_id TEXT,
+    resolved_by TEXT, -- discord_id ของ admin ที่จับคู่เอง / ignore
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    note TEXT,
+    raw JSONB DEFAULT '{}', -- ข้อมูลดิบจาก statement
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_bank_deposits_status ON bank_deposits(status, deposited_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bank_deposits_amount ON bank_deposits(amount);
+
+-- Enable RLS
+ALTER TABLE bank_deposits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to bank_deposits" ON bank_deposits;
+CREATE POLICY "Service role has full access to bank_deposits" ON bank_deposits
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: สร้างคำขอเติมเงินพร้อมยอดเศษสตางค์ที่ไม่ซ้ำกับคำขอ pending อื่น
+CREATE OR REPLACE FUNCTION create_unique_topup_request(
+    p_request_id TEXT,
+    p_user_id TEXT,
+    p_amount DECIMAL,
+    p_method TEXT,
+    p_slip_url TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_base DECIMAL;
+    v_satang INTEGER;
+    v_expected DECIMAL;
+    v_attempt INTEGER := 0;
+    v_request RECORD;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount must be positive';
+    END IF;
+
+    v_base := FLOOR(p_amount);
+
+    -- สุ่มเศษสตางค์ 1-99 (unique index กันชนกันตอน insert พร้อมกัน)
+    LOOP
+        v_attempt := v_attempt + 1;
+        IF v_attempt > 20 THEN
+            RAISE EXCEPTION 'NO_UNIQUE_AMOUNT: No free satang for %', v_base;
+        END IF;
+
+        v_satang := 1 + FLOOR(RANDOM() * 99)::INTEGER;
+        v_expected := v_base + v_satang / 100.0;
+
+        BEGIN
+            INSERT INTO topup_requests (request_id, user_id, amount, expected_amount, method, slip_url, status)
+            VALUES (p_request_id, p_user_id, p_amount, v_expected, p_method, p_slip_url, 'pending')
+            RETURNING * INTO v_request;
+            EXIT;
+        EXCEPTION WHEN unique_violation THEN
+            -- ยอดนี้ถูกใช้แล้ว สุ่มใหม่
+        END;
+    END LOOP;
+
+    RETURN row_to_json(v_request);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: อนุมัติคำขอด้วยยอดเงินเข้า (ใช้ทั้ง auto-match และ Admin จับคู่เอง)
+CREATE OR REPLACE FUNCTION apply_bank_deposit(
+    p_deposit_id TEXT,
+    p_request_id TEXT,
+    p_resolved_by TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_deposit RECORD;
+    v_request RECORD;
+    v_credit JSON;
+BEGIN
+    SELECT * INTO v_deposit FROM bank_deposits WHERE deposit_id = p_deposit_id FOR UPDATE;
+
+    IF v_deposit IS NULL THEN
+        RAISE EXCEPTION 'DEPOSIT_NOT_FOUND: Deposit %', p_deposit_id;
+    END IF;
+
+    IF v_deposit.status NOT IN ('unmatched', 'ambiguous') THEN
+        RAISE EXCEPTION 'DEPOSIT_ALREADY_RESOLVED: Status %', v_deposit.status;
+    END IF;
+
+    SELECT * INTO v_request FROM topup_requests WHERE request_id = p_request_id FOR UPDATE;
+
+    IF v_request IS NULL THEN
+        RAISE EXCEPTION 'REQUEST_NOT_FOUND: Request %', p_request_id;
+    END IF;
+
+    IF v_request.status <> 'pending' THEN
+        RAISE EXCEPTION 'REQUEST_NOT_PENDING: Status %', v_request.status;
+    END IF;
+
+    -- เติมเงินตามยอดที่เข้าจริง
+    v_credit := wallet_credit(
+        v_request.user_id,
+        v_deposit.amount,
+        'topup',
+        jsonb_build_object(
+            'method', v_request.method,
+            'requestId', p_request_id,
+            'depositId', p_deposit_id,
+            'bankRef', v_deposit.bank_ref,
+            'autoMatched', p_resolved_by IS NULL,
+            'approvedBy', COALESCE(p_resolved_by, 'bank_match')
+        )
+    );
+
+    UPDATE topup_requests
+    SET status = 'approved',
+        amount = v_deposit.amount,
+        matched_deposit_id = p_deposit_id,
+        admin_note = CASE WHEN p_resolved_by IS NULL THEN 'อนุมัติอัตโนมัติ (ยอดเงินเข้าตรงกัน)' ELSE 'จับคู่ยอดเงินเข้าโดย Admin' END,
+        reviewed_by = COALESCE(p_resolved_by, 'bank_match'),
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE request_id = p_request_id;
+
+    UPDATE bank_deposits
+    SET status = 'matched',
+        matched_request_id = p_request_id,
+        transaction_id = v_credit->>'transactionId',
+        resolved_by = p_resolved_by,
+        resolved_at = NOW()
+    WHERE deposit_id = p_deposit_id;
+
+    RETURN (v_credit::JSONB || jsonb_build_object(
+        'matched', true,
+        'depositId', p_deposit_id,
+        'requestId', p_request_id,
+        'userId', v_request.user_id,
+        'method', v_request.method
+    ))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: บันทึกยอดเงินเข้า 1 รายการ แล้วจับคู่อัตโนมัติถ้ามีคำขอ pending ที่ยอดตรงเพียงรายการเดียว
+CREATE OR REPLACE FUNCTION record_bank_deposit(
+    p_amount DECIMAL,
+    p_deposited_at TIMESTAMP WITH TIME ZONE,
+    p_bank_ref TEXT DEFAULT NULL,
+    p_sender_name TEXT DEFAULT NULL,
+    p_sender_account TEXT DEFAULT NULL,
+    p_source TEXT DEFAULT 'feed',
+    p_raw JSONB DEFAULT '{}',
+    p_match_window_hours INTEGER DEFAULT 48
+)
+RETURNS JSON AS $$
+DECLARE
+    v_deposit_id TEXT;
+    v_existing TEXT;
+    v_candidates JSONB;
+    v_count INTEGER;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount must be positive';
+    END IF;
+
+    -- 1. นำเข้าซ้ำ (bank_ref เดิม)
+    IF p_bank_ref IS NOT NULL THEN
+        SELECT deposit_id INTO v_existing FROM bank_deposits WHERE bank_ref = p_bank_ref;
+        IF v_existing IS NOT NULL THEN
+            RETURN jsonb_build_object('duplicate', true, 'depositId', v_existing);
+        END IF;
+    END IF;
+
+    -- 2. หาคำขอ pending ที่ยอดตรง (สร้างก่อนเงินเข้า ภายในช่วงเวลาที่กำหนด)
+    SELECT COALESCE(jsonb_agg(request_id ORDER BY created_at), '[]'::JSONB), COUNT(*)
+    INTO v_candidates, v_count
+    FROM topup_requests
+    WHERE status = 'pending'
+      AND method IN ('promptpay', 'bank_transfer')
+      AND expected_amount = p_amount
+      AND created_at <= p_deposited_at + INTERVAL '5 minutes'
+      AND created_at >= p_deposited_at - make_interval(hours => p_match_window_hours);
+
+    v_deposit_id := 'DEP' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    INSERT INTO bank_deposits (
+        deposit_id, amount, deposited_at, bank_ref, sender_name, sender_account,
+        source, status, candidate_request_ids, raw
+    )
+    VALUES (
+        v_deposit_id, p_amount, p_deposited_at, p_bank_ref, p_sender_name, p_sender_account,
+        COALESCE(p_source, 'feed'),
+        CASE WHEN v_count = 0 THEN 'unmatched' ELSE 'ambiguous' END,
+        v_candidates,
+        COALESCE(p_raw, '{}')
+    );
+
+    -- 3. ตรงเพียงรายการเดียว → อนุมัติ + เติมเงินทันที
+    IF v_count = 1 THEN
+        RETURN apply_bank_deposit(v_deposit_id, v_candidates->>0, NULL);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'matched', false,
+        'depositId', v_deposit_id,
+        'status', CASE WHEN v_count = 0 THEN 'unmatched' ELSE 'ambiguous' END,
+        'candidates', v_candidates
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Bank deposits matching created successfully!' AS message;
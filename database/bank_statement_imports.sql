@@ -0,0 +1,300 @@
+-- =============================================
+-- Bank Statement Imports
+-- นำเข้า statement (CSV) แล้วเสนอการจับคู่กับคำขอเติมเงิน (proposed)
+-- Admin ยืนยันทีละหลายรายการ, บรรทัดที่จับคู่ไม่ได้เก็บไว้จับคู่ภายหลัง
+-- ต้องรันหลัง bank_deposits.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS bank_statement_imports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    import_id TEXT UNIQUE NOT NULL, -- IMP + timestamp
+    bank TEXT NOT NULL, -- kbank, scb, bbl, ktb, bay, generic
+    filename TEXT,
+    total_lines INTEGER DEFAULT 0,
+    credit_lines INTEGER DEFAULT 0,
+    proposed INTEGER DEFAULT 0,
+    unmatched INTEGER DEFAULT 0,
+    ambiguous INTEGER DEFAULT 0,
+    duplicate INTEGER DEFAULT 0,
+    invalid INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0, -- บรรทัดที่บันทึกไม่สำเร็จ (error จาก DB) นำเข้าไฟล์เดิมซ้ำได้ บรรทัดที่บันทึกแล้วจะเป็น duplicate
+    uploaded_by TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE bank_statement_imports ADD COLUMN IF NOT EXISTS failed INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_imports_created_at ON bank_statement_imports(created_at DESC);
+
+ALTER TABLE bank_statement_imports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to bank_statement_imports" ON bank_statement_imports;
+CREATE POLICY "Service role has full access to bank_statement_imports" ON bank_statement_imports
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- bank_deposits: ผูกกับไฟล์ที่นำเข้า + เก็บข้อความอ้างอิง + สถานะ proposed
+ALTER TABLE bank_deposits ADD COLUMN IF NOT EXISTS import_id TEXT;
+ALTER TABLE bank_deposits ADD COLUMN IF NOT EXISTS reference TEXT; -- รายละเอียด/บันทึกช่วยจำจาก statement
+
+ALTER TABLE bank_deposits DROP CONSTRAINT IF EXISTS bank_deposits_status_check;
+ALTER TABLE bank_deposits ADD CONSTRAINT bank_deposits_status_check
+    CHECK (status IN ('proposed', 'matched', 'unmatched', 'ambiguous', 'ignored'));
+
+CREATE INDEX IF NOT EXISTS idx_bank_deposits_import_id ON bank_deposits(import_id);
+
+-- Function: หาคำขอเติมเงินที่ตรงกับยอดเงินเข้า
+-- 1) อ้างอิงตรง: ข้อความอ้างอิงมี request_id และยอดตรง → คำขอนั้นรายการเดียว
+-- 2) ยอดตรง: expected_amount ตรง ภายในช่วงเวลาที่กำหนด
+CREATE OR REPLACE FUNCTION find_deposit_candidates(
+    p_amount DECIMAL,
+    p_deposited_at TIMESTAMP WITH TIME ZONE,
+    p_reference TEXT DEFAULT NULL,
+    p_match_window_hours INTEGER DEFAULT 48
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_candidates JSONB;
+BEGIN
+    IF p_reference IS NOT NULL AND p_reference <> '' THEN
+        SELECT COALESCE(jsonb_agg(request_id), '[]'::JSONB) INTO v_candidates
+        FROM topup_requests
+        WHERE status = 'pending'
+          AND method IN ('promptpay', 'bank_transfer')
+          AND p_reference ILIKE '%' || request_id || '%'
+          AND (expected_amount = p_amount OR (expected_amount IS NULL AND amount = p_amount));
+
+        IF jsonb_array_length(v_candidates) = 1 THEN
+            RETURN v_candidates;
+        END IF;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(request_id ORDER BY created_at), '[]'::JSONB) INTO v_candidates
+    FROM topup_requests
+    WHERE status = 'pending'
+      AND method IN ('promptpay', 'bank_transfer')
+      AND expected_amount = p_amount
+      AND created_at <= p_deposited_at + INTERVAL '5 minutes'
+      AND created_at >= p_deposited_at - make_interval(hours => p_match_window_hours);
+
+    RETURN v_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- apply_bank_deposit: รับ deposit สถานะ proposed ด้วย
+-- ตรวจว่ายอดเงินเข้าตรงกับคำขอ (ช่องทาง / ยอด / ไม่ถูกพักตรวจ fraud)
+-- Admin ข้ามการตรวจได้ด้วย p_override (ต้องระบุ p_resolved_by, บันทึกใน transaction details + audit log)
+DROP FUNCTION IF EXISTS apply_bank_deposit(TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION apply_bank_deposit(
+    p_deposit_id TEXT,
+    p_request_id TEXT,
+    p_resolved_by TEXT DEFAULT NULL,
+    p_override BOOLEAN DEFAULT FALSE
+)
+RETURNS JSON AS $$
+DECLARE
+    v_deposit RECORD;
+    v_request RECORD;
+    v_credit JSON;
+BEGIN
+    SELECT * INTO v_deposit FROM bank_deposits WHERE deposit_id = p_deposit_id FOR UPDATE;
+
+    IF v_deposit IS NULL THEN
+        RAISE EXCEPTION 'DEPOSIT_NOT_FOUND: Deposit %', p_deposit_id;
+    END IF;
+
+    IF v_deposit.status NOT IN ('proposed', 'unmatched', 'ambiguous') THEN
+        RAISE EXCEPTION 'DEPOSIT_ALREADY_RESOLVED: Status %', v_deposit.status;
+    END IF;
+
+    SELECT * INTO v_request FROM topup_requests WHERE request_id = p_request_id FOR UPDATE;
+
+    IF v_request IS NULL THEN
+        RAISE EXCEPTION 'REQUEST_NOT_FOUND: Request %', p_request_id;
+    END IF;
+
+    IF v_request.status <> 'pending' THEN
+        RAISE EXCEPTION 'REQUEST_NOT_PENDING: Status %', v_request.status;
+    END IF;
+
+    IF p_override AND p_resolved_by IS NULL THEN
+        RAISE EXCEPTION 'INVALID_OVERRIDE: Override requires an admin';
+    END IF;
+
+    IF NOT COALESCE(p_override, FALSE) THEN
+        IF v_request.method NOT IN ('promptpay', 'bank_transfer') THEN
+            RAISE EXCEPTION 'DEPOSIT_METHOD_MISMATCH: Method %', v_request.method;
+        END IF;
+
+        IF v_deposit.amount <> COALESCE(v_request.expected_amount, v_request.amount) THEN
+            RAISE EXCEPTION 'DEPOSIT_AMOUNT_MISMATCH: Deposit %, Expected %',
+                v_deposit.amount, COALESCE(v_request.expected_amount, v_request.amount);
+        END IF;
+
+        -- fraud_hold มาจาก topup_fraud.sql (รันทีหลัง) จึงอ่านผ่าน jsonb
+        IF COALESCE((to_jsonb(v_request)->>'fraud_hold')::BOOLEAN, FALSE) THEN
+            RAISE EXCEPTION 'REQUEST_FRAUD_HOLD: Request % is held for review', p_request_id;
+        END IF;
+    END IF;
+
+    -- เติมเงินตามยอดที่เข้าจริง
+    v_credit := wallet_credit(
+        v_request.user_id,
+        v_deposit.amount,
+        'topup',
+        jsonb_build_object(
+            'method', v_request.method,
+            'requestId', p_request_id,
+            'depositId', p_deposit_id,
+            'bankRef', v_deposit.bank_ref,
+            'importId', v_deposit.import_id,
+            'autoMatched', p_resolved_by IS NULL,
+            'approvedBy', COALESCE(p_resolved_by, 'bank_match'),
+            'override', COALESCE(p_override, FALSE)
+        )
+    );
+
+    UPDATE topup_requests
+    SET status = 'approved',
+        amount = v_deposit.amount,
+        matched_deposit_id = p_deposit_id,
+        admin_note = CASE WHEN p_resolved_by IS NULL THEN 'อนุมัติอัตโนมัติ (ยอดเงินเข้าตรงกัน)' ELSE 'จับคู่ยอดเงินเข้าโดย Admin' END,
+        reviewed_by = COALESCE(p_resolved_by, 'bank_match'),
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE request_id = p_request_id;
+
+    UPDATE bank_deposits
+    SET status = 'matched',
+        matched_request_id = p_request_id,
+        transaction_id = v_credit->>'transactionId',
+        resolved_by = p_resolved_by,
+        resolved_at = NOW()
+    WHERE deposit_id = p_deposit_id;
+
+    RETURN (v_credit::JSONB || jsonb_build_object(
+        'matched', true,
+        'depositId', p_deposit_id,
+        'requestId', p_request_id,
+        'userId', v_request.user_id,
+        'method', v_request.method
+    ))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- record_bank_deposit: เพิ่ม reference, import_id และโหมดเสนอ (ไม่เติมเงินทันที)
+DROP FUNCTION IF EXISTS record_bank_deposit(DECIMAL, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, TEXT, TEXT, JSONB, INTEGER);
+
+CREATE OR REPLACE FUNCTION record_bank_deposit(
+    p_amount DECIMAL,
+    p_deposited_at TIMESTAMP WITH TIME ZONE,
+    p_bank_ref TEXT DEFAULT NULL,
+    p_sender_name TEXT DEFAULT NULL,
+    p_sender_account TEXT DEFAULT NULL,
+    p_source TEXT DEFAULT 'feed',
+    p_raw JSONB DEFAULT '{}',
+    p_match_window_hours INTEGER DEFAULT 48,
+    p_reference TEXT DEFAULT NULL,
+    p_auto_apply BOOLEAN DEFAULT true,
+    p_import_id TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_deposit_id TEXT;
+    v_existing TEXT;
+    v_candidates JSONB;
+    v_count INTEGER;
+    v_status TEXT;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount must be positive';
+    END IF;
+
+    -- 1. นำเข้าซ้ำ (bank_ref เดิม)
+    IF p_bank_ref IS NOT NULL THEN
+        SELECT deposit_id INTO v_existing FROM bank_deposits WHERE bank_ref = p_bank_ref;
+        IF v_existing IS NOT NULL THEN
+            RETURN jsonb_build_object('duplicate', true, 'depositId', v_existing);
+        END IF;
+    END IF;
+
+    -- 2. หาคำขอที่ตรง
+    v_candidates := find_deposit_candidates(p_amount, p_deposited_at, p_reference, p_match_window_hours);
+    v_count := jsonb_array_length(v_candidates);
+
+    v_status := CASE
+        WHEN v_count = 0 THEN 'unmatched'
+        WHEN v_count = 1 THEN 'proposed'
+        ELSE 'ambiguous'
+    END;
+
+    v_deposit_id := 'DEP' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    INSERT INTO bank_deposits (
+        deposit_id, amount, deposited_at, bank_ref, sender_name, sender_account,
+        source, status, matched_request_id, candidate_request_ids, reference, import_id, raw
+    )
+    VALUES (
+        v_deposit_id, p_amount, p_deposited_at, p_bank_ref, p_sender_name, p_sender_account,
+        COALESCE(p_source, 'feed'),
+        v_status,
+        CASE WHEN v_count = 1 THEN v_candidates->>0 END,
+        v_candidates,
+        p_reference,
+        p_import_id,
+        COALESCE(p_raw, '{}')
+    );
+
+    -- 3. ตรงเพียงรายการเดียว → อนุมัติทันที (หรือรอ Admin ยืนยันถ้า p_auto_apply = false)
+    IF v_count = 1 AND p_auto_apply THEN
+        RETURN apply_bank_deposit(v_deposit_id, v_candidates->>0, NULL);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'matched', false,
+        'depositId', v_deposit_id,
+        'status', v_status,
+        'requestId', CASE WHEN v_count = 1 THEN v_candidates->>0 END,
+        'candidates', v_candidates
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: จับคู่ยอดเงินเข้าที่ค้างอยู่ (unmatched) ใหม่ กับคำขอที่สร้างภายหลัง
+CREATE OR REPLACE FUNCTION rematch_unmatched_deposits(
+    p_match_window_hours INTEGER DEFAULT 48
+)
+RETURNS JSON AS $$
+DECLARE
+    v_deposit RECORD;
+    v_candidates JSONB;
+    v_proposed INTEGER := 0;
+    v_ambiguous INTEGER := 0;
+BEGIN
+    FOR v_deposit IN
+        SELECT * FROM bank_deposits WHERE status = 'unmatched' FOR UPDATE SKIP LOCKED
+    LOOP
+        v_candidates := find_deposit_candidates(v_deposit.amount, v_deposit.deposited_at, v_deposit.reference, p_match_window_hours);
+
+        IF jsonb_array_length(v_candidates) = 1 THEN
+            UPDATE bank_deposits
+            SET status = 'proposed', matched_request_id = v_candidates->>0, candidate_request_ids = v_candidates
+            WHERE deposit_id = v_deposit.deposit_id;
+            v_proposed := v_proposed + 1;
+        ELSIF jsonb_array_length(v_candidates) > 1 THEN
+            UPDATE bank_deposits
+            SET status = 'ambiguous', candidate_request_ids = v_candidates
+            WHERE deposit_id = v_deposit.deposit_id;
+            v_ambiguous := v_ambiguous + 1;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('proposed', v_proposed, 'ambiguous', v_ambiguous);
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Bank statement imports created successfully!' AS message;
@@ -0,0 +1,461 @@
+-- =============================================
+-- Bonus Balance
+-- เครดิตโบนัสจากโปรโมชั่น แยกจากยอดเงินสด (wallets.balance)
+-- - หมดอายุได้ (expires_at)
+-- - ใช้ซื้อสินค้าได้ก่อนเงินสด (ตาม p_bonus_max_percent)
+-- - คืนเป็นเงินสด/โอนไม่ได้ (คืน order ครบแล้วโบนัสที่ใช้ไปกลับเข้าก้อนเดิม)
+-- ต้องรันหลัง stock_functions.sql, refund_functions.sql, charge_intents.sql
+-- =============================================
+
+-- เครดิตโบนัสแต่ละก้อน (ใช้ก้อนที่ใกล้หมดอายุก่อน)
+CREATE TABLE IF NOT EXISTS bonus_grants (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    grant_id TEXT UNIQUE NOT NULL, -- BNS + timestamp
+    user_id TEXT NOT NULL, -- discord_id
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    remaining DECIMAL(12, 2) NOT NULL CHECK (remaining >= 0),
+    source TEXT NOT NULL, -- promo, topup_bonus, admin
+    details JSONB DEFAULT '{}',
+    expires_at TIMESTAMP WITH TIME ZONE, -- NULL = ไม่หมดอายุ
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_bonus_grants_active ON bonus_grants(user_id, expires_at) WHERE remaining > 0;
+
+-- Enable RLS
+ALTER TABLE bonus_grants ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to bonus_grants" ON bonus_grants;
+CREATE POLICY "Service role has full access to bonus_grants" ON bonus_grants
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- ยอดโบนัสที่ใช้ซื้อสินค้า (ส่วนนี้คืนเงินไม่ได้)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS bonus_used DECIMAL(12, 2) DEFAULT 0;
+
+-- Function: ยอดโบนัสที่ยังใช้ได้
+CREATE OR REPLACE FUNCTION get_bonus_balance(p_user_id TEXT)
+RETURNS DECIMAL AS $$
+    SELECT COALESCE(SUM(remaining), 0)
+    FROM bonus_grants
+    WHERE user_id = p_user_id
+      AND remaining > 0
+      AND (expires_at IS NULL OR expires_at > NOW());
+$$ LANGUAGE sql STABLE;
+
+-- Function: ให้โบนัส
+CREATE OR REPLACE FUNCTION grant_bonus(
+    p_user_id TEXT,
+    p_amount DECIMAL,
+    p_source TEXT DEFAULT 'promo',
+    p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_details JSONB DEFAULT '{}'::JSONB
+)
+RETURNS JSON AS $$
+DECLARE
+    v_grant_id TEXT;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount %', p_amount;
+    END IF;
+
+    v_grant_id := 'BNS' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    INSERT INTO bonus_grants (grant_id, user_id, amount, remaining, source, details, expires_at)
+    VALUES (v_grant_id, p_user_id, p_amount, p_amount, p_source, COALESCE(p_details, '{}'::JSONB), p_expires_at);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'grantId', v_grant_id,
+        'amount', p_amount,
+        'expiresAt', p_expires_at,
+        'bonusBalance', get_bonus_balance(p_user_id)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: Complete purchase (ใช้โบนัสก่อนเงินสด)
+-- p_bonus_max_percent = สัดส่วนสูงสุดของยอดซื้อที่จ่ายด้วยโบนัสได้ (0 = ไม่ใช้โบนัส)
+DROP FUNCTION IF EXISTS complete_purchase(TEXT, TEXT, INT, DECIMAL, TEXT);
+CREATE OR REPLACE FUNCTION complete_purchase(
+    p_user_id TEXT,
+    p_product_id TEXT,
+    p_quantity INT,
+    p_price_per_unit DECIMAL,
+    p_product_name TEXT,
+    p_bonus_max_percent DECIMAL DEFAULT 100
+)
+RETURNS JSON AS $$
+DECLARE
+    v_total DECIMAL;
+    v_current_balance DECIMAL;
+    v_new_balance DECIMAL;
+    v_bonus_available DECIMAL;
+    v_bonus_used DECIMAL;
+    v_bonus_left DECIMAL;
+    v_cash_amount DECIMAL;
+    v_bonus_grants JSONB := '[]'::JSONB;
+    v_take DECIMAL;
+    v_grant RECORD;
+    v_order_id TEXT;
+    v_transaction_id TEXT;
+    v_stock_ids UUID[];
+    v_stock_data TEXT[];
+    v_stock RECORD;
+BEGIN
+    -- คำนวณราคารวม
+    v_total := p_price_per_unit * p_quantity;
+    v_order_id := 'ORD' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT;
+    v_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    -- 1. Lock wallet row
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_current_balance IS NULL THEN
+        RAISE EXCEPTION 'WALLET_NOT_FOUND: User % has no wallet', p_user_id;
+    END IF;
+
+    -- 2. คำนวณส่วนที่จ่ายด้วยโบนัส / เงินสด
+    v_bonus_available := get_bonus_balance(p_user_id);
+    v_bonus_used := LEAST(
+        v_bonus_available,
+        FLOOR(v_total * GREATEST(LEAST(COALESCE(p_bonus_max_percent, 0), 100), 0)) / 100
+    );
+    v_cash_amount := v_total - v_bonus_used;
+
+    IF v_current_balance < v_cash_amount THEN
+        RAISE EXCEPTION 'INSUFFICIENT_BALANCE: Balance %, Required %', v_current_balance, v_cash_amount;
+    END IF;
+
+    -- 3. Reserve stock with lock
+    v_stock_ids := ARRAY[]::UUID[];
+    v_stock_data := ARRAY[]::TEXT[];
+
+    FOR v_stock IN
+        SELECT id, product_stocks.stock_data
+        FROM product_stocks
+        WHERE product_id = p_product_id
+          AND is_sold = false
+          AND COALESCE(is_burned, false) = false
+        ORDER BY created_at ASC
+        LIMIT p_quantity
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        v_stock_ids := array_append(v_stock_ids, v_stock.id);
+        v_stock_data := array_append(v_stock_data, v_stock.stock_data);
+    END LOOP;
+
+    IF array_length(v_stock_ids, 1) IS NULL OR array_length(v_stock_ids, 1) < p_quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK: Available %, Requested %',
+            COALESCE(array_length(v_stock_ids, 1), 0), p_quantity;
+    END IF;
+
+    -- 4. ตัดโบนัส (ก้อนที่ใกล้หมดอายุก่อน)
+    v_bonus_left := v_bonus_used;
+    IF v_bonus_left > 0 THEN
+        FOR v_grant IN
+            SELECT grant_id, remaining
+            FROM bonus_grants
+            WHERE user_id = p_user_id
+              AND remaining > 0
+              AND (expires_at IS NULL OR expires_at > NOW())
+            ORDER BY expires_at ASC NULLS LAST, created_at ASC
+            FOR UPDATE
+        LOOP
+            EXIT WHEN v_bonus_left <= 0;
+            v_take := LEAST(v_grant.remaining, v_bonus_left);
+
+            UPDATE bonus_grants
+            SET remaining = remaining - v_take
+            WHERE grant_id = v_grant.grant_id;
+
+            v_bonus_grants := v_bonus_grants || jsonb_build_object('grantId', v_grant.grant_id, 'amount', v_take);
+            v_bonus_left := v_bonus_left - v_take;
+        END LOOP;
+    END IF;
+
+    -- 5. หักเงินสด
+    v_new_balance := v_current_balance - v_cash_amount;
+    UPDATE wallets
+    SET balance = v_new_balance, updated_at = NOW()
+    WHERE user_id = p_user_id;
+
+    -- 6. Mark stock as sold
+    UPDATE product_stocks
+    SET
+        is_sold = true,
+        sold_to = p_user_id,
+        sold_at = NOW(),
+        order_id = v_order_id
+    WHERE id = ANY(v_stock_ids);
+
+    -- 7. สร้าง Order
+    INSERT INTO orders (order_id, user_id, product_id, product_name, quantity, price, total, bonus_used, status, delivery_data)
+    VALUES (
+        v_order_id,
+        p_user_id,
+        p_product_id,
+        p_product_name,
+        p_quantity,
+        p_price_per_unit,
+        v_total,
+        v_bonus_used,
+        'completed',
+        jsonb_build_object('items', to_jsonb(v_stock_data), 'deliveredAt', NOW())
+    );
+
+    -- 8. บันทึก Transaction (amount = ส่วนที่จ่ายด้วยเงินสดเท่านั้น)
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (
+        v_transaction_id,
+        p_user_id,
+        'purchase',
+        -v_cash_amount,
+        v_new_balance,
+        jsonb_build_object(
+            'productId', p_product_id,
+            'productName', p_product_name,
+            'orderId', v_order_id,
+            'quantity', p_quantity,
+            'total', v_total,
+            'bonusUsed', v_bonus_used,
+            'bonusGrants', v_bonus_grants
+        )
+    );
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'orderId', v_order_id,
+        'transactionId', v_transaction_id,
+        'deliveryItems', v_stock_data,
+        'total', v_total,
+        'bonusUsed', v_bonus_used,
+        'cashPaid', v_cash_amount,
+        'newBalance', v_new_balance,
+        'bonusBalance', v_bonus_available - v_bonus_used
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: ยืนยัน charge intent (ส่ง p_bonus_max_percent ต่อให้ complete_purchase)
+DROP FUNCTION IF EXISTS confirm_charge_intent(TEXT, TEXT);
+CREATE OR REPLACE FUNCTION confirm_charge_intent(
+    p_intent_id TEXT,
+    p_user_id TEXT,
+    p_bonus_max_percent DECIMAL DEFAULT 100
+)
+RETURNS JSON AS $$
+DECLARE
+    v_intent RECORD;
+    v_purchase JSON;
+BEGIN
+    SELECT * INTO v_intent
+    FROM charge_intents
+    WHERE intent_id = p_intent_id
+      AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_intent IS NULL THEN
+        RAISE EXCEPTION 'INTENT_NOT_FOUND: Intent %', p_intent_id;
+    END IF;
+
+    IF v_intent.status <> 'pending' THEN
+        RAISE EXCEPTION 'INTENT_NOT_PENDING: Status %', v_intent.status;
+    END IF;
+
+    IF v_intent.expires_at < NOW() THEN
+        RAISE EXCEPTION 'INTENT_EXPIRED: Expired at %', v_intent.expires_at;
+    END IF;
+
+    v_purchase := complete_purchase(
+        v_intent.user_id,
+        v_intent.product_id,
+        v_intent.quantity,
+        v_intent.price_per_unit,
+        v_intent.product_name,
+        p_bonus_max_percent
+    );
+
+    UPDATE transactions
+    SET details = details || jsonb_build_object('chargeIntentId', p_intent_id)
+    WHERE transaction_id = v_purchase->>'transactionId';
+
+    UPDATE charge_intents
+    SET status = 'completed',
+        order_id = v_purchase->>'orderId',
+        transaction_id = v_purchase->>'transactionId',
+        completed_at = NOW()
+    WHERE intent_id = p_intent_id;
+
+    RETURN (v_purchase::JSONB || jsonb_build_object('intentId', p_intent_id))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: Refund order (คืนเงินสดได้เฉพาะส่วนที่จ่ายด้วยเงินสด)
+-- order ที่จ่ายด้วยโบนัสทั้งหมด / คืนเงินสดครบแล้ว: คืนยอด 0 ได้ (จัดการ stock + ปิด order)
+-- order ถูกคืนครบ (refunded): คืนโบนัสที่ใช้ไปเข้า bonus_grants ก้อนเดิม (ตาม bonusGrants ของ transaction ซื้อ)
+CREATE OR REPLACE FUNCTION refund_order(
+    p_order_id TEXT,
+    p_amount DECIMAL DEFAULT NULL,
+    p_stock_action TEXT DEFAULT 'none',
+    p_stock_ids UUID[] DEFAULT NULL,
+    p_admin_id TEXT DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order RECORD;
+    v_refundable DECIMAL;
+    v_remaining DECIMAL;
+    v_amount DECIMAL;
+    v_refunded_total DECIMAL;
+    v_new_status TEXT;
+    v_current_balance DECIMAL;
+    v_new_balance DECIMAL;
+    v_transaction_id TEXT;
+    v_stock_count INT := 0;
+    v_bonus_grants JSONB := '[]'::JSONB;
+    v_bonus_restored DECIMAL := 0;
+    v_grant JSONB;
+BEGIN
+    IF p_stock_action NOT IN ('none', 'return', 'burn') THEN
+        RAISE EXCEPTION 'INVALID_STOCK_ACTION: %', p_stock_action;
+    END IF;
+
+    -- 1. Lock order row
+    SELECT * INTO v_order
+    FROM orders
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    IF v_order IS NULL THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND: Order %', p_order_id;
+    END IF;
+
+    IF v_order.status <> 'completed' THEN
+        RAISE EXCEPTION 'ORDER_NOT_REFUNDABLE: Status %', v_order.status;
+    END IF;
+
+    -- 2. คำนวณยอดที่คืนได้ (ไม่รวมส่วนที่จ่ายด้วยโบนัส)
+    v_refundable := v_order.total - COALESCE(v_order.bonus_used, 0);
+    v_remaining := v_refundable - COALESCE(v_order.refunded_amount, 0);
+    v_amount := COALESCE(p_amount, v_remaining);
+
+    -- ยอด 0 ได้เฉพาะตอนไม่เหลือเงินสดให้คืนแล้ว
+    IF v_amount < 0 OR v_amount > v_remaining OR (v_amount = 0 AND v_remaining > 0) THEN
+        RAISE EXCEPTION 'INVALID_REFUND_AMOUNT: Amount %, Remaining %', v_amount, v_remaining;
+    END IF;
+
+    v_refunded_total := COALESCE(v_order.refunded_amount, 0) + v_amount;
+    v_new_status := CASE WHEN v_refunded_total >= v_refundable THEN 'refunded' ELSE 'completed' END;
+    v_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    -- 3. คืนเงินเข้า wallet
+    INSERT INTO wallets (user_id, balance)
+    VALUES (v_order.user_id, 0)
+    ON CONFLICT (user_id) DO NOTHING;
+
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = v_order.user_id
+    FOR UPDATE;
+
+    v_new_balance := v_current_balance + v_amount;
+    UPDATE wallets
+    SET balance = v_new_balance, updated_at = NOW()
+    WHERE user_id = v_order.user_id;
+
+    -- 4. จัดการ stock ที่ส่งไปแล้ว
+    IF p_stock_action = 'return' THEN
+        UPDATE product_stocks
+        SET is_sold = false, sold_to = NULL, sold_at = NULL, order_id = NULL
+        WHERE order_id = p_order_id
+          AND COALESCE(is_burned, false) = false
+          AND (p_stock_ids IS NULL OR id = ANY(p_stock_ids));
+        GET DIAGNOSTICS v_stock_count = ROW_COUNT;
+    ELSIF p_stock_action = 'burn' THEN
+        UPDATE product_stocks
+        SET is_burned = true
+        WHERE order_id = p_order_id
+          AND COALESCE(is_burned, false) = false
+          AND (p_stock_ids IS NULL OR id = ANY(p_stock_ids));
+        GET DIAGNOSTICS v_stock_count = ROW_COUNT;
+    END IF;
+
+    -- 5. คืนโบนัสเมื่อคืน order ครบ (ก้อนที่หมดอายุแล้วก็ยังใช้ไม่ได้เหมือนเดิม)
+    IF v_new_status = 'refunded' AND COALESCE(v_order.bonus_used, 0) > 0 THEN
+        SELECT COALESCE(details->'bonusGrants', '[]'::JSONB) INTO v_bonus_grants
+        FROM transactions
+        WHERE type = 'purchase'
+          AND user_id = v_order.user_id
+          AND details->>'orderId' = p_order_id
+        LIMIT 1;
+
+        FOR v_grant IN SELECT * FROM jsonb_array_elements(COALESCE(v_bonus_grants, '[]'::JSONB))
+        LOOP
+            UPDATE bonus_grants
+            SET remaining = remaining + (v_grant->>'amount')::DECIMAL
+            WHERE grant_id = v_grant->>'grantId'
+              AND user_id = v_order.user_id;
+
+            IF FOUND THEN
+                v_bonus_restored := v_bonus_restored + (v_grant->>'amount')::DECIMAL;
+            END IF;
+        END LOOP;
+    END IF;
+
+    -- 6. อัพเดท Order
+    UPDATE orders
+    SET status = v_new_status,
+        refunded_amount = v_refunded_total,
+        refunded_at = NOW(),
+        refund_reason = p_reason
+    WHERE order_id = p_order_id;
+
+    -- 7. บันทึก Transaction (amount = เงินสดที่คืน, 0 ได้)
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (
+        v_transaction_id,
+        v_order.user_id,
+        'refund',
+        v_amount,
+        v_new_balance,
+        jsonb_build_object(
+            'orderId', p_order_id,
+            'productId', v_order.product_id,
+            'productName', v_order.product_name,
+            'stockAction', p_stock_action,
+            'stockCount', v_stock_count,
+            'reason', p_reason,
+            'refundedBy', p_admin_id,
+            'bonusRestored', v_bonus_restored,
+            'bonusGrants', v_bonus_grants
+        )
+    );
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'orderId', p_order_id,
+        'userId', v_order.user_id,
+        'productId', v_order.product_id,
+        'transactionId', v_transaction_id,
+        'amount', v_amount,
+        'refundedTotal', v_refunded_total,
+        'status', v_new_status,
+        'stockCount', v_stock_count,
+        'bonusRestored', v_bonus_restored,
+        'newBalance', v_new_balance
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Bonus balance functions created successfully!' AS message;
@@ -0,0 +1,95 @@
+-- =============================================
+-- Charge Intents
+-- Server เป็นคนตั้งราคา → client ยืนยันได้แค่ intent_id
+-- ทุกการหักเงินผูกกับ Order จริงเสมอ (แทน /api/wallet/deduct)
+-- ต้องรันหลัง stock_functions.sql (ใช้ complete_purchase)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS charge_intents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    intent_id TEXT UNIQUE NOT NULL, -- CHI + timestamp
+    user_id TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    product_name TEXT NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price_per_unit DECIMAL(12, 2) NOT NULL CHECK (price_per_unit >= 0),
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount >= 0),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+    order_id TEXT, -- Order ที่เกิดขึ้นเมื่อยืนยัน
+    transaction_id TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_charge_intents_user_id ON charge_intents(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_charge_intents_pending ON charge_intents(expires_at) WHERE status = 'pending';
+
+-- Enable RLS
+ALTER TABLE charge_intents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to charge_intents" ON charge_intents;
+CREATE POLICY "Service role has full access to charge_intents" ON charge_intents
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: ยืนยัน charge intent (ซื้อสินค้าด้วยราคาที่ server ล็อกไว้)
+-- ถ้า complete_purchase ล้มเหลว ทั้ง transaction จะ rollback และ intent ยังเป็น pending
+CREATE OR REPLACE FUNCTION confirm_charge_intent(
+    p_intent_id TEXT,
+    p_user_id TEXT
+)
+RETURNS JSON AS $$
+DECLARE
+    v_intent RECORD;
+    v_purchase JSON;
+BEGIN
+    -- 1. Lock intent row (ป้องกันยืนยันซ้ำพร้อมกัน)
+    SELECT * INTO v_intent
+    FROM charge_intents
+    WHERE intent_id = p_intent_id
+      AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_intent IS NULL THEN
+        RAISE EXCEPTION 'INTENT_NOT_FOUND: Intent %', p_intent_id;
+    END IF;
+
+    IF v_intent.status <> 'pending' THEN
+        RAISE EXCEPTION 'INTENT_NOT_PENDING: Status %', v_intent.status;
+    END IF;
+
+    IF v_intent.expires_at < NOW() THEN
+        RAISE EXCEPTION 'INTENT_EXPIRED: Expired at %', v_intent.expires_at;
+    END IF;
+
+    -- 2. ซื้อสินค้า (หักเงิน + ตัด stock + สร้าง Order)
+    v_purchase := complete_purchase(
+        v_intent.user_id,
+        v_intent.product_id,
+        v_intent.quantity,
+        v_intent.price_per_unit,
+        v_intent.product_name
+    );
+
+    -- 3. ผูก transaction กับ intent
+    UPDATE transactions
+    SET details = details || jsonb_build_object('chargeIntentId', p_intent_id)
+    WHERE transaction_id = v_purchase->>'transactionId';
+
+    -- 4. ปิด intent
+    UPDATE charge_intents
+    SET status = 'completed',
+        order_id = v_purchase->>'orderId',
+        transaction_id = v_purchase->>'transactionId',
+        completed_at = NOW()
+    WHERE intent_id = p_intent_id;
+
+    RETURN (v_purchase::JSONB || jsonb_build_object('intentId', p_intent_id))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Charge intents created successfully!' AS message;
@@ -0,0 +1,44 @@
+-- =============================================
+-- Idempotency Keys Table
+-- ป้องกันการทำรายการซ้ำเมื่อ client retry (Idempotency-Key header)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    idempotency_key TEXT NOT NULL, -- ค่าจาก Idempotency-Key header
+    user_id TEXT NOT NULL, -- discord_id
+    endpoint TEXT NOT NULL, -- METHOD + path เช่น POST /api/truemoney/redeem
+    request_hash TEXT NOT NULL, -- SHA-256 ของ request body
+    status TEXT DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER, -- HTTP status ที่ส่งกลับไป
+    response_body JSONB, -- response ที่ส่งกลับไป (ใช้ตอน replay)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Enable RLS
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to idempotency_keys" ON idempotency_keys;
+CREATE POLICY "Service role has full access to idempotency_keys" ON idempotency_keys
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================
+-- Function: Clean old idempotency keys (เก็บแค่ 7 วัน)
+-- =============================================
+
+CREATE OR REPLACE FUNCTION cleanup_idempotency_keys()
+RETURNS void AS $$
+BEGIN
+    DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL '7 days';
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Idempotency keys table created successfully!' AS message;
@@ -0,0 +1,101 @@
+-- =============================================
+-- Payment Intents (QR PromptPay)
+-- เก็บ QR ที่สร้างให้ user (ยอด, ref, วันหมดอายุ) แล้วใช้จับคู่กับ Slip
+-- Slip ต้องตรงกับ intent ที่ยังเปิดอยู่ของ user เท่านั้นถึงจะเติมเงินได้
+-- ต้องรันหลัง verified_slips.sql (ใช้ credit_verified_slip)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS payment_intents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    intent_id TEXT UNIQUE NOT NULL, -- PAY + timestamp
+    user_id TEXT NOT NULL,
+    method TEXT NOT NULL DEFAULT 'qr_promptpay',
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    ref TEXT UNIQUE NOT NULL, -- Ref ที่แสดงบนหน้า QR
+    promptpay_id TEXT, -- PromptPay ที่ใช้สร้าง QR
+    qr_payload TEXT NOT NULL, -- EMVCo payload (ใช้แสดง QR ซ้ำ)
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled', 'expired')),
+    trans_ref TEXT, -- เลขอ้างอิงจาก Slip ที่ชำระ intent นี้
+    transaction_id TEXT, -- transaction ที่เติมเงิน
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_payment_intents_user_id ON payment_intents(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_pending ON payment_intents(user_id, expires_at) WHERE status = 'pending';
+
+-- Enable RLS
+ALTER TABLE payment_intents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to payment_intents" ON payment_intents;
+CREATE POLICY "Service role has full access to payment_intents" ON payment_intents
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: ชำระ payment intent ด้วย Slip ที่ตรวจแล้ว
+-- lock intent → ตรวจสถานะ/วันหมดอายุ/ยอด → บันทึก Slip + เติมเงิน → ปิด intent (all in one transaction)
+CREATE OR REPLACE FUNCTION complete_payment_intent(
+    p_intent_id TEXT,
+    p_user_id TEXT,
+    p_trans_ref TEXT,
+    p_image_hash TEXT,
+    p_amount DECIMAL,
+    p_provider TEXT,
+    p_details JSONB DEFAULT '{}'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_intent RECORD;
+    v_credit JSON;
+BEGIN
+    -- 1. Lock intent row (ป้องกันใช้ intent เดียวกับหลาย Slip พร้อมกัน)
+    SELECT * INTO v_intent
+    FROM payment_intents
+    WHERE intent_id = p_intent_id
+      AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_intent IS NULL THEN
+        RAISE EXCEPTION 'INTENT_NOT_FOUND: Intent %', p_intent_id;
+    END IF;
+
+    IF v_intent.status <> 'pending' THEN
+        RAISE EXCEPTION 'INTENT_NOT_PENDING: Status %', v_intent.status;
+    END IF;
+
+    IF v_intent.expires_at < NOW() THEN
+        RAISE EXCEPTION 'INTENT_EXPIRED: Expired at %', v_intent.expires_at;
+    END IF;
+
+    IF ABS(v_intent.amount - p_amount) > 0.01 THEN
+        RAISE EXCEPTION 'AMOUNT_MISMATCH: Intent %, Slip %', v_intent.amount, p_amount;
+    END IF;
+
+    -- 2. บันทึก Slip + เติมเงิน (ยอดตาม intent)
+    v_credit := credit_verified_slip(
+        p_user_id,
+        p_trans_ref,
+        p_image_hash,
+        v_intent.amount,
+        p_provider,
+        COALESCE(p_details, '{}') || jsonb_build_object('paymentIntentId', p_intent_id, 'ref', v_intent.ref)
+    );
+
+    -- 3. ปิด intent
+    UPDATE payment_intents
+    SET status = 'paid',
+        trans_ref = TRIM(p_trans_ref),
+        transaction_id = v_credit->>'transactionId',
+        paid_at = NOW()
+    WHERE intent_id = p_intent_id;
+
+    RETURN (v_credit::JSONB || jsonb_build_object('intentId', p_intent_id))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Payment intents created successfully!' AS message;
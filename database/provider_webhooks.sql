@@ -0,0 +1,38 @@
+-- =============================================
+-- Provider Webhooks
+-- เก็บ event ที่ payment provider ส่งมา (ตรวจ signature แล้ว) ก่อนประมวลผล
+-- (provider, external_id) ไม่ซ้ำ = provider ส่ง event เดิมซ้ำจะไม่เติมเงินซ้ำ
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS provider_webhook_events (
+    event_id TEXT PRIMARY KEY, -- WHE + timestamp
+    provider TEXT NOT NULL, -- thunder, truemoney, mock
+    external_id TEXT NOT NULL, -- id ของ event ฝั่ง provider
+    event_type TEXT NOT NULL, -- deposit, voucher.redeemed
+    payload JSONB NOT NULL DEFAULT '{}',
+    raw_body TEXT NOT NULL, -- body ตามที่ได้รับ (ใช้ตรวจ signature ย้อนหลัง)
+    signature TEXT,
+    status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    error TEXT,
+    result JSONB, -- ผลการประมวลผล เช่น requestId / intentId / transactionId
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (provider, external_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_provider_webhook_events_status ON provider_webhook_events(status, received_at DESC);
+
+-- Enable RLS
+ALTER TABLE provider_webhook_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to provider_webhook_events" ON provider_webhook_events;
+CREATE POLICY "Service role has full access to provider_webhook_events" ON provider_webhook_events
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Provider webhook events table created successfully!' AS message;
@@ -0,0 +1,157 @@
+-- =============================================
+-- Redeemed Vouchers (ซองอั่งเปา TrueMoney)
+-- แทน Set ในหน่วยความจำของ truemoneyApi: ไม่หายเมื่อ restart และใช้ร่วมกันทุก instance
+-- Flow: claim_voucher (จองซอง) -> ส่งไป provider -> complete_voucher_redemption (เติมเงิน)
+-- ซองที่ถูกจองอยู่ (processing) จะไม่ถูกส่งไป provider ซ้ำพร้อมกัน
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS redeemed_vouchers (
+    voucher_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL, -- discord_id ที่จอง/ได้รับเงินจากซองนี้
+    status TEXT DEFAULT 'processing' CHECK (status IN ('processing', 'redeemed', 'failed', 'rejected')),
+    -- processing = ส่งไป provider อยู่ (หรือ timeout ไม่รู้ผล)
+    -- failed = provider ปฏิเสธแบบลองใหม่ได้, rejected = ซองถูกใช้ไปแล้ว/ใช้ไม่ได้อีก
+    amount DECIMAL(12, 2),
+    provider TEXT NOT NULL, -- truemoney, mock, ...
+    provider_transaction_id TEXT, -- เลขอ้างอิงจาก provider
+    transaction_id TEXT, -- transaction ที่เติมเงินจากซองนี้
+    error TEXT,
+    attempts INT DEFAULT 1,
+    details JSONB DEFAULT '{}',
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    redeemed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_redeemed_vouchers_user_id ON redeemed_vouchers(user_id);
+CREATE INDEX IF NOT EXISTS idx_redeemed_vouchers_status ON redeemed_vouchers(status);
+
+-- Enable RLS
+ALTER TABLE redeemed_vouchers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to redeemed_vouchers" ON redeemed_vouchers;
+CREATE POLICY "Service role has full access to redeemed_vouchers" ON redeemed_vouchers
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: จองซองก่อนส่งไป provider
+-- VOUCHER_ALREADY_REDEEMED = ซองถูกใช้แล้ว (redeemed / rejected)
+-- VOUCHER_IN_PROGRESS = มีคำขออื่นกำลังส่งซองนี้อยู่ (จองค้างไว้ไม่เกิน p_stale_minutes)
+CREATE OR REPLACE FUNCTION claim_voucher(
+    p_voucher_hash TEXT,
+    p_user_id TEXT,
+    p_provider TEXT,
+    p_stale_minutes INT DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_voucher redeemed_vouchers%ROWTYPE;
+BEGIN
+    IF p_voucher_hash IS NULL OR TRIM(p_voucher_hash) = '' THEN
+        RAISE EXCEPTION 'INVALID_VOUCHER: Missing voucher hash';
+    END IF;
+
+    -- 1. ซองใหม่: จองได้เลย (primary key กันการจองพร้อมกัน)
+    BEGIN
+        INSERT INTO redeemed_vouchers (voucher_hash, user_id, provider)
+        VALUES (p_voucher_hash, p_user_id, p_provider)
+        RETURNING * INTO v_voucher;
+
+        RETURN row_to_json(v_voucher);
+    EXCEPTION WHEN unique_violation THEN
+        NULL; -- มีอยู่แล้ว ตรวจสถานะต่อด้านล่าง
+    END;
+
+    -- 2. ซองเคยถูกส่งมาแล้ว
+    SELECT * INTO v_voucher
+    FROM redeemed_vouchers
+    WHERE voucher_hash = p_voucher_hash
+    FOR UPDATE;
+
+    IF v_voucher.status IN ('redeemed', 'rejected') THEN
+        RAISE EXCEPTION 'VOUCHER_ALREADY_REDEEMED: %', p_voucher_hash;
+    END IF;
+
+    IF v_voucher.status = 'processing'
+       AND v_voucher.claimed_at > NOW() - (p_stale_minutes || ' minutes')::INTERVAL THEN
+        RAISE EXCEPTION 'VOUCHER_IN_PROGRESS: %', p_voucher_hash;
+    END IF;
+
+    -- 3. failed หรือ processing ที่ค้างนานเกินไป: จองใหม่
+    UPDATE redeemed_vouchers
+    SET user_id = p_user_id,
+        provider = p_provider,
+        status = 'processing',
+        error = NULL,
+        attempts = attempts + 1,
+        claimed_at = NOW(),
+        updated_at = NOW()
+    WHERE voucher_hash = p_voucher_hash
+    RETURNING * INTO v_voucher;
+
+    RETURN row_to_json(v_voucher);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: provider redeem สำเร็จ -> เติมเงิน + ปิดซอง (all in one transaction)
+CREATE OR REPLACE FUNCTION complete_voucher_redemption(
+    p_voucher_hash TEXT,
+    p_user_id TEXT,
+    p_amount DECIMAL,
+    p_provider_transaction_id TEXT,
+    p_details JSONB DEFAULT '{}'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_voucher redeemed_vouchers%ROWTYPE;
+    v_credit JSON;
+BEGIN
+    SELECT * INTO v_voucher
+    FROM redeemed_vouchers
+    WHERE voucher_hash = p_voucher_hash
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_voucher.user_id <> p_user_id THEN
+        RAISE EXCEPTION 'VOUCHER_NOT_CLAIMED: %', p_voucher_hash;
+    END IF;
+
+    IF v_voucher.status = 'redeemed' THEN
+        RAISE EXCEPTION 'VOUCHER_ALREADY_REDEEMED: %', p_voucher_hash;
+    END IF;
+
+    IF v_voucher.status <> 'processing' THEN
+        RAISE EXCEPTION 'VOUCHER_NOT_CLAIMED: % is %', p_voucher_hash, v_voucher.status;
+    END IF;
+
+    -- 1. เติมเงิน
+    v_credit := wallet_credit(
+        p_user_id,
+        p_amount,
+        'topup',
+        COALESCE(p_details, '{}') || jsonb_build_object(
+            'voucherHash', p_voucher_hash,
+            'transactionId', p_provider_transaction_id
+        )
+    );
+
+    -- 2. ปิดซอง
+    UPDATE redeemed_vouchers
+    SET status = 'redeemed',
+        amount = p_amount,
+        provider_transaction_id = p_provider_transaction_id,
+        transaction_id = v_credit->>'transactionId',
+        details = COALESCE(p_details, '{}'),
+        error = NULL,
+        redeemed_at = NOW(),
+        updated_at = NOW()
+    WHERE voucher_hash = p_voucher_hash;
+
+    RETURN v_credit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Redeemed vouchers table created successfully!' AS message;
@@ -0,0 +1,146 @@
+-- =============================================
+-- Order Refund
+-- คืนเงิน Order (เต็มจำนวนหรือบางส่วน) + คืน/เผา stock ที่ส่งไปแล้ว
+-- =============================================
+
+-- เก็บยอดที่คืนเงินไปแล้วของแต่ละ Order (รองรับ partial refund)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(12, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refund_reason TEXT;
+
+-- Stock ที่ถูกเผา (ใช้ไม่ได้แล้ว ห้ามนำกลับไปขาย)
+ALTER TABLE product_stocks ADD COLUMN IF NOT EXISTS is_burned BOOLEAN DEFAULT false;
+
+-- Function: Refund order (all in one transaction)
+-- p_amount = NULL คืนยอดที่เหลือทั้งหมด
+-- p_stock_action: 'none' = ไม่ยุ่งกับ stock, 'return' = คืนเข้า pool ที่ยังไม่ขาย, 'burn' = เผาทิ้ง
+-- p_stock_ids = NULL ใช้ทุก stock ของ Order นี้
+CREATE OR REPLACE FUNCTION refund_order(
+    p_order_id TEXT,
+    p_amount DECIMAL DEFAULT NULL,
+    p_stock_action TEXT DEFAULT 'none',
+    p_stock_ids UUID[] DEFAULT NULL,
+    p_admin_id TEXT DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order RECORD;
+    v_remaining DECIMAL;
+    v_amount DECIMAL;
+    v_refunded_total DECIMAL;
+    v_new_status TEXT;
+    v_current_balance DECIMAL;
+    v_new_balance DECIMAL;
+    v_transaction_id TEXT;
+    v_stock_count INT := 0;
+BEGIN
+    IF p_stock_action NOT IN ('none', 'return', 'burn') THEN
+        RAISE EXCEPTION 'INVALID_STOCK_ACTION: %', p_stock_action;
+    END IF;
+
+    -- 1. Lock order row
+    SELECT * INTO v_order
+    FROM orders
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    IF v_order IS NULL THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND: Order %', p_order_id;
+    END IF;
+
+    IF v_order.status <> 'completed' THEN
+        RAISE EXCEPTION 'ORDER_NOT_REFUNDABLE: Status %', v_order.status;
+    END IF;
+
+    -- 2. คำนวณยอดที่คืนได้
+    v_remaining := v_order.total - COALESCE(v_order.refunded_amount, 0);
+    v_amount := COALESCE(p_amount, v_remaining);
+
+    IF v_amount <= 0 OR v_amount > v_remaining THEN
+        RAISE EXCEPTION 'INVALID_REFUND_AMOUNT: Amount %, Remaining %', v_amount, v_remaining;
+    END IF;
+
+    v_refunded_total := COALESCE(v_order.refunded_amount, 0) + v_amount;
+    v_new_status := CASE WHEN v_refunded_total >= v_order.total THEN 'refunded' ELSE 'completed' END;
+    v_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    -- 3. คืนเงินเข้า wallet
+    INSERT INTO wallets (user_id, balance)
+    VALUES (v_order.user_id, 0)
+    ON CONFLICT (user_id) DO NOTHING;
+
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = v_order.user_id
+    FOR UPDATE;
+
+    v_new_balance := v_current_balance + v_amount;
+    UPDATE wallets
+    SET balance = v_new_balance, updated_at = NOW()
+    WHERE user_id = v_order.user_id;
+
+    -- 4. จัดการ stock ที่ส่งไปแล้ว
+    IF p_stock_action = 'return' THEN
+        UPDATE product_stocks
+        SET is_sold = false, sold_to = NULL, sold_at = NULL, order_id = NULL
+        WHERE order_id = p_order_id
+          AND COALESCE(is_burned, false) = false
+          AND (p_stock_ids IS NULL OR id = ANY(p_stock_ids));
+        GET DIAGNOSTICS v_stock_count = ROW_COUNT;
+    ELSIF p_stock_action = 'burn' THEN
+        UPDATE product_stocks
+        SET is_burned = true
+        WHERE order_id = p_order_id
+          AND COALESCE(is_burned, false) = false
+          AND (p_stock_ids IS NULL OR id = ANY(p_stock_ids));
+        GET DIAGNOSTICS v_stock_count = ROW_COUNT;
+    END IF;
+
+    -- 5. อัพเดท Order
+    UPDATE orders
+    SET status = v_new_status,
+        refunded_amount = v_refunded_total,
+        refunded_at = NOW(),
+        refund_reason = p_reason
+    WHERE order_id = p_order_id;
+
+    -- 6. บันทึก Transaction
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (
+        v_transaction_id,
+        v_order.user_id,
+        'refund',
+        v_amount,
+        v_new_balance,
+        jsonb_build_object(
+            'orderId', p_order_id,
+            'productId', v_order.product_id,
+            'productName', v_order.product_name,
+            'stockAction', p_stock_action,
+            'stockCount', v_stock_count,
+            'reason', p_reason,
+            'refundedBy', p_admin_id
+        )
+    );
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'orderId', p_order_id,
+        'userId', v_order.user_id,
+        'productId', v_order.product_id,
+        'transactionId', v_transaction_id,
+        'amount', v_amount,
+        'refundedTotal', v_refunded_total,
+        'status', v_new_status,
+        'stockCount', v_stock_count,
+        'newBalance', v_new_balance
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Refund functions created successfully!' AS message;
@@ -29,7 +29,7 @@ CREATE TABLE IF NOT EXISTS transactions (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     transaction_id TEXT UNIQUE NOT NULL, -- TXN + timestamp
     user_id TEXT NOT NULL, -- discord_id
-    type TEXT NOT NULL CHECK (type IN ('topup', 'purchase', 'refund')),
+    type TEXT NOT NULL CHECK (type IN ('topup', 'purchase', 'refund', 'transfer_out', 'transfer_in', 'adjustment_credit', 'adjustment_debit', 'bonus')),
     amount DECIMAL(12, 2) NOT NULL,
     balance_after DECIMAL(12, 2) NOT NULL,
     details JSONB DEFAULT '{}',
@@ -65,6 +65,10 @@ CREATE TABLE IF NOT EXISTS orders (
     total DECIMAL(12, 2) NOT NULL,
     status TEXT DEFAULT 'completed' CHECK (status IN ('pending', 'completed', 'cancelled', 'refunded')),
     delivery_data JSONB DEFAULT '{}', -- เก็บ key/code ที่ส่งให้ลูกค้า
+    refunded_amount DECIMAL(12, 2) DEFAULT 0, -- ยอดที่คืนเงินไปแล้ว (รองรับ partial refund)
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    refund_reason TEXT,
+    bonus_used DECIMAL(12, 2) DEFAULT 0, -- ส่วนที่จ่ายด้วยโบนัส (คืนเงินไม่ได้)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -92,6 +96,7 @@ CREATE TABLE IF NOT EXISTS product_stocks (
     password TEXT, -- สำหรับ user_pass และ user_pass_cookie
     cookie TEXT, -- สำหรับ user_pass_cookie
     is_sold BOOLEAN DEFAULT false,
+    is_burned BOOLEAN DEFAULT false, -- ถูกเผาจากการ refund (ห้ามนำกลับไปขาย)
     sold_to TEXT, -- discord_id ของผู้ซื้อ
     sold_at TIMESTAMP WITH TIME ZONE,
     order_id TEXT, -- เชื่อมกับ orders table
@@ -0,0 +1,79 @@
+-- =============================================
+-- Slip Uploads
+-- รูป Slip ที่ user อัพโหลด (ไฟล์อยู่ใน storage backend, table นี้เก็บ metadata + hash)
+-- sha256 = รูปเดียวกันทุก byte, phash = dHash 64 bit (hex) ใช้หา Slip ที่ถูกแก้ไข/ย่อ/บีบอัด
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS slip_uploads (
+    slip_id TEXT PRIMARY KEY, -- SLP + timestamp
+    user_id TEXT NOT NULL, -- discord_id ที่อัพโหลด
+    storage_backend TEXT NOT NULL, -- local, supabase
+    storage_key TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INT NOT NULL,
+    width INT,
+    height INT,
+    sha256 TEXT NOT NULL,
+    phash TEXT NOT NULL CHECK (phash ~ '^[0-9a-f]{16}$'),
+    flagged BOOLEAN DEFAULT FALSE, -- ซ้ำ/คล้ายกับ Slip ที่ถูกใช้แล้วหรือของ user อื่น
+    duplicate_of TEXT, -- slip_id ที่ sha256 ตรงกัน (เก่าสุด)
+    similar_slips JSONB DEFAULT '[]', -- [{ slipId, userId, distance, exact }]
+    request_id TEXT, -- topup_requests.request_id ที่แนบ Slip นี้
+    trans_ref TEXT, -- เลขอ้างอิงธุรกรรมหลังตรวจ Slip ผ่าน provider
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_slip_uploads_user_id ON slip_uploads(user_id);
+CREATE INDEX IF NOT EXISTS idx_slip_uploads_sha256 ON slip_uploads(sha256);
+CREATE INDEX IF NOT EXISTS idx_slip_uploads_request_id ON slip_uploads(request_id);
+CREATE INDEX IF NOT EXISTS idx_slip_uploads_flagged ON slip_uploads(created_at DESC) WHERE flagged;
+
+-- Enable RLS
+ALTER TABLE slip_uploads ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to slip_uploads" ON slip_uploads;
+CREATE POLICY "Service role has full access to slip_uploads" ON slip_uploads
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: หา Slip ที่ซ้ำ (sha256) หรือคล้ายกัน (Hamming distance ของ phash ไม่เกิน p_max_distance)
+-- ต้องใช้ PostgreSQL 14+ (bit_count)
+CREATE OR REPLACE FUNCTION find_similar_slips(
+    p_sha256 TEXT,
+    p_phash TEXT,
+    p_max_distance INT DEFAULT 6,
+    p_limit INT DEFAULT 10
+)
+RETURNS TABLE (
+    slip_id TEXT,
+    user_id TEXT,
+    request_id TEXT,
+    trans_ref TEXT,
+    distance INT,
+    exact BOOLEAN,
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT *
+    FROM (
+        SELECT
+            s.slip_id,
+            s.user_id,
+            s.request_id,
+            s.trans_ref,
+            bit_count(('x' || s.phash)::BIT(64) # ('x' || p_phash)::BIT(64))::INT AS distance,
+            s.sha256 = p_sha256 AS exact,
+            s.created_at
+        FROM slip_uploads s
+    ) m
+    WHERE m.exact OR m.distance <= p_max_distance
+    ORDER BY m.exact DESC, m.distance, m.created_at
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Slip uploads table created successfully!' AS message;
@@ -0,0 +1,68 @@
+-- =============================================
+-- Topup Approvals
+-- Admin อนุมัติคำขอเติมเงิน (ทีละรายการ / หลายรายการ) แบบ Atomic
+-- ต้องรันหลัง topup_requests.sql, wallet_functions.sql
+-- =============================================
+
+-- Function: Admin อนุมัติคำขอ + เติมเงิน ใน transaction เดียว
+-- lock คำขอก่อน กัน approve ซ้ำ / อนุมัติแล้วเติมเงินไม่สำเร็จ
+CREATE OR REPLACE FUNCTION approve_topup_request(
+    p_request_id TEXT,
+    p_amount DECIMAL,
+    p_admin_id TEXT,
+    p_note TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_request topup_requests%ROWTYPE;
+    v_credit JSON;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: %', p_amount;
+    END IF;
+
+    SELECT * INTO v_request
+    FROM topup_requests
+    WHERE request_id = p_request_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'REQUEST_NOT_FOUND: %', p_request_id;
+    END IF;
+
+    IF v_request.status <> 'pending' THEN
+        RAISE EXCEPTION 'REQUEST_NOT_PENDING: % is %', p_request_id, v_request.status;
+    END IF;
+
+    v_credit := wallet_credit(
+        v_request.user_id,
+        p_amount,
+        'topup',
+        jsonb_build_object(
+            'method', v_request.method,
+            'requestId', p_request_id,
+            'approvedBy', p_admin_id,
+            'note', COALESCE(p_note, 'อนุมัติโดย Admin')
+        )
+    );
+
+    UPDATE topup_requests
+    SET status = 'approved',
+        amount = p_amount, -- อัพเดท amount ด้วย (สำหรับ angpao)
+        admin_note = COALESCE(p_note, 'อนุมัติแล้ว'),
+        reviewed_by = p_admin_id,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE request_id = p_request_id;
+
+    RETURN (v_credit::JSONB || jsonb_build_object(
+        'requestId', p_request_id,
+        'userId', v_request.user_id
+    ))::JSON;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Topup approval function created successfully!' AS message;
@@ -0,0 +1,241 @@
+-- =============================================
+-- Top-up Bonus Tiers
+-- โบนัสเติมเงินตามขั้นยอด (เช่น +5% เมื่อเติม 300, +10% เมื่อเติม 1000)
+-- โบนัสเข้า bonus_grants และบันทึกเป็น transaction type 'bonus' แยกจากเงินจริง
+-- ต้องรันหลัง bonus_balance.sql และ wallet_reconciliation.sql
+-- =============================================
+
+-- เพิ่ม transaction type 'bonus' (ไม่กระทบ wallets.balance)
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+    CHECK (type IN ('topup', 'purchase', 'refund', 'transfer_out', 'transfer_in', 'adjustment_credit', 'adjustment_debit', 'bonus'));
+
+CREATE TABLE IF NOT EXISTS topup_bonus_tiers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    method TEXT CHECK (method IN ('qr_promptpay', 'truemoney_angpao', 'bank_transfer')), -- NULL = ทุกช่องทาง
+    min_amount DECIMAL(12, 2) NOT NULL CHECK (min_amount > 0),
+    bonus_percent DECIMAL(5, 2) NOT NULL CHECK (bonus_percent > 0 AND bonus_percent <= 100),
+    max_bonus DECIMAL(12, 2) CHECK (max_bonus > 0), -- NULL = ไม่จำกัด
+    bonus_expires_days INTEGER CHECK (bonus_expires_days > 0), -- NULL = โบนัสไม่หมดอายุ
+    starts_at TIMESTAMP WITH TIME ZONE, -- NULL = เริ่มทันที
+    ends_at TIMESTAMP WITH TIME ZONE, -- NULL = ไม่มีวันสิ้นสุด
+    is_active BOOLEAN DEFAULT true,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_topup_bonus_tiers_active ON topup_bonus_tiers(is_active, min_amount);
+-- UNIQUE: กันโบนัสซ้ำต่อ transaction เติมเงินเดียวกัน (drop ก่อนเผื่อเคยสร้างแบบไม่ unique)
+DROP INDEX IF EXISTS idx_transactions_bonus_base;
+CREATE UNIQUE INDEX idx_transactions_bonus_base
+    ON transactions((details->>'baseTransactionId')) WHERE type = 'bonus';
+
+-- Enable RLS
+ALTER TABLE topup_bonus_tiers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to topup_bonus_tiers" ON topup_bonus_tiers;
+CREATE POLICY "Service role has full access to topup_bonus_tiers" ON topup_bonus_tiers
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: ให้โบนัสเติมเงินตาม tier ที่ได้โบนัสมากที่สุด
+-- เรียกซ้ำด้วย p_base_transaction_id เดิมจะไม่ให้โบนัสซ้ำ
+CREATE OR REPLACE FUNCTION apply_topup_bonus(
+    p_user_id TEXT,
+    p_amount DECIMAL,
+    p_method TEXT,
+    p_base_transaction_id TEXT
+)
+RETURNS JSON AS $$
+DECLARE
+    v_tier RECORD;
+    v_bonus DECIMAL;
+    v_expires_at TIMESTAMP WITH TIME ZONE;
+    v_grant JSON;
+    v_balance DECIMAL;
+    v_transaction_id TEXT;
+    v_existing TEXT;
+    v_constraint TEXT;
+BEGIN
+    -- 0. ล็อก transaction เติมเงินต้นทาง ให้การเรียกพร้อมกันรอกัน
+    PERFORM 1 FROM transactions WHERE transaction_id = p_base_transaction_id FOR UPDATE;
+
+    -- 1. ให้โบนัสไปแล้วหรือยัง
+    SELECT transaction_id INTO v_existing
+    FROM transactions
+    WHERE type = 'bonus'
+      AND details->>'baseTransactionId' = p_base_transaction_id
+    LIMIT 1;
+
+    IF v_existing IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'reason', 'ALREADY_APPLIED', 'transactionId', v_existing);
+    END IF;
+
+    -- 2. หา tier ที่ให้โบนัสมากที่สุด
+    SELECT t.*,
+           ROUND(LEAST(p_amount * t.bonus_percent / 100, COALESCE(t.max_bonus, p_amount * t.bonus_percent / 100)), 2) AS bonus
+    INTO v_tier
+    FROM topup_bonus_tiers t
+    WHERE t.is_active = true
+      AND t.min_amount <= p_amount
+      AND (t.method IS NULL OR t.method = p_method)
+      AND (t.starts_at IS NULL OR t.starts_at <= NOW())
+      AND (t.ends_at IS NULL OR t.ends_at > NOW())
+    ORDER BY bonus DESC, t.min_amount DESC
+    LIMIT 1;
+
+    IF v_tier IS NULL OR v_tier.bonus <= 0 THEN
+        RETURN jsonb_build_object('applied', false);
+    END IF;
+
+    v_bonus := v_tier.bonus;
+    v_expires_at := CASE
+        WHEN v_tier.bonus_expires_days IS NULL THEN NULL
+        ELSE NOW() + make_interval(days => v_tier.bonus_expires_days)
+    END;
+
+    -- 3-4. ให้โบนัสและบันทึก transaction ใน block เดียว
+    -- ถ้าชน unique index (มีคนให้โบนัสไปก่อน) grant จะถูก rollback ไปด้วย
+    BEGIN
+        -- 3. ให้โบนัสเข้า bonus_grants
+        v_grant := grant_bonus(
+            p_user_id,
+            v_bonus,
+            'topup_bonus',
+            v_expires_at,
+            jsonb_build_object('tierId', v_tier.id, 'tierName', v_tier.name, 'baseTransactionId', p_base_transaction_id)
+        );
+
+        -- 4. บันทึก transaction แยก (balance_after = ยอดเงินสดเดิม)
+        SELECT balance INTO v_balance FROM wallets WHERE user_id = p_user_id;
+
+        v_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+            || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+        INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+        VALUES (
+            v_transaction_id,
+            p_user_id,
+            'bonus',
+            v_bonus,
+            COALESCE(v_balance, 0),
+            jsonb_build_object(
+                'method', p_method,
+                'topupAmount', p_amount,
+                'tierId', v_tier.id,
+                'tierName', v_tier.name,
+                'bonusPercent', v_tier.bonus_percent,
+                'grantId', v_grant->>'grantId',
+                'expiresAt', v_expires_at,
+                'baseTransactionId', p_base_transaction_id
+            )
+        );
+    EXCEPTION WHEN unique_violation THEN
+        GET STACKED DIAGNOSTICS v_constraint = CONSTRAINT_NAME;
+        IF v_constraint <> 'idx_transactions_bonus_base' THEN
+            RAISE;
+        END IF;
+
+        SELECT transaction_id INTO v_existing
+        FROM transactions
+        WHERE type = 'bonus'
+          AND details->>'baseTransactionId' = p_base_transaction_id
+        LIMIT 1;
+
+        RETURN jsonb_build_object('applied', false, 'reason', 'ALREADY_APPLIED', 'transactionId', v_existing);
+    END;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'transactionId', v_transaction_id,
+        'grantId', v_grant->>'grantId',
+        'tierId', v_tier.id,
+        'tierName', v_tier.name,
+        'bonusAmount', v_bonus,
+        'expiresAt', v_expires_at,
+        'bonusBalance', v_grant->>'bonusBalance'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reconciliation: ไม่นับ transaction 'bonus' (ไม่ใช่เงินสดใน wallets.balance)
+CREATE OR REPLACE FUNCTION wallet_reconciliation_report()
+RETURNS TABLE (
+    user_id TEXT,
+    stored_balance DECIMAL,
+    ledger_balance DECIMAL,
+    drift DECIMAL,
+    transaction_count BIGINT,
+    last_transaction_at TIMESTAMP WITH TIME ZONE
+) AS $$
+    WITH ledger AS (
+        SELECT
+            t.user_id,
+            SUM(t.amount) AS ledger_balance,
+            COUNT(*) AS transaction_count,
+            MAX(t.created_at) AS last_transaction_at
+        FROM transactions t
+        WHERE t.type <> 'bonus'
+        GROUP BY t.user_id
+    )
+    SELECT
+        COALESCE(w.user_id, l.user_id) AS user_id,
+        COALESCE(w.balance, 0) AS stored_balance,
+        COALESCE(l.ledger_balance, 0) AS ledger_balance,
+        COALESCE(w.balance, 0) - COALESCE(l.ledger_balance, 0) AS drift,
+        COALESCE(l.transaction_count, 0) AS transaction_count,
+        l.last_transaction_at
+    FROM wallets w
+    FULL OUTER JOIN ledger l ON l.user_id = w.user_id
+    WHERE COALESCE(w.balance, 0) <> COALESCE(l.ledger_balance, 0)
+    ORDER BY ABS(COALESCE(w.balance, 0) - COALESCE(l.ledger_balance, 0)) DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fix_wallet_drift(
+    p_user_id TEXT,
+    p_expected_balance DECIMAL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_current_balance DECIMAL;
+    v_ledger_balance DECIMAL;
+BEGIN
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_current_balance IS NULL THEN
+        RAISE EXCEPTION 'WALLET_NOT_FOUND: User % has no wallet', p_user_id;
+    END IF;
+
+    IF v_current_balance <> p_expected_balance THEN
+        RAISE EXCEPTION 'STALE_REPORT: Balance %, Expected %', v_current_balance, p_expected_balance;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_ledger_balance
+    FROM transactions
+    WHERE user_id = p_user_id
+      AND type <> 'bonus';
+
+    UPDATE wallets
+    SET balance = v_ledger_balance, updated_at = NOW()
+    WHERE user_id = p_user_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'userId', p_user_id,
+        'oldBalance', v_current_balance,
+        'newBalance', v_ledger_balance,
+        'drift', v_current_balance - v_ledger_balance
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Top-up bonus tiers created successfully!' AS message;
@@ -0,0 +1,247 @@
+-- =============================================
+-- Topup Fraud Scoring
+-- ให้คะแนนความเสี่ยงทุกครั้งที่เติมเงิน (รวมคะแนนของกฎที่เข้าเงื่อนไข)
+-- คะแนนถึง hold_threshold = พักไว้ให้ Admin ตรวจแทนการเติมเงินอัตโนมัติ
+-- ต้องรันหลัง payment_intents.sql, topup_request_expiry.sql, bank_statement_imports.sql
+-- =============================================
+
+-- 1. กฎ (Admin แก้ได้จากหน้า Admin)
+CREATE TABLE IF NOT EXISTS topup_fraud_rules (
+    rule_key TEXT PRIMARY KEY,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    weight INT NOT NULL DEFAULT 0 CHECK (weight BETWEEN 0 AND 100), -- คะแนนเมื่อเข้าเงื่อนไข
+    params JSONB NOT NULL DEFAULT '{}',
+    description TEXT,
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO topup_fraud_rules (rule_key, weight, params, description) VALUES
+    ('user_velocity', 30, '{"windowMinutes": 60, "maxAttempts": 5}', 'เติมเงินถี่เกินไป (ต่อ user)'),
+    ('ip_velocity', 25, '{"windowMinutes": 60, "maxAttempts": 10}', 'เติมเงินถี่เกินไป (ต่อ IP)'),
+    ('angpao_failures', 25, '{"windowHours": 24, "maxFailures": 3}', 'รับซองอั่งเปาไม่สำเร็จหลายครั้ง'),
+    ('sender_name_change', 30, '{"lookbackDays": 30, "maxDistinctNames": 2}', 'ชื่อผู้โอนใน Slip เปลี่ยนบ่อยในบัญชีเดียว'),
+    ('new_account_large_topup', 30, '{"accountAgeHours": 72, "minAmount": 1000}', 'บัญชีใหม่เติมเงินยอดสูง')
+ON CONFLICT (rule_key) DO NOTHING;
+
+-- 2. ค่าตั้งรวม (แถวเดียว)
+CREATE TABLE IF NOT EXISTS topup_fraud_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    hold_threshold INT NOT NULL DEFAULT 60 CHECK (hold_threshold BETWEEN 1 AND 100),
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO topup_fraud_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+-- 3. ประวัติการเติมเงินทุกครั้ง (ใช้นับ velocity / ชื่อผู้โอน)
+CREATE TABLE IF NOT EXISTS topup_attempts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    ip_address TEXT,
+    method TEXT NOT NULL, -- promptpay, truemoney, bank_transfer
+    amount DECIMAL(12, 2),
+    sender_name TEXT, -- ชื่อผู้โอนจาก Slip
+    score INT, -- NULL = ยังไม่ได้ให้คะแนน (เช่น ตรวจ Slip ไม่ผ่าน)
+    signals JSONB DEFAULT '[]', -- [{ rule, weight, detail }]
+    decision TEXT CHECK (decision IN ('allow', 'hold')),
+    intent_id TEXT,
+    request_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_topup_attempts_user ON topup_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_topup_attempts_ip ON topup_attempts(ip_address, created_at DESC);
+
+-- 4. คะแนนของคำขอ + คำขอที่ถูกพักไว้ (slip_ref / verified_* ใช้โดย /api/thunder/verify-slip อยู่แล้ว)
+ALTER TABLE topup_requests
+    ADD COLUMN IF NOT EXISTS slip_ref TEXT,
+    ADD COLUMN IF NOT EXISTS verified_amount DECIMAL(12, 2),
+    ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS fraud_score INT,
+    ADD COLUMN IF NOT EXISTS fraud_signals JSONB,
+    ADD COLUMN IF NOT EXISTS fraud_hold BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS payment_intent_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_topup_requests_fraud_hold ON topup_requests(created_at DESC) WHERE fraud_hold AND status = 'pending';
+
+-- 5. intent ที่ Slip ถูกพักไว้
+ALTER TABLE payment_intents DROP CONSTRAINT IF EXISTS payment_intents_status_check;
+ALTER TABLE payment_intents ADD CONSTRAINT payment_intents_status_check
+    CHECK (status IN ('pending', 'held', 'paid', 'cancelled', 'expired'));
+
+-- Enable RLS
+ALTER TABLE topup_fraud_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE topup_fraud_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE topup_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to topup_fraud_rules" ON topup_fraud_rules;
+CREATE POLICY "Service role has full access to topup_fraud_rules" ON topup_fraud_rules
+    FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to topup_fraud_settings" ON topup_fraud_settings;
+CREATE POLICY "Service role has full access to topup_fraud_settings" ON topup_fraud_settings
+    FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to topup_attempts" ON topup_attempts;
+CREATE POLICY "Service role has full access to topup_attempts" ON topup_attempts
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: พัก Slip ที่ตรวจผ่านแล้วแต่คะแนนเสี่ยงสูง
+-- lock intent → ตรวจเหมือน complete_payment_intent → จอง Slip (ไม่เติมเงิน) → intent = held → สร้างคำขอรอ Admin
+CREATE OR REPLACE FUNCTION hold_payment_intent(
+    p_intent_id TEXT,
+    p_user_id TEXT,
+    p_trans_ref TEXT,
+    p_image_hash TEXT,
+    p_amount DECIMAL,
+    p_provider TEXT,
+    p_details JSONB,
+    p_request_id TEXT,
+    p_score INT,
+    p_signals JSONB
+)
+RETURNS JSON AS $$
+DECLARE
+    v_intent RECORD;
+BEGIN
+    IF p_trans_ref IS NULL OR TRIM(p_trans_ref) = '' THEN
+        RAISE EXCEPTION 'INVALID_SLIP: Missing transRef';
+    END IF;
+
+    SELECT * INTO v_intent
+    FROM payment_intents
+    WHERE intent_id = p_intent_id
+      AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_intent IS NULL THEN
+        RAISE EXCEPTION 'INTENT_NOT_FOUND: Intent %', p_intent_id;
+    END IF;
+
+    IF v_intent.status <> 'pending' THEN
+        RAISE EXCEPTION 'INTENT_NOT_PENDING: Status %', v_intent.status;
+    END IF;
+
+    IF v_intent.expires_at < NOW() THEN
+        RAISE EXCEPTION 'INTENT_EXPIRED: Expired at %', v_intent.expires_at;
+    END IF;
+
+    IF ABS(v_intent.amount - p_amount) > 0.01 THEN
+        RAISE EXCEPTION 'AMOUNT_MISMATCH: Intent %, Slip %', v_intent.amount, p_amount;
+    END IF;
+
+    -- จอง Slip ไว้ ไม่ให้ใช้ซ้ำระหว่างรอ Admin (transaction_id ว่างจนกว่าจะอนุมัติ)
+    BEGIN
+        INSERT INTO verified_slips (trans_ref, image_hash, user_id, amount, provider, details)
+        VALUES (
+            TRIM(p_trans_ref), p_image_hash, p_user_id, v_intent.amount, p_provider,
+            COALESCE(p_details, '{}') || jsonb_build_object('paymentIntentId', p_intent_id, 'heldRequestId', p_request_id)
+        );
+    EXCEPTION WHEN unique_violation THEN
+        RAISE EXCEPTION 'DUPLICATE_SLIP: transRef %', p_trans_ref;
+    END;
+
+    UPDATE payment_intents
+    SET status = 'held',
+        trans_ref = TRIM(p_trans_ref)
+    WHERE intent_id = p_intent_id;
+
+    INSERT INTO topup_requests (
+        request_id, user_id, amount, method, status, slip_ref, verified_amount, verified_at,
+        admin_note, fraud_score, fraud_signals, fraud_hold, payment_intent_id
+    ) VALUES (
+        p_request_id, p_user_id, v_intent.amount, 'promptpay', 'pending', TRIM(p_trans_ref), p_amount, NOW(),
+        'พักไว้ตรวจสอบ (fraud score ' || p_score || ')', p_score, COALESCE(p_signals, '[]'), TRUE, p_intent_id
+    );
+
+    RETURN json_build_object(
+        'requestId', p_request_id,
+        'intentId', p_intent_id,
+        'amount', v_intent.amount,
+        'score', p_score
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- คำขอที่พักไว้ (Slip ตรวจผ่านแล้ว) ต้องไม่หมดอายุเอง: แทนที่ function จาก topup_request_expiry.sql
+CREATE OR REPLACE FUNCTION expire_stale_topup_requests(p_limit INT DEFAULT 500)
+RETURNS TABLE (
+    request_id TEXT,
+    user_id TEXT,
+    method TEXT,
+    amount DECIMAL,
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH stale AS (
+        SELECT r.id
+        FROM topup_requests r
+        JOIN topup_request_ttls t ON t.method = r.method
+        WHERE r.status = 'pending'
+          AND t.ttl_minutes > 0
+          AND r.created_at < NOW() - (t.ttl_minutes || ' minutes')::INTERVAL
+          AND r.auto_status IS DISTINCT FROM 'queued'
+          AND NOT COALESCE(r.fraud_hold, FALSE)
+        ORDER BY r.created_at
+        LIMIT p_limit
+        FOR UPDATE OF r SKIP LOCKED
+    )
+    UPDATE topup_requests r
+    SET status = 'expired',
+        expired_at = NOW(),
+        admin_note = 'หมดอายุอัตโนมัติ',
+        updated_at = NOW()
+    FROM stale
+    WHERE r.id = stale.id
+      AND r.status = 'pending'
+    RETURNING r.request_id, r.user_id, r.method, COALESCE(r.expected_amount, r.amount), r.created_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- คำขอที่ถูกพักต้องไม่ถูกจับคู่กับยอดเงินเข้าอัตโนมัติ: แทนที่ function จาก bank_statement_imports.sql
+-- (record_bank_deposit / rematch ใช้ function นี้ จึงครอบคลุม feed, webhook และการนำเข้า statement)
+CREATE OR REPLACE FUNCTION find_deposit_candidates(
+    p_amount DECIMAL,
+    p_deposited_at TIMESTAMP WITH TIME ZONE,
+    p_reference TEXT DEFAULT NULL,
+    p_match_window_hours INTEGER DEFAULT 48
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_candidates JSONB;
+BEGIN
+    IF p_reference IS NOT NULL AND p_reference <> '' THEN
+        SELECT COALESCE(jsonb_agg(request_id), '[]'::JSONB) INTO v_candidates
+        FROM topup_requests
+        WHERE status = 'pending'
+          AND method IN ('promptpay', 'bank_transfer')
+          AND NOT COALESCE(fraud_hold, FALSE)
+          AND p_reference ILIKE '%' || request_id || '%'
+          AND (expected_amount = p_amount OR (expected_amount IS NULL AND amount = p_amount));
+
+        IF jsonb_array_length(v_candidates) = 1 THEN
+            RETURN v_candidates;
+        END IF;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(request_id ORDER BY created_at), '[]'::JSONB) INTO v_candidates
+    FROM topup_requests
+    WHERE status = 'pending'
+      AND method IN ('promptpay', 'bank_transfer')
+      AND NOT COALESCE(fraud_hold, FALSE)
+      AND expected_amount = p_amount
+      AND created_at <= p_deposited_at + INTERVAL '5 minutes'
+      AND created_at >= p_deposited_at - make_interval(hours => p_match_window_hours);
+
+    RETURN v_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Topup fraud scoring created successfully!' AS message;
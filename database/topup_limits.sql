@@ -0,0 +1,115 @@
+-- =============================================
+-- Topup Limits
+-- วงเงินเติมเงินที่ Admin แก้ได้ (แทนค่าที่ hardcode / THUNDER_*_AMOUNT / TRUEMONEY_*_AMOUNT)
+-- ต่อช่องทาง: เปิด/ปิด, ขั้นต่ำ/สูงสุดต่อครั้ง, คำขอ pending สูงสุด
+-- ต่อ user: วงเงินรายวัน/รายเดือน (ค่าเริ่มต้น + กำหนดเฉพาะ user ได้)
+-- ต้องรันหลัง payment_intents.sql, bank_deposits.sql, topup_fraud.sql
+-- =============================================
+
+-- 1. วงเงินของแต่ละช่องทาง
+CREATE TABLE IF NOT EXISTS topup_limits (
+    method TEXT PRIMARY KEY, -- promptpay, bank_transfer, truemoney
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    min_amount DECIMAL(12, 2) NOT NULL DEFAULT 1 CHECK (min_amount > 0),
+    max_amount DECIMAL(12, 2) NOT NULL CHECK (max_amount > 0),
+    max_pending INT NOT NULL DEFAULT 3 CHECK (max_pending >= 0), -- 0 = ไม่จำกัด
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (min_amount <= max_amount)
+);
+
+-- ค่าเริ่มต้นเท่าค่าเดิมในโค้ด/ENV
+INSERT INTO topup_limits (method, min_amount, max_amount, max_pending) VALUES
+    ('promptpay', 10, 10000, 3),
+    ('bank_transfer', 1, 100000, 3),
+    ('truemoney', 10, 5000, 3)
+ON CONFLICT (method) DO NOTHING;
+
+-- 2. วงเงินต่อ user ค่าเริ่มต้น (แถวเดียว)
+CREATE TABLE IF NOT EXISTS topup_limit_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    daily_limit DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (daily_limit >= 0), -- 0 = ไม่จำกัด
+    monthly_limit DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (monthly_limit >= 0),
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO topup_limit_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+-- 3. วงเงินเฉพาะ user (NULL = ใช้ค่าเริ่มต้น)
+CREATE TABLE IF NOT EXISTS topup_user_limits (
+    user_id TEXT PRIMARY KEY, -- discord_id
+    daily_limit DECIMAL(12, 2) CHECK (daily_limit >= 0),
+    monthly_limit DECIMAL(12, 2) CHECK (monthly_limit >= 0),
+    note TEXT,
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. ซองที่ provider รับไปแล้วแต่ยอดเกินวงเงิน: พักไว้ (fraud_hold = TRUE ไม่หมดอายุเอง) รอ Admin เติมเงิน
+ALTER TABLE topup_requests ADD COLUMN IF NOT EXISTS provider_transaction_id TEXT; -- เลขอ้างอิงจาก provider
+
+-- Enable RLS
+ALTER TABLE topup_limits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE topup_limit_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE topup_user_limits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to topup_limits" ON topup_limits;
+CREATE POLICY "Service role has full access to topup_limits" ON topup_limits
+    FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to topup_limit_settings" ON topup_limit_settings;
+CREATE POLICY "Service role has full access to topup_limit_settings" ON topup_limit_settings
+    FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to topup_user_limits" ON topup_user_limits;
+CREATE POLICY "Service role has full access to topup_user_limits" ON topup_user_limits
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: ยอดเติมเงินของ user วันนี้ / เดือนนี้ (เวลาไทย)
+-- นับเงินที่เติมแล้ว + คำขอที่รอดำเนินการ + QR ที่ยังไม่หมดอายุ (กันเปิดคำขอค้างไว้หลายรายการเกินวงเงิน)
+CREATE OR REPLACE FUNCTION get_topup_usage(
+    p_user_id TEXT,
+    p_exclude_request_id TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_day_start TIMESTAMP WITH TIME ZONE := date_trunc('day', NOW() AT TIME ZONE 'Asia/Bangkok') AT TIME ZONE 'Asia/Bangkok';
+    v_month_start TIMESTAMP WITH TIME ZONE := date_trunc('month', NOW() AT TIME ZONE 'Asia/Bangkok') AT TIME ZONE 'Asia/Bangkok';
+    v_daily DECIMAL := 0;
+    v_monthly DECIMAL := 0;
+BEGIN
+    SELECT
+        COALESCE(SUM(amount) FILTER (WHERE created_at >= v_day_start), 0),
+        COALESCE(SUM(amount), 0)
+    INTO v_daily, v_monthly
+    FROM (
+        SELECT amount, created_at
+        FROM transactions
+        WHERE user_id = p_user_id
+          AND type = 'topup'
+          AND created_at >= v_month_start
+        UNION ALL
+        SELECT COALESCE(expected_amount, amount), created_at
+        FROM topup_requests
+        WHERE user_id = p_user_id
+          AND status = 'pending'
+          AND request_id IS DISTINCT FROM p_exclude_request_id
+          AND created_at >= v_month_start
+        UNION ALL
+        SELECT amount, created_at
+        FROM payment_intents
+        WHERE user_id = p_user_id
+          AND status = 'pending'
+          AND expires_at > NOW()
+          AND created_at >= v_month_start
+    ) usage;
+
+    RETURN json_build_object('daily', v_daily, 'monthly', v_monthly);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Topup limits created successfully!' AS message;
@@ -0,0 +1,76 @@
+-- =============================================
+-- Topup Request Expiry
+-- คำขอเติมเงินที่ค้าง pending นานเกินกำหนด (ตาม method) จะเปลี่ยนเป็น expired
+-- ไม่นับรวมในลิมิตคำขอที่รอดำเนินการ และคืนยอดเศษสตางค์ให้คำขอใหม่ใช้ได้
+-- ต้องรันหลัง topup_requests.sql และ angpao_auto_redeem.sql
+-- =============================================
+
+-- เพิ่มสถานะ expired
+ALTER TABLE topup_requests DROP CONSTRAINT IF EXISTS topup_requests_status_check;
+ALTER TABLE topup_requests ADD CONSTRAINT topup_requests_status_check
+    CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled', 'expired'));
+
+ALTER TABLE topup_requests ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP WITH TIME ZONE;
+
+-- อายุคำขอของแต่ละ method (Admin แก้ได้)
+CREATE TABLE IF NOT EXISTS topup_request_ttls (
+    method TEXT PRIMARY KEY CHECK (method IN ('promptpay', 'truemoney', 'bank_transfer')),
+    ttl_minutes INT NOT NULL CHECK (ttl_minutes >= 0), -- 0 = ไม่หมดอายุ
+    updated_by TEXT, -- discord_id ของ admin ที่แก้ล่าสุด
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ค่าเริ่มต้น: promptpay / bank_transfer 48 ชม. (เท่ากับ BANK_MATCH_WINDOW_HOURS), ซองอั่งเปา 72 ชม.
+INSERT INTO topup_request_ttls (method, ttl_minutes) VALUES
+    ('promptpay', 2880),
+    ('bank_transfer', 2880),
+    ('truemoney', 4320)
+ON CONFLICT (method) DO NOTHING;
+
+-- Enable RLS
+ALTER TABLE topup_request_ttls ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to topup_request_ttls" ON topup_request_ttls;
+CREATE POLICY "Service role has full access to topup_request_ttls" ON topup_request_ttls
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: เปลี่ยนคำขอที่หมดอายุเป็น expired แล้วคืนรายการที่เปลี่ยน
+-- ข้ามคำขอที่ worker ซองอั่งเปากำลังทำอยู่ (auto_status = queued)
+CREATE OR REPLACE FUNCTION expire_stale_topup_requests(p_limit INT DEFAULT 500)
+RETURNS TABLE (
+    request_id TEXT,
+    user_id TEXT,
+    method TEXT,
+    amount DECIMAL,
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH stale AS (
+        SELECT r.id
+        FROM topup_requests r
+        JOIN topup_request_ttls t ON t.method = r.method
+        WHERE r.status = 'pending'
+          AND t.ttl_minutes > 0
+          AND r.created_at < NOW() - (t.ttl_minutes || ' minutes')::INTERVAL
+          AND r.auto_status IS DISTINCT FROM 'queued'
+        ORDER BY r.created_at
+        LIMIT p_limit
+        FOR UPDATE OF r SKIP LOCKED
+    )
+    UPDATE topup_requests r
+    SET status = 'expired',
+        expired_at = NOW(),
+        admin_note = 'หมดอายุอัตโนมัติ',
+        updated_at = NOW()
+    FROM stale
+    WHERE r.id = stale.id
+      AND r.status = 'pending'
+    RETURNING r.request_id, r.user_id, r.method, COALESCE(r.expected_amount, r.amount), r.created_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Topup request expiry created successfully!' AS message;
@@ -0,0 +1,75 @@
+-- =============================================
+-- Verified Slips
+-- ป้องกันใช้ Slip ซ้ำ โดยไม่ต้องพึ่ง checkDuplicate ของ provider
+-- transRef และ hash ของรูป Slip ต้องไม่ซ้ำ
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS verified_slips (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    trans_ref TEXT UNIQUE NOT NULL, -- เลขอ้างอิงธุรกรรมจากธนาคาร
+    image_hash TEXT UNIQUE, -- SHA-256 ของรูป Slip (NULL ถ้าตรวจจาก payload)
+    user_id TEXT NOT NULL, -- discord_id ที่ได้รับเงิน
+    amount DECIMAL(12, 2) NOT NULL,
+    provider TEXT NOT NULL, -- thunder, ...
+    transaction_id TEXT, -- transaction ที่เติมเงินจาก Slip นี้
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_verified_slips_user_id ON verified_slips(user_id);
+
+-- Enable RLS
+ALTER TABLE verified_slips ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to verified_slips" ON verified_slips;
+CREATE POLICY "Service role has full access to verified_slips" ON verified_slips
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Function: บันทึก Slip + เติมเงิน (all in one transaction)
+-- Slip ที่เคยบันทึกแล้ว (transRef หรือ hash ซ้ำ) จะ raise DUPLICATE_SLIP และไม่เติมเงิน
+CREATE OR REPLACE FUNCTION credit_verified_slip(
+    p_user_id TEXT,
+    p_trans_ref TEXT,
+    p_image_hash TEXT,
+    p_amount DECIMAL,
+    p_provider TEXT,
+    p_details JSONB DEFAULT '{}'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_credit JSON;
+BEGIN
+    IF p_trans_ref IS NULL OR TRIM(p_trans_ref) = '' THEN
+        RAISE EXCEPTION 'INVALID_SLIP: Missing transRef';
+    END IF;
+
+    -- 1. จอง Slip (unique constraint กันการเติมซ้ำพร้อมกัน)
+    BEGIN
+        INSERT INTO verified_slips (trans_ref, image_hash, user_id, amount, provider, details)
+        VALUES (TRIM(p_trans_ref), p_image_hash, p_user_id, p_amount, p_provider, COALESCE(p_details, '{}'));
+    EXCEPTION WHEN unique_violation THEN
+        RAISE EXCEPTION 'DUPLICATE_SLIP: transRef %', p_trans_ref;
+    END;
+
+    -- 2. เติมเงิน
+    v_credit := wallet_credit(
+        p_user_id,
+        p_amount,
+        'topup',
+        COALESCE(p_details, '{}') || jsonb_build_object('transRef', TRIM(p_trans_ref), 'slipHash', p_image_hash)
+    );
+
+    -- 3. ผูก Slip กับ transaction
+    UPDATE verified_slips
+    SET transaction_id = v_credit->>'transactionId'
+    WHERE trans_ref = TRIM(p_trans_ref);
+
+    RETURN v_credit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Verified slips table created successfully!' AS message;
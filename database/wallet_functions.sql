@@ -0,0 +1,120 @@
+-- =============================================
+-- Wallet Functions
+-- เพิ่ม/หักยอดเงินแบบ Atomic ป้องกันยอดเงินเพี้ยนจาก Race Condition
+-- =============================================
+
+-- Function: Credit wallet (เติมเงิน)
+-- Lock wallet row, เพิ่มยอด และบันทึก Transaction ใน single transaction
+CREATE OR REPLACE FUNCTION wallet_credit(
+    p_user_id TEXT,
+    p_amount DECIMAL,
+    p_type TEXT DEFAULT 'topup',
+    p_details JSONB DEFAULT '{}'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_current_balance DECIMAL;
+    v_new_balance DECIMAL;
+    v_transaction_id TEXT;
+    v_created_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount %', p_amount;
+    END IF;
+
+    v_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    -- 1. สร้าง wallet ถ้ายังไม่มี
+    INSERT INTO wallets (user_id, balance)
+    VALUES (p_user_id, 0)
+    ON CONFLICT (user_id) DO NOTHING;
+
+    -- 2. Lock wallet row
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    -- 3. เพิ่มเงิน
+    v_new_balance := v_current_balance + p_amount;
+    UPDATE wallets
+    SET balance = v_new_balance, updated_at = NOW()
+    WHERE user_id = p_user_id;
+
+    -- 4. บันทึก Transaction
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (v_transaction_id, p_user_id, p_type, p_amount, v_new_balance, COALESCE(p_details, '{}'))
+    RETURNING created_at INTO v_created_at;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'transactionId', v_transaction_id,
+        'amount', p_amount,
+        'newBalance', v_new_balance,
+        'createdAt', v_created_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: Debit wallet (หักเงิน)
+-- Lock wallet row, ตรวจสอบยอดเงิน, หักยอด และบันทึก Transaction ใน single transaction
+CREATE OR REPLACE FUNCTION wallet_debit(
+    p_user_id TEXT,
+    p_amount DECIMAL,
+    p_type TEXT DEFAULT 'purchase',
+    p_details JSONB DEFAULT '{}'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_current_balance DECIMAL;
+    v_new_balance DECIMAL;
+    v_transaction_id TEXT;
+    v_created_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount %', p_amount;
+    END IF;
+
+    v_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+
+    -- 1. Lock wallet row
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_current_balance IS NULL THEN
+        RAISE EXCEPTION 'WALLET_NOT_FOUND: User % has no wallet', p_user_id;
+    END IF;
+
+    IF v_current_balance < p_amount THEN
+        RAISE EXCEPTION 'INSUFFICIENT_BALANCE: Balance %, Required %', v_current_balance, p_amount;
+    END IF;
+
+    -- 2. หักเงิน
+    v_new_balance := v_current_balance - p_amount;
+    UPDATE wallets
+    SET balance = v_new_balance, updated_at = NOW()
+    WHERE user_id = p_user_id;
+
+    -- 3. บันทึก Transaction (amount ติดลบ)
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (v_transaction_id, p_user_id, p_type, -p_amount, v_new_balance, COALESCE(p_details, '{}'))
+    RETURNING created_at INTO v_created_at;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'transactionId', v_transaction_id,
+        'amount', -p_amount,
+        'newBalance', v_new_balance,
+        'createdAt', v_created_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Wallet functions created successfully!' AS message;
@@ -0,0 +1,86 @@
+-- =============================================
+-- Wallet Reconciliation
+-- ตรวจสอบว่า wallets.balance ตรงกับผลรวมของ transactions หรือไม่
+-- =============================================
+
+-- Function: รายงาน wallet ที่ยอดเงินไม่ตรงกับ ledger
+CREATE OR REPLACE FUNCTION wallet_reconciliation_report()
+RETURNS TABLE (
+    user_id TEXT,
+    stored_balance DECIMAL,
+    ledger_balance DECIMAL,
+    drift DECIMAL,
+    transaction_count BIGINT,
+    last_transaction_at TIMESTAMP WITH TIME ZONE
+) AS $$
+    WITH ledger AS (
+        SELECT
+            t.user_id,
+            SUM(t.amount) AS ledger_balance,
+            COUNT(*) AS transaction_count,
+            MAX(t.created_at) AS last_transaction_at
+        FROM transactions t
+        GROUP BY t.user_id
+    )
+    SELECT
+        COALESCE(w.user_id, l.user_id) AS user_id,
+        COALESCE(w.balance, 0) AS stored_balance,
+        COALESCE(l.ledger_balance, 0) AS ledger_balance,
+        COALESCE(w.balance, 0) - COALESCE(l.ledger_balance, 0) AS drift,
+        COALESCE(l.transaction_count, 0) AS transaction_count,
+        l.last_transaction_at
+    FROM wallets w
+    FULL OUTER JOIN ledger l ON l.user_id = w.user_id
+    WHERE COALESCE(w.balance, 0) <> COALESCE(l.ledger_balance, 0)
+    ORDER BY ABS(COALESCE(w.balance, 0) - COALESCE(l.ledger_balance, 0)) DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Function: แก้ยอด wallet ให้ตรงกับ ledger (Admin ต้องยืนยันยอดเดิมที่เห็นในรายงาน)
+-- p_expected_balance = stored_balance จากรายงาน ถ้ายอดเปลี่ยนไปแล้วจะไม่แก้ (STALE_REPORT)
+CREATE OR REPLACE FUNCTION fix_wallet_drift(
+    p_user_id TEXT,
+    p_expected_balance DECIMAL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_current_balance DECIMAL;
+    v_ledger_balance DECIMAL;
+BEGIN
+    -- 1. Lock wallet row (ป้องกันมีรายการใหม่เข้ามาระหว่างแก้)
+    SELECT balance INTO v_current_balance
+    FROM wallets
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_current_balance IS NULL THEN
+        RAISE EXCEPTION 'WALLET_NOT_FOUND: User % has no wallet', p_user_id;
+    END IF;
+
+    IF v_current_balance <> p_expected_balance THEN
+        RAISE EXCEPTION 'STALE_REPORT: Balance %, Expected %', v_current_balance, p_expected_balance;
+    END IF;
+
+    -- 2. คำนวณยอดจาก ledger
+    SELECT COALESCE(SUM(amount), 0) INTO v_ledger_balance
+    FROM transactions
+    WHERE user_id = p_user_id;
+
+    -- 3. แก้ยอด
+    UPDATE wallets
+    SET balance = v_ledger_balance, updated_at = NOW()
+    WHERE user_id = p_user_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'userId', p_user_id,
+        'oldBalance', v_current_balance,
+        'newBalance', v_ledger_balance,
+        'drift', v_current_balance - v_ledger_balance
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Wallet reconciliation functions created successfully!' AS message;
@@ -0,0 +1,153 @@
+-- =============================================
+-- Wallet Transfers
+-- โอนเงินระหว่าง user (บันทึก transfer_out / transfer_in เป็นคู่)
+-- =============================================
+
+-- เพิ่ม transaction types สำหรับการโอน
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+    CHECK (type IN ('topup', 'purchase', 'refund', 'transfer_out', 'transfer_in'));
+
+-- Index สำหรับเช็ค cooldown / daily limit
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_out
+    ON transactions(user_id, created_at DESC) WHERE type = 'transfer_out';
+
+-- Function: Transfer between wallets (all in one transaction)
+-- Lock ทั้ง 2 wallet ตามลำดับ user_id เพื่อป้องกัน deadlock
+CREATE OR REPLACE FUNCTION wallet_transfer(
+    p_from_user_id TEXT,
+    p_to_user_id TEXT,
+    p_amount DECIMAL,
+    p_note TEXT DEFAULT NULL,
+    p_daily_limit DECIMAL DEFAULT NULL,
+    p_cooldown_seconds INT DEFAULT 0
+)
+RETURNS JSON AS $$
+DECLARE
+    v_from_balance DECIMAL;
+    v_to_balance DECIMAL;
+    v_from_new_balance DECIMAL;
+    v_to_new_balance DECIMAL;
+    v_transfer_id TEXT;
+    v_out_transaction_id TEXT;
+    v_in_transaction_id TEXT;
+    v_sent_today DECIMAL;
+    v_last_transfer_at TIMESTAMP WITH TIME ZONE;
+    v_lock RECORD;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount %', p_amount;
+    END IF;
+
+    -- ทศนิยมเกิน 2 ตำแหน่ง: ไม่ปัดเศษเอง (ยอดหัก/ยอดรับต้องตรงกับที่ user ยืนยัน)
+    IF p_amount <> ROUND(p_amount, 2) THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT: Amount % has more than 2 decimal places', p_amount;
+    END IF;
+
+    IF p_from_user_id = p_to_user_id THEN
+        RAISE EXCEPTION 'SELF_TRANSFER: Cannot transfer to yourself';
+    END IF;
+
+    v_transfer_id := 'TRF' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+    v_out_transaction_id := 'TXN' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT::TEXT
+        || LPAD(FLOOR(RANDOM() * 1000)::TEXT, 3, '0');
+    v_in_transaction_id := v_out_transaction_id || 'R';
+
+    -- 1. สร้าง wallet ผู้รับถ้ายังไม่มี
+    INSERT INTO wallets (user_id, balance)
+    VALUES (p_to_user_id, 0)
+    ON CONFLICT (user_id) DO NOTHING;
+
+    -- 2. Lock ทั้ง 2 wallet ตามลำดับ
+    FOR v_lock IN
+        SELECT user_id, balance
+        FROM wallets
+        WHERE user_id IN (p_from_user_id, p_to_user_id)
+        ORDER BY user_id
+        FOR UPDATE
+    LOOP
+        IF v_lock.user_id = p_from_user_id THEN
+            v_from_balance := v_lock.balance;
+        ELSE
+            v_to_balance := v_lock.balance;
+        END IF;
+    END LOOP;
+
+    IF v_from_balance IS NULL THEN
+        RAISE EXCEPTION 'WALLET_NOT_FOUND: User % has no wallet', p_from_user_id;
+    END IF;
+
+    -- 3. ตรวจสอบ cooldown
+    IF p_cooldown_seconds > 0 THEN
+        SELECT MAX(created_at) INTO v_last_transfer_at
+        FROM transactions
+        WHERE user_id = p_from_user_id AND type = 'transfer_out';
+
+        IF v_last_transfer_at IS NOT NULL
+           AND v_last_transfer_at > NOW() - make_interval(secs => p_cooldown_seconds) THEN
+            RAISE EXCEPTION 'TRANSFER_COOLDOWN: Retry after %',
+                CEIL(EXTRACT(EPOCH FROM (v_last_transfer_at + make_interval(secs => p_cooldown_seconds) - NOW())))::INT;
+        END IF;
+    END IF;
+
+    -- 4. ตรวจสอบ daily limit
+    IF p_daily_limit IS NOT NULL THEN
+        SELECT COALESCE(SUM(-amount), 0) INTO v_sent_today
+        FROM transactions
+        WHERE user_id = p_from_user_id
+          AND type = 'transfer_out'
+          AND created_at > NOW() - INTERVAL '1 day';
+
+        IF v_sent_today + p_amount > p_daily_limit THEN
+            RAISE EXCEPTION 'DAILY_LIMIT_EXCEEDED: Sent %, Limit %', v_sent_today, p_daily_limit;
+        END IF;
+    END IF;
+
+    -- 5. ตรวจสอบยอดเงิน
+    IF v_from_balance < p_amount THEN
+        RAISE EXCEPTION 'INSUFFICIENT_BALANCE: Balance %, Required %', v_from_balance, p_amount;
+    END IF;
+
+    -- 6. ย้ายเงิน
+    v_from_new_balance := v_from_balance - p_amount;
+    v_to_new_balance := v_to_balance + p_amount;
+
+    UPDATE wallets SET balance = v_from_new_balance, updated_at = NOW() WHERE user_id = p_from_user_id;
+    UPDATE wallets SET balance = v_to_new_balance, updated_at = NOW() WHERE user_id = p_to_user_id;
+
+    -- 7. บันทึก Transaction คู่
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (
+        v_out_transaction_id,
+        p_from_user_id,
+        'transfer_out',
+        -p_amount,
+        v_from_new_balance,
+        jsonb_build_object('transferId', v_transfer_id, 'toUserId', p_to_user_id, 'note', p_note)
+    );
+
+    INSERT INTO transactions (transaction_id, user_id, type, amount, balance_after, details)
+    VALUES (
+        v_in_transaction_id,
+        p_to_user_id,
+        'transfer_in',
+        p_amount,
+        v_to_new_balance,
+        jsonb_build_object('transferId', v_transfer_id, 'fromUserId', p_from_user_id, 'note', p_note)
+    );
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'transferId', v_transfer_id,
+        'transactionId', v_out_transaction_id,
+        'amount', p_amount,
+        'newBalance', v_from_new_balance
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- Success Message
+-- =============================================
+SELECT 'Wallet transfer functions created successfully!' AS message;
@@ -28,7 +28,7 @@ class DipsAuth {
             const data = await response.json();
             
             if (data.success) {
-                this.updateBalanceUI(data.balance);
+                this.updateBalanceUI(data.balance, data.bonusBalance || 0);
             }
         } catch (error) {
             console.log('Wallet load failed:', error);
@@ -36,7 +36,7 @@ class DipsAuth {
     }
 
     // อัพเดท UI แสดงยอดเงิน
-    updateBalanceUI(balance) {
+    updateBalanceUI(balance, bonusBalance = 0) {
         const formatBalance = (amount) => {
             return new Intl.NumberFormat('th-TH', {
                 minimumFractionDigits: 2,
@@ -55,6 +55,15 @@ class DipsAuth {
         if (navBalance) {
             navBalance.textContent = formatBalance(balance);
         }
+
+        // โบนัส (แสดงเฉพาะเมื่อมี)
+        const dropdownBonus = document.querySelector('.dropdown-bonus-amount');
+        if (dropdownBonus) {
+            dropdownBonus.textContent = formatBalance(bonusBalance);
+        }
+        document.querySelectorAll('.bonus-balance-row').forEach(row => {
+            row.style.display = bonusBalance > 0 ? '' : 'none';
+        });
     }
 
     // ตรวจสอบสถานะ Login
@@ -143,6 +152,16 @@ class DipsAuth {
                     <span class="balance-currency">฿</span>
                 </div>
             </div>
+            <div class="dropdown-balance bonus-balance-row" style="display:none;">
+                <div class="balance-label">
+                    <i class="fa-solid fa-gift"></i>
+                    <span>โบนัส</span>
+                </div>
+                <div class="balance-amount">
+                    <span class="dropdown-bonus-amount">0.00</span>
+                    <span class="balance-currency">฿</span>
+                </div>
+            </div>
             <div class="dropdown-divider"></div>
             <a href="/pages/profile.html" class="dropdown-item">
                 <i class="fa-solid fa-user"></i>
@@ -394,6 +413,12 @@ authStyles.textContent = `
         font-weight: 700;
     }
 
+    .dropdown-bonus-amount {
+        color: #fbbf24;
+        font-size: 1rem;
+        font-weight: 600;
+    }
+
     .balance-currency {
         color: #14b8a6;
         font-size: 0.9rem;
@@ -436,6 +461,46 @@ authStyles.textContent = `
 `;
 document.head.appendChild(authStyles);
 
+// =============================================
+// Idempotency-Key (กัน retry ทำรายการซ้ำ)
+// 1 key ต่อ 1 รายการ: ลองใหม่ (เช่น เน็ตหลุด) ใช้ key เดิมจนกว่าจะได้ผลลัพธ์จาก server
+// =============================================
+const pendingIdempotencyKeys = {};
+
+function generateIdempotencyKey() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+
+    // crypto.randomUUID ใช้ได้เฉพาะ HTTPS / localhost
+    const bytes = new Uint8Array(16);
+    if (window.crypto?.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+    }
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// key ของรายการ (สร้างครั้งแรกที่เรียก)
+function getIdempotencyKey(operation) {
+    if (!pendingIdempotencyKeys[operation]) {
+        pendingIdempotencyKeys[operation] = generateIdempotencyKey();
+    }
+    return pendingIdempotencyKeys[operation];
+}
+
+// ได้ผลลัพธ์สุดท้ายแล้ว: รายการถัดไปใช้ key ใหม่
+// ไม่ clear ตอน 409 (กำลังดำเนินการ) / 5xx / เชื่อมต่อไม่ได้ ให้ลองใหม่ด้วย key เดิม
+function settleIdempotencyKey(operation, response) {
+    if (response.status < 500 && response.status !== 409) {
+        delete pendingIdempotencyKeys[operation];
+    }
+}
+
+window.getIdempotencyKey = getIdempotencyKey;
+window.settleIdempotencyKey = settleIdempotencyKey;
+
 // Initialize Auth when DOM is ready
 let dipsAuth;
 document.addEventListener('DOMContentLoaded', () => {
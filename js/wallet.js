@@ -6,8 +6,12 @@
 class DipsWallet {
     constructor() {
         this.balance = 0;
+        this.bonusBalance = 0;
+        this.bonusGrants = [];
         this.transactions = [];
         this.isLoaded = false;
+        // จำนวนครั้งที่ยืนยัน charge intent แล้วได้ผลลัพธ์สุดท้าย (ใช้สร้าง Idempotency-Key ต่อ intent)
+        this.chargeAttempts = {};
     }
 
     // โหลดข้อมูล Wallet
@@ -18,6 +22,8 @@ class DipsWallet {
             
             if (data.success) {
                 this.balance = data.balance || 0;
+                this.bonusBalance = data.bonusBalance || 0;
+                this.bonusGrants = data.bonusGrants || [];
                 this.transactions = data.transactions || [];
                 this.isLoaded = true;
                 this.updateUI();
@@ -55,6 +61,26 @@ class DipsWallet {
         if (profileBalance) {
             profileBalance.textContent = this.formatBalance(this.balance);
         }
+
+        // อัพเดทยอดโบนัส (แยกจากเงินสด, ซ่อนถ้าไม่มีโบนัส)
+        ['.nav-bonus-amount', '.dropdown-bonus-amount', '.topup-current-bonus', '.profile-bonus'].forEach(selector => {
+            const el = document.querySelector(selector);
+            if (el) {
+                el.textContent = this.formatBalance(this.bonusBalance);
+            }
+        });
+
+        document.querySelectorAll('.bonus-balance-row').forEach(row => {
+            row.style.display = this.bonusBalance > 0 ? '' : 'none';
+        });
+
+        const bonusExpiry = document.querySelector('.bonus-expiry');
+        if (bonusExpiry) {
+            const next = this.bonusGrants.find(g => g.expiresAt);
+            bonusExpiry.textContent = next
+                ? `${this.formatBalance(next.remaining)} ฿ หมดอายุ ${new Date(next.expiresAt).toLocaleDateString('th-TH')}`
+                : '';
+        }
     }
 
     // Format ตัวเลขยอดเงิน
@@ -83,9 +109,8 @@ class DipsWallet {
             const data = await response.json();
             
             if (data.success) {
-                this.balance = data.newBalance;
-                this.updateUI();
-                return { success: true, balance: data.newBalance, transaction: data.transaction };
+                // คำขอรอจับคู่ยอดเงินเข้า/Admin อนุมัติ (ยังไม่เติมเงินทันที)
+                return { success: true, request: data.request, message: data.message };
             } else {
                 return { success: false, error: data.error };
             }
@@ -95,36 +120,78 @@ class DipsWallet {
         }
     }
 
-    // หักเงิน (ซื้อสินค้า)
-    async deduct(amount, productId, productName) {
+    // สร้าง charge intent (server เป็นคนคำนวณราคา)
+    async createChargeIntent(productId, quantity = 1) {
         try {
-            const response = await fetch('/api/wallet/deduct', {
+            const response = await fetch('/api/wallet/charge-intents', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    amount: parseFloat(amount),
                     productId: productId,
-                    productName: productName
+                    quantity: quantity
                 })
             });
 
             const data = await response.json();
-            
+
+            if (data.success) {
+                return { success: true, intent: data.intent };
+            } else {
+                return { success: false, error: data.error };
+            }
+        } catch (error) {
+            console.error('Create charge intent failed:', error);
+            return { success: false, error: 'เกิดข้อผิดพลาด กรุณาลองใหม่' };
+        }
+    }
+
+    // ยืนยัน charge intent (หักเงิน + สร้าง Order)
+    async confirmCharge(intentId) {
+        // key เดิมต่อ intent จนกว่าจะได้ผลลัพธ์สุดท้าย: timeout แล้วลองใหม่ได้ผลเดิม
+        // ได้ 4xx แล้ว (เช่น ยอดเงินไม่พอ) ครั้งถัดไปใช้ key ใหม่ ไม่ replay error เดิม
+        // intent ที่ชำระไปแล้วได้ order เดิมกลับมา (ไม่ตัดเงินซ้ำ)
+        const attempt = this.chargeAttempts[intentId] || 0;
+
+        try {
+            const response = await fetch(`/api/wallet/charge-intents/${encodeURIComponent(intentId)}/confirm`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': `charge-${intentId}-${attempt}`
+                }
+            });
+
+            if (response.status < 500 && response.status !== 409) {
+                this.chargeAttempts[intentId] = attempt + 1;
+            }
+
+            const data = await response.json();
+
             if (data.success) {
                 this.balance = data.newBalance;
+                this.bonusBalance = data.bonusBalance ?? this.bonusBalance;
                 this.updateUI();
-                return { success: true, balance: data.newBalance, transaction: data.transaction };
+                return { success: true, balance: data.newBalance, bonusUsed: data.bonusUsed, order: data.order, delivery: data.delivery };
             } else {
                 return { success: false, error: data.error };
             }
         } catch (error) {
-            console.error('Deduct failed:', error);
+            console.error('Confirm charge failed:', error);
             return { success: false, error: 'เกิดข้อผิดพลาด กรุณาลองใหม่' };
         }
     }
 
+    // หักเงิน (ซื้อสินค้า) - ผ่าน charge intent เท่านั้น
+    async deduct(productId, quantity = 1) {
+        const created = await this.createChargeIntent(productId, quantity);
+        if (!created.success) {
+            return created;
+        }
+        return this.confirmCharge(created.intent.id);
+    }
+
     // ดึงประวัติธุรกรรม
     async getTransactions(limit = 10) {
         try {
@@ -147,6 +214,11 @@ class DipsWallet {
         return this.balance;
     }
 
+    // ดึงยอดโบนัสปัจจุบัน
+    getBonusBalance() {
+        return this.bonusBalance;
+    }
+
     // ตรวจสอบว่ามียอดเงินพอหรือไม่
     canAfford(amount) {
         return this.balance >= amount;
@@ -0,0 +1,202 @@
+/**
+ * Idempotency Middleware
+ * รองรับ Idempotency-Key header สำหรับ endpoints ที่เกี่ยวกับเงิน
+ * - key + body เดิม → ส่ง response เดิมกลับไป (ไม่ทำรายการซ้ำ)
+ * - key เดิมแต่ body ต่างกัน → 409
+ * - key ที่ค้าง processing นานเกิน staleMinutes (เช่น server ล่มระหว่างทำรายการ) → คำขอใหม่รับช่วงต่อได้
+ * เก็บใน table idempotency_keys จึงใช้ได้ข้าม restart และหลาย instance
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,128}$/;
+
+// Configuration
+const IDEMPOTENCY_CONFIG = {
+    staleMinutes: parseInt(process.env.IDEMPOTENCY_STALE_MINUTES) || 5,
+    cleanupIntervalMinutes: parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES ?? 60) || 0 // 0 = ปิด scheduled job
+};
+
+let cleanupTimer = null;
+
+/**
+ * สร้าง hash ของ request body
+ */
+function hashRequestBody(body) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify(body || {}))
+        .digest('hex');
+}
+
+/**
+ * บันทึก response ลง database เมื่อทำรายการเสร็จ
+ * ถ้าเป็น server error (5xx) จะลบ key ทิ้งเพื่อให้ client retry ได้
+ */
+async function storeResponse(recordId, statusCode, body) {
+    try {
+        if (statusCode >= 500) {
+            await supabaseAdmin
+                .from('idempotency_keys')
+                .delete()
+                .eq('id', recordId);
+            return;
+        }
+
+        await supabaseAdmin
+            .from('idempotency_keys')
+            .update({
+                status: 'completed',
+                response_status: statusCode,
+                response_body: body,
+                completed_at: new Date().toISOString()
+            })
+            .eq('id', recordId);
+    } catch (error) {
+        console.error('Idempotency store error:', error.message);
+    }
+}
+
+/**
+ * รับช่วง key ที่ค้าง processing นานเกิน staleMinutes
+ * update แบบมีเงื่อนไข (created_at เดิม) ให้มีคำขอเดียวที่รับช่วงได้
+ * @returns {Promise<Object|null>} record ที่รับช่วงแล้ว หรือ null ถ้ายังไม่ค้าง / มีคำขออื่นรับไปแล้ว
+ */
+async function takeOverStaleKey(existing) {
+    const staleBefore = Date.now() - IDEMPOTENCY_CONFIG.staleMinutes * 60 * 1000;
+    if (new Date(existing.created_at).getTime() > staleBefore) {
+        return null;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('idempotency_keys')
+        .update({ created_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .eq('status', 'processing')
+        .eq('created_at', existing.created_at)
+        .select('id')
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Middleware: ต้องวางหลัง requireAuth
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    // ไม่ได้ส่ง header มา ทำงานแบบเดิม
+    if (!key) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Idempotency-Key ไม่ถูกต้อง'
+        });
+    }
+
+    const userId = req.session.user.id;
+    const endpoint = `${req.method} ${req.originalUrl.split('?')[0]}`;
+    const requestHash = hashRequestBody(req.body);
+
+    try {
+        // จอง key (unique constraint ป้องกันการจองซ้ำพร้อมกัน)
+        let { data: record, error: insertError } = await supabaseAdmin
+            .from('idempotency_keys')
+            .insert({
+                idempotency_key: key,
+                user_id: userId,
+                endpoint: endpoint,
+                request_hash: requestHash,
+                status: 'processing'
+            })
+            .select('id')
+            .single();
+
+        if (insertError) {
+            if (insertError.code !== '23505') throw insertError;
+
+            // key นี้เคยถูกใช้แล้ว
+            const { data: existing, error: fetchError } = await supabaseAdmin
+                .from('idempotency_keys')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('idempotency_key', key)
+                .single();
+
+            if (fetchError || !existing) throw fetchError || insertError;
+
+            if (existing.endpoint !== endpoint || existing.request_hash !== requestHash) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Idempotency-Key นี้ถูกใช้กับคำขออื่นแล้ว'
+                });
+            }
+
+            if (existing.status === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.response_status).json(existing.response_body);
+            }
+
+            record = await takeOverStaleKey(existing);
+            if (!record) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'คำขอนี้กำลังดำเนินการอยู่ กรุณารอสักครู่'
+                });
+            }
+        }
+
+        // ดัก res.json เพื่อเก็บ response ก่อนส่งกลับ client
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            storeResponse(record.id, res.statusCode, body)
+                .finally(() => originalJson(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        console.error('Idempotency error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+};
+
+/**
+ * เริ่ม scheduled job ลบ key เก่า (ถ้าตั้ง IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES)
+ */
+function startIdempotencyCleanupJob() {
+    if (!IDEMPOTENCY_CONFIG.cleanupIntervalMinutes || cleanupTimer) {
+        return;
+    }
+
+    cleanupTimer = setInterval(async () => {
+        const { error } = await supabaseAdmin.rpc('cleanup_idempotency_keys');
+        if (error) console.error('Idempotency cleanup error:', error.message);
+    }, IDEMPOTENCY_CONFIG.cleanupIntervalMinutes * 60 * 1000);
+
+    console.log(`✅ Idempotency key cleanup job every ${IDEMPOTENCY_CONFIG.cleanupIntervalMinutes} minute(s)`);
+}
+
+/**
+ * หยุด scheduled job
+ */
+function stopIdempotencyCleanupJob() {
+    if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+        cleanupTimer = null;
+    }
+}
+
+module.exports = {
+    IDEMPOTENCY_CONFIG,
+    idempotency,
+    hashRequestBody,
+    startIdempotencyCleanupJob,
+    stopIdempotencyCleanupJob
+};
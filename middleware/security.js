@@ -66,6 +66,16 @@ const adminLimiter = rateLimit({
     },
 });
 
+// Upload Rate Limit (20 ไฟล์ต่อ 10 นาที)
+const uploadLimiter = rateLimit({
+    windowMs: 10 * 60 * 1000,
+    max: 20,
+    message: {
+        success: false,
+        error: 'Too many uploads, please slow down.'
+    },
+});
+
 // Strict Rate Limit สำหรับ sensitive endpoints (3 attempts ต่อ 10 นาที)
 const strictLimiter = rateLimit({
     windowMs: 10 * 60 * 1000,
@@ -231,6 +241,7 @@ module.exports = {
     loginLimiter,
     purchaseLimiter,
     adminLimiter,
+    uploadLimiter,
     strictLimiter,
     
     // IP Blocking
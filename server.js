@@ -5,6 +5,7 @@ const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const crypto = require('crypto');
 const { supabaseAdmin } = require('./config/supabase');
 const SupabaseStore = require('./utils/supabaseSessionStore');
 
@@ -26,6 +27,7 @@ const {
     loginLimiter,
     purchaseLimiter,
     adminLimiter,
+    uploadLimiter,
     requestLogger,
     detectSuspiciousActivity,
     preventParameterPollution,
@@ -33,6 +35,9 @@ const {
     corsOptions
 } = require('./middleware/security');
 
+// Idempotency Middleware (Idempotency-Key header)
+const { idempotency, startIdempotencyCleanupJob, stopIdempotencyCleanupJob } = require('./middleware/idempotency');
+
 // Validation Middleware
 const {
     purchaseValidation,
@@ -48,11 +53,75 @@ const {
 const { logAudit, logSecurityEvent, AuditActions, ResourceTypes, SecurityEventTypes } = require('./utils/auditLogger');
 
 // TrueMoney API
-const { redeemAngpao, getConfigStatus, validateVoucherFormat } = require('./utils/truemoneyApi');
+const { validateVoucherFormat } = require('./utils/truemoneyApi');
+const { findRedeemedVoucher, claimVoucher, completeVoucherRedemption, releaseVoucher, holdRedeemedVoucher, linkVoucherTransaction, markVoucherRedeemed } = require('./utils/voucherGuard');
+
+// Payment Providers (slip / qr / voucher)
+const paymentProviders = require('./utils/providers');
 
 // Discord Notification
 const { notifyAngpaoRequest, notifyAngpaoResult, testWebhook } = require('./utils/discordNotify');
 
+// Wallet Reconciliation
+const walletReconciler = require('./utils/walletReconciler');
+const angpaoWorker = require('./utils/angpaoWorker');
+const topupExpiry = require('./utils/topupExpiry');
+
+// Slip Uploads (multipart + storage + perceptual hash)
+const multer = require('multer');
+const {
+    SLIP_UPLOAD_CONFIG,
+    formatSlipUpload,
+    createSlipUpload,
+    getSlipUpload,
+    readSlipImage,
+    attachSlipToRequest,
+    markSlipVerified,
+    getSlipsForRequests
+} = require('./utils/slipUploads');
+
+// Slip Replay Protection (verified_slips)
+const { hashSlipImage, findVerifiedSlip } = require('./utils/slipGuard');
+const { verifySlipPreferPayload } = require('./utils/slipQr');
+const fraudScoring = require('./utils/fraudScoring');
+const topupLimits = require('./utils/topupLimits');
+const {
+    verifyWebhookSignature,
+    recordWebhookEvent,
+    processWebhookEvent,
+    listWebhookEvents
+} = require('./utils/providerWebhooks');
+const { validateSlipReceiver, validateSlipDate } = require('./utils/slipValidator');
+
+// Payment Intents (QR PromptPay)
+const {
+    PAYMENT_INTENT_CONFIG,
+    formatPaymentIntent,
+    getOpenPaymentIntents,
+    createPaymentIntent,
+    findPaymentIntentForSlip,
+    cancelPaymentIntent,
+    completePaymentIntent,
+    holdPaymentIntent
+} = require('./utils/paymentIntents');
+
+// Bank Deposit Matching (unique-satang)
+const {
+    BANK_MATCH_CONFIG,
+    parseDeposit,
+    createUniqueTopupRequest,
+    recordBankDeposit,
+    applyBankDeposit,
+    ignoreBankDeposit,
+    listBankDeposits,
+    getProposedDeposits,
+    rematchUnmatchedDeposits
+} = require('./utils/bankDeposits');
+const { parseStatement, getSupportedBanks } = require('./utils/bankStatementImport');
+
+// Transaction History (pagination, filters, CSV export)
+const { parseTransactionFilters, queryTransactions, streamTransactionsCsv } = require('./utils/transactionHistory');
+
 const app = express();
 
 // Trust proxy for Railway/Render/Vercel (required for rate-limit to work correctly)
@@ -101,64 +170,182 @@ async function getUserBalance(userId) {
     return parseFloat(wallet.balance) || 0;
 }
 
-// อัพเดทยอดเงินของ user
-async function updateUserBalance(userId, newBalance) {
-    try {
-        const { data, error } = await supabaseAdmin
-            .from('wallets')
-            .upsert({ 
-                user_id: userId, 
-                balance: newBalance,
-                updated_at: new Date().toISOString()
-            }, { onConflict: 'user_id' })
-            .select()
-            .single();
+// โบนัสโปรโมชั่น (แยกจากเงินสด, ใช้ก่อนเงินสดตอนซื้อสินค้า)
+// BONUS_MAX_PERCENT=0 ต้องเป็น 0% จริง (ค่าว่าง/ไม่ใช่ตัวเลข = 100%)
+const bonusMaxPercentEnv = parseFloat(process.env.BONUS_MAX_PERCENT);
+const BONUS_CONFIG = {
+    spendEnabled: process.env.BONUS_SPEND_ENABLED !== 'false',
+    maxPercent: Math.min(Math.max(isNaN(bonusMaxPercentEnv) ? 100 : bonusMaxPercentEnv, 0), 100) // % สูงสุดของยอดซื้อที่ใช้โบนัสได้
+};
 
-        if (error) throw error;
-        return parseFloat(data.balance);
-    } catch (error) {
-        console.error('Error updating balance:', error);
-        return newBalance;
-    }
+// % ของยอดซื้อที่ให้ complete_purchase ใช้โบนัสได้
+function getBonusMaxPercent() {
+    return BONUS_CONFIG.spendEnabled ? BONUS_CONFIG.maxPercent : 0;
 }
 
-// เพิ่ม Transaction
-async function addTransaction(userId, type, amount, details = {}) {
-    try {
-        const balanceAfter = await getUserBalance(userId);
-        const transaction = {
-            transaction_id: `TXN${Date.now()}`,
-            user_id: userId,
-            type: type,
-            amount: amount,
-            balance_after: balanceAfter,
-            details: details
-        };
+// ดึงโบนัสที่ยังใช้ได้ของ user (เรียงตามวันหมดอายุ)
+async function getUserBonus(userId) {
+    const { data: grants, error } = await supabaseAdmin
+        .from('bonus_grants')
+        .select('grant_id, amount, remaining, source, expires_at')
+        .eq('user_id', userId)
+        .gt('remaining', 0)
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+        .order('expires_at', { ascending: true, nullsFirst: false });
+
+    if (error) throw error;
+
+    const items = (grants || []).map(g => ({
+        id: g.grant_id,
+        amount: parseFloat(g.amount),
+        remaining: parseFloat(g.remaining),
+        source: g.source,
+        expiresAt: g.expires_at
+    }));
+
+    return {
+        balance: items.reduce((sum, g) => sum + g.remaining, 0),
+        grants: items
+    };
+}
 
-        const { data, error } = await supabaseAdmin
-            .from('transactions')
-            .insert(transaction)
-            .select()
-            .single();
+// method ของ topup_requests → method ของ bonus tier
+const TOPUP_BONUS_METHODS = {
+    promptpay: 'qr_promptpay',
+    truemoney: 'truemoney_angpao',
+    bank_transfer: 'bank_transfer'
+};
+
+// ให้โบนัสเติมเงินตาม tier (ไม่ throw - เงินเติมจริงเข้าไปแล้ว)
+async function applyTopupBonus(userId, amount, method, baseTransactionId) {
+    try {
+        const { data, error } = await supabaseAdmin.rpc('apply_topup_bonus', {
+            p_user_id: userId,
+            p_amount: amount,
+            p_method: TOPUP_BONUS_METHODS[method] || method,
+            p_base_transaction_id: baseTransactionId
+        });
 
         if (error) throw error;
-        
-        // แปลง format ให้ตรงกับ frontend
+
+        const result = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!result.applied) return null;
+
         return {
-            id: data.transaction_id,
-            userId: data.user_id,
-            type: data.type,
-            amount: parseFloat(data.amount),
-            balanceAfter: parseFloat(data.balance_after),
-            details: data.details,
-            timestamp: data.created_at
+            amount: parseFloat(result.bonusAmount),
+            tierName: result.tierName,
+            expiresAt: result.expiresAt,
+            bonusBalance: parseFloat(result.bonusBalance)
         };
     } catch (error) {
-        console.error('Error adding transaction:', error);
+        console.error('Apply topup bonus error:', error);
         return null;
     }
 }
 
+// แปลง error จาก wallet stored procedure เป็น error code
+function parseWalletError(error) {
+    const message = error?.message || '';
+    const match = message.match(/^(INSUFFICIENT_BALANCE|WALLET_NOT_FOUND|INVALID_AMOUNT)/);
+    return match ? match[1] : null;
+}
+
+// เรียก wallet stored procedure แล้วแปลงผลลัพธ์ให้ตรงกับ frontend
+async function callWalletFunction(fnName, userId, amount, type, details) {
+    const { data, error } = await supabaseAdmin.rpc(fnName, {
+        p_user_id: userId,
+        p_amount: amount,
+        p_type: type,
+        p_details: details
+    });
+
+    if (error) {
+        const code = parseWalletError(error);
+        if (code) {
+            const walletError = new Error(error.message);
+            walletError.code = code;
+            throw walletError;
+        }
+        throw error;
+    }
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    invalidateBalanceCache(userId);
+
+    return {
+        newBalance: parseFloat(result.newBalance),
+        transaction: {
+            id: result.transactionId,
+            userId: userId,
+            type: type,
+            amount: parseFloat(result.amount),
+            balanceAfter: parseFloat(result.newBalance),
+            details: details,
+            timestamp: result.createdAt
+        }
+    };
+}
+
+// เพิ่มเงินเข้า Wallet (Atomic - lock wallet row + บันทึก transaction ใน DB transaction เดียว)
+async function creditWallet(userId, amount, type = 'topup', details = {}) {
+    return callWalletFunction('wallet_credit', userId, amount, type, details);
+}
+
+// หักเงินจาก Wallet (Atomic - throw error.code = 'INSUFFICIENT_BALANCE' ถ้ายอดไม่พอ)
+async function debitWallet(userId, amount, type = 'purchase', details = {}) {
+    return callWalletFunction('wallet_debit', userId, amount, type, details);
+}
+
+// ตอบ error จาก complete_purchase (return true ถ้าจัดการแล้ว)
+function sendPurchaseError(res, rpcError, quantity) {
+    const errorMsg = rpcError.message || '';
+
+    if (errorMsg.includes('INSUFFICIENT_STOCK')) {
+        const match = errorMsg.match(/Available (\d+), Requested (\d+)/);
+        res.status(400).json({ 
+            success: false, 
+            error: 'สินค้าหมด',
+            available: match ? parseInt(match[1]) : 0,
+            requested: quantity || (match ? parseInt(match[2]) : 0)
+        });
+        return true;
+    }
+    
+    if (errorMsg.includes('INSUFFICIENT_BALANCE')) {
+        const match = errorMsg.match(/Balance ([\d.]+), Required ([\d.]+)/);
+        res.status(400).json({ 
+            success: false, 
+            error: 'ยอดเงินไม่เพียงพอ',
+            balance: match ? parseFloat(match[1]) : 0,
+            required: match ? parseFloat(match[2]) : 0
+        });
+        return true;
+    }
+    
+    if (errorMsg.includes('WALLET_NOT_FOUND')) {
+        res.status(400).json({ 
+            success: false, 
+            error: 'ไม่พบ Wallet กรุณาเข้าสู่ระบบใหม่'
+        });
+        return true;
+    }
+
+    return false;
+}
+
+// แปลง transaction row ให้ตรงกับ frontend
+function formatTransaction(t) {
+    return {
+        id: t.transaction_id,
+        userId: t.user_id,
+        type: t.type,
+        amount: parseFloat(t.amount),
+        balanceAfter: parseFloat(t.balance_after),
+        details: t.details,
+        timestamp: t.created_at
+    };
+}
+
 // ดึง Transactions ของ user
 async function getUserTransactions(userId, limit = 10) {
     try {
@@ -171,16 +358,7 @@ async function getUserTransactions(userId, limit = 10) {
 
         if (error) throw error;
 
-        // แปลง format ให้ตรงกับ frontend
-        return data.map(t => ({
-            id: t.transaction_id,
-            userId: t.user_id,
-            type: t.type,
-            amount: parseFloat(t.amount),
-            balanceAfter: parseFloat(t.balance_after),
-            details: t.details,
-            timestamp: t.created_at
-        }));
+        return data.map(formatTransaction);
     } catch (error) {
         console.error('Error getting transactions:', error);
         return [];
@@ -435,11 +613,16 @@ app.use(detectSuspiciousActivity);
 // Prevent Parameter Pollution
 app.use(preventParameterPollution);
 
-// Body Parser
-app.use(express.json({ limit: '10mb' }));
+// Body Parser (เก็บ body ดิบของ webhook ไว้ตรวจ signature)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static Files
+// Static Files (Slip เก็บนอก root ของแอป อ่านผ่าน /api/slips/:slipId/image เท่านั้น)
 app.use(express.static(__dirname));
 
 // ตรวจสอบ Session Secret (บังคับต้องตั้งใน Production)
@@ -642,11 +825,14 @@ app.get('/api/wallet', requireAuth, async (req, res) => {
     try {
         const userId = req.session.user.id;
         const balance = await getUserBalance(userId);
+        const bonus = await getUserBonus(userId);
         const transactions = await getUserTransactions(userId, 5);
         
         res.json({
             success: true,
             balance: balance,
+            bonusBalance: bonus.balance,
+            bonusGrants: bonus.grants,
             transactions: transactions
         });
     } catch (error) {
@@ -655,62 +841,147 @@ app.get('/api/wallet', requireAuth, async (req, res) => {
     }
 });
 
+// วงเงินเติมเงินของ user (ช่องทางที่เปิด + วงเงินคงเหลือวันนี้/เดือนนี้)
+app.get('/api/wallet/topup-limits', requireAuth, async (req, res) => {
+    try {
+        const limits = await topupLimits.getUserTopupLimits(req.session.user.id);
+        res.json({ success: true, ...limits });
+    } catch (error) {
+        console.error('Get topup limits error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ดึงโบนัสเติมเงินที่เปิดใช้อยู่ (แสดงในหน้าเติมเงิน)
+app.get('/api/wallet/topup-bonus-tiers', async (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const { data: tiers, error } = await supabaseAdmin
+            .from('topup_bonus_tiers')
+            .select('name, method, min_amount, bonus_percent, max_bonus, bonus_expires_days, ends_at')
+            .eq('is_active', true)
+            .or(`and(or(starts_at.is.null,starts_at.lte.${now}),or(ends_at.is.null,ends_at.gt.${now}))`)
+            .order('min_amount', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            tiers: (tiers || []).map(t => ({
+                name: t.name,
+                method: t.method,
+                minAmount: parseFloat(t.min_amount),
+                bonusPercent: parseFloat(t.bonus_percent),
+                maxBonus: t.max_bonus !== null ? parseFloat(t.max_bonus) : null,
+                bonusExpiresDays: t.bonus_expires_days,
+                endsAt: t.ends_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get topup bonus tiers error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
 // สร้างคำขอเติมเงิน (ต้อง Admin approve)
 app.post('/api/wallet/topup', requireAuth, async (req, res) => {
     try {
         const userId = req.session.user.id;
-        const { amount, method, slipUrl } = req.body;
+        // รับเฉพาะ slipId (รูปที่อัพโหลดผ่านระบบ) ไม่รับ URL จาก client
+        const { amount, method, slipId } = req.body;
+        let slipUrl = null;
         
         // Validate
         if (!amount || isNaN(amount) || amount <= 0) {
             return res.status(400).json({ success: false, error: 'จำนวนเงินไม่ถูกต้อง' });
         }
-        
-        if (amount > 100000) {
-            return res.status(400).json({ success: false, error: 'เติมได้ไม่เกิน 100,000 บาทต่อครั้ง' });
-        }
 
-        if (!method || !['promptpay', 'truemoney', 'bank_transfer'].includes(method)) {
+        // แนบ Slip ที่อัพโหลดไว้ (ต้องเป็นของ user เอง)
+        if (slipId) {
+            const slip = await getSlipUpload(slipId, userId);
+            if (!slip) {
+                return res.status(404).json({ success: false, error: 'ไม่พบรูป Slip กรุณาอัพโหลดใหม่' });
+            }
+            slipUrl = formatSlipUpload(slip).url;
+        }
+        
+        if (!method || !topupLimits.TOPUP_LIMIT_METHODS.includes(method)) {
             return res.status(400).json({ success: false, error: 'กรุณาเลือกวิธีการชำระเงิน' });
         }
 
-        // ตรวจสอบว่ามี pending request อยู่หรือไม่
-        const { data: pendingRequests } = await supabaseAdmin
-            .from('topup_requests')
-            .select('id')
-            .eq('user_id', userId)
-            .eq('status', 'pending');
-
-        if (pendingRequests && pendingRequests.length >= 3) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'คุณมีคำขอเติมเงินที่รอดำเนินการอยู่ 3 รายการแล้ว กรุณารอการอนุมัติ' 
-            });
+        // วงเงินต่อครั้ง / คำขอที่รอดำเนินการ / วงเงินรายวัน-รายเดือน
+        const limitCheck = await topupLimits.checkTopupLimits({ userId, method, amount: parseFloat(amount) });
+        if (!limitCheck.allowed) {
+            return res.status(400).json({ success: false, error: limitCheck.error, code: limitCheck.code });
         }
         
         // สร้าง Topup Request (รอ Admin approve)
         const requestId = `REQ${Date.now()}`;
-        const { data: request, error } = await supabaseAdmin
+        let request;
+
+        if (BANK_MATCH_CONFIG.methods.includes(method)) {
+            // promptpay / bank_transfer ได้ยอดเศษสตางค์ไม่ซ้ำ ใช้จับคู่กับยอดเงินเข้าอัตโนมัติ
+            try {
+                request = await createUniqueTopupRequest({
+                    requestId,
+                    userId,
+                    amount: parseFloat(amount),
+                    method,
+                    slipUrl: slipUrl || null
+                });
+            } catch (createError) {
+                if (createError.code === 'NO_UNIQUE_AMOUNT') {
+                    return res.status(409).json({ success: false, error: 'มีคำขอยอดนี้จำนวนมาก กรุณาลองยอดอื่น' });
+                }
+                throw createError;
+            }
+        } else {
+            const { data, error } = await supabaseAdmin
+                .from('topup_requests')
+                .insert({
+                    request_id: requestId,
+                    user_id: userId,
+                    amount: parseFloat(amount),
+                    method: method,
+                    slip_url: slipUrl || null,
+                    status: 'pending'
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+            request = data;
+        }
+
+        if (slipId) {
+            await attachSlipToRequest(slipId, userId, request.request_id);
+        }
+
+        // ให้คะแนนความเสี่ยง: ถูกพัก = ยอดเงินเข้าไม่ถูกจับคู่อัตโนมัติ (find_deposit_candidates ข้าม fraud_hold)
+        const attemptId = await fraudScoring.recordTopupAttempt({ userId, ip: req.ip, method, amount: parseFloat(amount) });
+        const fraud = await fraudScoring.assessTopupAttempt(attemptId, { userId, ip: req.ip, method, amount: parseFloat(amount) });
+        await fraudScoring.linkTopupAttempt(attemptId, request.request_id);
+
+        const { error: fraudUpdateError } = await supabaseAdmin
             .from('topup_requests')
-            .insert({
-                request_id: requestId,
-                user_id: userId,
-                amount: parseFloat(amount),
-                method: method,
-                slip_url: slipUrl || null,
-                status: 'pending'
-            })
-            .select()
-            .single();
+            .update({ fraud_score: fraud.score, fraud_signals: fraud.signals, fraud_hold: fraud.hold })
+            .eq('request_id', request.request_id);
+
+        if (fraudUpdateError) console.error('Update topup request fraud score error:', fraudUpdateError);
+
+        const expectedAmount = request.expected_amount ? parseFloat(request.expected_amount) : null;
 
-        if (error) throw error;
-        
         res.json({
             success: true,
-            message: 'สร้างคำขอเติมเงินสำเร็จ รอการอนุมัติจาก Admin',
+            message: expectedAmount
+                ? (fraud.hold
+                    ? `กรุณาโอน ${expectedAmount.toFixed(2)} บาท (รวมเศษสตางค์) แล้วรอ Admin ตรวจสอบ`
+                    : `กรุณาโอน ${expectedAmount.toFixed(2)} บาท (รวมเศษสตางค์) เพื่อให้ระบบเติมเงินอัตโนมัติ`)
+                : 'สร้างคำขอเติมเงินสำเร็จ รอการอนุมัติจาก Admin',
             request: {
                 id: request.request_id,
                 amount: parseFloat(request.amount),
+                expectedAmount: expectedAmount,
                 method: request.method,
                 status: request.status,
                 createdAt: request.created_at
@@ -740,6 +1011,7 @@ app.get('/api/wallet/topup/requests', requireAuth, async (req, res) => {
             requests: (requests || []).map(r => ({
                 id: r.request_id,
                 amount: parseFloat(r.amount),
+                expectedAmount: r.expected_amount ? parseFloat(r.expected_amount) : null,
                 method: r.method,
                 slipUrl: r.slip_url,
                 status: r.status,
@@ -792,21 +1064,29 @@ app.post('/api/wallet/topup/:requestId/cancel', requireAuth, async (req, res) =>
 // Thunder Solution API - QR PromptPay & Slip Verify
 // =============================================
 
-const thunderApi = require('./utils/thunderApi');
-
-// ดึง config Thunder API
-app.get('/api/thunder/config', (req, res) => {
-    const config = thunderApi.getConfig();
-    res.json({
-        success: true,
-        ...config
-    });
+// ดึง config Thunder API (ตาม provider ที่เลือกสำหรับ QR) + วงเงิน PromptPay
+app.get('/api/thunder/config', async (req, res) => {
+    try {
+        const config = paymentProviders.getProvider('qr').getConfig();
+        const limit = await topupLimits.getMethodLimit('promptpay');
+        res.json({
+            success: true,
+            ...config,
+            enabled: config.enabled && !!limit?.enabled,
+            minAmount: limit?.minAmount ?? null,
+            maxAmount: limit?.maxAmount ?? null
+        });
+    } catch (error) {
+        console.error('Get thunder config error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
 });
 
 // สร้าง QR Code PromptPay
 app.post('/api/thunder/generate-qr', requireAuth, async (req, res) => {
     try {
-        if (!thunderApi.isEnabled()) {
+        const qrProvider = paymentProviders.getProvider('qr');
+        if (!qrProvider.isEnabled()) {
             return res.status(400).json({
                 success: false,
                 error: 'ระบบเติมเงินผ่าน QR ยังไม่เปิดใช้งาน'
@@ -823,24 +1103,54 @@ app.post('/api/thunder/generate-qr', requireAuth, async (req, res) => {
             });
         }
 
-        const ref = `DIPS-${userId.slice(0,8)}-${Date.now()}`;
-        const result = await thunderApi.generateQR(parseFloat(amount), null, ref);
+        // วงเงินตรวจตอนสร้าง QR (ตอนส่ง Slip user โอนเงินไปแล้ว)
+        const limitCheck = await topupLimits.checkTopupLimits({
+            userId,
+            method: 'promptpay',
+            amount: parseFloat(amount),
+            checkPending: false
+        });
+        if (!limitCheck.allowed) {
+            return res.status(400).json({ success: false, error: limitCheck.error, code: limitCheck.code });
+        }
 
-        if (result.success) {
-            res.json({
-                success: true,
-                qrCode: result.qrCode,
-                qrImage: result.qrImage,
-                amount: result.amount,
-                ref: result.ref,
-                expiresAt: result.expiresAt
+        // จำกัดจำนวน QR ที่เปิดค้างไว้พร้อมกัน
+        const openIntents = await getOpenPaymentIntents(userId);
+        if (openIntents.length >= PAYMENT_INTENT_CONFIG.maxOpenPerUser) {
+            return res.status(429).json({
+                success: false,
+                error: `มี QR ที่ยังไม่ชำระ ${openIntents.length} รายการ กรุณาชำระหรือยกเลิกก่อน`
             });
-        } else {
-            res.status(400).json({
+        }
+
+        const ref = `DIPS-${userId.slice(0,8)}-${Date.now()}`;
+        const result = await qrProvider.generateQR(parseFloat(amount), { ref });
+
+        if (!result.success) {
+            return res.status(400).json({
                 success: false,
                 error: result.error || 'ไม่สามารถสร้าง QR Code ได้'
             });
         }
+
+        // บันทึก intent แล้วใช้ intent เป็นแหล่งข้อมูลของ QR
+        const intent = formatPaymentIntent(await createPaymentIntent({
+            userId,
+            amount: result.amount,
+            ref: result.ref,
+            promptPayId: result.promptPayId,
+            qrPayload: result.qrCode
+        }));
+
+        res.json({
+            success: true,
+            intent: intent,
+            qrCode: intent.qrCode,
+            qrImage: result.qrImage,
+            amount: intent.amount,
+            ref: intent.ref,
+            expiresAt: intent.expiresAt
+        });
     } catch (error) {
         console.error('Generate QR error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
@@ -848,9 +1158,10 @@ app.post('/api/thunder/generate-qr', requireAuth, async (req, res) => {
 });
 
 // ตรวจสอบ Slip
-app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
+app.post('/api/thunder/verify-slip', requireAuth, idempotency, async (req, res) => {
     try {
-        if (!thunderApi.isEnabled()) {
+        const slipProvider = paymentProviders.getProvider('slip');
+        if (!slipProvider.isEnabled()) {
             return res.status(400).json({
                 success: false,
                 error: 'ระบบตรวจสอบ Slip ยังไม่เปิดใช้งาน'
@@ -858,7 +1169,23 @@ app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
         }
 
         const userId = req.session.user.id;
-        const { slipData, amount, requestId } = req.body;
+        const { slipId, intentId, requestId } = req.body;
+        let { slipData } = req.body;
+
+        // Slip ที่อัพโหลดผ่าน /api/slips/upload (แทนการส่ง base64)
+        let uploadedSlip = null;
+        let slipBuffer = null;
+        if (slipId) {
+            uploadedSlip = await getSlipUpload(slipId, userId);
+            if (!uploadedSlip) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'ไม่พบรูป Slip กรุณาอัพโหลดใหม่'
+                });
+            }
+            slipBuffer = await readSlipImage(uploadedSlip);
+            slipData = `data:${uploadedSlip.content_type};base64,${slipBuffer.toString('base64')}`;
+        }
 
         if (!slipData) {
             return res.status(400).json({
@@ -867,38 +1194,213 @@ app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
             });
         }
 
-        const result = await thunderApi.verifySlip(slipData);
+        // Slip ต้องจับคู่กับ QR (payment intent) ที่ยังเปิดอยู่
+        const paymentIntent = await findPaymentIntentForSlip(userId, intentId);
+        if (!paymentIntent) {
+            return res.status(404).json({
+                success: false,
+                error: 'ไม่พบรายการ QR ที่รอชำระ กรุณาสร้าง QR ใหม่'
+            });
+        }
+
+        if (paymentIntent.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                error: 'รายการ QR นี้ถูกดำเนินการแล้ว'
+            });
+        }
+
+        if (new Date(paymentIntent.expires_at) < new Date()) {
+            return res.status(410).json({
+                success: false,
+                error: 'QR หมดอายุแล้ว กรุณาสร้าง QR ใหม่'
+            });
+        }
+
+        // ตรวจ Slip ซ้ำจากรูปก่อนเรียก provider
+        const imageHash = uploadedSlip ? uploadedSlip.sha256 : hashSlipImage(slipData);
+        const existingByImage = await findVerifiedSlip({ imageHash });
+        if (existingByImage) {
+            await logSecurityEvent({
+                eventType: SecurityEventTypes.DUPLICATE_SLIP,
+                userId: userId,
+                details: { imageHash, transRef: existingByImage.trans_ref, originalUserId: existingByImage.user_id },
+                req
+            });
+            return res.status(409).json({
+                success: false,
+                error: 'สลิปนี้ถูกใช้งานแล้ว ไม่สามารถใช้ซ้ำได้',
+                isDuplicate: true
+            });
+        }
+
+        // บันทึกการเติมเงินครั้งนี้ (นับ velocity รวมครั้งที่ตรวจ Slip ไม่ผ่าน)
+        const attemptId = await fraudScoring.recordTopupAttempt({
+            userId,
+            ip: req.ip,
+            method: 'promptpay',
+            amount: parseFloat(paymentIntent.amount),
+            intentId: paymentIntent.intent_id
+        });
+
+        // อ่าน QR ใน Slip เองแล้วตรวจด้วย payload (ไม่พบ QR = ส่งรูปให้ provider)
+        if (!slipBuffer && typeof slipData === 'string') {
+            slipBuffer = Buffer.from(slipData.includes('base64,') ? slipData.split('base64,')[1] : slipData, 'base64');
+        }
+        const result = await verifySlipPreferPayload(slipProvider, {
+            buffer: slipBuffer,
+            slipData,
+            options: { expectedAmount: parseFloat(paymentIntent.amount) }
+        });
 
         if (result.success) {
             const verifiedAmount = result.amount;
+
+            if (!result.transRef) {
+                return res.json({
+                    success: false,
+                    error: 'ไม่พบเลขอ้างอิงใน Slip'
+                });
+            }
+
+            // ตรวจวันที่ใน Slip (รับเฉพาะ Slip ล่าสุด)
+            const dateCheck = validateSlipDate(result);
+            if (!dateCheck.valid) {
+                return res.json({
+                    success: false,
+                    error: dateCheck.error
+                });
+            }
+
+            // ตรวจว่าโอนเข้าบัญชีของร้าน
+            const receiverCheck = validateSlipReceiver(result);
+            if (!receiverCheck.valid) {
+                await logSecurityEvent({
+                    eventType: SecurityEventTypes.SUSPICIOUS_ACTIVITY,
+                    userId: userId,
+                    details: { reason: 'slip_receiver_mismatch', transRef: result.transRef, receiver: result.receiver, amount: verifiedAmount },
+                    req
+                });
+                return res.json({
+                    success: false,
+                    error: receiverCheck.error
+                });
+            }
             
-            // ตรวจสอบจำนวนเงินตรงกันหรือไม่ (ถ้าระบุ amount มา)
-            if (amount && Math.abs(verifiedAmount - parseFloat(amount)) > 0.01) {
+            // ยอดใน Slip ต้องตรงกับยอดของ QR
+            const intentAmount = parseFloat(paymentIntent.amount);
+            if (Math.abs(verifiedAmount - intentAmount) > 0.01) {
                 return res.json({
                     success: false,
-                    error: `จำนวนเงินไม่ตรงกัน (Slip: ${verifiedAmount} บาท, คำขอ: ${amount} บาท)`,
+                    error: `จำนวนเงินไม่ตรงกัน (Slip: ${verifiedAmount} บาท, QR: ${intentAmount} บาท)`,
                     slipAmount: verifiedAmount,
-                    requestedAmount: amount
+                    requestedAmount: intentAmount
                 });
             }
 
-            // ========== เพิ่มเงินให้ User ทันที ==========
-            await getOrCreateWallet(userId);
-            const currentBalance = await getUserBalance(userId);
-            const newBalance = currentBalance + verifiedAmount;
-            await updateUserBalance(userId, newBalance);
-            
-            // บันทึก Transaction
-            await addTransaction(userId, 'topup', verifiedAmount, {
+            // ให้คะแนนความเสี่ยง: คะแนนถึงเกณฑ์ = พักไว้ให้ Admin ตรวจแทนการเติมเงินทันที
+            const fraud = await fraudScoring.assessTopupAttempt(attemptId, {
+                userId,
+                ip: req.ip,
+                method: 'promptpay',
+                amount: verifiedAmount,
+                senderName: result.senderName
+            });
+
+            const slipDetails = {
                 method: 'qr_promptpay',
-                transRef: result.transRef,
                 senderName: result.senderName,
                 sendingBank: result.sendingBank,
+                verifiedBy: result.verifiedBy,
+                fraudScore: fraud.score,
                 verifiedAt: new Date().toISOString()
-            });
-            
-            // Invalidate balance cache
-            invalidateBalanceCache(userId);
+            };
+
+            // ========== บันทึก Slip + เพิ่มเงินให้ User + ปิด intent ทันที (Atomic) ==========
+            let credited;
+            let held;
+            try {
+                if (fraud.hold) {
+                    held = await holdPaymentIntent({
+                        intentId: paymentIntent.intent_id,
+                        userId,
+                        transRef: result.transRef,
+                        imageHash,
+                        amount: verifiedAmount,
+                        provider: slipProvider.name,
+                        details: slipDetails,
+                        requestId: `REQ${Date.now()}`,
+                        score: fraud.score,
+                        signals: fraud.signals
+                    });
+                } else {
+                    credited = await completePaymentIntent({
+                        intentId: paymentIntent.intent_id,
+                        userId,
+                        transRef: result.transRef,
+                        imageHash,
+                        amount: verifiedAmount,
+                        provider: slipProvider.name,
+                        details: slipDetails
+                    });
+                }
+            } catch (creditError) {
+                if (creditError.code === 'DUPLICATE_SLIP') {
+                    await logSecurityEvent({
+                        eventType: SecurityEventTypes.DUPLICATE_SLIP,
+                        userId: userId,
+                        details: { imageHash, transRef: result.transRef },
+                        req
+                    });
+                    return res.status(409).json({
+                        success: false,
+                        error: 'สลิปนี้ถูกใช้งานแล้ว ไม่สามารถใช้ซ้ำได้',
+                        isDuplicate: true
+                    });
+                }
+                if (creditError.code === 'INTENT_EXPIRED') {
+                    return res.status(410).json({ success: false, error: 'QR หมดอายุแล้ว กรุณาสร้าง QR ใหม่' });
+                }
+                if (creditError.code === 'INTENT_NOT_PENDING' || creditError.code === 'INTENT_NOT_FOUND') {
+                    return res.status(409).json({ success: false, error: 'รายการ QR นี้ถูกดำเนินการแล้ว' });
+                }
+                if (creditError.code === 'AMOUNT_MISMATCH') {
+                    return res.json({ success: false, error: 'จำนวนเงินใน Slip ไม่ตรงกับ QR' });
+                }
+                throw creditError;
+            }
+            if (held) {
+                await fraudScoring.linkTopupAttempt(attemptId, held.requestId);
+                await logSecurityEvent({
+                    eventType: SecurityEventTypes.SUSPICIOUS_ACTIVITY,
+                    userId: userId,
+                    details: { reason: 'topup_fraud_hold', requestId: held.requestId, score: fraud.score, signals: fraud.signals },
+                    req
+                });
+                if (uploadedSlip) {
+                    await markSlipVerified(uploadedSlip.slip_id, result.transRef)
+                        .then(() => attachSlipToRequest(uploadedSlip.slip_id, userId, held.requestId))
+                        .catch(err => console.error('Attach held slip error:', err));
+                }
+
+                console.log(`⏸️ Topup ${verifiedAmount} บาท ของ ${userId} ถูกพักไว้ตรวจสอบ (score ${fraud.score}, ${held.requestId})`);
+
+                return res.status(202).json({
+                    success: true,
+                    held: true,
+                    message: 'ระบบพักรายการนี้ไว้ให้ Admin ตรวจสอบก่อนเติมเงิน',
+                    requestId: held.requestId,
+                    amount: verifiedAmount,
+                    transRef: result.transRef
+                });
+            }
+
+            const { newBalance, transaction } = credited;
+
+            if (uploadedSlip) {
+                await markSlipVerified(uploadedSlip.slip_id, result.transRef)
+                    .catch(err => console.error('Mark slip verified error:', err));
+            }
 
             // ถ้ามี requestId ให้อัพเดต topup request เป็น approved
             if (requestId) {
@@ -918,11 +1420,15 @@ app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
             
             console.log(`✅ Topup ${verifiedAmount} บาท ให้ ${userId} สำเร็จ (Slip: ${result.transRef})`);
 
+            const bonus = await applyTopupBonus(userId, verifiedAmount, 'qr_promptpay', transaction.id);
+
             res.json({
                 success: true,
                 amount: verifiedAmount,
                 newBalance: newBalance,
+                bonus: bonus,
                 transRef: result.transRef,
+                intentId: paymentIntent.intent_id,
                 senderName: result.senderName,
                 receiverName: result.receiverName,
                 sendingBank: result.sendingBank,
@@ -931,9 +1437,12 @@ app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
                 message: `เติมเงิน ${verifiedAmount} บาท สำเร็จ!`
             });
         } else {
-            res.json({
+            // provider ตอบ timeout = ยังไม่รู้ผล ให้ user ลองส่งใหม่ (Slip ยังไม่ถูกบันทึก)
+            res.status(result.isTimeout ? 504 : 200).json({
                 success: false,
-                error: result.error || 'ไม่สามารถตรวจสอบ Slip ได้'
+                error: result.isTimeout ? 'ตรวจสอบ Slip ไม่ทันเวลา กรุณาลองใหม่อีกครั้ง' : (result.error || 'ไม่สามารถตรวจสอบ Slip ได้'),
+                isDuplicate: !!result.isDuplicate,
+                isTimeout: !!result.isTimeout
             });
         }
     } catch (error) {
@@ -942,6 +1451,33 @@ app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
     }
 });
 
+// ดู QR (payment intent) ที่ยังรอชำระ
+app.get('/api/wallet/payment-intents', requireAuth, async (req, res) => {
+    try {
+        const intents = await getOpenPaymentIntents(req.session.user.id);
+        res.json({ success: true, intents: intents.map(formatPaymentIntent) });
+    } catch (error) {
+        console.error('Get payment intents error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ยกเลิก QR ที่ยังไม่ชำระ
+app.post('/api/wallet/payment-intents/:intentId/cancel', requireAuth, async (req, res) => {
+    try {
+        const intent = await cancelPaymentIntent(req.session.user.id, req.params.intentId);
+
+        if (!intent) {
+            return res.status(404).json({ success: false, error: 'ไม่พบรายการหรือไม่สามารถยกเลิกได้' });
+        }
+
+        res.json({ success: true, intent: formatPaymentIntent(intent) });
+    } catch (error) {
+        console.error('Cancel payment intent error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
 // เช็คยอด Credit Thunder API (Admin only - defined later)
 // Note: This endpoint is defined after requireAdmin middleware
 
@@ -950,21 +1486,27 @@ app.post('/api/thunder/verify-slip', requireAuth, async (req, res) => {
 // =============================================
 
 // เช็คสถานะการตั้งค่า TrueMoney
-app.get('/api/truemoney/status', (req, res) => {
-    const config = getConfigStatus();
-    // เช็คว่าเป็น manual mode หรือ auto
-    const isManualMode = !config.hasApiKey || !config.hasPhone;
-    res.json({
-        success: true,
-        enabled: config.enabled,
-        manualMode: isManualMode,
-        minAmount: config.minAmount,
-        maxAmount: config.maxAmount
-    });
-});
-
-// Redeem ซองอั่งเปา TrueMoney
-app.post('/api/truemoney/redeem', requireAuth, async (req, res) => {
+app.get('/api/truemoney/status', async (req, res) => {
+    try {
+        const config = paymentProviders.getProvider('voucher').getConfig();
+        const limit = await topupLimits.getMethodLimit('truemoney');
+        // เช็คว่าเป็น manual mode หรือ auto
+        const isManualMode = !config.hasApiKey || !config.hasPhone;
+        res.json({
+            success: true,
+            enabled: config.enabled && !!limit?.enabled,
+            manualMode: isManualMode,
+            minAmount: limit?.minAmount ?? null,
+            maxAmount: limit?.maxAmount ?? null
+        });
+    } catch (error) {
+        console.error('Get truemoney status error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Redeem ซองอั่งเปา TrueMoney
+app.post('/api/truemoney/redeem', requireAuth, idempotency, async (req, res) => {
     try {
         const userId = req.session.user.id;
         const { voucherLink } = req.body;
@@ -986,50 +1528,124 @@ app.post('/api/truemoney/redeem', requireAuth, async (req, res) => {
             });
         }
         
-        if (validation.alreadyUsed) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'ซองอั่งเปานี้ถูกใช้ไปแล้ว' 
-            });
+        // ยังไม่รู้ยอดซอง: ตรวจแค่ว่าช่องทางเปิดและยังเหลือวงเงิน
+        const limitCheck = await topupLimits.checkTopupLimits({ userId, method: 'truemoney', checkPending: false });
+        if (!limitCheck.allowed) {
+            return res.status(400).json({ success: false, error: limitCheck.error, code: limitCheck.code });
+        }
+
+        const voucherProvider = paymentProviders.getProvider('voucher');
+        
+        // จองซองก่อนส่งไป provider (กันส่งซองเดียวกันพร้อมกัน / ซ้ำ)
+        try {
+            await claimVoucher(validation.voucherHash, userId, voucherProvider.name);
+        } catch (claimError) {
+            if (claimError.code === 'VOUCHER_ALREADY_REDEEMED') {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'ซองอั่งเปานี้ถูกใช้ไปแล้ว' 
+                });
+            }
+            if (claimError.code === 'VOUCHER_IN_PROGRESS') {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'ซองอั่งเปานี้กำลังดำเนินการอยู่ กรุณารอสักครู่' 
+                });
+            }
+            throw claimError;
         }
         
         // เรียก API redeem
-        const result = await redeemAngpao(voucherLink);
+        const result = await voucherProvider.redeemVoucher(voucherLink);
         
         if (!result.success) {
+            // timeout = ไม่รู้ว่า provider รับซองไปแล้วหรือยัง ค้างการจองไว้จนหมดเวลาจอง
+            if (!result.isTimeout) {
+                await releaseVoucher(validation.voucherHash, userId, result.isDuplicate ? 'rejected' : 'failed', result.message);
+            }
+            
             // Log failed attempt
             await logSecurityEvent({
                 eventType: 'angpao_failed',
                 userId: userId,
                 details: {
                     voucherHash: validation.voucherHash,
-                    error: result.message
+                    error: result.message,
+                    isDuplicate: !!result.isDuplicate,
+                    isTimeout: !!result.isTimeout
                 },
                 ipAddress: req.ip
             });
             
-            return res.status(400).json({ 
+            return res.status(result.isTimeout ? 504 : 400).json({ 
                 success: false, 
-                error: result.message 
+                error: result.isTimeout ? 'ตรวจสอบซองอั่งเปาไม่ทันเวลา กรุณาลองใหม่ภายหลัง' : result.message 
             });
         }
         
         // Redeem สำเร็จ - เติมเงินเข้า wallet
         const amount = result.amount;
+
+        // ยอดซองเกินวงเงิน: provider รับซองไปแล้ว พักไว้ให้ Admin เติมเงิน (ไม่หมดอายุเอง)
+        const amountCheck = await topupLimits.checkTopupLimits({ userId, method: 'truemoney', amount, checkPending: false });
+        if (!amountCheck.allowed) {
+            const requestId = `ANG${Date.now()}`;
+
+            const { error: requestError } = await supabaseAdmin
+                .from('topup_requests')
+                .insert({
+                    request_id: requestId,
+                    user_id: userId,
+                    amount: amount,
+                    method: 'truemoney',
+                    slip_url: voucherLink,
+                    status: 'pending',
+                    auto_status: 'manual',
+                    auto_error: amountCheck.error,
+                    fraud_hold: true,
+                    provider_transaction_id: result.transactionId
+                });
+
+            if (requestError) throw requestError;
+
+            await holdRedeemedVoucher({
+                voucherHash: validation.voucherHash,
+                userId,
+                amount,
+                providerTransactionId: result.transactionId,
+                requestId,
+                reason: amountCheck.error
+            });
+
+            await notifyAngpaoRequest({
+                requestId: requestId,
+                userId: userId,
+                username: req.session.user.username,
+                voucherLink: voucherLink,
+                expectedAmount: amount
+            });
+
+            return res.status(202).json({
+                success: true,
+                held: true,
+                message: `${amountCheck.error} ระบบส่งซองให้ Admin ตรวจสอบแล้ว`,
+                requestId: requestId,
+                amount: amount
+            });
+        }
         
-        // เพิ่มยอดเงิน
-        await updateBalance(userId, amount);
-        
-        // บันทึก transaction
-        await addTransaction(userId, 'topup', amount, {
-            method: 'truemoney_angpao',
-            transactionId: result.transactionId,
-            voucherHash: validation.voucherHash
+        // เพิ่มยอดเงิน + บันทึก transaction + ปิดซอง (Atomic)
+        const { newBalance, transaction } = await completeVoucherRedemption({
+            voucherHash: validation.voucherHash,
+            userId,
+            amount,
+            providerTransactionId: result.transactionId,
+            details: {
+                method: 'truemoney_angpao',
+                provider: voucherProvider.name
+            }
         });
         
-        // Invalidate cache
-        invalidateBalanceCache(userId);
-        
         // Log สำเร็จ
         await logAudit({
             userId: userId,
@@ -1044,15 +1660,15 @@ app.post('/api/truemoney/redeem', requireAuth, async (req, res) => {
             ipAddress: req.ip
         });
         
-        // ดึง balance ใหม่
-        const newBalance = await getUserBalance(userId);
+        const bonus = await applyTopupBonus(userId, amount, 'truemoney_angpao', transaction.id);
         
         res.json({
             success: true,
             message: `เติมเงินสำเร็จ ${amount} บาท`,
             amount: amount,
             transactionId: result.transactionId,
-            balance: newBalance
+            balance: newBalance,
+            bonus: bonus
         });
         
     } catch (error) {
@@ -1092,23 +1708,41 @@ app.post('/api/angpao/submit', requireAuth, async (req, res) => {
             });
         }
         
-        // ตรวจสอบว่ามี pending request อยู่หรือไม่
-        const { data: pendingRequests } = await supabaseAdmin
-            .from('topup_requests')
-            .select('id')
-            .eq('user_id', userId)
-            .eq('status', 'pending')
-            .like('slip_url', '%gift.truemoney.com%');
-
-        if (pendingRequests && pendingRequests.length >= 3) {
+        // ซองที่เคยใช้เติมเงินแล้ว ไม่ต้องส่งให้ Admin
+        const redeemed = await findRedeemedVoucher(validation.voucherHash);
+        if (redeemed && ['redeemed', 'rejected'].includes(redeemed.status)) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'คุณมีคำขอซองอั่งเปาที่รอดำเนินการ 3 รายการแล้ว' 
+                error: 'ซองอั่งเปานี้ถูกใช้ไปแล้ว' 
             });
         }
         
+        // วงเงิน + คำขอที่รอดำเนินการ (ยอดที่ user แจ้ง ถ้ามี)
+        const limitCheck = await topupLimits.checkTopupLimits({
+            userId,
+            method: 'truemoney',
+            amount: expectedAmount ? parseFloat(expectedAmount) : null
+        });
+        if (!limitCheck.allowed) {
+            return res.status(400).json({ success: false, error: limitCheck.error, code: limitCheck.code });
+        }
+        
         // สร้าง Request ID
         const requestId = `ANG${Date.now()}`;
+
+        // ให้คะแนนความเสี่ยง: คะแนนถึงเกณฑ์ = ไม่รับซองอัตโนมัติ ส่งให้ Admin ตรวจ
+        const attemptId = await fraudScoring.recordTopupAttempt({
+            userId,
+            ip: req.ip,
+            method: 'truemoney',
+            amount: expectedAmount ? parseFloat(expectedAmount) : null
+        });
+        const fraud = await fraudScoring.assessTopupAttempt(attemptId, {
+            userId,
+            ip: req.ip,
+            method: 'truemoney',
+            amount: expectedAmount ? parseFloat(expectedAmount) : null
+        });
         
         // บันทึกลง database
         const { data: request, error } = await supabaseAdmin
@@ -1119,12 +1753,19 @@ app.post('/api/angpao/submit', requireAuth, async (req, res) => {
                 amount: expectedAmount ? parseFloat(expectedAmount) : 0,
                 method: 'truemoney',
                 slip_url: voucherLink, // เก็บลิ้งซองใน slip_url field
-                status: 'pending'
+                status: 'pending',
+                fraud_score: fraud.score,
+                fraud_signals: fraud.signals,
+                fraud_hold: fraud.hold,
+                auto_status: fraud.hold ? 'manual' : null,
+                auto_error: fraud.hold ? `พักไว้ตรวจสอบ (fraud score ${fraud.score})` : null
             })
             .select()
             .single();
 
         if (error) throw error;
+
+        await fraudScoring.linkTopupAttempt(attemptId, requestId);
         
         // ส่ง Discord notification
         await notifyAngpaoRequest({
@@ -1135,9 +1776,18 @@ app.post('/api/angpao/submit', requireAuth, async (req, res) => {
             expectedAmount: expectedAmount
         });
         
+        // รับซองอัตโนมัติ (ถ้าเปิดไว้และไม่ถูกพัก) ไม่ต้องรอรอบถัดไปของ worker
+        const autoRedeem = angpaoWorker.isAutoRedeemEnabled() && !fraud.hold;
+        if (autoRedeem) {
+            angpaoWorker.triggerAngpaoWorker();
+        }
+        
         res.json({
             success: true,
-            message: 'ส่งคำขอเติมเงินสำเร็จ กรุณารอ Admin ดำเนินการ',
+            message: autoRedeem
+                ? 'ส่งคำขอเติมเงินสำเร็จ ระบบกำลังรับซองอั่งเปาอัตโนมัติ'
+                : 'ส่งคำขอเติมเงินสำเร็จ กรุณารอ Admin ดำเนินการ',
+            autoRedeem: autoRedeem,
             request: {
                 id: requestId,
                 voucherLink: voucherLink,
@@ -1178,6 +1828,7 @@ app.get('/api/angpao/requests', requireAuth, async (req, res) => {
                 expectedAmount: r.amount,
                 actualAmount: r.actual_amount,
                 status: r.status,
+                autoStatus: r.auto_status,
                 adminNote: r.admin_note,
                 createdAt: r.created_at,
                 reviewedAt: r.reviewed_at
@@ -1221,775 +1872,2938 @@ app.post('/api/angpao/:requestId/cancel', requireAuth, async (req, res) => {
     }
 });
 
-// หักเงิน (ซื้อสินค้า)
-app.post('/api/wallet/deduct', requireAuth, async (req, res) => {
-    try {
-        const userId = req.session.user.id;
-        const { amount, productId, productName } = req.body;
-        
-        // Validate
-        if (!amount || isNaN(amount) || amount <= 0) {
-            return res.status(400).json({ success: false, error: 'จำนวนเงินไม่ถูกต้อง' });
-        }
-        
-        const currentBalance = await getUserBalance(userId);
-        
-        if (currentBalance < amount) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'ยอดเงินไม่เพียงพอ',
-                currentBalance: currentBalance,
-                required: amount
-            });
-        }
-        
-        // หักเงิน
-        const newBalance = currentBalance - parseFloat(amount);
-        await updateUserBalance(userId, newBalance);
-        
-        // บันทึก Transaction
-        const transaction = await addTransaction(userId, 'purchase', -parseFloat(amount), {
-            productId: productId,
-            productName: productName
-        });
-        
-        res.json({
-            success: true,
-            newBalance: newBalance,
-            transaction: transaction
-        });
-    } catch (error) {
-        console.error('Deduct error:', error);
-        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
-    }
-});
-
-// ดึงประวัติธุรกรรม
-app.get('/api/wallet/transactions', requireAuth, async (req, res) => {
-    try {
-        const userId = req.session.user.id;
-        const limit = parseInt(req.query.limit) || 10;
-        const transactions = await getUserTransactions(userId, Math.min(limit, 50));
-        
-        res.json({
-            success: true,
-            transactions: transactions
-        });
-    } catch (error) {
-        console.error('Transactions error:', error);
-        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
-    }
-});
-
 // =============================================
-// Products API Routes
+// Charge Intents (server ตั้งราคา → client ยืนยันด้วย intentId)
 // =============================================
 
-// ดึงสินค้าทั้งหมด (พร้อม Caching)
-app.get('/api/products', async (req, res) => {
-    try {
-        const category = req.query.category;
-        
-        // ใช้ cache เพื่อเพิ่มประสิทธิภาพ
-        const products = await getCachedProducts(category, async () => {
-            return await getProducts(category);
-        });
-        
-        res.json({ success: true, products });
-    } catch (error) {
-        console.error('Products error:', error);
-        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
-    }
-});
-
-// ดึงสินค้าตาม ID
-app.get('/api/products/:id', async (req, res) => {
-    try {
-        const product = await getProductById(req.params.id);
-        if (!product) {
-            return res.status(404).json({ success: false, error: 'ไม่พบสินค้า' });
-        }
-        res.json({ success: true, product });
-    } catch (error) {
-        console.error('Product error:', error);
-        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
-    }
-});
+const CHARGE_INTENT_TTL_MINUTES = parseInt(process.env.CHARGE_INTENT_TTL_MINUTES) || 10;
+
+// แปลง charge_intents row ให้ตรงกับ frontend
+function formatChargeIntent(intent) {
+    return {
+        id: intent.intent_id,
+        productId: intent.product_id,
+        productName: intent.product_name,
+        quantity: intent.quantity,
+        pricePerUnit: parseFloat(intent.price_per_unit),
+        amount: parseFloat(intent.amount),
+        status: intent.status,
+        orderId: intent.order_id,
+        expiresAt: intent.expires_at,
+        createdAt: intent.created_at
+    };
+}
 
-// ซื้อสินค้า (Auto Delivery) - ใช้ Transaction เพื่อป้องกัน Race Condition
-app.post('/api/products/:id/purchase', 
-    requireAuth, 
-    purchaseLimiter, 
-    purchaseValidation, 
-    validate, 
-    async (req, res) => {
+// สร้าง charge intent (ราคาคำนวณจาก server เท่านั้น)
+app.post('/api/wallet/charge-intents', requireAuth, purchaseLimiter, async (req, res) => {
     try {
         const userId = req.session.user.id;
-        const productId = req.params.id;
+        const { productId } = req.body;
         const quantity = parseInt(req.body.quantity) || 1;
 
-        // Validate quantity range
+        if (!productId) {
+            return res.status(400).json({ success: false, error: 'กรุณาระบุสินค้า' });
+        }
+
         if (quantity < 1 || quantity > 100) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'จำนวนสินค้าต้องอยู่ระหว่าง 1-100' 
-            });
+            return res.status(400).json({ success: false, error: 'จำนวนสินค้าต้องอยู่ระหว่าง 1-100' });
         }
 
-        // ดึงข้อมูลสินค้า
         const product = await getProductById(productId);
         if (!product) {
             return res.status(404).json({ success: false, error: 'ไม่พบสินค้า' });
         }
 
-        // ตรวจสอบว่าสินค้า active หรือไม่
         if (!product.is_active) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'สินค้านี้ไม่พร้อมขาย' 
-            });
+            return res.status(400).json({ success: false, error: 'สินค้านี้ไม่พร้อมขาย' });
         }
 
         const pricePerUnit = parseFloat(product.price);
-
-        // Validate price
         if (isNaN(pricePerUnit) || pricePerUnit < 0) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'ราคาสินค้าไม่ถูกต้อง' 
-            });
+            return res.status(400).json({ success: false, error: 'ราคาสินค้าไม่ถูกต้อง' });
         }
 
-        // ใช้ Stored Procedure เพื่อทำ Transaction อย่างปลอดภัย
-        // ป้องกัน Race Condition และรับประกันความ Consistent ของข้อมูล
-        const { data: result, error: rpcError } = await supabaseAdmin.rpc('complete_purchase', {
+        const { data: intent, error } = await supabaseAdmin
+            .from('charge_intents')
+            .insert({
+                intent_id: `CHI${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+                user_id: userId,
+                product_id: product.product_id,
+                product_name: product.name,
+                quantity: quantity,
+                price_per_unit: pricePerUnit,
+                amount: pricePerUnit * quantity,
+                expires_at: new Date(Date.now() + CHARGE_INTENT_TTL_MINUTES * 60 * 1000).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.json({ success: true, intent: formatChargeIntent(intent) });
+    } catch (error) {
+        console.error('Create charge intent error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ผลของ charge intent ที่ชำระแล้ว (ยืนยันซ้ำหลัง timeout ได้ order เดิม ไม่ใช่ error)
+// @returns {Promise<Object|null>} response เหมือนตอนยืนยันสำเร็จ หรือ null ถ้า intent ยังไม่ได้ชำระ
+async function getCompletedChargeResponse(intentId, userId) {
+    const { data: intent } = await supabaseAdmin
+        .from('charge_intents')
+        .select('*')
+        .eq('intent_id', intentId)
+        .eq('user_id', userId)
+        .eq('status', 'completed')
+        .maybeSingle();
+
+    if (!intent || !intent.order_id) return null;
+
+    const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('order_id', intent.order_id)
+        .maybeSingle();
+
+    if (!order) return null;
+
+    const bonusUsed = parseFloat(order.bonus_used || 0);
+    const bonus = await getUserBonus(userId);
+
+    return {
+        success: true,
+        replayed: true,
+        intent: formatChargeIntent(intent),
+        order: {
+            order_id: order.order_id,
+            product_id: order.product_id,
+            product_name: order.product_name,
+            quantity: order.quantity,
+            total: parseFloat(order.total)
+        },
+        delivery: order.delivery_data?.items || [],
+        bonusUsed,
+        cashPaid: parseFloat(order.total) - bonusUsed,
+        newBalance: await getUserBalance(userId),
+        bonusBalance: bonus.balance
+    };
+}
+
+// ยืนยัน charge intent (หักเงิน + สร้าง Order)
+app.post('/api/wallet/charge-intents/:intentId/confirm', requireAuth, purchaseLimiter, idempotency, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const { intentId } = req.params;
+
+        const { data: result, error: rpcError } = await supabaseAdmin.rpc('confirm_charge_intent', {
+            p_intent_id: intentId,
             p_user_id: userId,
-            p_product_id: productId,
-            p_quantity: quantity,
-            p_price_per_unit: pricePerUnit,
-            p_product_name: product.name
+            p_bonus_max_percent: getBonusMaxPercent()
         });
 
         if (rpcError) {
-            // Handle specific errors from stored procedure
             const errorMsg = rpcError.message || '';
-            
-            if (errorMsg.includes('INSUFFICIENT_STOCK')) {
-                const match = errorMsg.match(/Available (\d+), Requested (\d+)/);
-                return res.status(400).json({ 
-                    success: false, 
-                    error: 'สินค้าหมด',
-                    available: match ? parseInt(match[1]) : 0,
-                    requested: quantity
-                });
+
+            if (errorMsg.includes('INTENT_NOT_FOUND')) {
+                return res.status(404).json({ success: false, error: 'ไม่พบรายการชำระเงิน' });
             }
-            
-            if (errorMsg.includes('INSUFFICIENT_BALANCE')) {
-                const match = errorMsg.match(/Balance ([\d.]+), Required ([\d.]+)/);
-                return res.status(400).json({ 
-                    success: false, 
-                    error: 'ยอดเงินไม่เพียงพอ',
-                    balance: match ? parseFloat(match[1]) : 0,
-                    required: match ? parseFloat(match[2]) : 0
-                });
+
+            if (errorMsg.includes('INTENT_NOT_PENDING')) {
+                const completed = await getCompletedChargeResponse(intentId, userId);
+                if (completed) return res.json(completed);
+                return res.status(409).json({ success: false, error: 'รายการนี้ถูกดำเนินการแล้ว' });
             }
-            
-            if (errorMsg.includes('WALLET_NOT_FOUND')) {
-                return res.status(400).json({ 
-                    success: false, 
-                    error: 'ไม่พบ Wallet กรุณาเข้าสู่ระบบใหม่'
-                });
+
+            if (errorMsg.includes('INTENT_EXPIRED')) {
+                return res.status(410).json({ success: false, error: 'รายการหมดอายุ กรุณาทำรายการใหม่' });
             }
-            
+
+            if (sendPurchaseError(res, rpcError)) return;
+
             throw rpcError;
         }
 
-        // Parse result จาก stored procedure
         const purchaseResult = typeof result === 'string' ? JSON.parse(result) : result;
 
-        // Invalidate caches หลังซื้อสำเร็จ
-        invalidateProductsCache(productId);
+        const { data: intent } = await supabaseAdmin
+            .from('charge_intents')
+            .select('*')
+            .eq('intent_id', intentId)
+            .single();
+
+        invalidateProductsCache(intent.product_id);
         invalidateBalanceCache(userId);
-        invalidateStockCache(productId);
+        invalidateStockCache(intent.product_id);
 
         res.json({
             success: true,
-            message: 'ซื้อสินค้าสำเร็จ!',
+            intent: formatChargeIntent(intent),
             order: {
                 order_id: purchaseResult.orderId,
-                product_id: productId,
-                product_name: product.name,
-                quantity: quantity,
+                product_id: intent.product_id,
+                product_name: intent.product_name,
+                quantity: intent.quantity,
                 total: purchaseResult.total
             },
-            delivery: purchaseResult.deliveryItems, // ส่ง Key/Code กลับไปให้ลูกค้า
-            newBalance: purchaseResult.newBalance
+            delivery: purchaseResult.deliveryItems,
+            bonusUsed: purchaseResult.bonusUsed,
+            cashPaid: purchaseResult.cashPaid,
+            newBalance: purchaseResult.newBalance,
+            bonusBalance: purchaseResult.bonusBalance
         });
     } catch (error) {
-        console.error('Purchase error:', error);
-        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาดในการซื้อสินค้า กรุณาลองใหม่' });
+        console.error('Confirm charge intent error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// ดึง Orders ของ user (My Purchases)
-app.get('/api/orders', requireAuth, async (req, res) => {
+// ยกเลิก charge intent ที่ยังไม่ยืนยัน
+app.post('/api/wallet/charge-intents/:intentId/cancel', requireAuth, async (req, res) => {
     try {
-        const userId = req.session.user.id;
-        const { data: orders, error } = await supabaseAdmin
-            .from('orders')
-            .select('*')
-            .eq('user_id', userId)
-            .order('created_at', { ascending: false });
+        const { data: intent, error } = await supabaseAdmin
+            .from('charge_intents')
+            .update({ status: 'cancelled' })
+            .eq('intent_id', req.params.intentId)
+            .eq('user_id', req.session.user.id)
+            .eq('status', 'pending')
+            .select()
+            .maybeSingle();
 
         if (error) throw error;
 
-        res.json({ success: true, orders: orders || [] });
+        if (!intent) {
+            return res.status(404).json({ success: false, error: 'ไม่พบรายการหรือไม่สามารถยกเลิกได้' });
+        }
+
+        res.json({ success: true, intent: formatChargeIntent(intent) });
     } catch (error) {
-        console.error('Orders error:', error);
+        console.error('Cancel charge intent error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// ดึง Order เดียว (พร้อม delivery data)
-app.get('/api/orders/:id', requireAuth, async (req, res) => {
+// ดึงประวัติธุรกรรม (cursor pagination + filters)
+app.get('/api/wallet/transactions', requireAuth, async (req, res) => {
     try {
         const userId = req.session.user.id;
-        const { data: order, error } = await supabaseAdmin
-            .from('orders')
-            .select('*')
-            .eq('order_id', req.params.id)
-            .eq('user_id', userId)
-            .single();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
 
-        if (error || !order) {
-            return res.status(404).json({ success: false, error: 'ไม่พบคำสั่งซื้อ' });
+        const { filters, error: filterError } = parseTransactionFilters({ ...req.query, userId });
+        if (filterError) {
+            return res.status(400).json({ success: false, error: filterError });
+        }
+
+        const { rows, nextCursor } = await queryTransactions(filters, limit);
+        
+        res.json({
+            success: true,
+            transactions: rows.map(formatTransaction),
+            nextCursor: nextCursor,
+            hasMore: nextCursor !== null
+        });
+    } catch (error) {
+        console.error('Transactions error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Export ประวัติธุรกรรมเป็น CSV (ใช้ filters เดียวกัน)
+app.get('/api/wallet/transactions/export', requireAuth, purchaseLimiter, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+
+        const { filters, error: filterError } = parseTransactionFilters({ ...req.query, userId });
+        if (filterError) {
+            return res.status(400).json({ success: false, error: filterError });
+        }
+
+        await streamTransactionsCsv(res, filters, `transactions-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+        console.error('Export transactions error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Wallet Transfer (โอนเงินระหว่าง user)
+// =============================================
+
+const TRANSFER_CONFIG = {
+    enabled: process.env.TRANSFER_ENABLED !== 'false',
+    minAmount: parseFloat(process.env.TRANSFER_MIN_AMOUNT) || 1,
+    maxAmount: parseFloat(process.env.TRANSFER_MAX_AMOUNT) || 5000,
+    dailyLimit: parseFloat(process.env.TRANSFER_DAILY_LIMIT) || 10000,
+    cooldownSeconds: parseInt(process.env.TRANSFER_COOLDOWN_SECONDS) || 60,
+    requireConfirm: process.env.TRANSFER_REQUIRE_CONFIRM !== 'false',
+    confirmTtlMs: 5 * 60 * 1000 // token ยืนยันหมดอายุใน 5 นาที
+};
+
+// โอนเงินให้ user อื่น (by Discord ID)
+// ถ้าเปิด TRANSFER_REQUIRE_CONFIRM ครั้งแรกจะได้ confirmToken กลับไป แล้วส่งซ้ำพร้อม confirmToken เพื่อยืนยัน
+app.post('/api/wallet/transfer', requireAuth, purchaseLimiter, async (req, res) => {
+    try {
+        if (!TRANSFER_CONFIG.enabled) {
+            return res.status(400).json({ success: false, error: 'ระบบโอนเงินปิดใช้งานอยู่' });
+        }
+
+        const userId = req.session.user.id;
+        let { toUserId, amount, note, confirmToken } = req.body;
+
+        // ยืนยันรายการที่ preview ไว้
+        if (confirmToken) {
+            const pending = req.session.pendingTransfer;
+            if (!pending || pending.token !== confirmToken || pending.expiresAt < Date.now()) {
+                return res.status(400).json({ success: false, error: 'รายการยืนยันหมดอายุหรือไม่ถูกต้อง กรุณาทำรายการใหม่' });
+            }
+            ({ toUserId, amount, note } = pending);
+            delete req.session.pendingTransfer;
+        }
+
+        amount = parseFloat(amount);
+        toUserId = typeof toUserId === 'string' ? toUserId.trim() : '';
+        note = typeof note === 'string' ? note.trim().slice(0, 100) : null;
+
+        if (!/^\d{15,20}$/.test(toUserId)) {
+            return res.status(400).json({ success: false, error: 'Discord ID ผู้รับไม่ถูกต้อง' });
+        }
+
+        if (toUserId === userId) {
+            return res.status(400).json({ success: false, error: 'ไม่สามารถโอนให้ตัวเองได้' });
+        }
+
+        if (isNaN(amount) || amount < TRANSFER_CONFIG.minAmount || amount > TRANSFER_CONFIG.maxAmount) {
+            return res.status(400).json({
+                success: false,
+                error: `จำนวนเงินต้องอยู่ระหว่าง ${TRANSFER_CONFIG.minAmount} - ${TRANSFER_CONFIG.maxAmount} บาท`
+            });
+        }
+
+        // ทศนิยมเกิน 2 ตำแหน่ง (เช่น 1.005) DB จะปัดเศษเอง ยอดที่ยืนยันกับยอดที่โอนจริงจะไม่ตรงกัน
+        if (Math.round(amount * 100) / 100 !== amount) {
+            return res.status(400).json({ success: false, error: 'จำนวนเงินต้องมีทศนิยมไม่เกิน 2 ตำแหน่ง' });
+        }
+
+        // ผู้รับต้องเคย login แล้ว
+        const { data: recipient } = await supabaseAdmin
+            .from('users')
+            .select('discord_id, username, avatar')
+            .eq('discord_id', toUserId)
+            .maybeSingle();
+
+        if (!recipient) {
+            return res.status(404).json({ success: false, error: 'ไม่พบผู้รับ' });
+        }
+
+        // ขั้นตอนยืนยัน
+        if (TRANSFER_CONFIG.requireConfirm && !confirmToken) {
+            const token = crypto.randomBytes(16).toString('hex');
+            req.session.pendingTransfer = {
+                token,
+                toUserId,
+                amount,
+                note,
+                expiresAt: Date.now() + TRANSFER_CONFIG.confirmTtlMs
+            };
+
+            return res.json({
+                success: true,
+                requiresConfirmation: true,
+                confirmToken: token,
+                transfer: {
+                    to: recipient,
+                    amount,
+                    note
+                }
+            });
+        }
+
+        const { data: result, error: rpcError } = await supabaseAdmin.rpc('wallet_transfer', {
+            p_from_user_id: userId,
+            p_to_user_id: toUserId,
+            p_amount: amount,
+            p_note: note,
+            p_daily_limit: TRANSFER_CONFIG.dailyLimit,
+            p_cooldown_seconds: TRANSFER_CONFIG.cooldownSeconds
+        });
+
+        if (rpcError) {
+            const errorMsg = rpcError.message || '';
+
+            if (errorMsg.includes('INSUFFICIENT_BALANCE') || errorMsg.includes('WALLET_NOT_FOUND')) {
+                return res.status(400).json({ success: false, error: 'ยอดเงินไม่เพียงพอ' });
+            }
+
+            if (errorMsg.includes('TRANSFER_COOLDOWN')) {
+                const match = errorMsg.match(/Retry after (\d+)/);
+                return res.status(429).json({
+                    success: false,
+                    error: 'กรุณารอสักครู่ก่อนโอนอีกครั้ง',
+                    retryAfter: match ? parseInt(match[1]) : TRANSFER_CONFIG.cooldownSeconds
+                });
+            }
+
+            if (errorMsg.includes('DAILY_LIMIT_EXCEEDED')) {
+                return res.status(400).json({
+                    success: false,
+                    error: `เกินวงเงินโอนต่อวัน (${TRANSFER_CONFIG.dailyLimit} บาท)`
+                });
+            }
+
+            if (errorMsg.includes('INVALID_AMOUNT')) {
+                return res.status(400).json({ success: false, error: 'จำนวนเงินไม่ถูกต้อง' });
+            }
+
+            throw rpcError;
+        }
+
+        const transfer = typeof result === 'string' ? JSON.parse(result) : result;
+
+        invalidateBalanceCache(userId);
+        invalidateBalanceCache(toUserId);
+
+        await logAudit({
+            userId: userId,
+            username: req.session.user.username,
+            action: AuditActions.TRANSFER,
+            resourceType: ResourceTypes.WALLET,
+            resourceId: toUserId,
+            newValue: { transferId: transfer.transferId, amount, toUserId, note },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: `โอนเงิน ${amount} บาท ให้ ${recipient.username} สำเร็จ`,
+            transfer: {
+                id: transfer.transferId,
+                transactionId: transfer.transactionId,
+                to: recipient,
+                amount: parseFloat(transfer.amount),
+                note
+            },
+            newBalance: parseFloat(transfer.newBalance)
+        });
+    } catch (error) {
+        console.error('Transfer error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ดึงประวัติการโอนเงิน
+app.get('/api/wallet/transfers', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+        const { data: rows, error } = await supabaseAdmin
+            .from('transactions')
+            .select('*')
+            .eq('user_id', userId)
+            .in('type', ['transfer_out', 'transfer_in'])
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        // ดึงชื่อคู่โอน
+        const counterpartIds = [...new Set((rows || []).map(t => t.details?.toUserId || t.details?.fromUserId).filter(Boolean))];
+        const { data: users } = counterpartIds.length > 0
+            ? await supabaseAdmin.from('users').select('discord_id, username, avatar').in('discord_id', counterpartIds)
+            : { data: [] };
+
+        const userMap = {};
+        users?.forEach(u => { userMap[u.discord_id] = u; });
+
+        res.json({
+            success: true,
+            transfers: (rows || []).map(t => {
+                const counterpartId = t.details?.toUserId || t.details?.fromUserId;
+                return {
+                    id: t.details?.transferId,
+                    transactionId: t.transaction_id,
+                    direction: t.type === 'transfer_out' ? 'out' : 'in',
+                    counterpart: userMap[counterpartId] || { discord_id: counterpartId },
+                    amount: parseFloat(t.amount),
+                    balanceAfter: parseFloat(t.balance_after),
+                    note: t.details?.note || null,
+                    timestamp: t.created_at
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Get transfers error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Products API Routes
+// =============================================
+
+// ดึงสินค้าทั้งหมด (พร้อม Caching)
+app.get('/api/products', async (req, res) => {
+    try {
+        const category = req.query.category;
+        
+        // ใช้ cache เพื่อเพิ่มประสิทธิภาพ
+        const products = await getCachedProducts(category, async () => {
+            return await getProducts(category);
+        });
+        
+        res.json({ success: true, products });
+    } catch (error) {
+        console.error('Products error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ดึงสินค้าตาม ID
+app.get('/api/products/:id', async (req, res) => {
+    try {
+        const product = await getProductById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'ไม่พบสินค้า' });
+        }
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error('Product error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ซื้อสินค้า (Auto Delivery) - ใช้ Transaction เพื่อป้องกัน Race Condition
+app.post('/api/products/:id/purchase', 
+    requireAuth, 
+    purchaseLimiter, 
+    purchaseValidation, 
+    validate, 
+    idempotency,
+    async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const productId = req.params.id;
+        const quantity = parseInt(req.body.quantity) || 1;
+
+        // Validate quantity range
+        if (quantity < 1 || quantity > 100) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'จำนวนสินค้าต้องอยู่ระหว่าง 1-100' 
+            });
+        }
+
+        // ดึงข้อมูลสินค้า
+        const product = await getProductById(productId);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'ไม่พบสินค้า' });
+        }
+
+        // ตรวจสอบว่าสินค้า active หรือไม่
+        if (!product.is_active) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'สินค้านี้ไม่พร้อมขาย' 
+            });
+        }
+
+        const pricePerUnit = parseFloat(product.price);
+
+        // Validate price
+        if (isNaN(pricePerUnit) || pricePerUnit < 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'ราคาสินค้าไม่ถูกต้อง' 
+            });
+        }
+
+        // ใช้ Stored Procedure เพื่อทำ Transaction อย่างปลอดภัย
+        // ป้องกัน Race Condition และรับประกันความ Consistent ของข้อมูล
+        const { data: result, error: rpcError } = await supabaseAdmin.rpc('complete_purchase', {
+            p_user_id: userId,
+            p_product_id: productId,
+            p_quantity: quantity,
+            p_price_per_unit: pricePerUnit,
+            p_product_name: product.name,
+            p_bonus_max_percent: getBonusMaxPercent()
+        });
+
+        if (rpcError) {
+            // Handle specific errors from stored procedure
+            if (sendPurchaseError(res, rpcError, quantity)) return;
+            
+            throw rpcError;
+        }
+
+        // Parse result จาก stored procedure
+        const purchaseResult = typeof result === 'string' ? JSON.parse(result) : result;
+
+        // Invalidate caches หลังซื้อสำเร็จ
+        invalidateProductsCache(productId);
+        invalidateBalanceCache(userId);
+        invalidateStockCache(productId);
+
+        res.json({
+            success: true,
+            message: 'ซื้อสินค้าสำเร็จ!',
+            order: {
+                order_id: purchaseResult.orderId,
+                product_id: productId,
+                product_name: product.name,
+                quantity: quantity,
+                total: purchaseResult.total
+            },
+            delivery: purchaseResult.deliveryItems, // ส่ง Key/Code กลับไปให้ลูกค้า
+            bonusUsed: purchaseResult.bonusUsed,
+            cashPaid: purchaseResult.cashPaid,
+            newBalance: purchaseResult.newBalance,
+            bonusBalance: purchaseResult.bonusBalance
+        });
+    } catch (error) {
+        console.error('Purchase error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาดในการซื้อสินค้า กรุณาลองใหม่' });
+    }
+});
+
+// ดึง Orders ของ user (My Purchases)
+app.get('/api/orders', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const { data: orders, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({ success: true, orders: orders || [] });
+    } catch (error) {
+        console.error('Orders error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ดึง Order เดียว (พร้อม delivery data)
+app.get('/api/orders/:id', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('order_id', req.params.id)
+            .eq('user_id', userId)
+            .single();
+
+        if (error || !order) {
+            return res.status(404).json({ success: false, error: 'ไม่พบคำสั่งซื้อ' });
         }
 
         res.json({ success: true, order });
     } catch (error) {
-        console.error('Order error:', error);
+        console.error('Order error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Provider Webhooks (ไม่ใช้ session - ตรวจ HMAC signature ของ provider แทน)
+// =============================================
+
+// เติมโบนัสหลัง webhook เติมเงินสำเร็จ
+const webhookCreditHandler = ({ userId, amount, method, transactionId }) =>
+    applyTopupBonus(userId, amount, method, transactionId);
+
+// รับ callback จาก provider (ยอดเงินเข้า / ซองอั่งเปาถูกรับแล้ว)
+app.post('/api/webhooks/:provider', async (req, res) => {
+    try {
+        const providerName = String(req.params.provider).toLowerCase();
+        const signature = req.get('x-webhook-signature');
+
+        if (!req.rawBody) {
+            return res.status(400).json({ success: false, error: 'Content-Type must be application/json' });
+        }
+
+        const check = verifyWebhookSignature(providerName, req.rawBody, {
+            signature,
+            timestamp: req.get('x-webhook-timestamp')
+        });
+        if (!check.valid) {
+            await logSecurityEvent({
+                eventType: SecurityEventTypes.INVALID_WEBHOOK_SIGNATURE,
+                details: { provider: providerName, reason: check.error },
+                req
+            });
+            return res.status(401).json({ success: false, error: check.error });
+        }
+
+        const { event, duplicate, error } = await recordWebhookEvent(providerName, req.rawBody, signature);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        // event เดิมที่ทำเสร็จแล้ว ตอบสำเร็จให้ provider หยุดส่งซ้ำ
+        if (duplicate && ['processed', 'ignored'].includes(event.status)) {
+            return res.json({ success: true, eventId: event.event_id, status: event.status, duplicate: true });
+        }
+
+        const processed = await processWebhookEvent(event.event_id, { onCredited: webhookCreditHandler });
+        if (!processed) {
+            // กำลังประมวลผลจาก request อื่นอยู่
+            return res.status(202).json({ success: true, eventId: event.event_id, status: 'processing' });
+        }
+
+        if (processed.status === 'failed') {
+            // ข้อมูลไม่ถูกต้อง = 422 (ส่งซ้ำก็ไม่ผ่าน), อื่นๆ = 500 ให้ provider ส่งซ้ำ
+            const statusCode = processed.result?.code === 'INVALID_EVENT' ? 422 : 500;
+            return res.status(statusCode).json({ success: false, eventId: processed.id, error: processed.error });
+        }
+
+        res.json({ success: true, eventId: processed.id, status: processed.status });
+    } catch (error) {
+        console.error('Provider webhook error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin API Routes
+// =============================================
+
+// Admin IDs (Discord IDs ที่มีสิทธิ์เข้าถึง Admin Panel)
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Middleware: Check if admin
+const requireAdmin = (req, res, next) => {
+    if (!req.session.user) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!ADMIN_IDS.includes(req.session.user.id)) {
+        return res.status(403).json({ error: 'Forbidden - Admin only' });
+    }
+    next();
+};
+
+// Check admin access
+app.get('/api/admin/check', (req, res) => {
+    if (!req.session.user) {
+        return res.json({ isAdmin: false });
+    }
+    const isAdmin = ADMIN_IDS.includes(req.session.user.id);
+    res.json({ 
+        isAdmin, 
+        user: isAdmin ? req.session.user : null 
+    });
+});
+
+// Test Discord webhook
+app.get('/api/admin/test-webhook', requireAdmin, async (req, res) => {
+    const result = await testWebhook();
+    res.json(result);
+});
+
+// เช็คยอด Credit Thunder API (Admin only)
+app.get('/api/thunder/balance', requireAdmin, async (req, res) => {
+    try {
+        const result = await paymentProviders.getProvider('slip').checkBalance();
+        res.json(result);
+    } catch (error) {
+        console.error('Check Thunder balance error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Slip Uploads
+// =============================================
+
+// multipart/form-data field "slip" (เก็บใน memory ก่อนตรวจ แล้วค่อยบันทึกลง storage)
+const slipUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: SLIP_UPLOAD_CONFIG.maxSizeBytes, files: 1 }
+}).single('slip');
+
+// อัพโหลดรูป Slip
+app.post('/api/slips/upload', requireAuth, uploadLimiter, (req, res) => {
+    slipUpload(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge
+                    ? `ไฟล์ใหญ่เกินไป (สูงสุด ${Math.round(SLIP_UPLOAD_CONFIG.maxSizeBytes / 1024 / 1024)} MB)`
+                    : 'อัพโหลดไฟล์ไม่สำเร็จ'
+            });
+        }
+
+        try {
+            const userId = req.session.user.id;
+            const { slip, error } = await createSlipUpload(userId, req.file?.buffer);
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            if (slip.flagged) {
+                await logSecurityEvent({
+                    eventType: slip.duplicateOf ? SecurityEventTypes.DUPLICATE_SLIP : SecurityEventTypes.SUSPICIOUS_ACTIVITY,
+                    userId: userId,
+                    details: { slipId: slip.id, duplicateOf: slip.duplicateOf, similarSlips: slip.similarSlips },
+                    req
+                });
+            }
+
+            // ไม่ส่งรายละเอียด Slip ที่คล้ายกันให้ user (เป็นข้อมูลของ user อื่น)
+            res.json({
+                success: true,
+                slip: {
+                    id: slip.id,
+                    url: slip.url,
+                    contentType: slip.contentType,
+                    width: slip.width,
+                    height: slip.height,
+                    createdAt: slip.createdAt
+                }
+            });
+        } catch (error) {
+            console.error('Upload slip error:', error);
+            res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+        }
+    });
+});
+
+// ดูรูป Slip (เจ้าของหรือ Admin เท่านั้น)
+app.get('/api/slips/:slipId/image', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const isAdmin = ADMIN_IDS.includes(userId);
+        const slip = await getSlipUpload(req.params.slipId, isAdmin ? null : userId);
+
+        if (!slip) {
+            return res.status(404).json({ success: false, error: 'ไม่พบรูป Slip' });
+        }
+
+        const buffer = await readSlipImage(slip);
+
+        res.set({
+            'Content-Type': slip.content_type,
+            'Cache-Control': 'private, max-age=3600',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error('Get slip image error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ดู Payment Provider ที่ลงทะเบียนไว้ + provider ที่ใช้อยู่ของแต่ละ capability (Admin only)
+app.get('/api/admin/payment-providers', requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, providers: paymentProviders.listProviders() });
+    } catch (error) {
+        console.error('List payment providers error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Get admin stats
+app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+    try {
+        // Count users
+        const { count: usersCount } = await supabaseAdmin
+            .from('users')
+            .select('*', { count: 'exact', head: true });
+
+        // Total balance
+        const { data: wallets } = await supabaseAdmin
+            .from('wallets')
+            .select('balance');
+        const totalBalance = wallets?.reduce((sum, w) => sum + parseFloat(w.balance || 0), 0) || 0;
+
+        // Count products
+        const { count: productsCount } = await supabaseAdmin
+            .from('products')
+            .select('*', { count: 'exact', head: true });
+
+        // Count orders
+        const { count: ordersCount } = await supabaseAdmin
+            .from('orders')
+            .select('*', { count: 'exact', head: true });
+
+        res.json({
+            users: usersCount || 0,
+            totalBalance: totalBalance,
+            products: productsCount || 0,
+            orders: ordersCount || 0
+        });
+    } catch (error) {
+        console.error('Stats error:', error);
+        res.status(500).json({ error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Get all users (admin)
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const { data: users } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        // Get balances
+        const { data: wallets } = await supabaseAdmin
+            .from('wallets')
+            .select('user_id, balance');
+
+        const walletMap = {};
+        wallets?.forEach(w => { walletMap[w.user_id] = parseFloat(w.balance) || 0; });
+
+        const usersWithBalance = users?.map(u => ({
+            ...u,
+            balance: walletMap[u.discord_id] || 0
+        }));
+
+        res.json({ success: true, users: usersWithBalance || [] });
+    } catch (error) {
+        console.error('Users error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Get all products (admin) - เพิ่ม rate limiting
+app.get('/api/admin/products', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { data: products } = await supabaseAdmin
+            .from('products')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        res.json({ success: true, products: products || [] });
+    } catch (error) {
+        console.error('Products error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Add product (admin) - เพิ่ม validation และ rate limiting
+app.post('/api/admin/products', 
+    requireAdmin, 
+    adminLimiter, 
+    createProductValidation, 
+    validate, 
+    async (req, res) => {
+    try {
+        const { product_id, name, description, category, price, original_price, stock, image } = req.body;
+
+        // ตรวจสอบว่า product_id ซ้ำหรือไม่
+        const existing = await getProductById(product_id);
+        if (existing) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'รหัสสินค้านี้ถูกใช้แล้ว' 
+            });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .insert({
+                product_id,
+                name: name.trim(),
+                description: description?.trim() || '',
+                category: category.trim(),
+                price: parseFloat(price),
+                original_price: original_price ? parseFloat(original_price) : null,
+                image: image?.trim() || null,
+                stock: stock || 0,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Invalidate cache หลังเพิ่มสินค้า
+        invalidateProductsCache();
+
+        // Audit log
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.CREATE,
+            resourceType: ResourceTypes.PRODUCT,
+            resourceId: product_id,
+            newValue: { name, category, price },
+            req
+        });
+
+        res.json({ success: true, product: data });
+    } catch (error) {
+        console.error('Add product error:', error);
+        const errorMsg = isDevelopment ? error.message : 'เกิดข้อผิดพลาด';
+        res.status(500).json({ success: false, error: errorMsg });
+    }
+});
+
+// Update product (admin)
+app.put('/api/admin/products/:id', requireAdmin, async (req, res) => {
+    try {
+        const { name, description, category, price, original_price, stock, is_active, image } = req.body;
+
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .update({ 
+                name, 
+                description, 
+                category, 
+                price, 
+                original_price, 
+                stock, 
+                is_active,
+                image: image?.trim() || null
+            })
+            .eq('product_id', req.params.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Invalidate cache หลังแก้ไขสินค้า
+        invalidateProductsCache(req.params.id);
+
+        res.json({ success: true, product: data });
+    } catch (error) {
+        console.error('Update product error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Delete product (admin)
+app.delete('/api/admin/products/:id', requireAdmin, async (req, res) => {
+    try {
+        const productId = req.params.id;
+        
+        // Get product data before delete for audit
+        const existingProduct = await getProductById(productId);
+        
+        const { error } = await supabaseAdmin
+            .from('products')
+            .delete()
+            .eq('product_id', productId);
+
+        if (error) throw error;
+
+        // Invalidate cache หลังลบสินค้า
+        invalidateProductsCache(productId);
+
+        // Audit log
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.DELETE,
+            resourceType: ResourceTypes.PRODUCT,
+            resourceId: productId,
+            oldValue: existingProduct ? { name: existingProduct.name, price: existingProduct.price } : null,
+            req
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete product error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Get all orders (admin)
+app.get('/api/admin/orders', requireAdmin, async (req, res) => {
+    try {
+        const { data: orders } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        res.json({ success: true, orders: orders || [] });
+    } catch (error) {
+        console.error('Orders error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Refund Order (admin) - คืนเงินเต็มจำนวนหรือบางส่วน + คืน/เผา stock
+app.post('/api/admin/orders/:orderId/refund', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const adminId = req.session.user.id;
+        const { amount, stockAction = 'none', stockIds, reason } = req.body;
+
+        // ไม่ส่ง amount (undefined/null) = คืนยอดที่เหลือทั้งหมด, ค่าอื่นต้องเป็นตัวเลขมากกว่า 0 (กัน "" กลายเป็นคืนเต็มจำนวน)
+        const fullRefund = amount === undefined || amount === null;
+        const refundAmount = fullRefund ? null : Number(amount);
+        if (!fullRefund && (!['number', 'string'].includes(typeof amount) || !isFinite(refundAmount) || refundAmount <= 0)) {
+            return res.status(400).json({ success: false, error: 'จำนวนเงินไม่ถูกต้อง' });
+        }
+
+        if (!['none', 'return', 'burn'].includes(stockAction)) {
+            return res.status(400).json({ success: false, error: 'stockAction ต้องเป็น none, return หรือ burn' });
+        }
+
+        if (stockIds !== undefined && !Array.isArray(stockIds)) {
+            return res.status(400).json({ success: false, error: 'stockIds ต้องเป็น array' });
+        }
+
+        const { data: order } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('order_id', orderId)
+            .maybeSingle();
+
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'ไม่พบคำสั่งซื้อ' });
+        }
+
+        const { data: result, error: rpcError } = await supabaseAdmin.rpc('refund_order', {
+            p_order_id: orderId,
+            p_amount: refundAmount,
+            p_stock_action: stockAction,
+            p_stock_ids: stockIds && stockIds.length > 0 ? stockIds : null,
+            p_admin_id: adminId,
+            p_reason: reason || null
+        });
+
+        if (rpcError) {
+            const errorMsg = rpcError.message || '';
+
+            if (errorMsg.includes('ORDER_NOT_REFUNDABLE')) {
+                return res.status(400).json({ success: false, error: 'คำสั่งซื้อนี้คืนเงินไม่ได้ (ถูกคืนเงินแล้วหรือยังไม่สำเร็จ)' });
+            }
+
+            if (errorMsg.includes('INVALID_REFUND_AMOUNT')) {
+                const match = errorMsg.match(/Remaining ([\d.]+)/);
+                return res.status(400).json({
+                    success: false,
+                    error: 'จำนวนเงินเกินยอดที่คืนได้',
+                    remaining: match ? parseFloat(match[1]) : 0
+                });
+            }
+
+            throw rpcError;
+        }
+
+        const refund = typeof result === 'string' ? JSON.parse(result) : result;
+
+        // Invalidate caches
+        invalidateBalanceCache(refund.userId);
+        if (refund.stockCount > 0 && stockAction === 'return') {
+            const availableCount = await countAvailableStock(refund.productId);
+            await supabaseAdmin
+                .from('products')
+                .update({ stock: availableCount })
+                .eq('product_id', refund.productId);
+            invalidateStockCache(refund.productId);
+        }
+
+        // Audit log
+        logAudit({
+            userId: adminId,
+            username: req.session.user.username,
+            action: AuditActions.REFUND,
+            resourceType: ResourceTypes.ORDER,
+            resourceId: orderId,
+            oldValue: {
+                status: order.status,
+                refundedAmount: parseFloat(order.refunded_amount || 0)
+            },
+            newValue: {
+                status: refund.status,
+                refundedAmount: parseFloat(refund.refundedTotal),
+                amount: parseFloat(refund.amount),
+                stockAction: stockAction,
+                stockCount: refund.stockCount,
+                bonusRestored: parseFloat(refund.bonusRestored || 0),
+                targetUser: refund.userId,
+                reason: reason || null
+            },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: `คืนเงิน ${refund.amount} บาท สำเร็จ`,
+            refund: {
+                orderId: refund.orderId,
+                transactionId: refund.transactionId,
+                amount: parseFloat(refund.amount),
+                refundedTotal: parseFloat(refund.refundedTotal),
+                status: refund.status,
+                stockAction: stockAction,
+                stockCount: refund.stockCount,
+                bonusRestored: parseFloat(refund.bonusRestored || 0)
+            },
+            newBalance: parseFloat(refund.newBalance)
+        });
+    } catch (error) {
+        console.error('Refund order error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Get all transactions (admin)
+app.get('/api/admin/transactions', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const { filters, error: filterError } = parseTransactionFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ success: false, error: filterError });
+        }
+
+        const { rows, nextCursor } = await queryTransactions(filters, limit);
+
+        res.json({
+            success: true,
+            transactions: rows,
+            nextCursor: nextCursor,
+            hasMore: nextCursor !== null
+        });
+    } catch (error) {
+        console.error('Transactions error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Export ธุรกรรมทั้งหมดเป็น CSV (สำหรับทำบัญชี)
+app.get('/api/admin/transactions/export', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { filters, error: filterError } = parseTransactionFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ success: false, error: filterError });
+        }
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.EXPORT,
+            resourceType: ResourceTypes.TRANSACTION,
+            newValue: { filters: req.query },
+            req
+        });
+
+        await streamTransactionsCsv(res, filters, `admin-transactions-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+        console.error('Export transactions error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin Top-up Bonus Tiers (โบนัสเติมเงินตามขั้นยอด)
+// =============================================
+
+const BONUS_TIER_METHODS = ['qr_promptpay', 'truemoney_angpao', 'bank_transfer'];
+
+// ตรวจสอบและแปลง body เป็น row ของ topup_bonus_tiers
+function parseBonusTier(body) {
+    // วันที่ผิดรูปแบบ: new Date() ได้ Invalid Date แล้ว toISOString() จะ throw
+    const startsAt = body.startsAt ? new Date(body.startsAt) : null;
+    const endsAt = body.endsAt ? new Date(body.endsAt) : null;
+    if (startsAt && isNaN(startsAt.getTime())) return { error: 'วันเริ่มไม่ถูกต้อง' };
+    if (endsAt && isNaN(endsAt.getTime())) return { error: 'วันสิ้นสุดไม่ถูกต้อง' };
+
+    const tier = {
+        name: (body.name || '').trim(),
+        method: body.method || null,
+        min_amount: parseFloat(body.minAmount),
+        bonus_percent: parseFloat(body.bonusPercent),
+        max_bonus: body.maxBonus ? parseFloat(body.maxBonus) : null,
+        bonus_expires_days: body.bonusExpiresDays ? parseInt(body.bonusExpiresDays) : null,
+        starts_at: startsAt ? startsAt.toISOString() : null,
+        ends_at: endsAt ? endsAt.toISOString() : null,
+        is_active: body.isActive !== false
+    };
+
+    if (!tier.name) return { error: 'กรุณาระบุชื่อ tier' };
+    if (tier.method && !BONUS_TIER_METHODS.includes(tier.method)) {
+        return { error: `method ต้องเป็นหนึ่งใน: ${BONUS_TIER_METHODS.join(', ')}` };
+    }
+    if (isNaN(tier.min_amount) || tier.min_amount <= 0) return { error: 'ยอดเติมขั้นต่ำไม่ถูกต้อง' };
+    if (isNaN(tier.bonus_percent) || tier.bonus_percent <= 0 || tier.bonus_percent > 100) {
+        return { error: 'เปอร์เซ็นต์โบนัสต้องอยู่ระหว่าง 0-100' };
+    }
+    if (tier.max_bonus !== null && (isNaN(tier.max_bonus) || tier.max_bonus <= 0)) return { error: 'โบนัสสูงสุดไม่ถูกต้อง' };
+    if (tier.bonus_expires_days !== null && (isNaN(tier.bonus_expires_days) || tier.bonus_expires_days < 1)) {
+        return { error: 'จำนวนวันหมดอายุไม่ถูกต้อง' };
+    }
+    if (tier.starts_at && tier.ends_at && tier.ends_at <= tier.starts_at) {
+        return { error: 'วันสิ้นสุดต้องหลังวันเริ่ม' };
+    }
+
+    return { tier };
+}
+
+// ดึง bonus tiers ทั้งหมด
+app.get('/api/admin/topup-bonus-tiers', requireAdmin, async (req, res) => {
+    try {
+        const { data: tiers, error } = await supabaseAdmin
+            .from('topup_bonus_tiers')
+            .select('*')
+            .order('min_amount', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ success: true, tiers: tiers || [] });
+    } catch (error) {
+        console.error('Get bonus tiers error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// สร้าง bonus tier
+app.post('/api/admin/topup-bonus-tiers', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { tier, error: parseError } = parseBonusTier(req.body);
+        if (parseError) {
+            return res.status(400).json({ success: false, error: parseError });
+        }
+
+        const { data: created, error } = await supabaseAdmin
+            .from('topup_bonus_tiers')
+            .insert({ ...tier, created_by: req.session.user.id })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.CREATE,
+            resourceType: ResourceTypes.BONUS_TIER,
+            resourceId: created.id,
+            newValue: created,
+            req
+        });
+
+        res.json({ success: true, tier: created });
+    } catch (error) {
+        console.error('Create bonus tier error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// แก้ไข bonus tier
+app.put('/api/admin/topup-bonus-tiers/:id', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { tier, error: parseError } = parseBonusTier(req.body);
+        if (parseError) {
+            return res.status(400).json({ success: false, error: parseError });
+        }
+
+        const { data: oldTier } = await supabaseAdmin
+            .from('topup_bonus_tiers')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (!oldTier) {
+            return res.status(404).json({ success: false, error: 'ไม่พบ tier' });
+        }
+
+        const { data: updated, error } = await supabaseAdmin
+            .from('topup_bonus_tiers')
+            .update({ ...tier, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.BONUS_TIER,
+            resourceId: updated.id,
+            oldValue: oldTier,
+            newValue: updated,
+            req
+        });
+
+        res.json({ success: true, tier: updated });
+    } catch (error) {
+        console.error('Update bonus tier error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ลบ bonus tier
+app.delete('/api/admin/topup-bonus-tiers/:id', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabaseAdmin
+            .from('topup_bonus_tiers')
+            .delete()
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'ไม่พบ tier' });
+        }
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.DELETE,
+            resourceType: ResourceTypes.BONUS_TIER,
+            resourceId: deleted.id,
+            oldValue: deleted,
+            req
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete bonus tier error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin Bonus Grants (ให้เครดิตโบนัสโปรโมชั่น)
+// =============================================
+
+// ให้โบนัส user (คืนเงิน/โอนไม่ได้, หมดอายุตาม expiresInDays)
+app.post('/api/admin/bonus', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { userId, note } = req.body;
+        const amount = parseFloat(req.body.amount);
+        const expiresInDays = req.body.expiresInDays ? parseInt(req.body.expiresInDays) : null;
+
+        if (!userId || isNaN(amount) || amount <= 0) {
+            return res.status(400).json({ success: false, error: 'ข้อมูลไม่ถูกต้อง' });
+        }
+
+        if (expiresInDays !== null && (isNaN(expiresInDays) || expiresInDays < 1)) {
+            return res.status(400).json({ success: false, error: 'จำนวนวันหมดอายุไม่ถูกต้อง' });
+        }
+
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            : null;
+
+        const { data, error } = await supabaseAdmin.rpc('grant_bonus', {
+            p_user_id: userId,
+            p_amount: amount,
+            p_source: 'admin',
+            p_expires_at: expiresAt,
+            p_details: { note: note || null, grantedBy: req.session.user.id }
+        });
+
+        if (error) throw error;
+
+        const result = typeof data === 'string' ? JSON.parse(data) : data;
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.BONUS_GRANT,
+            resourceType: ResourceTypes.WALLET,
+            resourceId: userId,
+            newValue: {
+                grantId: result.grantId,
+                amount: amount,
+                expiresAt: expiresAt,
+                note: note,
+                bonusBalance: parseFloat(result.bonusBalance)
+            },
+            req
+        });
+
+        res.json({
+            success: true,
+            grantId: result.grantId,
+            expiresAt: expiresAt,
+            bonusBalance: parseFloat(result.bonusBalance)
+        });
+    } catch (error) {
+        console.error('Grant bonus error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin Balance Adjustments (เพิ่ม/หักยอด พร้อม reason code)
+// =============================================
+
+const ADJUSTMENT_REASON_CODES = ['correction', 'chargeback', 'compensation', 'promo', 'manual_topup', 'other'];
+
+// ยอดที่เกินค่านี้ต้องให้ Admin อีกคนยืนยัน
+const ADJUSTMENT_CONFIRM_THRESHOLD = parseFloat(process.env.ADJUSTMENT_CONFIRM_THRESHOLD) || 1000;
+
+// แปลง balance_adjustments row ให้ตรงกับ frontend
+function formatAdjustment(a) {
+    return {
+        id: a.adjustment_id,
+        userId: a.user_id,
+        direction: a.direction,
+        amount: parseFloat(a.amount),
+        reasonCode: a.reason_code,
+        note: a.note,
+        status: a.status,
+        requestedBy: a.requested_by,
+        confirmedBy: a.confirmed_by,
+        transactionId: a.transaction_id,
+        oldBalance: a.old_balance !== null ? parseFloat(a.old_balance) : null,
+        newBalance: a.new_balance !== null ? parseFloat(a.new_balance) : null,
+        createdAt: a.created_at,
+        decidedAt: a.decided_at
+    };
+}
+
+// ปรับยอดเงินจริง + เปลี่ยนสถานะเป็น applied (Atomic - lock adjustment ที่ยัง pending)
+async function applyAdjustment(adjustment, req, confirmedBy = null) {
+    const { data, error } = await supabaseAdmin.rpc('apply_balance_adjustment', {
+        p_adjustment_id: adjustment.adjustment_id,
+        p_confirmed_by: confirmedBy
+    });
+
+    if (error) {
+        const message = error.message || '';
+        const code = message.startsWith('ADJUSTMENT_NOT_PENDING')
+            ? 'ADJUSTMENT_NOT_PENDING'
+            : parseWalletError(error);
+        const applyError = new Error(message);
+        applyError.code = code;
+
+        // ยอดเงินไม่พอ / ไม่มี wallet: ปิดรายการเป็น failed (ยอดเงินไม่ถูกเปลี่ยน)
+        if (code === 'INSUFFICIENT_BALANCE' || code === 'WALLET_NOT_FOUND') {
+            await supabaseAdmin
+                .from('balance_adjustments')
+                .update({
+                    status: 'failed',
+                    confirmed_by: confirmedBy,
+                    decided_at: new Date().toISOString()
+                })
+                .eq('adjustment_id', adjustment.adjustment_id)
+                .eq('status', 'pending');
+        }
+        throw code ? applyError : error;
+    }
+
+    const updated = typeof data === 'string' ? JSON.parse(data) : data;
+    invalidateBalanceCache(updated.user_id);
+
+    const amount = parseFloat(updated.amount);
+    const oldBalance = parseFloat(updated.old_balance);
+    const newBalance = parseFloat(updated.new_balance);
+
+    // Audit log
+    logAudit({
+        userId: req.session.user.id,
+        username: req.session.user.username,
+        action: AuditActions.ADJUSTMENT,
+        resourceType: ResourceTypes.WALLET,
+        resourceId: updated.user_id,
+        oldValue: { balance: oldBalance },
+        newValue: {
+            balance: newBalance,
+            adjustmentId: updated.adjustment_id,
+            direction: updated.direction,
+            amount: amount,
+            reasonCode: updated.reason_code,
+            note: updated.note,
+            requestedBy: updated.requested_by,
+            confirmedBy: updated.confirmed_by
+        },
+        req
+    });
+
+    return updated;
+}
+
+// สร้าง adjustment (ยอดไม่เกิน threshold จะปรับทันที)
+async function createAdjustment(req, res, { userId, direction, amount, reasonCode, note }) {
+    amount = parseFloat(amount);
+
+    if (!userId || isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, error: 'ข้อมูลไม่ถูกต้อง' });
+    }
+
+    if (!['credit', 'debit'].includes(direction)) {
+        return res.status(400).json({ success: false, error: 'direction ต้องเป็น credit หรือ debit' });
+    }
+
+    if (!ADJUSTMENT_REASON_CODES.includes(reasonCode)) {
+        return res.status(400).json({
+            success: false,
+            error: `reasonCode ต้องเป็นหนึ่งใน: ${ADJUSTMENT_REASON_CODES.join(', ')}`
+        });
+    }
+
+    const adminId = req.session.user.id;
+    const needsConfirm = amount > ADJUSTMENT_CONFIRM_THRESHOLD;
+
+    const { data: adjustment, error } = await supabaseAdmin
+        .from('balance_adjustments')
+        .insert({
+            adjustment_id: `ADJ${Date.now()}`,
+            user_id: userId,
+            direction: direction,
+            amount: amount,
+            reason_code: reasonCode,
+            note: note || null,
+            status: 'pending', // ยอดไม่เกิน threshold จะเป็น applied เมื่อปรับยอดสำเร็จใน applyAdjustment
+            requested_by: adminId
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    if (needsConfirm) {
+        return res.status(202).json({
+            success: true,
+            pending: true,
+            message: `ยอดเกิน ${ADJUSTMENT_CONFIRM_THRESHOLD} บาท ต้องให้ Admin อีกคนยืนยัน`,
+            adjustment: formatAdjustment(adjustment)
+        });
+    }
+
+    try {
+        const applied = await applyAdjustment(adjustment, req);
+        return res.json({
+            success: true,
+            adjustment: formatAdjustment(applied),
+            newBalance: parseFloat(applied.new_balance)
+        });
+    } catch (applyError) {
+        if (applyError.code === 'ADJUSTMENT_NOT_PENDING') {
+            return res.status(409).json({ success: false, error: 'รายการนี้ถูกดำเนินการแล้ว' });
+        }
+        if (applyError.code === 'INSUFFICIENT_BALANCE' || applyError.code === 'WALLET_NOT_FOUND') {
+            return res.status(400).json({ success: false, error: 'ยอดเงินของผู้ใช้ไม่พอสำหรับการหัก' });
+        }
+        throw applyError;
+    }
+}
+
+// ปรับยอดเงิน (credit/debit + reason code)
+app.post('/api/admin/adjustments', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { userId, direction, amount, reasonCode, note } = req.body;
+        await createAdjustment(req, res, { userId, direction, amount, reasonCode, note });
+    } catch (error) {
+        console.error('Create adjustment error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// Admin topup (เติมเงินให้ user โดยตรง) - ใช้ระบบ adjustment เดียวกัน
+app.post('/api/admin/topup', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { userId, amount, note, reasonCode } = req.body;
+        await createAdjustment(req, res, {
+            userId,
+            direction: 'credit',
+            amount,
+            reasonCode: reasonCode || 'manual_topup',
+            note: note || 'Admin topup'
+        });
+    } catch (error) {
+        console.error('Admin topup error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ดึงรายการ adjustments
+app.get('/api/admin/adjustments', requireAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+
+        let query = supabaseAdmin
+            .from('balance_adjustments')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (status !== 'all') {
+            query = query.eq('status', status);
+        }
+
+        const { data: adjustments, error } = await query.limit(100);
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            threshold: ADJUSTMENT_CONFIRM_THRESHOLD,
+            reasonCodes: ADJUSTMENT_REASON_CODES,
+            adjustments: (adjustments || []).map(formatAdjustment)
+        });
+    } catch (error) {
+        console.error('Get adjustments error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ยืนยัน adjustment ที่รออยู่ (ต้องเป็น Admin คนละคนกับที่สร้าง)
+app.post('/api/admin/adjustments/:adjustmentId/confirm', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { adjustmentId } = req.params;
+        const adminId = req.session.user.id;
+
+        const { data: pending } = await supabaseAdmin
+            .from('balance_adjustments')
+            .select('*')
+            .eq('adjustment_id', adjustmentId)
+            .eq('status', 'pending')
+            .maybeSingle();
+
+        if (!pending) {
+            return res.status(404).json({ success: false, error: 'ไม่พบรายการหรือถูกดำเนินการแล้ว' });
+        }
+
+        if (pending.requested_by === adminId) {
+            return res.status(403).json({ success: false, error: 'ต้องให้ Admin คนอื่นเป็นผู้ยืนยัน' });
+        }
+
+        // ปรับยอด + เปลี่ยนเป็น applied ใน RPC เดียว (lock รายการ กันยืนยันซ้ำพร้อมกัน)
+        try {
+            const applied = await applyAdjustment(pending, req, adminId);
+            res.json({
+                success: true,
+                adjustment: formatAdjustment(applied),
+                newBalance: parseFloat(applied.new_balance)
+            });
+        } catch (applyError) {
+            if (applyError.code === 'ADJUSTMENT_NOT_PENDING') {
+                return res.status(409).json({ success: false, error: 'รายการนี้ถูกดำเนินการแล้ว' });
+            }
+            if (applyError.code === 'INSUFFICIENT_BALANCE' || applyError.code === 'WALLET_NOT_FOUND') {
+                return res.status(400).json({ success: false, error: 'ยอดเงินของผู้ใช้ไม่พอสำหรับการหัก' });
+            }
+            throw applyError;
+        }
+    } catch (error) {
+        console.error('Confirm adjustment error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ปฏิเสธ adjustment ที่รออยู่
+app.post('/api/admin/adjustments/:adjustmentId/reject', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { adjustmentId } = req.params;
+
+        const { data: rejected, error } = await supabaseAdmin
+            .from('balance_adjustments')
+            .update({
+                status: 'rejected',
+                confirmed_by: req.session.user.id,
+                decided_at: new Date().toISOString()
+            })
+            .eq('adjustment_id', adjustmentId)
+            .eq('status', 'pending')
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!rejected) {
+            return res.status(404).json({ success: false, error: 'ไม่พบรายการหรือถูกดำเนินการแล้ว' });
+        }
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.STATUS_CHANGE,
+            resourceType: ResourceTypes.WALLET,
+            resourceId: rejected.user_id,
+            oldValue: { adjustmentId, status: 'pending' },
+            newValue: { adjustmentId, status: 'rejected' },
+            req
+        });
+
+        res.json({ success: true, adjustment: formatAdjustment(rejected) });
+    } catch (error) {
+        console.error('Reject adjustment error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin Angpao Auto-Redeem
+// =============================================
+
+// รัน worker รับซองอั่งเปา 1 รอบทันที (ไม่ต้องรอ interval)
+app.post('/api/admin/angpao-worker/run', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        if (!angpaoWorker.isAutoRedeemEnabled()) {
+            return res.status(400).json({ success: false, error: 'ระบบรับซองอั่งเปาอัตโนมัติยังไม่เปิดใช้งาน' });
+        }
+
+        const summary = await angpaoWorker.runAngpaoWorker();
+        res.json({ success: true, summary });
+    } catch (error) {
+        console.error('Angpao worker run error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin Wallet Reconciliation
+// =============================================
+
+// ดูรายงาน wallet ที่ยอดไม่ตรงกับ transactions (?cached=true ใช้รายงานล่าสุด)
+app.get('/api/admin/wallet-reconciliation', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const cached = req.query.cached === 'true' ? walletReconciler.getLastReport() : null;
+        const report = cached || await walletReconciler.runReconciliation({
+            notify: req.query.notify === 'true'
+        });
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Wallet reconciliation error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// แก้ยอด wallet ให้ตรงกับ ledger (ต้องยืนยันด้วยยอดเดิมที่เห็นในรายงาน)
+app.post('/api/admin/wallet-reconciliation/:userId/fix', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { confirm, expectedBalance } = req.body;
+
+        if (confirm !== true || expectedBalance === undefined || isNaN(expectedBalance)) {
+            return res.status(400).json({
+                success: false,
+                error: 'กรุณายืนยันการแก้ยอด (confirm: true, expectedBalance)'
+            });
+        }
+
+        let result;
+        try {
+            result = await walletReconciler.fixWalletDrift(userId, parseFloat(expectedBalance));
+        } catch (error) {
+            const errorMsg = error.message || '';
+            if (errorMsg.includes('STALE_REPORT')) {
+                return res.status(409).json({ success: false, error: 'ยอดเงินเปลี่ยนไปแล้ว กรุณาโหลดรายงานใหม่' });
+            }
+            if (errorMsg.includes('WALLET_NOT_FOUND')) {
+                return res.status(404).json({ success: false, error: 'ไม่พบ Wallet' });
+            }
+            throw error;
+        }
+
+        invalidateBalanceCache(userId);
+
+        // Audit log
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.WALLET,
+            resourceId: userId,
+            oldValue: { balance: result.oldBalance },
+            newValue: { balance: result.newBalance, drift: result.drift, reason: 'reconciliation' },
+            req
+        });
+
+        res.json({ success: true, result });
+    } catch (error) {
+        console.error('Fix wallet drift error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// =============================================
+// Admin Topup Requests Management
+// =============================================
+
+// ดึง Topup Requests ทั้งหมด
+// filters: status, method, userId, minAmount, maxAmount, minAgeMinutes (ค้างมาแล้วอย่างน้อย), maxAgeMinutes, limit
+app.get('/api/admin/topup-requests', requireAdmin, async (req, res) => {
+    try {
+        const status = req.query.status; // pending, approved, rejected, cancelled, expired, all
+        const method = req.query.method; // angpao, promptpay, truemoney, bank_transfer
+        const { userId, minAmount, maxAmount, minAgeMinutes, maxAgeMinutes } = req.query;
+        
+        let query = supabaseAdmin
+            .from('topup_requests')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (status && status !== 'all') {
+            query = query.in('status', String(status).split(','));
+        }
+        
+        if (method) {
+            query = query.in('method', String(method).split(','));
+        }
+
+        if (userId) {
+            query = query.eq('user_id', String(userId).trim());
+        }
+
+        // เฉพาะคำขอที่ถูกพักไว้จากคะแนนความเสี่ยง
+        if (req.query.held === 'true') {
+            query = query.eq('fraud_hold', true);
+        }
+
+        if (minAmount && !isNaN(minAmount)) {
+            query = query.gte('amount', parseFloat(minAmount));
+        }
+
+        if (maxAmount && !isNaN(maxAmount)) {
+            query = query.lte('amount', parseFloat(maxAmount));
+        }
+
+        // อายุคำขอ (นาทีนับจากสร้าง)
+        if (minAgeMinutes && !isNaN(minAgeMinutes)) {
+            query = query.lte('created_at', new Date(Date.now() - parseFloat(minAgeMinutes) * 60 * 1000).toISOString());
+        }
+
+        if (maxAgeMinutes && !isNaN(maxAgeMinutes)) {
+            query = query.gte('created_at', new Date(Date.now() - parseFloat(maxAgeMinutes) * 60 * 1000).toISOString());
+        }
+
+        const { data: requests, error } = await query.limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+        if (error) throw error;
+
+        // ดึงข้อมูล user มาด้วย
+        const userIds = [...new Set(requests?.map(r => r.user_id) || [])];
+        const { data: users } = await supabaseAdmin
+            .from('users')
+            .select('discord_id, username, avatar')
+            .in('discord_id', userIds);
+
+        const userMap = {};
+        users?.forEach(u => { userMap[u.discord_id] = u; });
+
+        // Slip ที่อัพโหลดแนบกับคำขอ (มีผลตรวจซ้ำ/คล้าย)
+        const slipMap = await getSlipsForRequests((requests || []).map(r => r.request_id));
+
+        const requestsWithUser = (requests || []).map(r => ({
+            id: r.request_id,
+            userId: r.user_id,
+            user: userMap[r.user_id] || null,
+            amount: parseFloat(r.amount),
+            expectedAmount: r.expected_amount ? parseFloat(r.expected_amount) : null,
+            matchedDepositId: r.matched_deposit_id,
+            method: r.method,
+            slipUrl: r.slip_url,
+            slip: slipMap[r.request_id] || null,
+            status: r.status,
+            autoStatus: r.auto_status,
+            autoAttempts: r.auto_attempts || 0,
+            autoError: r.auto_error,
+            fraudScore: r.fraud_score,
+            fraudSignals: r.fraud_signals || [],
+            fraudHold: !!r.fraud_hold,
+            adminNote: r.admin_note,
+            reviewedBy: r.reviewed_by,
+            reviewedAt: r.reviewed_at,
+            createdAt: r.created_at
+        }));
+
+        res.json({ success: true, requests: requestsWithUser });
+    } catch (error) {
+        console.error('Get topup requests error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// อนุมัติคำขอเติมเงิน 1 รายการ (ใช้ทั้งแบบทีละรายการและแบบหลายรายการ)
+// bulk = true: ข้ามคำขอที่ยังไม่มียอดที่ยืนยันแล้ว (ซองอั่งเปาที่ยังไม่ได้รับ / ถูกพักตรวจ) ต้องอนุมัติทีละรายการพร้อมระบุยอด
+// @returns {Promise<{ result?: Object, error?: string, status?: number }>}
+async function approveTopupRequest({ requestId, adminId, note = null, amount: overrideAmount = null, bulk = false }) {
+    // ดึงข้อมูล request
+    const { data: request, error: fetchError } = await supabaseAdmin
+        .from('topup_requests')
+        .select('*')
+        .eq('request_id', requestId)
+        .eq('status', 'pending')
+        .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!request) {
+        return { error: 'ไม่พบคำขอหรือถูกดำเนินการแล้ว', status: 404 };
+    }
+
+    if (bulk && request.fraud_hold) {
+        return { error: 'คำขอถูกพักไว้ตรวจสอบ กรุณาอนุมัติทีละรายการ', status: 400 };
+    }
+
+    // ยอดของซองอั่งเปาที่ยังไม่ได้รับเป็นยอดที่ user กรอกเอง
+    if (bulk && request.method === 'truemoney' && !request.provider_transaction_id) {
+        return { error: 'ซองอั่งเปายังไม่ได้รับ กรุณาอนุมัติทีละรายการพร้อมระบุยอด', status: 400 };
+    }
+
+    const userId = request.user_id;
+    // สำหรับ angpao ใช้ amount ที่ Admin ระบุ, อื่นๆ ใช้จาก request (ยอดรวมเศษสตางค์ถ้ามี)
+    const amount = overrideAmount ? parseFloat(overrideAmount) : parseFloat(request.expected_amount || request.amount);
+
+    if (!amount || amount <= 0) {
+        return { error: 'กรุณาระบุจำนวนเงิน', status: 400 };
+    }
+
+    // อนุมัติคำขอ + เติมเงินให้ user + บันทึก Transaction (Atomic - lock คำขอ กัน approve ซ้ำ)
+    const { data: approved, error: approveError } = await supabaseAdmin.rpc('approve_topup_request', {
+        p_request_id: requestId,
+        p_amount: amount,
+        p_admin_id: adminId,
+        p_note: note || null
+    });
+
+    if (approveError) {
+        if ((approveError.message || '').startsWith('REQUEST_NOT_PENDING')) {
+            return { error: 'คำขอนี้ถูกดำเนินการแล้ว', status: 409 };
+        }
+        const code = parseWalletError(approveError);
+        if (code) {
+            const walletError = new Error(approveError.message);
+            walletError.code = code;
+            throw walletError;
+        }
+        throw approveError;
+    }
+
+    const credited = typeof approved === 'string' ? JSON.parse(approved) : approved;
+    invalidateBalanceCache(userId);
+
+    const newBalance = parseFloat(credited.newBalance);
+    const transactionId = credited.transactionId;
+
+    // Send Discord notification (if angpao)
+    const isAngpao = request.slip_url?.includes('gift.truemoney.com');
+    if (isAngpao) {
+        // Admin รับซองเองแล้ว บันทึกไว้ไม่ให้ใช้ซองนี้เติมซ้ำ
+        // (ซองที่ provider รับไว้แล้วแต่ถูกพัก: ผูก transaction กับซองเดิม ไม่เขียนทับข้อมูล provider)
+        const { voucherHash } = validateVoucherFormat(request.slip_url);
+        if (voucherHash) {
+            const markVoucher = request.provider_transaction_id
+                ? linkVoucherTransaction(voucherHash, transactionId)
+                : markVoucherRedeemed({ voucherHash, userId, amount, transactionId, provider: 'manual' });
+            await markVoucher.catch(err => console.error('Mark voucher redeemed error:', err));
+        }
+        await notifyAngpaoResult({
+            requestId: requestId,
+            userId: userId
+        }, 'approved', amount);
+    }
+
+    // Slip ที่ถูกพักไว้: ปิด intent + ผูก Slip ที่จองไว้กับ transaction
+    if (request.payment_intent_id) {
+        await releaseHeldPaymentIntent(request, 'paid', transactionId);
+    }
+
+    const bonus = await applyTopupBonus(userId, amount, request.method, transactionId);
+
+    return {
+        result: {
+            request,
+            userId,
+            amount,
+            newBalance,
+            transactionId,
+            bonus
+        }
+    };
+}
+
+// ปิด payment intent ที่ถูกพักไว้ (fraud hold) หลัง Admin ตัดสิน
+async function releaseHeldPaymentIntent(request, status, transactionId = null) {
+    const update = { status };
+    if (status === 'paid') {
+        update.transaction_id = transactionId;
+        update.paid_at = new Date().toISOString();
+    } else {
+        update.cancelled_at = new Date().toISOString();
+    }
+
+    const { error: intentError } = await supabaseAdmin
+        .from('payment_intents')
+        .update(update)
+        .eq('intent_id', request.payment_intent_id)
+        .eq('status', 'held');
+
+    if (intentError) console.error('Release held payment intent error:', intentError);
+
+    if (transactionId && request.slip_ref) {
+        const { error: slipError } = await supabaseAdmin
+            .from('verified_slips')
+            .update({ transaction_id: transactionId })
+            .eq('trans_ref', request.slip_ref);
+
+        if (slipError) console.error('Link held slip transaction error:', slipError);
+    }
+}
+
+// ปฏิเสธคำขอเติมเงิน 1 รายการ
+// @returns {Promise<{ result?: Object, error?: string, status?: number }>}
+async function rejectTopupRequest({ requestId, adminId, note }) {
+    const { data: request, error: updateError } = await supabaseAdmin
+        .from('topup_requests')
+        .update({
+            status: 'rejected',
+            admin_note: note,
+            reviewed_by: adminId,
+            reviewed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', requestId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!request) {
+        return { error: 'ไม่พบคำขอหรือถูกดำเนินการแล้ว', status: 404 };
+    }
+
+    // Slip ที่ถูกพักไว้ยังถูกจองใน verified_slips ต่อ (ไม่ให้นำ Slip เดิมมาใช้ซ้ำ)
+    if (request.payment_intent_id) {
+        await releaseHeldPaymentIntent(request, 'cancelled');
+    }
+
+    // Send Discord notification (if angpao)
+    const isAngpaoReject = request.slip_url?.includes('gift.truemoney.com');
+    if (isAngpaoReject) {
+        await notifyAngpaoResult({
+            requestId: requestId,
+            userId: request.user_id,
+            adminNote: note
+        }, 'rejected');
+    }
+
+    return { result: { request } };
+}
+
+// บันทึก audit log ของการอนุมัติ/ปฏิเสธคำขอเติมเงิน
+function logTopupDecision(req, decision, result, { note = null, bulk = false } = {}) {
+    const { request } = result;
+    logAudit({
+        userId: req.session.user.id,
+        username: req.session.user.username,
+        action: decision === 'approved' ? AuditActions.TOPUP : AuditActions.STATUS_CHANGE,
+        resourceType: ResourceTypes.TOPUP_REQUEST,
+        resourceId: request.request_id,
+        oldValue: { status: 'pending', amount: parseFloat(request.amount), userId: request.user_id, method: request.method },
+        newValue: decision === 'approved'
+            ? { status: 'approved', amount: result.amount, transactionId: result.transactionId, note, bulk }
+            : { status: 'rejected', note, bulk },
+        req
+    });
+}
+
+// จำนวนคำขอสูงสุดต่อการทำแบบหลายรายการ
+const TOPUP_BULK_LIMIT = 100;
+
+// ตรวจรายการ requestIds ของ bulk action
+function parseBulkRequestIds(body) {
+    const requestIds = Array.isArray(body.requestIds)
+        ? [...new Set(body.requestIds.map(id => String(id).trim()).filter(Boolean))]
+        : [];
+
+    if (requestIds.length === 0 || requestIds.length > TOPUP_BULK_LIMIT) {
+        return { error: `จำนวนคำขอต้องอยู่ระหว่าง 1-${TOPUP_BULK_LIMIT}` };
+    }
+    return { requestIds };
+}
+
+// Approve Topup Request
+app.post('/api/admin/topup-requests/:requestId/approve', requireAdmin, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const adminId = req.session.user.id;
+        const { note, amount: bodyAmount } = req.body;
+
+        const { result, error, status } = await approveTopupRequest({ requestId, adminId, note, amount: bodyAmount });
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        logTopupDecision(req, 'approved', result, { note });
+
+        res.json({ 
+            success: true, 
+            message: `อนุมัติเติมเงิน ${result.amount} บาท ให้ ${result.userId} สำเร็จ`,
+            newBalance: result.newBalance,
+            bonus: result.bonus
+        });
+    } catch (error) {
+        console.error('Approve topup error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// =============================================
-// Admin API Routes
-// =============================================
+// Reject Topup Request
+app.post('/api/admin/topup-requests/:requestId/reject', requireAdmin, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const adminId = req.session.user.id;
+        const { note, reason } = req.body;
+        
+        const rejectReason = note || reason || 'ปฏิเสธโดย Admin';
 
-// Admin IDs (Discord IDs ที่มีสิทธิ์เข้าถึง Admin Panel)
-const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+        const { result, error, status } = await rejectTopupRequest({ requestId, adminId, note: rejectReason });
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
 
-// Middleware: Check if admin
-const requireAdmin = (req, res, next) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-    if (!ADMIN_IDS.includes(req.session.user.id)) {
-        return res.status(403).json({ error: 'Forbidden - Admin only' });
-    }
-    next();
-};
+        logTopupDecision(req, 'rejected', result, { note: rejectReason });
 
-// Check admin access
-app.get('/api/admin/check', (req, res) => {
-    if (!req.session.user) {
-        return res.json({ isAdmin: false });
+        res.json({ 
+            success: true, 
+            message: 'ปฏิเสธคำขอเติมเงินแล้ว'
+        });
+    } catch (error) {
+        console.error('Reject topup error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
-    const isAdmin = ADMIN_IDS.includes(req.session.user.id);
-    res.json({ 
-        isAdmin, 
-        user: isAdmin ? req.session.user : null 
-    });
 });
 
-// Test Discord webhook
-app.get('/api/admin/test-webhook', requireAdmin, async (req, res) => {
-    const result = await testWebhook();
-    res.json(result);
+// อนุมัติคำขอเติมเงินหลายรายการ (ใช้ยอดของแต่ละคำขอ + note เดียวกัน)
+app.post('/api/admin/topup-requests/bulk-approve', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const adminId = req.session.user.id;
+        const note = req.body.note ? String(req.body.note).trim() : null;
+
+        const { requestIds, error: idsError } = parseBulkRequestIds(req.body);
+        if (idsError) {
+            return res.status(400).json({ success: false, error: idsError });
+        }
+
+        const results = [];
+        for (const requestId of requestIds) {
+            try {
+                const { result, error } = await approveTopupRequest({ requestId, adminId, note, bulk: true });
+                if (error) {
+                    results.push({ requestId, success: false, error });
+                    continue;
+                }
+
+                logTopupDecision(req, 'approved', result, { note, bulk: true });
+                results.push({
+                    requestId,
+                    success: true,
+                    userId: result.userId,
+                    amount: result.amount,
+                    transactionId: result.transactionId,
+                    bonus: result.bonus
+                });
+            } catch (itemError) {
+                console.error(`Bulk approve topup error (${requestId}):`, itemError);
+                results.push({ requestId, success: false, error: 'เกิดข้อผิดพลาด' });
+            }
+        }
+
+        const approved = results.filter(r => r.success).length;
+        res.json({ success: true, approved, failed: results.length - approved, results });
+    } catch (error) {
+        console.error('Bulk approve topup error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
 });
 
-// เช็คยอด Credit Thunder API (Admin only)
-app.get('/api/thunder/balance', requireAdmin, async (req, res) => {
+// ปฏิเสธคำขอเติมเงินหลายรายการ (เหตุผลเดียวกัน)
+app.post('/api/admin/topup-requests/bulk-reject', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const thunderApi = require('./utils/thunderApi');
-        const result = await thunderApi.checkBalance();
-        res.json(result);
+        const adminId = req.session.user.id;
+        const note = (req.body.note ? String(req.body.note).trim() : '') || 'ปฏิเสธโดย Admin';
+
+        const { requestIds, error: idsError } = parseBulkRequestIds(req.body);
+        if (idsError) {
+            return res.status(400).json({ success: false, error: idsError });
+        }
+
+        const results = [];
+        for (const requestId of requestIds) {
+            try {
+                const { result, error } = await rejectTopupRequest({ requestId, adminId, note });
+                if (error) {
+                    results.push({ requestId, success: false, error });
+                    continue;
+                }
+
+                logTopupDecision(req, 'rejected', result, { note, bulk: true });
+                results.push({ requestId, success: true, userId: result.request.user_id });
+            } catch (itemError) {
+                console.error(`Bulk reject topup error (${requestId}):`, itemError);
+                results.push({ requestId, success: false, error: 'เกิดข้อผิดพลาด' });
+            }
+        }
+
+        const rejected = results.filter(r => r.success).length;
+        res.json({ success: true, rejected, failed: results.length - rejected, results });
     } catch (error) {
-        console.error('Check Thunder balance error:', error);
+        console.error('Bulk reject topup error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Get admin stats
-app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+// ดูอายุคำขอเติมเงินของแต่ละช่องทาง
+app.get('/api/admin/topup-request-ttls', requireAdmin, async (req, res) => {
     try {
-        // Count users
-        const { count: usersCount } = await supabaseAdmin
-            .from('users')
-            .select('*', { count: 'exact', head: true });
+        const ttls = await topupExpiry.getTopupRequestTtls();
+        res.json({ success: true, ttls, intervalMinutes: topupExpiry.TOPUP_EXPIRY_CONFIG.intervalMinutes });
+    } catch (error) {
+        console.error('Get topup request TTLs error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        // Total balance
-        const { data: wallets } = await supabaseAdmin
-            .from('wallets')
-            .select('balance');
-        const totalBalance = wallets?.reduce((sum, w) => sum + parseFloat(w.balance || 0), 0) || 0;
+// แก้อายุคำขอเติมเงินของช่องทาง (0 = ไม่หมดอายุ)
+app.put('/api/admin/topup-request-ttls/:method', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { method } = req.params;
+        const adminId = req.session.user.id;
 
-        // Count products
-        const { count: productsCount } = await supabaseAdmin
-            .from('products')
-            .select('*', { count: 'exact', head: true });
+        const ttls = await topupExpiry.getTopupRequestTtls();
+        const old = ttls.find(t => t.method === method) || null;
 
-        // Count orders
-        const { count: ordersCount } = await supabaseAdmin
-            .from('orders')
-            .select('*', { count: 'exact', head: true });
+        const { ttl, error } = await topupExpiry.updateTopupRequestTtl(method, req.body.ttlMinutes, adminId);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
-        res.json({
-            users: usersCount || 0,
-            totalBalance: totalBalance,
-            products: productsCount || 0,
-            orders: ordersCount || 0
+        logAudit({
+            userId: adminId,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: `topup_request_ttl:${method}`,
+            oldValue: old ? { ttlMinutes: old.ttlMinutes } : null,
+            newValue: { ttlMinutes: ttl.ttlMinutes },
+            req
         });
+
+        res.json({ success: true, ttl });
     } catch (error) {
-        console.error('Stats error:', error);
-        res.status(500).json({ error: 'เกิดข้อผิดพลาด' });
+        console.error('Update topup request TTL error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Get all users (admin)
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+// ดูวงเงินเติมเงิน (ต่อช่องทาง + ค่าเริ่มต้นต่อ user + เฉพาะ user)
+app.get('/api/admin/topup-limits', requireAdmin, async (req, res) => {
     try {
-        const { data: users } = await supabaseAdmin
-            .from('users')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const [{ settings, methods }, userLimits] = await Promise.all([
+            topupLimits.getTopupLimits(),
+            topupLimits.listUserLimits()
+        ]);
+        res.json({ success: true, settings, methods, userLimits });
+    } catch (error) {
+        console.error('Get topup limits error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        // Get balances
-        const { data: wallets } = await supabaseAdmin
-            .from('wallets')
-            .select('user_id, balance');
+// แก้วงเงินรายวัน/รายเดือนค่าเริ่มต้น (0 = ไม่จำกัด)
+app.put('/api/admin/topup-limits/settings', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const adminId = req.session.user.id;
+        const { settings: old } = await topupLimits.getTopupLimits();
 
-        const walletMap = {};
-        wallets?.forEach(w => { walletMap[w.user_id] = parseFloat(w.balance) || 0; });
+        const { settings, error } = await topupLimits.updateLimitSettings(req.body, adminId);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
-        const usersWithBalance = users?.map(u => ({
-            ...u,
-            balance: walletMap[u.discord_id] || 0
-        }));
+        logAudit({
+            userId: adminId,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: 'topup_limit_settings',
+            oldValue: { dailyLimit: old.dailyLimit, monthlyLimit: old.monthlyLimit },
+            newValue: { dailyLimit: settings.dailyLimit, monthlyLimit: settings.monthlyLimit },
+            req
+        });
 
-        res.json({ success: true, users: usersWithBalance || [] });
+        res.json({ success: true, settings });
     } catch (error) {
-        console.error('Users error:', error);
+        console.error('Update topup limit settings error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Get all products (admin) - เพิ่ม rate limiting
-app.get('/api/admin/products', requireAdmin, adminLimiter, async (req, res) => {
+// แก้วงเงินของช่องทาง (เปิด/ปิด, ขั้นต่ำ/สูงสุดต่อครั้ง, คำขอ pending สูงสุด)
+app.put('/api/admin/topup-limits/methods/:method', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const { data: products } = await supabaseAdmin
-            .from('products')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const { method } = req.params;
+        const adminId = req.session.user.id;
 
-        res.json({ success: true, products: products || [] });
+        const old = await topupLimits.getMethodLimit(method);
+
+        const { limit, error } = await topupLimits.updateMethodLimit(method, req.body, adminId);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        logAudit({
+            userId: adminId,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: `topup_limit:${method}`,
+            oldValue: old ? { enabled: old.enabled, minAmount: old.minAmount, maxAmount: old.maxAmount, maxPending: old.maxPending } : null,
+            newValue: { enabled: limit.enabled, minAmount: limit.minAmount, maxAmount: limit.maxAmount, maxPending: limit.maxPending },
+            req
+        });
+
+        res.json({ success: true, limit });
     } catch (error) {
-        console.error('Products error:', error);
+        console.error('Update topup method limit error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Add product (admin) - เพิ่ม validation และ rate limiting
-app.post('/api/admin/products', 
-    requireAdmin, 
-    adminLimiter, 
-    createProductValidation, 
-    validate, 
-    async (req, res) => {
+// ตั้งวงเงินเฉพาะ user (ค่าว่าง = ใช้ค่าเริ่มต้น)
+app.put('/api/admin/topup-limits/users/:userId', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const { product_id, name, description, category, price, original_price, stock, image } = req.body;
+        const { userId } = req.params;
+        const adminId = req.session.user.id;
 
-        // ตรวจสอบว่า product_id ซ้ำหรือไม่
-        const existing = await getProductById(product_id);
-        if (existing) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'รหัสสินค้านี้ถูกใช้แล้ว' 
-            });
+        const { userLimit, error } = await topupLimits.setUserLimit(userId, req.body, adminId);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
 
-        const { data, error } = await supabaseAdmin
-            .from('products')
-            .insert({
-                product_id,
-                name: name.trim(),
-                description: description?.trim() || '',
-                category: category.trim(),
-                price: parseFloat(price),
-                original_price: original_price ? parseFloat(original_price) : null,
-                image: image?.trim() || null,
-                stock: stock || 0,
-                is_active: true
-            })
-            .select()
-            .single();
+        logAudit({
+            userId: adminId,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: `topup_user_limit:${userLimit.userId}`,
+            newValue: { dailyLimit: userLimit.dailyLimit, monthlyLimit: userLimit.monthlyLimit, note: userLimit.note },
+            req
+        });
 
-        if (error) throw error;
+        res.json({ success: true, userLimit });
+    } catch (error) {
+        console.error('Set user topup limit error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        // Invalidate cache หลังเพิ่มสินค้า
-        invalidateProductsCache();
+// ลบวงเงินเฉพาะ user (กลับไปใช้ค่าเริ่มต้น)
+app.delete('/api/admin/topup-limits/users/:userId', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const removed = await topupLimits.deleteUserLimit(userId);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'ไม่พบวงเงินของ user นี้' });
+        }
 
-        // Audit log
         logAudit({
             userId: req.session.user.id,
             username: req.session.user.username,
-            action: AuditActions.CREATE,
-            resourceType: ResourceTypes.PRODUCT,
-            resourceId: product_id,
-            newValue: { name, category, price },
+            action: AuditActions.DELETE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: `topup_user_limit:${userId}`,
+            oldValue: { dailyLimit: removed.dailyLimit, monthlyLimit: removed.monthlyLimit, note: removed.note },
             req
         });
 
-        res.json({ success: true, product: data });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Add product error:', error);
-        const errorMsg = isDevelopment ? error.message : 'เกิดข้อผิดพลาด';
-        res.status(500).json({ success: false, error: errorMsg });
+        console.error('Delete user topup limit error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Update product (admin)
-app.put('/api/admin/products/:id', requireAdmin, async (req, res) => {
+// ดูกฎให้คะแนนความเสี่ยงการเติมเงิน
+app.get('/api/admin/fraud-rules', requireAdmin, async (req, res) => {
     try {
-        const { name, description, category, price, original_price, stock, is_active, image } = req.body;
+        const { settings, rules } = await fraudScoring.getFraudConfig();
+        res.json({ success: true, settings, rules, ruleParams: fraudScoring.FRAUD_RULE_PARAMS });
+    } catch (error) {
+        console.error('Get fraud rules error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        const { data, error } = await supabaseAdmin
-            .from('products')
-            .update({ 
-                name, 
-                description, 
-                category, 
-                price, 
-                original_price, 
-                stock, 
-                is_active,
-                image: image?.trim() || null
-            })
-            .eq('product_id', req.params.id)
-            .select()
-            .single();
+// แก้ค่าตั้งรวม (เปิด/ปิด + คะแนนที่พักคำขอ)
+app.put('/api/admin/fraud-settings', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const adminId = req.session.user.id;
+        const { settings: old } = await fraudScoring.getFraudConfig();
 
-        if (error) throw error;
+        const { settings, error } = await fraudScoring.updateFraudSettings(req.body, adminId);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
-        // Invalidate cache หลังแก้ไขสินค้า
-        invalidateProductsCache(req.params.id);
+        logAudit({
+            userId: adminId,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: 'topup_fraud_settings',
+            oldValue: { enabled: old.enabled, holdThreshold: old.holdThreshold },
+            newValue: { enabled: settings.enabled, holdThreshold: settings.holdThreshold },
+            req
+        });
 
-        res.json({ success: true, product: data });
+        res.json({ success: true, settings });
     } catch (error) {
-        console.error('Update product error:', error);
+        console.error('Update fraud settings error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Delete product (admin)
-app.delete('/api/admin/products/:id', requireAdmin, async (req, res) => {
+// แก้กฎ 1 ข้อ (เปิด/ปิด, คะแนน, params)
+app.put('/api/admin/fraud-rules/:ruleKey', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const productId = req.params.id;
-        
-        // Get product data before delete for audit
-        const existingProduct = await getProductById(productId);
-        
-        const { error } = await supabaseAdmin
-            .from('products')
-            .delete()
-            .eq('product_id', productId);
+        const { ruleKey } = req.params;
+        const adminId = req.session.user.id;
 
-        if (error) throw error;
+        const { rules } = await fraudScoring.getFraudConfig();
+        const old = rules.find(r => r.key === ruleKey) || null;
 
-        // Invalidate cache หลังลบสินค้า
-        invalidateProductsCache(productId);
+        const { rule, error } = await fraudScoring.updateFraudRule(ruleKey, req.body, adminId);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
-        // Audit log
         logAudit({
-            userId: req.session.user.id,
+            userId: adminId,
             username: req.session.user.username,
-            action: AuditActions.DELETE,
-            resourceType: ResourceTypes.PRODUCT,
-            resourceId: productId,
-            oldValue: existingProduct ? { name: existingProduct.name, price: existingProduct.price } : null,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.SETTING,
+            resourceId: `topup_fraud_rule:${ruleKey}`,
+            oldValue: old ? { enabled: old.enabled, weight: old.weight, params: old.params } : null,
+            newValue: { enabled: rule.enabled, weight: rule.weight, params: rule.params },
             req
         });
 
-        res.json({ success: true });
+        res.json({ success: true, rule });
     } catch (error) {
-        console.error('Delete product error:', error);
+        console.error('Update fraud rule error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Get all orders (admin)
-app.get('/api/admin/orders', requireAdmin, async (req, res) => {
+// เปลี่ยนคำขอที่หมดอายุเป็น expired ทันที (ไม่ต้องรอ scheduled job)
+app.post('/api/admin/topup-requests/expire', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const { data: orders } = await supabaseAdmin
-            .from('orders')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const result = await topupExpiry.runTopupExpiry();
+
+        if (result.expiredCount > 0) {
+            logAudit({
+                userId: req.session.user.id,
+                username: req.session.user.username,
+                action: AuditActions.STATUS_CHANGE,
+                resourceType: ResourceTypes.TOPUP_REQUEST,
+                resourceId: 'expiry_sweep',
+                newValue: { status: 'expired', requestIds: result.items.map(i => i.requestId) },
+                req
+            });
+        }
 
-        res.json({ success: true, orders: orders || [] });
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Orders error:', error);
+        console.error('Expire topup requests error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Get all transactions (admin)
-app.get('/api/admin/transactions', requireAdmin, async (req, res) => {
-    try {
-        const limit = parseInt(req.query.limit) || 50;
-        
-        const { data: transactions } = await supabaseAdmin
-            .from('transactions')
-            .select('*')
-            .order('created_at', { ascending: false })
-            .limit(limit);
+// =============================================
+// Admin Provider Webhooks
+// =============================================
 
-        res.json({ success: true, transactions: transactions || [] });
+// ดู webhook event (?status=failed ค่าเริ่มต้น)
+app.get('/api/admin/webhook-events', requireAdmin, async (req, res) => {
+    try {
+        const statuses = req.query.status ? String(req.query.status).split(',') : ['failed'];
+        const events = await listWebhookEvents(statuses, Math.min(parseInt(req.query.limit) || 100, 500));
+        res.json({ success: true, events });
     } catch (error) {
-        console.error('Transactions error:', error);
+        console.error('Get webhook events error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Admin topup (เติมเงินให้ user โดยตรง)
-app.post('/api/admin/topup', requireAdmin, async (req, res) => {
+// ประมวลผล webhook event ที่ล้มเหลวใหม่
+app.post('/api/admin/webhook-events/:eventId/replay', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const { userId, amount, note } = req.body;
+        const { eventId } = req.params;
+        const event = await processWebhookEvent(eventId, { onCredited: webhookCreditHandler });
 
-        if (!userId || !amount || amount <= 0) {
-            return res.status(400).json({ success: false, error: 'ข้อมูลไม่ถูกต้อง' });
+        if (!event) {
+            return res.status(409).json({ success: false, error: 'event นี้ถูกประมวลผลแล้วหรือกำลังประมวลผลอยู่' });
         }
 
-        // Get or create wallet
-        await getOrCreateWallet(userId);
-
-        // Update balance
-        const currentBalance = await getUserBalance(userId);
-        const newBalance = currentBalance + parseFloat(amount);
-        await updateUserBalance(userId, newBalance);
-
-        // Add transaction
-        await addTransaction(userId, 'topup', parseFloat(amount), {
-            method: 'admin',
-            note: note || 'Admin topup',
-            adminId: req.session.user.id
-        });
-
-        // Audit log
         logAudit({
             userId: req.session.user.id,
             username: req.session.user.username,
-            action: AuditActions.TOPUP,
-            resourceType: ResourceTypes.WALLET,
-            resourceId: userId,
-            newValue: { amount: parseFloat(amount), note, targetUser: userId },
+            action: AuditActions.REPLAY,
+            resourceType: ResourceTypes.WEBHOOK_EVENT,
+            resourceId: eventId,
+            newValue: { status: event.status, error: event.error, result: event.result },
             req
         });
 
-        res.json({ success: true, newBalance });
+        res.json({ success: event.status !== 'failed', event, error: event.error || undefined });
     } catch (error) {
-        console.error('Admin topup error:', error);
+        console.error('Replay webhook event error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
 // =============================================
-// Admin Topup Requests Management
+// Admin Bank Deposits (จับคู่ยอดเงินเข้ากับคำขอเติมเงิน)
 // =============================================
 
-// ดึง Topup Requests ทั้งหมด
-app.get('/api/admin/topup-requests', requireAdmin, async (req, res) => {
+// ให้โบนัสเติมเงินหลังจับคู่ยอดเงินเข้าสำเร็จ
+async function finishMatchedDeposit(result) {
+    const bonus = await applyTopupBonus(result.userId, parseFloat(result.amount), result.method, result.transactionId);
+    console.log(`✅ Bank deposit ${result.depositId} → ${result.requestId} (${result.amount} บาท ให้ ${result.userId})`);
+    return {
+        depositId: result.depositId,
+        requestId: result.requestId,
+        userId: result.userId,
+        amount: parseFloat(result.amount),
+        transactionId: result.transactionId,
+        newBalance: parseFloat(result.newBalance),
+        bonus: bonus
+    };
+}
+
+// บันทึกยอดเงินเข้าจาก bank statement feed (จับคู่อัตโนมัติ)
+app.post('/api/admin/bank-deposits', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const status = req.query.status; // pending, approved, rejected, all
-        const method = req.query.method; // angpao, promptpay, truemoney, bank_transfer
-        
-        let query = supabaseAdmin
-            .from('topup_requests')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const deposits = Array.isArray(req.body.deposits) ? req.body.deposits : [req.body];
 
-        if (status && status !== 'all') {
-            query = query.eq('status', status);
+        if (deposits.length === 0 || deposits.length > 500) {
+            return res.status(400).json({ success: false, error: 'จำนวนรายการต้องอยู่ระหว่าง 1-500' });
         }
-        
-        if (method) {
-            query = query.eq('method', method);
+
+        const summary = { matched: [], unmatched: [], ambiguous: [], duplicate: [], invalid: [], failed: [] };
+
+        for (const [index, input] of deposits.entries()) {
+            const { deposit, error } = parseDeposit(input);
+            if (error) {
+                summary.invalid.push({ index, error });
+                continue;
+            }
+
+            // รายการที่ error ไม่หยุดทั้ง batch (รายการก่อนหน้าเติมเงินไปแล้ว) ส่งรายการนั้นซ้ำได้ภายหลัง
+            let result;
+            try {
+                result = await recordBankDeposit(deposit, 'feed');
+            } catch (recordError) {
+                console.error(`Record bank deposit #${index} error:`, recordError);
+                summary.failed.push({ index, amount: deposit.amount, error: recordError.code || 'RECORD_FAILED' });
+                continue;
+            }
+
+            if (result.duplicate) {
+                summary.duplicate.push({ index, depositId: result.depositId });
+            } else if (result.matched) {
+                summary.matched.push(await finishMatchedDeposit(result));
+            } else {
+                summary[result.status].push({ index, depositId: result.depositId, amount: deposit.amount, candidates: result.candidates });
+            }
         }
 
-        const { data: requests, error } = await query.limit(100);
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.CREATE,
+            resourceType: ResourceTypes.BANK_DEPOSIT,
+            newValue: {
+                total: deposits.length,
+                matched: summary.matched.length,
+                unmatched: summary.unmatched.length,
+                ambiguous: summary.ambiguous.length,
+                duplicate: summary.duplicate.length,
+                failed: summary.failed.length
+            },
+            req
+        });
 
-        if (error) throw error;
+        res.json({ success: true, summary });
+    } catch (error) {
+        console.error('Record bank deposits error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        // ดึงข้อมูล user มาด้วย
-        const userIds = [...new Set(requests?.map(r => r.user_id) || [])];
-        const { data: users } = await supabaseAdmin
-            .from('users')
-            .select('discord_id, username, avatar')
-            .in('discord_id', userIds);
+// ดูยอดเงินเข้า (?status=unmatched,ambiguous ค่าเริ่มต้น = คิวที่รอ Admin)
+app.get('/api/admin/bank-deposits', requireAdmin, async (req, res) => {
+    try {
+        const statuses = req.query.status ? String(req.query.status).split(',') : ['unmatched', 'ambiguous'];
+        const deposits = await listBankDeposits(statuses, Math.min(parseInt(req.query.limit) || 100, 500));
+        res.json({ success: true, deposits });
+    } catch (error) {
+        console.error('Get bank deposits error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        const userMap = {};
-        users?.forEach(u => { userMap[u.discord_id] = u; });
+// Admin จับคู่ยอดเงินเข้ากับคำขอเติมเงินเอง (override: true + reason = ข้ามการตรวจช่องทาง/ยอด/fraud hold)
+app.post('/api/admin/bank-deposits/:depositId/match', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { depositId } = req.params;
+        const { requestId } = req.body;
+        const override = req.body.override === true;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
 
-        const requestsWithUser = (requests || []).map(r => ({
-            id: r.request_id,
-            userId: r.user_id,
-            user: userMap[r.user_id] || null,
-            amount: parseFloat(r.amount),
-            method: r.method,
-            slipUrl: r.slip_url,
-            status: r.status,
-            adminNote: r.admin_note,
-            reviewedBy: r.reviewed_by,
-            reviewedAt: r.reviewed_at,
-            createdAt: r.created_at
-        }));
+        if (!requestId) {
+            return res.status(400).json({ success: false, error: 'กรุณาระบุคำขอเติมเงิน' });
+        }
 
-        res.json({ success: true, requests: requestsWithUser });
+        if (override && !reason) {
+            return res.status(400).json({ success: false, error: 'กรุณาระบุเหตุผลที่จับคู่แม้ข้อมูลไม่ตรง' });
+        }
+
+        let result;
+        try {
+            result = await applyBankDeposit(depositId, requestId, req.session.user.id, { override });
+        } catch (applyError) {
+            const messages = {
+                DEPOSIT_NOT_FOUND: [404, 'ไม่พบยอดเงินเข้า'],
+                DEPOSIT_ALREADY_RESOLVED: [409, 'ยอดเงินเข้านี้ถูกดำเนินการแล้ว'],
+                REQUEST_NOT_FOUND: [404, 'ไม่พบคำขอเติมเงิน'],
+                REQUEST_NOT_PENDING: [409, 'คำขอนี้ถูกดำเนินการแล้ว'],
+                DEPOSIT_METHOD_MISMATCH: [400, 'คำขอนี้ไม่ใช่การโอนเงิน/พร้อมเพย์'],
+                DEPOSIT_AMOUNT_MISMATCH: [400, 'ยอดเงินเข้าไม่ตรงกับยอดของคำขอ'],
+                REQUEST_FRAUD_HOLD: [400, 'คำขอนี้ถูกพักไว้ให้ตรวจสอบความเสี่ยง']
+            };
+            if (messages[applyError.code]) {
+                const [status, message] = messages[applyError.code];
+                // ข้อมูลไม่ตรง: Admin ยืนยันซ้ำด้วย override ได้
+                const overridable = ['DEPOSIT_METHOD_MISMATCH', 'DEPOSIT_AMOUNT_MISMATCH', 'REQUEST_FRAUD_HOLD'].includes(applyError.code);
+                return res.status(status).json({ success: false, error: message, code: applyError.code, overridable });
+            }
+            throw applyError;
+        }
+
+        const matched = await finishMatchedDeposit(result);
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.TOPUP,
+            resourceType: ResourceTypes.BANK_DEPOSIT,
+            resourceId: depositId,
+            newValue: {
+                requestId,
+                userId: matched.userId,
+                amount: matched.amount,
+                transactionId: matched.transactionId,
+                override,
+                reason: override ? reason : null
+            },
+            req
+        });
+
+        res.json({ success: true, ...matched });
     } catch (error) {
-        console.error('Get topup requests error:', error);
+        console.error('Match bank deposit error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Approve Topup Request
-app.post('/api/admin/topup-requests/:requestId/approve', requireAdmin, async (req, res) => {
+// ธนาคารที่รองรับการนำเข้า statement
+app.get('/api/admin/bank-statements/banks', requireAdmin, (req, res) => {
+    res.json({ success: true, banks: getSupportedBanks() });
+});
+
+// นำเข้า bank statement (CSV) → เสนอการจับคู่ให้ Admin ยืนยัน
+app.post('/api/admin/bank-statements/import', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const { requestId } = req.params;
-        const adminId = req.session.user.id;
-        const { note, amount: bodyAmount } = req.body;
+        const { bank, csv, filename, mapping } = req.body;
 
-        // ดึงข้อมูล request
-        const { data: request, error: fetchError } = await supabaseAdmin
-            .from('topup_requests')
-            .select('*')
-            .eq('request_id', requestId)
-            .eq('status', 'pending')
-            .single();
+        if (!bank || !csv || typeof csv !== 'string') {
+            return res.status(400).json({ success: false, error: 'กรุณาเลือกธนาคารและไฟล์ CSV' });
+        }
 
-        if (fetchError || !request) {
-            return res.status(404).json({ success: false, error: 'ไม่พบคำขอหรือถูกดำเนินการแล้ว' });
+        const parsed = parseStatement(csv, bank, mapping && typeof mapping === 'object' ? mapping : null);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, error: parsed.error });
         }
 
-        const userId = request.user_id;
-        // สำหรับ angpao ใช้ amount จาก body, อื่นๆ ใช้จาก request
-        const amount = bodyAmount ? parseFloat(bodyAmount) : parseFloat(request.amount);
-        
-        if (!amount || amount <= 0) {
-            return res.status(400).json({ success: false, error: 'กรุณาระบุจำนวนเงิน' });
+        const importId = `IMP${Date.now()}`;
+        const summary = { proposed: [], unmatched: [], ambiguous: [], duplicate: [], invalid: parsed.invalid, failed: [] };
+
+        // บันทึกไฟล์ก่อน ยอดเงินเข้าทุกบรรทัดจะผูกกับ import ที่มีอยู่จริง
+        const { error: importError } = await supabaseAdmin
+            .from('bank_statement_imports')
+            .insert({
+                import_id: importId,
+                bank: bank,
+                filename: filename || null,
+                total_lines: parsed.totalLines,
+                credit_lines: parsed.credits.length,
+                uploaded_by: req.session.user.id
+            });
+
+        if (importError) throw importError;
+
+        for (const credit of parsed.credits) {
+            const { deposit, error } = parseDeposit(credit);
+            if (error) {
+                summary.invalid.push({ line: credit.line, error });
+                continue;
+            }
+
+            // บรรทัดที่ error ไม่หยุดทั้งไฟล์: เก็บไว้ในผลลัพธ์ นำเข้าไฟล์เดิมซ้ำได้ (บรรทัดที่บันทึกแล้วเป็น duplicate)
+            let result;
+            try {
+                result = await recordBankDeposit(deposit, 'import', { autoApply: false, importId });
+            } catch (recordError) {
+                console.error(`Import statement line ${credit.line} error:`, recordError);
+                summary.failed.push({ line: credit.line, amount: deposit.amount, error: recordError.code || 'RECORD_FAILED' });
+                continue;
+            }
+
+            if (result.duplicate) {
+                summary.duplicate.push({ line: credit.line, depositId: result.depositId });
+            } else {
+                summary[result.status].push({
+                    line: credit.line,
+                    depositId: result.depositId,
+                    amount: deposit.amount,
+                    depositedAt: deposit.depositedAt,
+                    reference: deposit.reference,
+                    requestId: result.requestId,
+                    candidates: result.candidates
+                });
+            }
         }
 
-        // อัพเดทสถานะ request เป็น approved
-        const { error: updateError } = await supabaseAdmin
-            .from('topup_requests')
+        const { error: countsError } = await supabaseAdmin
+            .from('bank_statement_imports')
             .update({
-                status: 'approved',
-                amount: amount, // อัพเดท amount ด้วย (สำหรับ angpao)
-                admin_note: note || 'อนุมัติแล้ว',
-                reviewed_by: adminId,
-                reviewed_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
+                proposed: summary.proposed.length,
+                unmatched: summary.unmatched.length,
+                ambiguous: summary.ambiguous.length,
+                duplicate: summary.duplicate.length,
+                invalid: summary.invalid.length,
+                failed: summary.failed.length
             })
-            .eq('request_id', requestId);
-
-        if (updateError) throw updateError;
+            .eq('import_id', importId);
 
-        // เติมเงินให้ user
-        await getOrCreateWallet(userId);
-        const currentBalance = await getUserBalance(userId);
-        const newBalance = currentBalance + amount;
-        await updateUserBalance(userId, newBalance);
+        if (countsError) console.error('Save statement import counts error:', countsError);
 
-        // บันทึก Transaction
-        await addTransaction(userId, 'topup', amount, {
-            method: request.method,
-            requestId: requestId,
-            approvedBy: adminId,
-            note: note || 'อนุมัติโดย Admin'
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.CREATE,
+            resourceType: ResourceTypes.BANK_DEPOSIT,
+            resourceId: importId,
+            newValue: {
+                bank,
+                filename,
+                credits: parsed.credits.length,
+                proposed: summary.proposed.length,
+                unmatched: summary.unmatched.length,
+                failed: summary.failed.length
+            },
+            req
         });
-        
-        // Invalidate balance cache
-        invalidateBalanceCache(userId);
-        
-        // Send Discord notification (if angpao)
-        const isAngpao = request.slip_url?.includes('gift.truemoney.com');
-        if (isAngpao) {
-            await notifyAngpaoResult({
-                requestId: requestId,
-                userId: userId
-            }, 'approved', amount);
+
+        res.json({ success: true, importId, totalLines: parsed.totalLines, summary });
+    } catch (error) {
+        console.error('Import bank statement error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
+
+// ยืนยันการจับคู่ที่ระบบเสนอ (หลายรายการ) → อนุมัติคำขอ + เติมเงิน
+app.post('/api/admin/bank-deposits/confirm', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const depositIds = Array.isArray(req.body.depositIds) ? req.body.depositIds.map(String) : [];
+
+        if (depositIds.length === 0 || depositIds.length > 200) {
+            return res.status(400).json({ success: false, error: 'จำนวนรายการต้องอยู่ระหว่าง 1-200' });
         }
 
-        res.json({ 
-            success: true, 
-            message: `อนุมัติเติมเงิน ${amount} บาท ให้ ${userId} สำเร็จ`,
-            newBalance: newBalance
+        const proposals = await getProposedDeposits(depositIds);
+        const found = new Set(proposals.map(d => d.deposit_id));
+        const confirmed = [];
+        const failed = depositIds
+            .filter(id => !found.has(id))
+            .map(id => ({ depositId: id, error: 'ไม่พบรายการที่รอยืนยัน' }));
+
+        for (const proposal of proposals) {
+            try {
+                const result = await applyBankDeposit(proposal.deposit_id, proposal.matched_request_id, req.session.user.id);
+                confirmed.push(await finishMatchedDeposit(result));
+            } catch (applyError) {
+                if (!applyError.code) throw applyError;
+                failed.push({ depositId: proposal.deposit_id, requestId: proposal.matched_request_id, error: applyError.code });
+            }
+        }
+
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.TOPUP,
+            resourceType: ResourceTypes.BANK_DEPOSIT,
+            newValue: {
+                confirmed: confirmed.map(c => ({ depositId: c.depositId, requestId: c.requestId, amount: c.amount })),
+                failed: failed.length
+            },
+            req
         });
+
+        res.json({ success: true, confirmed, failed });
     } catch (error) {
-        console.error('Approve topup error:', error);
+        console.error('Confirm bank deposits error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
 
-// Reject Topup Request
-app.post('/api/admin/topup-requests/:requestId/reject', requireAdmin, async (req, res) => {
+// จับคู่ยอดเงินเข้าที่ค้างอยู่ใหม่กับคำขอที่เพิ่งสร้าง
+app.post('/api/admin/bank-deposits/rematch', requireAdmin, adminLimiter, async (req, res) => {
     try {
-        const { requestId } = req.params;
-        const adminId = req.session.user.id;
-        const { note, reason } = req.body;
-        
-        const rejectReason = note || reason || 'ปฏิเสธโดย Admin';
+        const result = await rematchUnmatchedDeposits();
 
-        // ดึงข้อมูล request
-        const { data: request, error: fetchError } = await supabaseAdmin
-            .from('topup_requests')
-            .select('*')
-            .eq('request_id', requestId)
-            .eq('status', 'pending')
-            .single();
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.UPDATE,
+            resourceType: ResourceTypes.BANK_DEPOSIT,
+            newValue: result,
+            req
+        });
 
-        if (fetchError || !request) {
-            return res.status(404).json({ success: false, error: 'ไม่พบคำขอหรือถูกดำเนินการแล้ว' });
-        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Rematch bank deposits error:', error);
+        res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
+    }
+});
 
-        // อัพเดทสถานะ request เป็น rejected
-        const { error: updateError } = await supabaseAdmin
-            .from('topup_requests')
-            .update({
-                status: 'rejected',
-                admin_note: rejectReason,
-                reviewed_by: adminId,
-                reviewed_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('request_id', requestId);
+// ยอดเงินเข้าที่ไม่ใช่การเติมเงิน (ไม่เติมให้ใคร)
+app.post('/api/admin/bank-deposits/:depositId/ignore', requireAdmin, adminLimiter, async (req, res) => {
+    try {
+        const { depositId } = req.params;
+        const deposit = await ignoreBankDeposit(depositId, req.session.user.id, req.body.note || null);
 
-        if (updateError) throw updateError;
-        
-        // Send Discord notification (if angpao)
-        const isAngpaoReject = request.slip_url?.includes('gift.truemoney.com');
-        if (isAngpaoReject) {
-            await notifyAngpaoResult({
-                requestId: requestId,
-                userId: request.user_id,
-                adminNote: rejectReason
-            }, 'rejected');
+        if (!deposit) {
+            return res.status(404).json({ success: false, error: 'ไม่พบรายการหรือถูกดำเนินการแล้ว' });
         }
 
-        res.json({ 
-            success: true, 
-            message: 'ปฏิเสธคำขอเติมเงินแล้ว'
+        logAudit({
+            userId: req.session.user.id,
+            username: req.session.user.username,
+            action: AuditActions.STATUS_CHANGE,
+            resourceType: ResourceTypes.BANK_DEPOSIT,
+            resourceId: depositId,
+            newValue: { status: 'ignored', note: req.body.note || null },
+            req
         });
+
+        res.json({ success: true });
     } catch (error) {
-        console.error('Reject topup error:', error);
+        console.error('Ignore bank deposit error:', error);
         res.status(500).json({ success: false, error: 'เกิดข้อผิดพลาด' });
     }
 });
@@ -2379,6 +5193,12 @@ app.post('/api/admin/clear-cache', requireAdmin, (req, res) => {
 const gracefulShutdown = (signal) => {
     console.log(`\n⚠️  ${signal} received. Shutting down gracefully...`);
     
+    // หยุด background jobs
+    walletReconciler.stopReconcileJob();
+    angpaoWorker.stopAngpaoWorker();
+    topupExpiry.stopTopupExpiryJob();
+    stopIdempotencyCleanupJob();
+    
     // ให้เวลา requests ที่กำลังทำงานอยู่เสร็จ
     server.close(() => {
         console.log('✅ Server closed. Process terminated.');
@@ -2407,6 +5227,15 @@ const server = app.listen(PORT, () => {
 ╚════════════════════════════════════════════╝
     `);
     
+    // เริ่ม background jobs
+    walletReconciler.startReconcileJob();
+    topupExpiry.startTopupExpiryJob();
+    startIdempotencyCleanupJob();
+    angpaoWorker.startAngpaoWorker({
+        onApproved: ({ userId, amount, transactionId }) =>
+            applyTopupBonus(userId, amount, 'truemoney_angpao', transactionId)
+    });
+    
     if (!CLIENT_ID || CLIENT_ID === 'YOUR_CLIENT_ID_HERE') {
         console.log('⚠️  Warning: Discord Client ID not configured!');
         console.log('   Please update .env file with your Discord credentials.');
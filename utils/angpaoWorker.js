@@ -0,0 +1,444 @@
+/**
+ * Angpao Auto-Redeem Worker
+ * รับซองอั่งเปาจากคำขอที่รอดำเนินการ (/api/angpao/submit) ผ่าน voucher provider อัตโนมัติ
+ * - สำเร็จ: เติมเงินตามยอดจริง + อนุมัติคำขอ
+ * - ซองถูกใช้แล้ว / ลิ้งไม่ถูกต้อง: ปฏิเสธคำขอ
+ * - provider ล่ม / timeout: ลองใหม่แบบ backoff
+ * - ลองครบแล้วหรือ error อื่น: ส่งให้ Admin ตรวจเอง (auto_status = manual)
+ * ถ้าปิด auto-redeem คำขอจะรอ Admin เหมือนเดิม
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { validateVoucherFormat } = require('./truemoneyApi');
+const { claimVoucher, releaseVoucher, holdRedeemedVoucher } = require('./voucherGuard');
+const { notifyAngpaoResult } = require('./discordNotify');
+const paymentProviders = require('./providers');
+const { checkTopupLimits } = require('./topupLimits');
+const { logSecurityEvent } = require('./auditLogger');
+
+// Configuration
+const ANGPAO_WORKER_CONFIG = {
+    enabled: process.env.ANGPAO_AUTO_REDEEM_ENABLED === 'true',
+    intervalSeconds: parseInt(process.env.ANGPAO_WORKER_INTERVAL_SECONDS) || 30,
+    batchSize: parseInt(process.env.ANGPAO_WORKER_BATCH_SIZE) || 10,
+    maxAttempts: parseInt(process.env.ANGPAO_WORKER_MAX_ATTEMPTS) || 5,
+    // backoff = base * 2^(ครั้งที่ลอง - 1) ไม่เกิน max (วินาที)
+    backoffBaseSeconds: parseInt(process.env.ANGPAO_WORKER_BACKOFF_SECONDS) || 30,
+    backoffMaxSeconds: 3600,
+    // เวลาที่ worker จองคำขอไว้ระหว่างเรียก provider (วินาที)
+    leaseSeconds: 120
+};
+
+const WORKER_ID = 'angpao_worker';
+
+let workerTimer = null;
+let running = false;
+// callback จาก server.js หลังเติมเงินสำเร็จ (เช่น โบนัสเติมเงิน)
+let onApprovedHandler = null;
+
+/**
+ * เปิดใช้ auto-redeem อยู่หรือไม่ (ต้องเปิด flag และมี voucher provider พร้อมใช้)
+ */
+function isAutoRedeemEnabled() {
+    return ANGPAO_WORKER_CONFIG.enabled && paymentProviders.getProvider('voucher').isEnabled();
+}
+
+function backoffSeconds(attempts) {
+    const delay = ANGPAO_WORKER_CONFIG.backoffBaseSeconds * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, ANGPAO_WORKER_CONFIG.backoffMaxSeconds);
+}
+
+function secondsFromNow(seconds) {
+    return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+// เงื่อนไขคำขอที่ worker หยิบได้: ยังไม่เคยลอง หรือถึงเวลาลองใหม่ / lease หมดอายุ
+function dueFilter(nowIso) {
+    return `auto_status.is.null,and(auto_status.eq.queued,next_attempt_at.lte.${nowIso})`;
+}
+
+/**
+ * จองคำขอ (lease) ก่อนทำงาน กัน worker หลาย instance ทำคำขอเดียวกัน
+ * @returns {Promise<Object|null>} topup_requests row หรือ null ถ้ามีคนอื่นจองไปแล้ว
+ */
+async function leaseRequest(requestId) {
+    const { data, error } = await supabaseAdmin
+        .from('topup_requests')
+        .update({
+            auto_status: 'queued',
+            next_attempt_at: secondsFromNow(ANGPAO_WORKER_CONFIG.leaseSeconds),
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', requestId)
+        .eq('status', 'pending')
+        .or(dueFilter(new Date().toISOString()))
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * ลองใหม่ภายหลัง หรือส่งให้ Admin ถ้าลองครบแล้ว
+ * @param {boolean} timedOut - provider timeout (นับไว้ ใช้ตัดสินผล duplicate ของรอบถัดไป)
+ */
+async function scheduleRetry(request, errorMessage, { timedOut = false } = {}) {
+    const attempts = (request.auto_attempts || 0) + 1;
+    const giveUp = attempts >= ANGPAO_WORKER_CONFIG.maxAttempts;
+
+    const { error } = await supabaseAdmin
+        .from('topup_requests')
+        .update({
+            auto_status: giveUp ? 'manual' : 'queued',
+            auto_attempts: attempts,
+            auto_timeouts: (request.auto_timeouts || 0) + (timedOut ? 1 : 0),
+            auto_error: errorMessage,
+            next_attempt_at: giveUp ? null : secondsFromNow(backoffSeconds(attempts)),
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', request.request_id)
+        .eq('status', 'pending');
+
+    if (error) throw error;
+
+    if (giveUp) {
+        console.warn(`⚠️  Angpao ${request.request_id}: ส่งให้ Admin ตรวจ หลังลอง ${attempts} ครั้ง (${errorMessage})`);
+    }
+    return giveUp ? 'manual' : 'retrying';
+}
+
+/**
+ * บันทึก angpao_failed ให้กฎ angpao_failures ใน fraudScoring นับรวมผลจาก worker ด้วย
+ */
+async function logAngpaoFailure(request, errorMessage, outcome) {
+    await logSecurityEvent({
+        eventType: 'angpao_failed',
+        userId: request.user_id,
+        details: {
+            requestId: request.request_id,
+            voucherHash: validateVoucherFormat(request.slip_url).voucherHash || null,
+            error: errorMessage,
+            outcome: outcome,
+            source: WORKER_ID
+        }
+    });
+}
+
+/**
+ * ส่งให้ Admin ตรวจทันที (error ที่ลองใหม่ไม่ช่วย)
+ * @param {boolean} [options.failed=true] - false เมื่อรับซองสำเร็จแล้วแต่พักไว้ (ไม่นับเป็นซองที่ล้มเหลว)
+ */
+async function sendToManualReview(request, errorMessage, { failed = true } = {}) {
+    const { error } = await supabaseAdmin
+        .from('topup_requests')
+        .update({
+            auto_status: 'manual',
+            auto_attempts: (request.auto_attempts || 0) + 1,
+            auto_error: errorMessage,
+            next_attempt_at: null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', request.request_id)
+        .eq('status', 'pending');
+
+    if (error) throw error;
+    if (failed) {
+        await logAngpaoFailure(request, errorMessage, 'manual');
+    }
+    console.warn(`⚠️  Angpao ${request.request_id}: ส่งให้ Admin ตรวจ (${errorMessage})`);
+    return 'manual';
+}
+
+/**
+ * ปฏิเสธคำขอ (ซองใช้ไม่ได้)
+ */
+async function rejectRequest(request, reason) {
+    const { data, error } = await supabaseAdmin
+        .from('topup_requests')
+        .update({
+            status: 'rejected',
+            admin_note: reason,
+            reviewed_by: WORKER_ID,
+            reviewed_at: new Date().toISOString(),
+            auto_attempts: (request.auto_attempts || 0) + 1,
+            auto_error: reason,
+            next_attempt_at: null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', request.request_id)
+        .eq('status', 'pending')
+        .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) return 'skipped';
+
+    await logAngpaoFailure(request, reason, 'rejected');
+
+    await notifyAngpaoResult({
+        requestId: request.request_id,
+        userId: request.user_id,
+        adminNote: reason
+    }, 'rejected');
+
+    return 'rejected';
+}
+
+/**
+ * provider redeem สำเร็จ: เติมเงิน + ปิดซอง + อนุมัติคำขอ (Atomic)
+ */
+async function approveRequest(request, voucherHash, result, providerName) {
+    const { data, error } = await supabaseAdmin.rpc('complete_angpao_request', {
+        p_request_id: request.request_id,
+        p_voucher_hash: voucherHash,
+        p_amount: result.amount,
+        p_provider_transaction_id: result.transactionId,
+        p_details: { method: 'truemoney_angpao', provider: providerName }
+    });
+
+    if (error) {
+        // Admin อนุมัติ/ปฏิเสธไปแล้วระหว่างเรียก provider: ซองถูกรับไปแล้ว ให้ Admin ตรวจยอด
+        if ((error.message || '').startsWith('REQUEST_NOT_PENDING')) {
+            await releaseVoucher(voucherHash, request.user_id, 'rejected', `คำขอ ${request.request_id} ถูกดำเนินการแล้ว`);
+            console.error(`❌ Angpao ${request.request_id}: รับซองสำเร็จ (${result.amount} บาท) แต่คำขอถูกดำเนินการแล้ว - ตรวจสอบด้วยมือ`);
+            return 'skipped';
+        }
+        throw error;
+    }
+
+    const credited = typeof data === 'string' ? JSON.parse(data) : data;
+
+    await notifyAngpaoResult({
+        requestId: request.request_id,
+        userId: request.user_id,
+        adminNote: 'อนุมัติอัตโนมัติ'
+    }, 'approved', result.amount);
+
+    if (onApprovedHandler) {
+        try {
+            await onApprovedHandler({
+                requestId: request.request_id,
+                userId: request.user_id,
+                amount: parseFloat(credited.amount),
+                transactionId: credited.transactionId,
+                newBalance: parseFloat(credited.newBalance)
+            });
+        } catch (handlerError) {
+            console.error('Angpao onApproved handler error:', handlerError);
+        }
+    }
+
+    console.log(`✅ Angpao ${request.request_id}: เติมเงิน ${result.amount} บาท ให้ ${request.user_id}`);
+    return 'approved';
+}
+
+/**
+ * provider รับซองแล้ว (worker / webhook): ตรวจวงเงินด้วยยอดจริงของซองก่อนเติมเงิน
+ * ยอดเกินวงเงิน: พักคำขอไว้ให้ Admin เติมเงินตามยอดจริง (fraud_hold = ไม่หมดอายุเอง), ซอง = redeemed
+ * @returns {Promise<string>} approved, manual, skipped
+ */
+async function completeRedeemedVoucher(request, voucherHash, result, providerName) {
+    const limitCheck = await checkTopupLimits({
+        userId: request.user_id,
+        method: 'truemoney',
+        amount: result.amount,
+        checkPending: false,
+        excludeRequestId: request.request_id
+    });
+
+    if (limitCheck.allowed) {
+        return approveRequest(request, voucherHash, result, providerName);
+    }
+
+    const { error } = await supabaseAdmin
+        .from('topup_requests')
+        .update({
+            amount: result.amount,
+            fraud_hold: true,
+            provider_transaction_id: result.transactionId
+        })
+        .eq('request_id', request.request_id)
+        .eq('status', 'pending');
+
+    if (error) throw error;
+
+    await holdRedeemedVoucher({
+        voucherHash,
+        userId: request.user_id,
+        amount: result.amount,
+        providerTransactionId: result.transactionId,
+        requestId: request.request_id,
+        reason: limitCheck.error
+    });
+    return sendToManualReview(request, `${limitCheck.error} (ยอดซอง ${result.amount} บาท)`, { failed: false });
+}
+
+/**
+ * provider แจ้งว่ารับซองสำเร็จแล้ว (webhook): จองซอง + ตรวจวงเงิน + เติมเงิน + อนุมัติคำขอ
+ * webhook เป็นผลจริงจาก provider: ถ้า worker จองซองค้างไว้ (processing) ให้ปิดซองแทนได้เลย
+ * complete_voucher_redemption ตรวจว่าเป็นซองของ user เดียวกัน, worker ที่ทำต่อจะเจอ REQUEST_NOT_PENDING แล้วข้ามไป
+ * @returns {Promise<string>} approved, manual, skipped, duplicate
+ */
+async function applyRedeemedVoucher(request, voucherHash, result, providerName) {
+    try {
+        await claimVoucher(voucherHash, request.user_id, providerName);
+    } catch (claimError) {
+        if (claimError.code === 'VOUCHER_ALREADY_REDEEMED') return 'duplicate';
+        if (claimError.code !== 'VOUCHER_IN_PROGRESS') throw claimError;
+    }
+
+    return completeRedeemedVoucher(request, voucherHash, result, providerName);
+}
+
+/**
+ * ทำคำขอ 1 รายการ
+ * @returns {Promise<string>} approved, rejected, retrying, manual, skipped
+ */
+async function processRequest(request) {
+    const leased = await leaseRequest(request.request_id);
+    if (!leased) return 'skipped';
+
+    const { valid, voucherHash } = validateVoucherFormat(leased.slip_url);
+    if (!valid) {
+        return rejectRequest(leased, 'รูปแบบลิ้งซองอั่งเปาไม่ถูกต้อง');
+    }
+
+    const provider = paymentProviders.getProvider('voucher');
+
+    try {
+        await claimVoucher(voucherHash, leased.user_id, provider.name);
+    } catch (claimError) {
+        if (claimError.code === 'VOUCHER_ALREADY_REDEEMED') {
+            return rejectRequest(leased, 'ซองอั่งเปานี้ถูกใช้ไปแล้ว');
+        }
+        if (claimError.code === 'VOUCHER_IN_PROGRESS') {
+            return scheduleRetry(leased, 'ซองอั่งเปานี้กำลังดำเนินการอยู่');
+        }
+        throw claimError;
+    }
+
+    const result = await provider.redeemVoucher(leased.slip_url);
+
+    if (result.success) {
+        return completeRedeemedVoucher(leased, voucherHash, result, provider.name);
+    }
+
+    if (result.isDuplicate) {
+        // เคย timeout มาก่อน: ซองอาจถูกรับไปแล้วในรอบนั้น (ร้านได้เงินแล้ว) ให้ Admin ตรวจแทนการปฏิเสธ
+        if ((leased.auto_timeouts || 0) > 0) {
+            await releaseVoucher(voucherHash, leased.user_id, 'rejected', `ซองถูกใช้แล้วหลัง timeout รอ Admin ตรวจ (${leased.request_id})`);
+            return sendToManualReview(leased, 'ซองถูกใช้แล้วหลังจาก provider timeout - อาจรับซองไปแล้ว ตรวจยอดกับ provider');
+        }
+        await releaseVoucher(voucherHash, leased.user_id, 'rejected', result.message);
+        return rejectRequest(leased, result.message || 'ซองอั่งเปานี้ถูกใช้ไปแล้ว');
+    }
+
+    // timeout = ไม่รู้ว่า provider รับซองไปแล้วหรือยัง ค้างการจองซองไว้ ลองใหม่เมื่อการจองหมดเวลา
+    if (result.isTimeout) {
+        return scheduleRetry(leased, result.message || 'Request timeout', { timedOut: true });
+    }
+
+    await releaseVoucher(voucherHash, leased.user_id, 'failed', result.message);
+
+    if (result.isTransient) {
+        return scheduleRetry(leased, result.message);
+    }
+
+    return sendToManualReview(leased, result.message || 'ไม่สามารถรับซองอั่งเปาได้');
+}
+
+/**
+ * ทำคำขอที่ถึงเวลาทั้งหมด 1 รอบ
+ * @returns {Promise<Object>} สรุปจำนวนตามผลลัพธ์
+ */
+async function runAngpaoWorker() {
+    const summary = { processed: 0, approved: 0, rejected: 0, retrying: 0, manual: 0, skipped: 0, errors: 0 };
+
+    if (running || !isAutoRedeemEnabled()) {
+        return summary;
+    }
+
+    running = true;
+    try {
+        const { data: requests, error } = await supabaseAdmin
+            .from('topup_requests')
+            .select('*')
+            .eq('status', 'pending')
+            .eq('method', 'truemoney')
+            .or(dueFilter(new Date().toISOString()))
+            .order('created_at', { ascending: true })
+            .limit(ANGPAO_WORKER_CONFIG.batchSize);
+
+        if (error) throw error;
+
+        for (const request of requests || []) {
+            summary.processed++;
+            try {
+                const outcome = await processRequest(request);
+                summary[outcome]++;
+            } catch (requestError) {
+                summary.errors++;
+                console.error(`Angpao worker error (${request.request_id}):`, requestError);
+                await scheduleRetry(request, requestError.message).catch(() => {});
+            }
+        }
+    } finally {
+        running = false;
+    }
+
+    return summary;
+}
+
+/**
+ * เริ่ม worker (ถ้าเปิด ANGPAO_AUTO_REDEEM_ENABLED และมี voucher provider)
+ * @param {Object} options
+ * @param {Function} options.onApproved - เรียกหลังเติมเงินสำเร็จ ({ requestId, userId, amount, transactionId, newBalance })
+ */
+function startAngpaoWorker({ onApproved = null } = {}) {
+    onApprovedHandler = onApproved;
+
+    if (workerTimer) return;
+
+    if (!isAutoRedeemEnabled()) {
+        if (ANGPAO_WORKER_CONFIG.enabled) {
+            console.warn('⚠️  Angpao auto-redeem enabled but voucher provider is not configured - using manual review');
+        }
+        return;
+    }
+
+    workerTimer = setInterval(() => {
+        runAngpaoWorker().catch(error => console.error('Angpao worker error:', error));
+    }, ANGPAO_WORKER_CONFIG.intervalSeconds * 1000);
+
+    console.log(`✅ Angpao auto-redeem worker every ${ANGPAO_WORKER_CONFIG.intervalSeconds} second(s)`);
+}
+
+/**
+ * เรียก worker ทันที (เช่น หลังมีคำขอใหม่) ไม่ต้องรอรอบถัดไป
+ */
+function triggerAngpaoWorker() {
+    if (!workerTimer) return;
+    setImmediate(() => {
+        runAngpaoWorker().catch(error => console.error('Angpao worker error:', error));
+    });
+}
+
+/**
+ * หยุด worker
+ */
+function stopAngpaoWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+module.exports = {
+    ANGPAO_WORKER_CONFIG,
+    isAutoRedeemEnabled,
+    applyRedeemedVoucher,
+    runAngpaoWorker,
+    triggerAngpaoWorker,
+    startAngpaoWorker,
+    stopAngpaoWorker
+};
@@ -114,7 +114,9 @@ const SecurityEventTypes = {
     SQL_INJECTION_ATTEMPT: 'sql_injection_attempt',
     XSS_ATTEMPT: 'xss_attempt',
     UNAUTHORIZED_ACCESS: 'unauthorized_access',
-    ADMIN_ACTION: 'admin_action'
+    ADMIN_ACTION: 'admin_action',
+    DUPLICATE_SLIP: 'duplicate_slip',
+    INVALID_WEBHOOK_SIGNATURE: 'invalid_webhook_signature'
 };
 
 const AuditActions = {
@@ -124,9 +126,14 @@ const AuditActions = {
     TOPUP: 'topup',
     PURCHASE: 'purchase',
     REFUND: 'refund',
+    TRANSFER: 'transfer',
+    ADJUSTMENT: 'adjustment',
+    EXPORT: 'export',
+    BONUS_GRANT: 'bonus_grant',
     STOCK_ADD: 'stock_add',
     STOCK_DELETE: 'stock_delete',
-    STATUS_CHANGE: 'status_change'
+    STATUS_CHANGE: 'status_change',
+    REPLAY: 'replay'
 };
 
 const ResourceTypes = {
@@ -136,7 +143,12 @@ const ResourceTypes = {
     STOCK: 'stock',
     TRANSACTION: 'transaction',
     COUPON: 'coupon',
-    WALLET: 'wallet'
+    WALLET: 'wallet',
+    BONUS_TIER: 'bonus_tier',
+    BANK_DEPOSIT: 'bank_deposit',
+    TOPUP_REQUEST: 'topup_request',
+    SETTING: 'setting',
+    WEBHOOK_EVENT: 'webhook_event'
 };
 
 // ============================================
@@ -0,0 +1,232 @@
+/**
+ * Bank Deposit Matching
+ * จับคู่ยอดเงินเข้าจาก bank statement กับคำขอเติมเงินด้วยยอดเศษสตางค์ที่ไม่ซ้ำกัน
+ * ยอดที่จับคู่ไม่ได้ (unmatched) / ไม่ชัดเจน (ambiguous) / รอยืนยัน (proposed) รอ Admin ตรวจ
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { invalidateBalanceCache } = require('./cache');
+
+// Configuration
+const BANK_MATCH_CONFIG = {
+    // ยอดเงินเข้าจับคู่ได้กับคำขอที่สร้างภายในกี่ชั่วโมงก่อนเงินเข้า
+    matchWindowHours: parseInt(process.env.BANK_MATCH_WINDOW_HOURS) || 48,
+    // method ที่ได้ยอดเศษสตางค์ไม่ซ้ำ
+    methods: ['promptpay', 'bank_transfer']
+};
+
+const DEPOSIT_STATUSES = ['proposed', 'matched', 'unmatched', 'ambiguous', 'ignored'];
+
+// แปลง error จาก stored procedure เป็น error code
+function toDepositError(error) {
+    const match = (error.message || '').match(/^(DEPOSIT_NOT_FOUND|DEPOSIT_ALREADY_RESOLVED|REQUEST_NOT_FOUND|REQUEST_NOT_PENDING|NO_UNIQUE_AMOUNT|INVALID_AMOUNT|DEPOSIT_METHOD_MISMATCH|DEPOSIT_AMOUNT_MISMATCH|REQUEST_FRAUD_HOLD|INVALID_OVERRIDE)/);
+    if (!match) return error;
+    const depositError = new Error(error.message);
+    depositError.code = match[1];
+    return depositError;
+}
+
+// แปลง bank_deposits row ให้ตรงกับ frontend
+function formatBankDeposit(d) {
+    return {
+        id: d.deposit_id,
+        amount: parseFloat(d.amount),
+        depositedAt: d.deposited_at,
+        bankRef: d.bank_ref,
+        senderName: d.sender_name,
+        senderAccount: d.sender_account,
+        source: d.source,
+        importId: d.import_id,
+        reference: d.reference,
+        status: d.status,
+        matchedRequestId: d.matched_request_id,
+        candidateRequestIds: d.candidate_request_ids || [],
+        transactionId: d.transaction_id,
+        resolvedBy: d.resolved_by,
+        resolvedAt: d.resolved_at,
+        note: d.note,
+        createdAt: d.created_at
+    };
+}
+
+/**
+ * ตรวจข้อมูลยอดเงินเข้า 1 รายการ
+ * @param {Object} input - { amount, depositedAt, bankRef, senderName, senderAccount }
+ * @returns {{ deposit?: Object, error?: string }}
+ */
+function parseDeposit(input) {
+    const amount = Math.round(parseFloat(input?.amount) * 100) / 100;
+    if (!amount || amount <= 0) {
+        return { error: 'จำนวนเงินไม่ถูกต้อง' };
+    }
+
+    const depositedAt = input.depositedAt ? new Date(input.depositedAt) : new Date();
+    if (isNaN(depositedAt.getTime())) {
+        return { error: 'วันที่เงินเข้าไม่ถูกต้อง' };
+    }
+
+    return {
+        deposit: {
+            amount,
+            depositedAt: depositedAt.toISOString(),
+            bankRef: input.bankRef ? String(input.bankRef).trim() : null,
+            senderName: input.senderName ? String(input.senderName).trim() : null,
+            senderAccount: input.senderAccount ? String(input.senderAccount).trim() : null,
+            reference: input.reference ? String(input.reference).trim() : null,
+            raw: input.raw || {}
+        }
+    };
+}
+
+/**
+ * สร้างคำขอเติมเงินพร้อมยอดเศษสตางค์ที่ไม่ซ้ำ
+ * @returns {Promise<Object>} topup_requests row
+ */
+async function createUniqueTopupRequest({ requestId, userId, amount, method, slipUrl = null }) {
+    const { data, error } = await supabaseAdmin.rpc('create_unique_topup_request', {
+        p_request_id: requestId,
+        p_user_id: userId,
+        p_amount: amount,
+        p_method: method,
+        p_slip_url: slipUrl
+    });
+
+    if (error) throw toDepositError(error);
+    return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+/**
+ * บันทึกยอดเงินเข้า + จับคู่อัตโนมัติ
+ * @param {Object} deposit - ผลจาก parseDeposit
+ * @param {string} source - feed, import
+ * @param {Object} options
+ * @param {boolean} options.autoApply - false = แค่เสนอการจับคู่ (proposed) ให้ Admin ยืนยัน
+ * @param {string} options.importId - ไฟล์ statement ที่นำเข้า
+ * @returns {Promise<Object>} { matched, duplicate, depositId, requestId, userId, transactionId, newBalance, status }
+ */
+async function recordBankDeposit(deposit, source = 'feed', { autoApply = true, importId = null } = {}) {
+    const { data, error } = await supabaseAdmin.rpc('record_bank_deposit', {
+        p_amount: deposit.amount,
+        p_deposited_at: deposit.depositedAt,
+        p_bank_ref: deposit.bankRef,
+        p_sender_name: deposit.senderName,
+        p_sender_account: deposit.senderAccount,
+        p_source: source,
+        p_raw: deposit.raw,
+        p_match_window_hours: BANK_MATCH_CONFIG.matchWindowHours,
+        p_reference: deposit.reference || null,
+        p_auto_apply: autoApply,
+        p_import_id: importId
+    });
+
+    if (error) throw toDepositError(error);
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    if (result.matched) invalidateBalanceCache(result.userId);
+    return result;
+}
+
+/**
+ * Admin จับคู่ยอดเงินเข้ากับคำขอเอง
+ * ช่องทาง / ยอดไม่ตรง หรือคำขอถูกพักตรวจ → throw (DEPOSIT_METHOD_MISMATCH, DEPOSIT_AMOUNT_MISMATCH, REQUEST_FRAUD_HOLD)
+ * เว้นแต่ส่ง override: true
+ * @returns {Promise<Object>} ผลเหมือน recordBankDeposit กรณี matched
+ */
+async function applyBankDeposit(depositId, requestId, adminId, { override = false } = {}) {
+    const { data, error } = await supabaseAdmin.rpc('apply_bank_deposit', {
+        p_deposit_id: depositId,
+        p_request_id: requestId,
+        p_resolved_by: adminId,
+        p_override: override
+    });
+
+    if (error) throw toDepositError(error);
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    invalidateBalanceCache(result.userId);
+    return result;
+}
+
+/**
+ * ทำเครื่องหมายว่ายอดเงินเข้านี้ไม่ใช่การเติมเงิน (ไม่เติมเงินให้ใคร)
+ * @returns {Promise<Object|null>} row ที่อัพเดท หรือ null ถ้าถูกดำเนินการแล้ว
+ */
+async function ignoreBankDeposit(depositId, adminId, note = null) {
+    const { data, error } = await supabaseAdmin
+        .from('bank_deposits')
+        .update({
+            status: 'ignored',
+            resolved_by: adminId,
+            resolved_at: new Date().toISOString(),
+            note: note
+        })
+        .eq('deposit_id', depositId)
+        .in('status', ['proposed', 'unmatched', 'ambiguous'])
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * ดูยอดเงินเข้าตามสถานะ
+ * @param {string[]} statuses
+ * @param {number} limit
+ */
+async function listBankDeposits(statuses = ['unmatched', 'ambiguous'], limit = 100) {
+    let query = supabaseAdmin
+        .from('bank_deposits')
+        .select('*')
+        .order('deposited_at', { ascending: false })
+        .limit(limit);
+
+    const valid = statuses.filter(s => DEPOSIT_STATUSES.includes(s));
+    if (valid.length > 0) query = query.in('status', valid);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(formatBankDeposit);
+}
+
+/**
+ * ดู deposit ที่เสนอการจับคู่ไว้ (สำหรับยืนยันหลายรายการ)
+ * @param {string[]} depositIds
+ */
+async function getProposedDeposits(depositIds) {
+    const { data, error } = await supabaseAdmin
+        .from('bank_deposits')
+        .select('*')
+        .in('deposit_id', depositIds)
+        .eq('status', 'proposed');
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * จับคู่ยอดเงินเข้าที่ค้างอยู่ใหม่ (เช่น user สร้างคำขอหลังโอนเงิน)
+ * @returns {Promise<{ proposed: number, ambiguous: number }>}
+ */
+async function rematchUnmatchedDeposits() {
+    const { data, error } = await supabaseAdmin.rpc('rematch_unmatched_deposits', {
+        p_match_window_hours: BANK_MATCH_CONFIG.matchWindowHours
+    });
+
+    if (error) throw error;
+    return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+module.exports = {
+    BANK_MATCH_CONFIG,
+    DEPOSIT_STATUSES,
+    formatBankDeposit,
+    parseDeposit,
+    createUniqueTopupRequest,
+    recordBankDeposit,
+    applyBankDeposit,
+    ignoreBankDeposit,
+    listBankDeposits,
+    getProposedDeposits,
+    rematchUnmatchedDeposits
+};
@@ -0,0 +1,301 @@
+/**
+ * Bank Statement Import
+ * อ่าน statement (CSV) ของธนาคารไทยด้วย column mapping ที่ตั้งค่าได้
+ * คืนเฉพาะรายการเงินเข้า (credit) สำหรับจับคู่กับคำขอเติมเงิน
+ */
+
+const crypto = require('crypto');
+
+// Column mapping ของแต่ละธนาคาร (ชื่อหัวคอลัมน์ที่เป็นไปได้ ไม่สนตัวพิมพ์เล็ก/ใหญ่)
+// credit = คอลัมน์ยอดฝาก, หรือใช้ amount + type/creditValues ถ้า statement มีคอลัมน์ยอดเดียว
+const DEFAULT_BANK_MAPPINGS = {
+    kbank: {
+        name: 'กสิกรไทย (KBank)',
+        date: ['วันที่', 'Date'],
+        time: ['เวลา', 'Time'],
+        credit: ['ฝากเงิน', 'Deposit'],
+        description: ['รายละเอียด', 'Details', 'รายการ'],
+        balance: ['ยอดคงเหลือ', 'Outstanding Balance', 'Balance']
+    },
+    scb: {
+        name: 'ไทยพาณิชย์ (SCB)',
+        date: ['วันที่', 'Date'],
+        time: ['เวลา', 'Time'],
+        credit: ['ฝาก', 'Deposit', 'Credit'],
+        description: ['รายละเอียด', 'Description'],
+        balance: ['ยอดคงเหลือ', 'Balance']
+    },
+    bbl: {
+        name: 'กรุงเทพ (BBL)',
+        date: ['วันที่ทำรายการ', 'Trans. Date', 'Date'],
+        time: ['เวลา', 'Time'],
+        credit: ['ฝาก', 'Deposit', 'Credit'],
+        description: ['รายละเอียด', 'Description'],
+        balance: ['ยอดคงเหลือ', 'Balance']
+    },
+    ktb: {
+        name: 'กรุงไทย (KTB)',
+        date: ['วันที่', 'Date'],
+        time: ['เวลา', 'Time'],
+        amount: ['จำนวนเงิน', 'Amount'],
+        type: ['ประเภท', 'รายการ', 'Transaction Code'],
+        creditValues: ['ฝาก', 'รับโอน', 'Deposit', 'Transfer In', 'CR'],
+        description: ['รายละเอียด', 'Description'],
+        balance: ['ยอดคงเหลือ', 'Balance']
+    },
+    bay: {
+        name: 'กรุงศรี (BAY)',
+        date: ['วันที่', 'Date'],
+        time: ['เวลา', 'Time'],
+        credit: ['ฝาก', 'Deposit', 'Credit'],
+        description: ['รายละเอียด', 'Description'],
+        balance: ['ยอดคงเหลือ', 'Balance']
+    },
+    generic: {
+        name: 'ทั่วไป (date, time, amount, description)',
+        date: ['date'],
+        time: ['time'],
+        amount: ['amount'],
+        description: ['description', 'reference'],
+        sender: ['sender', 'sender_name'],
+        bankRef: ['ref', 'bank_ref', 'transaction_id'],
+        balance: ['balance']
+    }
+};
+
+// mapping เพิ่มเติม/แทนที่จาก env (JSON)
+function loadBankMappings() {
+    if (!process.env.BANK_CSV_MAPPINGS) return DEFAULT_BANK_MAPPINGS;
+
+    try {
+        const custom = JSON.parse(process.env.BANK_CSV_MAPPINGS);
+        const merged = { ...DEFAULT_BANK_MAPPINGS };
+        Object.entries(custom).forEach(([bank, mapping]) => {
+            merged[bank] = { ...(merged[bank] || {}), ...mapping };
+        });
+        return merged;
+    } catch (error) {
+        console.error('Invalid BANK_CSV_MAPPINGS:', error.message);
+        return DEFAULT_BANK_MAPPINGS;
+    }
+}
+
+const BANK_MAPPINGS = loadBankMappings();
+
+// จำนวนบรรทัดสูงสุดต่อไฟล์
+const MAX_STATEMENT_LINES = parseInt(process.env.BANK_STATEMENT_MAX_LINES) || 5000;
+
+/**
+ * แยก CSV เป็น array ของแถว (รองรับ "..." และ "" ภายใน quote)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// หา index ของคอลัมน์จากชื่อที่เป็นไปได้
+function findColumn(header, candidates) {
+    if (!candidates) return -1;
+    const normalized = header.map(h => h.trim().toLowerCase());
+    for (const name of candidates) {
+        const index = normalized.indexOf(String(name).trim().toLowerCase());
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+// แปลงยอดเงิน เช่น "1,234.50" → 1234.5
+function parseAmount(value) {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).replace(/[,\s฿]/g, '');
+    if (cleaned === '' || cleaned === '-') return null;
+    const amount = parseFloat(cleaned);
+    return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+}
+
+/**
+ * แปลงวันที่ + เวลาใน statement เป็น ISO (เวลาไทย +07:00)
+ * รองรับ dd/mm/yyyy, dd-mm-yy, ปี พ.ศ. และ yyyy-mm-dd
+ */
+function parseStatementDate(dateStr, timeStr) {
+    const dateText = String(dateStr || '').trim();
+    let day, month, year, time = String(timeStr || '').trim();
+
+    let match = dateText.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+        if (!time && match[4]) time = match[4];
+    } else {
+        match = dateText.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?/);
+        if (!match) return null;
+        [, day, month, year] = match.map(Number);
+        if (!time && match[4]) time = match[4];
+
+        if (year < 100) {
+            // ปี 2 หลัก: ถ้าเกินปีปัจจุบันถือเป็น พ.ศ. (เช่น 68 = 2568)
+            year += 2000;
+            if (year > new Date().getFullYear() + 1) year = year + 500 - 543;
+        }
+    }
+
+    if (year > 2400) year -= 543; // พ.ศ. → ค.ศ.
+
+    const timeMatch = time.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    const [hh, mm, ss] = timeMatch ? [timeMatch[1], timeMatch[2], timeMatch[3] || '00'] : ['00', '00', '00'];
+
+    const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}T${hh.padStart(2, '0')}:${mm}:${ss}+07:00`;
+    const date = new Date(iso);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * อ่าน statement แล้วคืนรายการเงินเข้า
+ * @param {string} csvText
+ * @param {string} bank - key ใน BANK_MAPPINGS
+ * @param {Object} mappingOverride - แทนที่ mapping บางคอลัมน์ (ไม่บังคับ)
+ * @returns {{ credits: Object[], invalid: Object[], totalLines: number, error?: string }}
+ */
+function parseStatement(csvText, bank, mappingOverride = null) {
+    const baseMapping = BANK_MAPPINGS[bank];
+    if (!baseMapping && !mappingOverride) {
+        return { error: 'ไม่รู้จักธนาคารนี้' };
+    }
+    const mapping = { ...(baseMapping || {}), ...(mappingOverride || {}) };
+
+    const rows = parseCsv(String(csvText || ''));
+
+    // หา header row (statement บางธนาคารมีข้อมูลบัญชีอยู่ก่อนหัวตาราง)
+    const headerIndex = rows.findIndex(r =>
+        findColumn(r, mapping.date) !== -1 &&
+        (findColumn(r, mapping.credit) !== -1 || findColumn(r, mapping.amount) !== -1)
+    );
+
+    if (headerIndex === -1) {
+        return { error: 'ไม่พบหัวตารางที่ตรงกับ column mapping' };
+    }
+
+    const header = rows[headerIndex];
+    const col = {
+        date: findColumn(header, mapping.date),
+        time: findColumn(header, mapping.time),
+        credit: findColumn(header, mapping.credit),
+        amount: findColumn(header, mapping.amount),
+        type: findColumn(header, mapping.type),
+        description: findColumn(header, mapping.description),
+        sender: findColumn(header, mapping.sender),
+        bankRef: findColumn(header, mapping.bankRef),
+        balance: findColumn(header, mapping.balance)
+    };
+    const creditValues = (mapping.creditValues || []).map(v => String(v).toLowerCase());
+
+    const dataRows = rows.slice(headerIndex + 1);
+    if (dataRows.length > MAX_STATEMENT_LINES) {
+        return { error: `ไฟล์มีรายการเกิน ${MAX_STATEMENT_LINES} บรรทัด` };
+    }
+
+    const credits = [];
+    const invalid = [];
+    const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+
+    dataRows.forEach((row, i) => {
+        const line = headerIndex + i + 2; // แถวที่ในไฟล์ (ไม่นับบรรทัดว่าง)
+
+        let amount;
+        if (col.credit !== -1) {
+            amount = parseAmount(cell(row, col.credit));
+        } else {
+            amount = parseAmount(cell(row, col.amount));
+            // statement แบบคอลัมน์ยอดเดียว: ดูประเภทรายการ หรือยอดติดลบ = เงินออก
+            if (col.type !== -1 && creditValues.length > 0 &&
+                !creditValues.some(v => cell(row, col.type).toLowerCase().includes(v))) {
+                amount = null;
+            }
+        }
+
+        if (!amount || amount <= 0) return; // ไม่ใช่เงินเข้า
+
+        const depositedAt = parseStatementDate(cell(row, col.date), cell(row, col.time));
+        if (!depositedAt) {
+            invalid.push({ line, error: 'วันที่ไม่ถูกต้อง' });
+            return;
+        }
+
+        const description = cell(row, col.description);
+
+        // ไม่มีเลขอ้างอิงจากธนาคาร → ใช้ hash ของบรรทัด (กันนำเข้าไฟล์ซ้ำ)
+        const bankRef = cell(row, col.bankRef) || 'csv:' + crypto
+            .createHash('sha256')
+            .update([bank, depositedAt, amount, description, cell(row, col.balance)].join('|'))
+            .digest('hex')
+            .slice(0, 32);
+
+        credits.push({
+            line,
+            amount,
+            depositedAt,
+            bankRef,
+            senderName: cell(row, col.sender) || null,
+            reference: description || null,
+            raw: Object.fromEntries(header.map((h, idx) => [h.trim(), (row[idx] || '').trim()]))
+        });
+    });
+
+    return { credits, invalid, totalLines: dataRows.length };
+}
+
+// รายชื่อธนาคารที่รองรับ (สำหรับหน้า Admin)
+function getSupportedBanks() {
+    return Object.entries(BANK_MAPPINGS).map(([key, mapping]) => ({
+        key,
+        name: mapping.name || key
+    }));
+}
+
+module.exports = {
+    BANK_MAPPINGS,
+    parseCsv,
+    parseStatement,
+    parseStatementDate,
+    getSupportedBanks
+};
@@ -9,8 +9,9 @@ const https = require('https');
  * ส่ง Webhook ไป Discord
  * @param {string} webhookUrl - Discord Webhook URL
  * @param {object} embed - Discord Embed object
+ * @param {object} extra - field อื่นของ payload เช่น content, allowed_mentions
  */
-async function sendWebhook(webhookUrl, embed) {
+async function sendWebhook(webhookUrl, embed, extra = {}) {
     return new Promise((resolve, reject) => {
         if (!webhookUrl) {
             return reject(new Error('Discord Webhook URL not configured'));
@@ -18,7 +19,7 @@ async function sendWebhook(webhookUrl, embed) {
 
         try {
             const url = new URL(webhookUrl);
-            const data = JSON.stringify({ embeds: [embed] });
+            const data = JSON.stringify({ ...extra, embeds: [embed] });
 
             const options = {
                 hostname: url.hostname,
@@ -163,6 +164,103 @@ async function notifyAngpaoResult(request, action, amount = 0) {
     }
 }
 
+/**
+ * แจ้งเตือนสรุปผล Wallet Reconciliation
+ * @param {object} report - รายงานจาก runReconciliation
+ */
+async function notifyReconciliationReport(report) {
+    const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
+    
+    if (!webhookUrl) return { success: false };
+
+    // แสดงแค่ 10 รายการที่ drift มากที่สุด
+    const topItems = report.items.slice(0, 10)
+        .map(i => `\`${i.userId}\` เก็บ ${i.storedBalance.toFixed(2)} / ledger ${i.ledgerBalance.toFixed(2)} (${i.drift > 0 ? '+' : ''}${i.drift.toFixed(2)})`)
+        .join('\n');
+
+    const embed = {
+        title: '⚠️ Wallet Balance Drift',
+        color: 0xFEE75C, // สีเหลือง
+        fields: [
+            {
+                name: '👛 Wallet ที่ตรวจ',
+                value: `${report.walletsChecked}`,
+                inline: true
+            },
+            {
+                name: '❗ ยอดไม่ตรง',
+                value: `${report.driftCount} รายการ`,
+                inline: true
+            },
+            {
+                name: '💰 Drift รวม',
+                value: `${report.totalDrift.toFixed(2)} บาท`,
+                inline: true
+            },
+            {
+                name: '📋 รายการ',
+                value: topItems || '-'
+            }
+        ],
+        footer: {
+            text: 'DIPS SHOP - Wallet Reconciliation'
+        },
+        timestamp: report.checkedAt
+    };
+
+    try {
+        await sendWebhook(webhookUrl, embed);
+        return { success: true };
+    } catch (error) {
+        console.error('Failed to send Discord reconciliation notification:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * แจ้ง user ว่าคำขอเติมเงินหมดอายุ (mention user ใน channel)
+ * ใช้ DISCORD_USER_WEBHOOK_URL ถ้ามี ไม่งั้นใช้ DISCORD_WEBHOOK_URL
+ * @param {object[]} items - [{ requestId, userId, method, amount }]
+ */
+async function notifyTopupExpired(items) {
+    const webhookUrl = process.env.DISCORD_USER_WEBHOOK_URL || process.env.DISCORD_WEBHOOK_URL;
+    
+    if (!webhookUrl || items.length === 0) return { success: false };
+
+    // Discord จำกัดความยาว field ที่ 1024 ตัวอักษร แสดงแค่ 15 รายการแรก
+    const shown = items.slice(0, 15);
+    const userIds = [...new Set(shown.map(i => i.userId))];
+
+    const embed = {
+        title: '⌛ คำขอเติมเงินหมดอายุ',
+        description: 'คำขอต่อไปนี้ไม่ได้รับการชำระ/ตรวจสอบภายในเวลาที่กำหนด หากโอนเงินแล้วกรุณาติดต่อ Admin',
+        color: 0x99AAB5, // สีเทา
+        fields: [
+            {
+                name: '📋 รายการ',
+                value: shown.map(i => `<@${i.userId}> \`${i.requestId}\` ${i.method} ${i.amount.toFixed(2)} บาท`).join('\n')
+            }
+        ],
+        footer: {
+            text: items.length > shown.length
+                ? `DIPS SHOP - Topup Expiry (+${items.length - shown.length} รายการ)`
+                : 'DIPS SHOP - Topup Expiry'
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    try {
+        await sendWebhook(webhookUrl, embed, {
+            content: userIds.map(id => `<@${id}>`).join(' '),
+            allowed_mentions: { users: userIds }
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Failed to send Discord topup expiry notification:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * ทดสอบ Webhook
  */
@@ -191,5 +289,7 @@ async function testWebhook() {
 module.exports = {
     notifyAngpaoRequest,
     notifyAngpaoResult,
+    notifyReconciliationReport,
+    notifyTopupExpired,
     testWebhook
 };
@@ -0,0 +1,308 @@
+/**
+ * Topup Fraud Scoring
+ * ให้คะแนนความเสี่ยงของการเติมเงินแต่ละครั้งจากกฎใน topup_fraud_rules (Admin แก้ได้)
+ * คะแนนรวมถึง hold_threshold = พักไว้ให้ Admin ตรวจ (ไม่เติมเงินอัตโนมัติ)
+ *
+ * ลำดับการใช้งาน: recordTopupAttempt (ก่อนเรียก provider) → assessTopupAttempt (เมื่อรู้ยอด/ชื่อผู้โอน)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+// พารามิเตอร์ที่แต่ละกฎรับ (ใช้ตรวจตอน Admin แก้)
+const FRAUD_RULE_PARAMS = {
+    user_velocity: ['windowMinutes', 'maxAttempts'],
+    ip_velocity: ['windowMinutes', 'maxAttempts'],
+    angpao_failures: ['windowHours', 'maxFailures'],
+    sender_name_change: ['lookbackDays', 'maxDistinctNames'],
+    new_account_large_topup: ['accountAgeHours', 'minAmount']
+};
+
+function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+// นับการเติมเงินในช่วงเวลา (รวมครั้งปัจจุบัน)
+async function countAttempts(column, value, windowMinutes) {
+    const { count, error } = await supabaseAdmin
+        .from('topup_attempts')
+        .select('id', { count: 'exact', head: true })
+        .eq(column, value)
+        .gte('created_at', minutesAgo(windowMinutes));
+
+    if (error) throw error;
+    return count || 0;
+}
+
+// กฎ: evaluate(ctx, params) → null (ไม่เข้าเงื่อนไข) หรือ detail ของสิ่งที่พบ
+const FRAUD_RULES = {
+    async user_velocity(ctx, { windowMinutes = 60, maxAttempts = 5 }) {
+        const attempts = await countAttempts('user_id', ctx.userId, windowMinutes);
+        return attempts > maxAttempts ? { attempts, windowMinutes } : null;
+    },
+
+    async ip_velocity(ctx, { windowMinutes = 60, maxAttempts = 10 }) {
+        if (!ctx.ip) return null;
+        const attempts = await countAttempts('ip_address', ctx.ip, windowMinutes);
+        return attempts > maxAttempts ? { attempts, windowMinutes } : null;
+    },
+
+    async angpao_failures(ctx, { windowHours = 24, maxFailures = 3 }) {
+        const { count, error } = await supabaseAdmin
+            .from('security_events')
+            .select('id', { count: 'exact', head: true })
+            .eq('event_type', 'angpao_failed')
+            .eq('user_id', ctx.userId)
+            .gte('created_at', minutesAgo(windowHours * 60));
+
+        if (error) throw error;
+        return count >= maxFailures ? { failures: count, windowHours } : null;
+    },
+
+    async sender_name_change(ctx, { lookbackDays = 30, maxDistinctNames = 2 }) {
+        if (!ctx.senderName) return null;
+
+        const { data, error } = await supabaseAdmin
+            .from('topup_attempts')
+            .select('sender_name')
+            .eq('user_id', ctx.userId)
+            .not('sender_name', 'is', null)
+            .gte('created_at', minutesAgo(lookbackDays * 24 * 60))
+            .limit(500);
+
+        if (error) throw error;
+
+        const normalize = name => String(name).trim().toUpperCase().replace(/\s+/g, ' ');
+        const names = new Set((data || []).map(a => normalize(a.sender_name)));
+        names.add(normalize(ctx.senderName));
+        return names.size > maxDistinctNames ? { names: [...names], lookbackDays } : null;
+    },
+
+    async new_account_large_topup(ctx, { accountAgeHours = 72, minAmount = 1000 }) {
+        if (!ctx.amount || ctx.amount < minAmount) return null;
+
+        const { data: user, error } = await supabaseAdmin
+            .from('users')
+            .select('created_at')
+            .eq('discord_id', ctx.userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user) return null;
+
+        const ageHours = (Date.now() - new Date(user.created_at).getTime()) / 3600000;
+        return ageHours < accountAgeHours
+            ? { accountAgeHours: Math.round(ageHours * 10) / 10, amount: ctx.amount }
+            : null;
+    }
+};
+
+/**
+ * ดูกฎ + ค่าตั้งทั้งหมด
+ * @returns {Promise<{ settings: Object, rules: Object[] }>}
+ */
+async function getFraudConfig() {
+    const [{ data: settings, error: settingsError }, { data: rules, error: rulesError }] = await Promise.all([
+        supabaseAdmin.from('topup_fraud_settings').select('*').maybeSingle(),
+        supabaseAdmin.from('topup_fraud_rules').select('*').order('rule_key')
+    ]);
+
+    if (settingsError) throw settingsError;
+    if (rulesError) throw rulesError;
+
+    return {
+        settings: {
+            enabled: settings ? settings.enabled : false,
+            holdThreshold: settings ? settings.hold_threshold : 100,
+            updatedBy: settings?.updated_by || null,
+            updatedAt: settings?.updated_at || null
+        },
+        rules: (rules || []).map(r => ({
+            key: r.rule_key,
+            enabled: r.enabled,
+            weight: r.weight,
+            params: r.params || {},
+            description: r.description,
+            updatedBy: r.updated_by,
+            updatedAt: r.updated_at
+        }))
+    };
+}
+
+/**
+ * แก้ค่าตั้งรวม
+ * @returns {Promise<{ settings?: Object, error?: string }>}
+ */
+async function updateFraudSettings({ enabled, holdThreshold }, adminId) {
+    const update = { updated_by: adminId, updated_at: new Date().toISOString() };
+
+    if (enabled !== undefined) update.enabled = !!enabled;
+    if (holdThreshold !== undefined) {
+        const threshold = parseInt(holdThreshold);
+        if (isNaN(threshold) || threshold < 1 || threshold > 100) {
+            return { error: 'คะแนนที่พักคำขอต้องอยู่ระหว่าง 1 - 100' };
+        }
+        update.hold_threshold = threshold;
+    }
+
+    const { error } = await supabaseAdmin
+        .from('topup_fraud_settings')
+        .upsert({ id: true, ...update }, { onConflict: 'id' });
+
+    if (error) throw error;
+    return { settings: (await getFraudConfig()).settings };
+}
+
+/**
+ * แก้กฎ 1 ข้อ
+ * @returns {Promise<{ rule?: Object, error?: string }>}
+ */
+async function updateFraudRule(ruleKey, { enabled, weight, params }, adminId) {
+    if (!FRAUD_RULES[ruleKey]) {
+        return { error: 'ไม่พบกฎนี้' };
+    }
+
+    const update = { updated_by: adminId, updated_at: new Date().toISOString() };
+
+    if (enabled !== undefined) update.enabled = !!enabled;
+    if (weight !== undefined) {
+        const w = parseInt(weight);
+        if (isNaN(w) || w < 0 || w > 100) {
+            return { error: 'คะแนนของกฎต้องอยู่ระหว่าง 0 - 100' };
+        }
+        update.weight = w;
+    }
+    if (params !== undefined) {
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            return { error: 'params ไม่ถูกต้อง' };
+        }
+        const cleaned = {};
+        for (const key of FRAUD_RULE_PARAMS[ruleKey]) {
+            if (params[key] === undefined) continue;
+            const value = parseFloat(params[key]);
+            if (isNaN(value) || value < 0) {
+                return { error: `${key} ต้องเป็นตัวเลขที่ไม่ติดลบ` };
+            }
+            cleaned[key] = value;
+        }
+        update.params = cleaned;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('topup_fraud_rules')
+        .update(update)
+        .eq('rule_key', ruleKey)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { error: 'ไม่พบกฎนี้' };
+
+    return {
+        rule: {
+            key: data.rule_key,
+            enabled: data.enabled,
+            weight: data.weight,
+            params: data.params,
+            description: data.description,
+            updatedBy: data.updated_by,
+            updatedAt: data.updated_at
+        }
+    };
+}
+
+/**
+ * บันทึกการเติมเงิน 1 ครั้ง (ก่อนรู้ผล) ใช้นับ velocity
+ * @returns {Promise<string|null>} attemptId (null ถ้าบันทึกไม่ได้ - ไม่ขวางการเติมเงิน)
+ */
+async function recordTopupAttempt({ userId, ip = null, method, amount = null, intentId = null }) {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('topup_attempts')
+            .insert({ user_id: userId, ip_address: ip, method, amount, intent_id: intentId })
+            .select('id')
+            .single();
+
+        if (error) throw error;
+        return data.id;
+    } catch (error) {
+        console.error('Record topup attempt error:', error);
+        return null;
+    }
+}
+
+/**
+ * ให้คะแนนการเติมเงิน แล้วบันทึกคะแนนไว้กับ attempt
+ * rule ที่ error จะถูกข้าม (ไม่ขวางการเติมเงิน)
+ * @param {string|null} attemptId - จาก recordTopupAttempt
+ * @param {Object} ctx - { userId, ip, method, amount, senderName }
+ * @returns {Promise<{ score: number, signals: Object[], hold: boolean, threshold: number }>}
+ */
+async function assessTopupAttempt(attemptId, ctx) {
+    let config;
+    try {
+        config = await getFraudConfig();
+    } catch (error) {
+        console.error('Load fraud config error:', error);
+        return { score: 0, signals: [], hold: false, threshold: null };
+    }
+
+    const { settings, rules } = config;
+    const signals = [];
+
+    if (settings.enabled) {
+        for (const rule of rules) {
+            if (!rule.enabled || rule.weight <= 0 || !FRAUD_RULES[rule.key]) continue;
+            try {
+                const detail = await FRAUD_RULES[rule.key](ctx, rule.params);
+                if (detail) {
+                    signals.push({ rule: rule.key, weight: rule.weight, detail });
+                }
+            } catch (error) {
+                console.error(`Fraud rule ${rule.key} error:`, error);
+            }
+        }
+    }
+
+    const score = Math.min(signals.reduce((sum, s) => sum + s.weight, 0), 100);
+    const hold = settings.enabled && score >= settings.holdThreshold;
+
+    if (attemptId) {
+        const { error } = await supabaseAdmin
+            .from('topup_attempts')
+            .update({
+                amount: ctx.amount ?? null,
+                sender_name: ctx.senderName || null,
+                score,
+                signals,
+                decision: hold ? 'hold' : 'allow'
+            })
+            .eq('id', attemptId);
+
+        if (error) console.error('Update topup attempt error:', error);
+    }
+
+    return { score, signals, hold, threshold: settings.holdThreshold };
+}
+
+/**
+ * ผูก attempt กับคำขอเติมเงินที่สร้างขึ้น
+ */
+async function linkTopupAttempt(attemptId, requestId) {
+    if (!attemptId) return;
+    const { error } = await supabaseAdmin
+        .from('topup_attempts')
+        .update({ request_id: requestId })
+        .eq('id', attemptId);
+
+    if (error) console.error('Link topup attempt error:', error);
+}
+
+module.exports = {
+    FRAUD_RULE_PARAMS,
+    getFraudConfig,
+    updateFraudSettings,
+    updateFraudRule,
+    recordTopupAttempt,
+    assessTopupAttempt,
+    linkTopupAttempt
+};
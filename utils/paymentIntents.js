@@ -0,0 +1,218 @@
+/**
+ * Payment Intents
+ * QR PromptPay ที่สร้างให้ user ถูกเก็บใน payment_intents (ยอด, ref, วันหมดอายุ, สถานะ)
+ * Slip ต้องจับคู่กับ intent ที่ยังเปิดอยู่เท่านั้น
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { invalidateBalanceCache } = require('./cache');
+
+// Configuration
+const PAYMENT_INTENT_CONFIG = {
+    ttlMinutes: parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES) || 30,
+    maxOpenPerUser: parseInt(process.env.PAYMENT_INTENT_MAX_OPEN) || 3
+};
+
+// แปลง payment_intents row ให้ตรงกับ frontend
+function formatPaymentIntent(intent) {
+    const expired = intent.status === 'pending' && new Date(intent.expires_at) < new Date();
+    return {
+        id: intent.intent_id,
+        method: intent.method,
+        amount: parseFloat(intent.amount),
+        ref: intent.ref,
+        qrCode: intent.qr_payload,
+        status: expired ? 'expired' : intent.status,
+        transRef: intent.trans_ref,
+        transactionId: intent.transaction_id,
+        expiresAt: intent.expires_at,
+        paidAt: intent.paid_at,
+        createdAt: intent.created_at
+    };
+}
+
+/**
+ * เปลี่ยน intent ที่เลยเวลาแล้วของ user เป็น expired
+ * @param {string} userId
+ */
+async function expireStalePaymentIntents(userId) {
+    const { error } = await supabaseAdmin
+        .from('payment_intents')
+        .update({ status: 'expired' })
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+}
+
+/**
+ * ดู intent ที่ยังเปิดอยู่ของ user (ล่าสุดก่อน)
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+async function getOpenPaymentIntents(userId) {
+    await expireStalePaymentIntents(userId);
+
+    const { data, error } = await supabaseAdmin
+        .from('payment_intents')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * สร้าง payment intent ใหม่
+ * @returns {Promise<Object>} payment_intents row
+ */
+async function createPaymentIntent({ userId, amount, method = 'qr_promptpay', ref, promptPayId, qrPayload }) {
+    const { data, error } = await supabaseAdmin
+        .from('payment_intents')
+        .insert({
+            intent_id: `PAY${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            user_id: userId,
+            method: method,
+            amount: amount,
+            ref: ref,
+            promptpay_id: promptPayId,
+            qr_payload: qrPayload,
+            expires_at: new Date(Date.now() + PAYMENT_INTENT_CONFIG.ttlMinutes * 60 * 1000).toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * หา intent ที่จะใช้จับคู่กับ Slip
+ * ระบุ intentId มา → ใช้ตัวนั้น, ไม่ระบุ → intent pending ล่าสุดของ user
+ * @returns {Promise<Object|null>}
+ */
+async function findPaymentIntentForSlip(userId, intentId = null) {
+    let query = supabaseAdmin
+        .from('payment_intents')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (intentId) {
+        query = query.eq('intent_id', intentId);
+    } else {
+        query = query.eq('status', 'pending').order('created_at', { ascending: false }).limit(1);
+    }
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * ยกเลิก intent ที่ยังไม่ชำระ
+ * @returns {Promise<Object|null>} row ที่ถูกยกเลิก หรือ null ถ้ายกเลิกไม่ได้
+ */
+async function cancelPaymentIntent(userId, intentId) {
+    const { data, error } = await supabaseAdmin
+        .from('payment_intents')
+        .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+        .eq('intent_id', intentId)
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * ชำระ intent ด้วย Slip ที่ตรวจแล้ว (บันทึก Slip + เติมเงิน + ปิด intent ใน transaction เดียว)
+ * throw error.code = INTENT_NOT_FOUND | INTENT_NOT_PENDING | INTENT_EXPIRED | AMOUNT_MISMATCH | DUPLICATE_SLIP
+ * @returns {Promise<{ newBalance: number, transaction: Object }>}
+ */
+async function completePaymentIntent({ intentId, userId, transRef, imageHash, amount, provider, details = {} }) {
+    const { data, error } = await supabaseAdmin.rpc('complete_payment_intent', {
+        p_intent_id: intentId,
+        p_user_id: userId,
+        p_trans_ref: transRef,
+        p_image_hash: imageHash,
+        p_amount: amount,
+        p_provider: provider,
+        p_details: details
+    });
+
+    if (error) {
+        const match = (error.message || '').match(/^(INTENT_NOT_FOUND|INTENT_NOT_PENDING|INTENT_EXPIRED|AMOUNT_MISMATCH|DUPLICATE_SLIP|INVALID_SLIP|INVALID_AMOUNT)/);
+        if (match) {
+            const intentError = new Error(error.message);
+            intentError.code = match[1];
+            throw intentError;
+        }
+        throw error;
+    }
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    invalidateBalanceCache(userId);
+
+    return {
+        newBalance: parseFloat(result.newBalance),
+        transaction: {
+            id: result.transactionId,
+            userId: userId,
+            type: 'topup',
+            amount: parseFloat(result.amount),
+            balanceAfter: parseFloat(result.newBalance),
+            details: { ...details, transRef, slipHash: imageHash, paymentIntentId: intentId },
+            timestamp: result.createdAt
+        }
+    };
+}
+
+/**
+ * พัก intent ที่ Slip ตรวจผ่านแต่คะแนนเสี่ยงสูง (จอง Slip + สร้างคำขอรอ Admin ไม่เติมเงิน)
+ * throw error.code เหมือน completePaymentIntent
+ * @returns {Promise<{ requestId: string, intentId: string, amount: number, score: number }>}
+ */
+async function holdPaymentIntent({ intentId, userId, transRef, imageHash, amount, provider, details = {}, requestId, score, signals }) {
+    const { data, error } = await supabaseAdmin.rpc('hold_payment_intent', {
+        p_intent_id: intentId,
+        p_user_id: userId,
+        p_trans_ref: transRef,
+        p_image_hash: imageHash,
+        p_amount: amount,
+        p_provider: provider,
+        p_details: details,
+        p_request_id: requestId,
+        p_score: score,
+        p_signals: signals
+    });
+
+    if (error) {
+        const match = (error.message || '').match(/^(INTENT_NOT_FOUND|INTENT_NOT_PENDING|INTENT_EXPIRED|AMOUNT_MISMATCH|DUPLICATE_SLIP|INVALID_SLIP)/);
+        if (match) {
+            const intentError = new Error(error.message);
+            intentError.code = match[1];
+            throw intentError;
+        }
+        throw error;
+    }
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    return { ...result, amount: parseFloat(result.amount) };
+}
+
+module.exports = {
+    PAYMENT_INTENT_CONFIG,
+    formatPaymentIntent,
+    getOpenPaymentIntents,
+    createPaymentIntent,
+    findPaymentIntentForSlip,
+    cancelPaymentIntent,
+    completePaymentIntent,
+    holdPaymentIntent
+};
@@ -0,0 +1,412 @@
+/**
+ * Provider Webhooks
+ * รับ callback จาก payment provider (ยอดเงินเข้า / ซองอั่งเปาถูกรับแล้ว) แทนการรอ user ส่ง Slip หรือ Admin อนุมัติ
+ * - ตรวจ HMAC-SHA256 ด้วย secret ของแต่ละ provider (PAYMENT_WEBHOOK_SECRET_<PROVIDER>)
+ * - เก็บ event ดิบใน provider_webhook_events ก่อนประมวลผล (event เดิมซ้ำ = ไม่ทำซ้ำ)
+ * - event ที่ล้มเหลว Admin สั่งประมวลผลใหม่ (replay) ได้
+ *
+ * Headers: X-Webhook-Timestamp (unix วินาที), X-Webhook-Signature: sha256=<hex ของ HMAC("<timestamp>.<raw body>")>
+ * Body: { id, type, data }
+ * - deposit: { amount, transRef, depositedAt, senderName, senderAccount, reference, intentId? }
+ * - voucher.redeemed: { voucherHash | voucherLink, amount, transactionId, requestId? }
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const paymentProviders = require('./providers');
+const { parseDeposit, recordBankDeposit } = require('./bankDeposits');
+const { completePaymentIntent } = require('./paymentIntents');
+const { findRedeemedVoucher } = require('./voucherGuard');
+const { applyRedeemedVoucher } = require('./angpaoWorker');
+const { validateVoucherFormat } = require('./truemoneyApi');
+
+// Configuration
+const WEBHOOK_CONFIG = {
+    // timestamp ใน header ต่างจากเวลา server ได้ไม่เกิน (วินาที) กันการส่ง request เดิมซ้ำ
+    toleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300,
+    // event ที่ค้าง processing นานเกินนี้ (เช่น server ล่มระหว่างทำ) ประมวลผลใหม่ได้ (นาที)
+    staleProcessingMinutes: 10
+};
+
+// event type → capability ที่ provider ต้องมี
+const WEBHOOK_EVENT_TYPES = {
+    'deposit': ['slip', 'qr'],
+    'voucher.redeemed': ['voucher']
+};
+
+const WEBHOOK_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+// error ที่ลองใหม่ก็ไม่หาย (ข้อมูลใน event ไม่ถูกต้อง)
+function invalidEvent(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_EVENT';
+    return error;
+}
+
+function generateEventId() {
+    return `WHE${Date.now()}${crypto.randomInt(0, 1000).toString().padStart(3, '0')}`;
+}
+
+function getWebhookSecret(providerName) {
+    return process.env[`PAYMENT_WEBHOOK_SECRET_${providerName.toUpperCase()}`] || null;
+}
+
+// แปลง provider_webhook_events row ให้ตรงกับ frontend
+function formatWebhookEvent(e) {
+    return {
+        id: e.event_id,
+        provider: e.provider,
+        externalId: e.external_id,
+        type: e.event_type,
+        payload: e.payload,
+        status: e.status,
+        attempts: e.attempts,
+        error: e.error,
+        result: e.result,
+        receivedAt: e.received_at,
+        processedAt: e.processed_at
+    };
+}
+
+/**
+ * ตรวจ signature ของ webhook
+ * @param {string} providerName
+ * @param {Buffer|string} rawBody
+ * @param {Object} headers - { signature, timestamp }
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function verifyWebhookSignature(providerName, rawBody, { signature, timestamp }) {
+    const secret = getWebhookSecret(providerName);
+    if (!secret) {
+        return { valid: false, error: 'Webhook not configured' };
+    }
+
+    const ts = parseInt(timestamp);
+    if (!ts || Math.abs(Date.now() / 1000 - ts) > WEBHOOK_CONFIG.toleranceSeconds) {
+        return { valid: false, error: 'Invalid timestamp' };
+    }
+
+    const received = String(signature || '').replace(/^sha256=/, '');
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`${ts}.${rawBody}`)
+        .digest('hex');
+
+    const receivedBuffer = Buffer.from(received, 'hex');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    if (receivedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(receivedBuffer, expectedBuffer)) {
+        return { valid: false, error: 'Invalid signature' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * บันทึก event ที่ตรวจ signature แล้ว
+ * @returns {Promise<{ event?: Object, duplicate?: boolean, error?: string }>} event = provider_webhook_events row
+ */
+async function recordWebhookEvent(providerName, rawBody, signature) {
+    const provider = paymentProviders.getProviderByName(providerName);
+    if (!provider) {
+        return { error: 'Unknown provider' };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(String(rawBody));
+    } catch (parseError) {
+        return { error: 'Invalid JSON' };
+    }
+
+    const externalId = body?.id ? String(body.id).trim() : '';
+    const requiredCapabilities = WEBHOOK_EVENT_TYPES[body?.type];
+    if (!externalId || externalId.length > 200) {
+        return { error: 'Missing event id' };
+    }
+    if (!requiredCapabilities || !requiredCapabilities.some(c => provider.capabilities.includes(c))) {
+        return { error: `Unsupported event type: ${body?.type}` };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('provider_webhook_events')
+        .insert({
+            event_id: generateEventId(),
+            provider: provider.name,
+            external_id: externalId,
+            event_type: body.type,
+            payload: body,
+            raw_body: String(rawBody),
+            signature: signature || null
+        })
+        .select()
+        .single();
+
+    if (!error) {
+        return { event: data, duplicate: false };
+    }
+
+    // provider ส่ง event เดิมซ้ำ
+    if (error.code === '23505') {
+        const { data: existing, error: fetchError } = await supabaseAdmin
+            .from('provider_webhook_events')
+            .select('*')
+            .eq('provider', provider.name)
+            .eq('external_id', externalId)
+            .single();
+
+        if (fetchError) throw fetchError;
+        return { event: existing, duplicate: true };
+    }
+
+    throw error;
+}
+
+/**
+ * ยอดเงินเข้าของ QR (payment intent) ที่ระบุ
+ */
+async function handleIntentDeposit(event, data, { onCredited }) {
+    const { data: intent, error } = await supabaseAdmin
+        .from('payment_intents')
+        .select('*')
+        .eq('intent_id', String(data.intentId))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!intent) throw invalidEvent(`ไม่พบ payment intent ${data.intentId}`);
+    if (!data.transRef) throw invalidEvent('ไม่มีเลขอ้างอิงธุรกรรม (transRef)');
+
+    let credited;
+    try {
+        credited = await completePaymentIntent({
+            intentId: intent.intent_id,
+            userId: intent.user_id,
+            transRef: String(data.transRef),
+            imageHash: null,
+            amount: parseFloat(data.amount),
+            provider: event.provider,
+            details: {
+                method: 'qr_promptpay',
+                senderName: data.senderName || null,
+                webhookEventId: event.event_id,
+                verifiedAt: new Date().toISOString()
+            }
+        });
+    } catch (intentError) {
+        if (['DUPLICATE_SLIP', 'INTENT_NOT_PENDING'].includes(intentError.code)) {
+            return { status: 'ignored', result: { intentId: intent.intent_id, reason: intentError.code } };
+        }
+        // เงินเข้าบัญชีจริงแล้วแต่ QR หมดอายุ / ยอดไม่ตรง: บันทึกเป็นยอดเงินเข้า ให้ Admin จับคู่เอง
+        if (['INTENT_EXPIRED', 'AMOUNT_MISMATCH'].includes(intentError.code)) {
+            return recordWebhookDeposit(event, data, { onCredited });
+        }
+        if (['INVALID_AMOUNT', 'INVALID_SLIP'].includes(intentError.code)) {
+            throw invalidEvent(intentError.message);
+        }
+        throw intentError;
+    }
+
+    const { transaction } = credited;
+    if (onCredited) {
+        await onCredited({ userId: intent.user_id, amount: transaction.amount, method: 'promptpay', transactionId: transaction.id });
+    }
+
+    return {
+        status: 'processed',
+        result: { intentId: intent.intent_id, userId: intent.user_id, amount: transaction.amount, transactionId: transaction.id }
+    };
+}
+
+/**
+ * บันทึกยอดเงินเข้า + จับคู่กับคำขอเติมเงินด้วยยอดเศษสตางค์ (เหมือน bank statement feed)
+ */
+async function recordWebhookDeposit(event, data, { onCredited }) {
+    const { deposit, error } = parseDeposit({
+        amount: data.amount,
+        depositedAt: data.depositedAt,
+        bankRef: data.transRef || data.bankRef,
+        senderName: data.senderName,
+        senderAccount: data.senderAccount,
+        reference: data.reference,
+        raw: { provider: event.provider, webhookEventId: event.event_id, intentId: data.intentId || null }
+    });
+    if (error) throw invalidEvent(error);
+
+    const result = await recordBankDeposit(deposit, 'webhook');
+
+    if (result.duplicate) {
+        return { status: 'ignored', result: { depositId: result.depositId, reason: 'DUPLICATE_DEPOSIT' } };
+    }
+
+    if (result.matched && onCredited) {
+        await onCredited({
+            userId: result.userId,
+            amount: parseFloat(result.amount),
+            method: result.method,
+            transactionId: result.transactionId
+        });
+    }
+
+    // unmatched / ambiguous / proposed เข้าคิวยอดเงินเข้าให้ Admin ตรวจตามปกติ
+    return {
+        status: 'processed',
+        result: {
+            depositId: result.depositId,
+            depositStatus: result.status,
+            requestId: result.requestId || null,
+            userId: result.userId || null,
+            transactionId: result.transactionId || null
+        }
+    };
+}
+
+/**
+ * deposit: มี intentId = ชำระ QR นั้น, ไม่มี = จับคู่กับคำขอเติมเงินด้วยยอดเศษสตางค์
+ */
+async function handleDeposit(event, { onCredited }) {
+    const data = event.payload.data || {};
+
+    if (data.intentId) {
+        return handleIntentDeposit(event, data, { onCredited });
+    }
+
+    return recordWebhookDeposit(event, data, { onCredited });
+}
+
+/**
+ * voucher.redeemed: provider รับซองแล้ว เติมเงินให้คำขอที่รออยู่
+ */
+async function handleVoucherRedeemed(event) {
+    const data = event.payload.data || {};
+    const voucherHash = data.voucherHash
+        ? String(data.voucherHash)
+        : validateVoucherFormat(data.voucherLink || '').voucherHash;
+    const amount = parseFloat(data.amount);
+
+    if (!voucherHash || !/^[a-zA-Z0-9]+$/.test(voucherHash)) throw invalidEvent('ไม่มีรหัสซองอั่งเปา');
+    if (!amount || amount <= 0) throw invalidEvent('จำนวนเงินไม่ถูกต้อง');
+
+    let query = supabaseAdmin
+        .from('topup_requests')
+        .select('*')
+        .eq('method', 'truemoney')
+        .eq('status', 'pending')
+        .ilike('slip_url', `%${voucherHash}%`)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+    if (data.requestId) query = query.eq('request_id', String(data.requestId));
+
+    const { data: requests, error } = await query;
+    if (error) throw error;
+
+    const request = requests?.[0];
+    if (!request) {
+        const existing = await findRedeemedVoucher(voucherHash);
+        if (existing?.status === 'redeemed') {
+            return { status: 'ignored', result: { voucherHash, reason: 'VOUCHER_ALREADY_REDEEMED' } };
+        }
+        // คำขออาจยังไม่ถูกสร้าง - replay ภายหลังได้
+        throw new Error(`ไม่พบคำขอซองอั่งเปาที่รอดำเนินการของซอง ${voucherHash}`);
+    }
+
+    const outcome = await applyRedeemedVoucher(
+        request,
+        voucherHash,
+        { amount, transactionId: data.transactionId ? String(data.transactionId) : null },
+        event.provider
+    );
+
+    return {
+        // manual = ยอดเกินวงเงิน พักคำขอไว้ให้ Admin (ถือว่าประมวลผลแล้ว)
+        status: ['approved', 'manual'].includes(outcome) ? 'processed' : 'ignored',
+        result: { requestId: request.request_id, userId: request.user_id, voucherHash, outcome }
+    };
+}
+
+const EVENT_HANDLERS = {
+    'deposit': handleDeposit,
+    'voucher.redeemed': handleVoucherRedeemed
+};
+
+/**
+ * ประมวลผล event (จอง event ก่อน กันประมวลผลพร้อมกัน)
+ * @param {string} eventId
+ * @param {Object} options
+ * @param {Function} options.onCredited - เรียกหลังเติมเงินสำเร็จ ({ userId, amount, method, transactionId })
+ * @returns {Promise<Object|null>} event ที่อัพเดทแล้ว (formatted) หรือ null ถ้าประมวลผลไม่ได้ (ทำไปแล้ว / กำลังทำ)
+ */
+async function processWebhookEvent(eventId, { onCredited = null } = {}) {
+    const { data: current, error: fetchError } = await supabaseAdmin
+        .from('provider_webhook_events')
+        .select('attempts')
+        .eq('event_id', eventId)
+        .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) return null;
+
+    const staleIso = new Date(Date.now() - WEBHOOK_CONFIG.staleProcessingMinutes * 60 * 1000).toISOString();
+
+    const { data: event, error: claimError } = await supabaseAdmin
+        .from('provider_webhook_events')
+        .update({ status: 'processing', attempts: current.attempts + 1, updated_at: new Date().toISOString() })
+        .eq('event_id', eventId)
+        .eq('attempts', current.attempts)
+        .or(`status.in.(received,failed),and(status.eq.processing,updated_at.lt.${staleIso})`)
+        .select()
+        .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!event) return null;
+
+    let update;
+    try {
+        const outcome = await EVENT_HANDLERS[event.event_type](event, { onCredited });
+        update = { status: outcome.status, result: outcome.result, error: null, processed_at: new Date().toISOString() };
+    } catch (handlerError) {
+        if (handlerError.code !== 'INVALID_EVENT') {
+            console.error(`Webhook event ${eventId} error:`, handlerError);
+        }
+        update = { status: 'failed', error: handlerError.message, result: { code: handlerError.code || null } };
+    }
+
+    const { data: saved, error: saveError } = await supabaseAdmin
+        .from('provider_webhook_events')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('event_id', eventId)
+        .select()
+        .single();
+
+    if (saveError) throw saveError;
+    return formatWebhookEvent(saved);
+}
+
+/**
+ * ดู event ตามสถานะ (หน้า Admin)
+ * @param {string[]} statuses
+ * @param {number} limit
+ */
+async function listWebhookEvents(statuses = ['failed'], limit = 100) {
+    let query = supabaseAdmin
+        .from('provider_webhook_events')
+        .select('*')
+        .order('received_at', { ascending: false })
+        .limit(limit);
+
+    const valid = statuses.filter(s => WEBHOOK_STATUSES.includes(s));
+    if (valid.length > 0) query = query.in('status', valid);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(formatWebhookEvent);
+}
+
+module.exports = {
+    WEBHOOK_CONFIG,
+    WEBHOOK_STATUSES,
+    formatWebhookEvent,
+    verifyWebhookSignature,
+    recordWebhookEvent,
+    processWebhookEvent,
+    listWebhookEvents
+};
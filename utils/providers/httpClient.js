@@ -0,0 +1,70 @@
+/**
+ * HTTP Client สำหรับ Payment Providers
+ * ใช้ร่วมกันทุก provider (เดิม thunderApi / truemoneyApi ต่างคนต่างเขียน)
+ */
+
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * ส่ง HTTP/HTTPS request แล้วแปลง response เป็น JSON (ถ้าได้)
+ * timeout จะ reject ด้วย error.code = 'ETIMEDOUT'
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {Object} options.headers
+ * @param {Object} options.body - ส่งเป็น JSON
+ * @param {number} options.timeoutMs
+ * @returns {Promise<{ status: number, data: any }>}
+ */
+function requestJson(url, { method = 'GET', headers = {}, body = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        const isHttps = urlObj.protocol === 'https:';
+        const client = isHttps ? https : http;
+
+        const req = client.request({
+            hostname: urlObj.hostname,
+            port: urlObj.port || (isHttps ? 443 : 80),
+            path: urlObj.pathname + urlObj.search,
+            method: method,
+            headers: headers
+        }, (res) => {
+            let raw = '';
+            res.on('data', chunk => raw += chunk);
+            res.on('end', () => {
+                try {
+                    resolve({ status: res.statusCode, data: JSON.parse(raw) });
+                } catch (e) {
+                    resolve({ status: res.statusCode, data: raw });
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.setTimeout(timeoutMs, () => {
+            const timeoutError = new Error('Request timeout');
+            timeoutError.code = 'ETIMEDOUT';
+            req.destroy(timeoutError);
+        });
+
+        if (body) {
+            req.write(JSON.stringify(body));
+        }
+        req.end();
+    });
+}
+
+/**
+ * เช็คว่า error มาจาก timeout หรือไม่
+ */
+function isTimeoutError(error) {
+    return error?.code === 'ETIMEDOUT';
+}
+
+module.exports = {
+    requestJson,
+    isTimeoutError
+};
@@ -0,0 +1,132 @@
+/**
+ * Payment Provider Registry
+ * server.js เรียก provider ผ่าน getProvider(capability) เท่านั้น
+ * เพิ่ม gateway ใหม่ = สร้างไฟล์ใน utils/providers/ แล้ว registerProvider() ไม่ต้องแก้ server.js
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - ชื่อที่ใช้ใน env (PAYMENT_PROVIDER_*)
+ * @property {string} displayName
+ * @property {string[]} capabilities - slip, qr, voucher
+ * @property {() => boolean} isEnabled
+ * @property {(slipData: string, options?: Object) => Promise<Object>} [verifySlip] - ผลรูปแบบเดียวกับ thunderApi.verifySlip
+ * @property {(payload: string, options?: Object) => Promise<Object>} [verifySlipByPayload]
+ * @property {(amount: number, options?: { ref?: string }) => Promise<Object>} [generateQR]
+ * @property {(voucherLink: string, options?: Object) => Promise<Object>} [redeemVoucher] - ผลรูปแบบเดียวกับ truemoneyApi.redeemAngpao
+ * @property {() => Promise<Object>} checkStatus
+ * @property {() => Promise<Object>} checkBalance
+ * @property {() => Object} getConfig - ข้อมูลที่ส่งให้ frontend ได้
+ */
+
+const CAPABILITIES = ['slip', 'qr', 'voucher'];
+
+// method ที่ provider ต้องมีตาม capability
+const REQUIRED_METHODS = {
+    slip: ['verifySlip'],
+    qr: ['generateQR'],
+    voucher: ['redeemVoucher']
+};
+
+// provider default ของแต่ละ capability
+const DEFAULT_PROVIDERS = {
+    slip: 'thunder',
+    qr: 'thunder',
+    voucher: 'truemoney'
+};
+
+const providers = new Map();
+
+/**
+ * ลงทะเบียน provider
+ * @param {PaymentProvider} provider
+ */
+function registerProvider(provider) {
+    if (!provider?.name) {
+        throw new Error('Provider ต้องมี name');
+    }
+
+    for (const capability of provider.capabilities || []) {
+        if (!CAPABILITIES.includes(capability)) {
+            throw new Error(`Provider ${provider.name}: ไม่รู้จัก capability ${capability}`);
+        }
+        const missing = REQUIRED_METHODS[capability].filter(m => typeof provider[m] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Provider ${provider.name}: ขาด ${missing.join(', ')}`);
+        }
+    }
+
+    providers.set(provider.name, provider);
+}
+
+// ชื่อ provider ที่เลือกไว้สำหรับ capability (PAYMENT_PROVIDER_SLIP > PAYMENT_PROVIDER > default)
+function getSelectedName(capability) {
+    return process.env[`PAYMENT_PROVIDER_${capability.toUpperCase()}`] ||
+        process.env.PAYMENT_PROVIDER ||
+        DEFAULT_PROVIDERS[capability];
+}
+
+/**
+ * ดึง provider ตามชื่อ
+ * @returns {PaymentProvider|null}
+ */
+function getProviderByName(name) {
+    const provider = providers.get(name);
+    if (!provider) return null;
+
+    // ห้ามใช้ mock บน production
+    if (provider.name === 'mock' && process.env.NODE_ENV === 'production') {
+        console.error('⚠️ Mock payment provider is disabled in production');
+        return null;
+    }
+
+    return provider;
+}
+
+/**
+ * ดึง provider ที่เลือกไว้สำหรับ capability
+ * @param {string} capability - slip, qr, voucher
+ * @returns {PaymentProvider}
+ */
+function getProvider(capability) {
+    if (!CAPABILITIES.includes(capability)) {
+        throw new Error(`Unknown payment capability: ${capability}`);
+    }
+
+    const name = getSelectedName(capability);
+    const provider = getProviderByName(name);
+
+    if (!provider || !provider.capabilities.includes(capability)) {
+        // ตั้งค่าผิด: fallback ไป provider default แทนการล่มทั้งระบบ
+        console.error(`⚠️ Payment provider "${name}" not available for ${capability}, using ${DEFAULT_PROVIDERS[capability]}`);
+        return providers.get(DEFAULT_PROVIDERS[capability]);
+    }
+
+    return provider;
+}
+
+/**
+ * รายชื่อ provider ทั้งหมด + capability ที่ถูกเลือกใช้อยู่ (สำหรับหน้า Admin)
+ */
+function listProviders() {
+    return Array.from(providers.values()).map(p => ({
+        name: p.name,
+        displayName: p.displayName || p.name,
+        capabilities: p.capabilities,
+        enabled: p.isEnabled(),
+        activeFor: CAPABILITIES.filter(c => getProvider(c).name === p.name)
+    }));
+}
+
+// Built-in providers
+registerProvider(require('./thunder'));
+registerProvider(require('./truemoney'));
+registerProvider(require('./mock'));
+
+module.exports = {
+    CAPABILITIES,
+    registerProvider,
+    getProvider,
+    getProviderByName,
+    listProviders
+};
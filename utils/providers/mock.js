@@ -0,0 +1,162 @@
+/**
+ * Mock Provider (สำหรับ dev / ทดสอบ flow เติมเงินโดยไม่เรียก API จริง)
+ * ผลลัพธ์ deterministic ตาม input: สลิปเดิมได้ transRef เดิมเสมอ
+ *
+ * เลือกผลลัพธ์ (scenario) ได้ 3 ทาง เรียงตามลำดับความสำคัญ
+ * 1. ใส่ "mock:<scenario>" ไว้ใน input เช่น payload / ลิ้งซอง (mock:success:150 กำหนดยอดได้)
+ * 2. options.scenario
+ * 3. MOCK_PROVIDER_SCENARIO ใน .env (default: success)
+ *
+ * scenario: success, duplicate, timeout, mismatch
+ */
+
+const crypto = require('crypto');
+const thunderApi = require('../thunderApi');
+const { SLIP_RECEIVER_CONFIG } = require('../slipValidator');
+
+const SCENARIOS = ['success', 'duplicate', 'timeout', 'mismatch'];
+
+// Configuration
+const MOCK_CONFIG = {
+    scenario: SCENARIOS.includes(process.env.MOCK_PROVIDER_SCENARIO) ? process.env.MOCK_PROVIDER_SCENARIO : 'success',
+    // หน่วงเวลาจำลอง network (ms)
+    delayMs: parseInt(process.env.MOCK_PROVIDER_DELAY_MS) || 0,
+    // ยอดซองอั่งเปา / ยอด Slip เมื่อไม่รู้ยอดที่คาดไว้
+    defaultAmount: parseFloat(process.env.MOCK_VOUCHER_AMOUNT) || 100
+};
+
+function delay() {
+    return new Promise(resolve => setTimeout(resolve, MOCK_CONFIG.delayMs));
+}
+
+// หา scenario จาก marker ใน input
+function resolveScenario(input, options = {}) {
+    // ตัวคั่น : ใส่หรือไม่ก็ได้ เพราะ voucher hash รับแค่ตัวอักษรกับตัวเลข (เช่น ?v=mocksuccess150)
+    const match = String(input || '').match(/mock:?(success|duplicate|timeout|mismatch)(?::?(\d+(?:\.\d{1,2})?))?/i);
+    if (match) {
+        return { scenario: match[1].toLowerCase(), amount: match[2] ? parseFloat(match[2]) : null };
+    }
+    if (SCENARIOS.includes(options.scenario)) {
+        return { scenario: options.scenario, amount: null };
+    }
+    return { scenario: MOCK_CONFIG.scenario, amount: null };
+}
+
+function mockRef(prefix, input) {
+    return prefix + crypto.createHash('sha256').update(String(input || '')).digest('hex').slice(0, 20).toUpperCase();
+}
+
+// ปิดเลขให้เหลือ 4 ตัวท้ายแบบเดียวกับที่ธนาคารแสดงใน Slip
+function maskNumber(value) {
+    let digits = String(value || '').replace(/[^0-9]/g, '');
+    if (digits.length === 10 && digits.startsWith('0')) {
+        digits = '66' + digits.slice(1);
+    }
+    return digits.slice(0, -4).replace(/[0-9]/g, 'x') + digits.slice(-4);
+}
+
+// ผู้รับใน Slip จำลอง = บัญชีของร้าน (ผ่าน validateSlipReceiver)
+function mockReceiver() {
+    const promptPayId = SLIP_RECEIVER_CONFIG.promptPayIds[0] || '';
+    const bankAccount = SLIP_RECEIVER_CONFIG.bankAccounts[0] || null;
+    const name = SLIP_RECEIVER_CONFIG.names[0] || 'MOCK SHOP';
+
+    return {
+        bankCode: bankAccount?.bankCode || '',
+        bankName: 'Mock Bank',
+        nameTh: name,
+        nameEn: name,
+        account: bankAccount ? maskNumber(bankAccount.account) : '',
+        proxyType: promptPayId ? 'MSISDN' : '',
+        proxyAccount: promptPayId ? maskNumber(promptPayId) : ''
+    };
+}
+
+async function mockSlipResult(input, options = {}) {
+    const { scenario } = resolveScenario(input, options);
+    await delay();
+
+    const transRef = mockRef('MOCK', input);
+
+    if (scenario === 'timeout') {
+        return { success: false, error: 'Request timeout', isTimeout: true };
+    }
+
+    if (scenario === 'duplicate') {
+        return {
+            success: false,
+            error: 'สลิปนี้ถูกใช้งานแล้ว ไม่สามารถใช้ซ้ำได้',
+            isDuplicate: true,
+            raw: { mock: true, scenario, transRef }
+        };
+    }
+
+    const expectedAmount = parseFloat(options.expectedAmount) || MOCK_CONFIG.defaultAmount;
+    const amount = scenario === 'mismatch' ? expectedAmount + 1 : expectedAmount;
+    const receiver = mockReceiver();
+
+    return {
+        success: true,
+        amount,
+        transRef,
+        sendingBank: 'Mock Bank',
+        receivingBank: receiver.bankName,
+        senderName: 'MOCK SENDER',
+        receiverName: receiver.nameTh,
+        receiver,
+        date: new Date().toISOString(),
+        raw: { mock: true, scenario }
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    displayName: 'Mock Provider',
+    capabilities: ['slip', 'qr', 'voucher'],
+
+    isEnabled: () => true,
+
+    verifySlip: (slipData, options = {}) => mockSlipResult(slipData, options),
+
+    verifySlipByPayload: (payload, options = {}) => mockSlipResult(payload, options),
+
+    // สร้าง QR PromptPay จริง (ไม่เรียก API อยู่แล้ว) ถ้าไม่มี PROMPTPAY_ID ใช้เบอร์ทดสอบ
+    generateQR: (amount, { ref = null, promptPayId = null } = {}) =>
+        thunderApi.generateQR(amount, promptPayId || process.env.PROMPTPAY_ID || '0800000000', ref),
+
+    redeemVoucher: async (voucherLink, options = {}) => {
+        const { scenario, amount } = resolveScenario(voucherLink, options);
+        await delay();
+
+        if (scenario === 'timeout') {
+            return { success: false, message: 'ไม่สามารถเชื่อมต่อกับ API ได้', isTransient: true, isTimeout: true };
+        }
+        if (scenario === 'duplicate') {
+            return { success: false, message: 'ซองอั่งเปานี้ถูกใช้ไปแล้ว', isDuplicate: true };
+        }
+        if (scenario === 'mismatch') {
+            return { success: false, message: 'ไม่สามารถรับซองอั่งเปาได้' };
+        }
+
+        const voucherAmount = amount || MOCK_CONFIG.defaultAmount;
+        return {
+            success: true,
+            amount: voucherAmount,
+            transactionId: mockRef('MOCKV', voucherLink),
+            message: `รับเงินสำเร็จ ${voucherAmount} บาท`
+        };
+    },
+
+    checkStatus: async () => ({ success: true, status: { mock: true, scenario: MOCK_CONFIG.scenario } }),
+
+    checkBalance: async () => ({ success: true, balance: 999999 }),
+
+    // รูปแบบเดียวกับ thunder / truemoney เพื่อให้ frontend ใช้ได้เหมือนเดิม
+    getConfig: () => ({
+        enabled: true,
+        provider: 'mock',
+        hasPromptPayId: true,
+        hasPhone: true,
+        hasApiKey: true
+    })
+};
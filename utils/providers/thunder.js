@@ -0,0 +1,28 @@
+/**
+ * Thunder Solution Provider
+ * ตรวจ Slip + สร้าง QR PromptPay ผ่าน utils/thunderApi.js
+ */
+
+const thunderApi = require('../thunderApi');
+
+module.exports = {
+    name: 'thunder',
+    displayName: 'Thunder Solution',
+    capabilities: ['slip', 'qr'],
+
+    isEnabled: () => thunderApi.isEnabled(),
+
+    verifySlip: (slipData) => thunderApi.verifySlip(slipData),
+
+    verifySlipByPayload: (payload, { checkDuplicate = true } = {}) =>
+        thunderApi.verifySlipByPayload(payload, checkDuplicate),
+
+    generateQR: (amount, { ref = null, promptPayId = null } = {}) =>
+        thunderApi.generateQR(amount, promptPayId, ref),
+
+    checkStatus: () => thunderApi.checkStatus(),
+
+    checkBalance: () => thunderApi.checkBalance(),
+
+    getConfig: () => thunderApi.getConfig()
+};
@@ -0,0 +1,26 @@
+/**
+ * TrueMoney Angpao Provider
+ * Redeem ซองอั่งเปาผ่าน utils/truemoneyApi.js (เลือก API ด้วย TRUEMONEY_PROVIDER)
+ */
+
+const truemoneyApi = require('../truemoneyApi');
+
+module.exports = {
+    name: 'truemoney',
+    displayName: 'TrueMoney Angpao',
+    capabilities: ['voucher'],
+
+    isEnabled: () => {
+        const config = truemoneyApi.getConfigStatus();
+        return config.enabled && config.hasApiKey && config.hasPhone;
+    },
+
+    redeemVoucher: (voucherLink) => truemoneyApi.redeemAngpao(voucherLink),
+
+    // provider ภายนอกไม่มี endpoint สถานะ/ยอดคงเหลือที่ใช้ร่วมกันได้
+    checkStatus: async () => ({ success: true, status: truemoneyApi.getConfigStatus() }),
+
+    checkBalance: async () => ({ success: false, error: 'Provider นี้ไม่รองรับการเช็คยอด' }),
+
+    getConfig: () => truemoneyApi.getConfigStatus()
+};
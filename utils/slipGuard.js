@@ -0,0 +1,95 @@
+/**
+ * Slip Guard
+ * ป้องกันการใช้ Slip ซ้ำด้วย table verified_slips (ไม่ขึ้นกับ provider)
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { invalidateBalanceCache } = require('./cache');
+
+/**
+ * สร้าง SHA-256 ของรูป Slip (รองรับทั้ง data URL และ pure base64)
+ * @param {string} slipData
+ * @returns {string|null}
+ */
+function hashSlipImage(slipData) {
+    if (!slipData || typeof slipData !== 'string') return null;
+
+    const base64Data = slipData.includes('base64,') ? slipData.split('base64,')[1] : slipData;
+    const buffer = Buffer.from(base64Data, 'base64');
+    if (buffer.length === 0) return null;
+
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * หา Slip ที่เคยเติมเงินแล้ว (จาก transRef หรือ hash ของรูป)
+ * @param {Object} params
+ * @param {string} params.transRef
+ * @param {string} params.imageHash
+ * @returns {Promise<Object|null>}
+ */
+async function findVerifiedSlip({ transRef = null, imageHash = null }) {
+    const conditions = [];
+    if (transRef) conditions.push(`trans_ref.eq."${transRef.trim().replace(/"/g, '')}"`);
+    if (imageHash) conditions.push(`image_hash.eq.${imageHash}`);
+    if (conditions.length === 0) return null;
+
+    const { data, error } = await supabaseAdmin
+        .from('verified_slips')
+        .select('trans_ref, user_id, amount, transaction_id, created_at')
+        .or(conditions.join(','))
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * บันทึก Slip + เติมเงินใน transaction เดียว
+ * throw error.code = 'DUPLICATE_SLIP' ถ้า Slip นี้เคยใช้แล้ว
+ * @returns {Promise<{ newBalance: number, transaction: Object }>}
+ */
+async function creditVerifiedSlip({ userId, transRef, imageHash, amount, provider, details = {} }) {
+    const { data, error } = await supabaseAdmin.rpc('credit_verified_slip', {
+        p_user_id: userId,
+        p_trans_ref: transRef,
+        p_image_hash: imageHash,
+        p_amount: amount,
+        p_provider: provider,
+        p_details: details
+    });
+
+    if (error) {
+        const match = (error.message || '').match(/^(DUPLICATE_SLIP|INVALID_SLIP|INVALID_AMOUNT)/);
+        if (match) {
+            const slipError = new Error(error.message);
+            slipError.code = match[1];
+            throw slipError;
+        }
+        throw error;
+    }
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    invalidateBalanceCache(userId);
+
+    return {
+        newBalance: parseFloat(result.newBalance),
+        transaction: {
+            id: result.transactionId,
+            userId: userId,
+            type: 'topup',
+            amount: parseFloat(result.amount),
+            balanceAfter: parseFloat(result.newBalance),
+            details: { ...details, transRef, slipHash: imageHash },
+            timestamp: result.createdAt
+        }
+    };
+}
+
+module.exports = {
+    hashSlipImage,
+    findVerifiedSlip,
+    creditVerifiedSlip
+};
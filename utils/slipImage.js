@@ -0,0 +1,111 @@
+/**
+ * Slip Image
+ * ตรวจชนิดไฟล์จาก magic bytes และสร้าง hash ของรูป Slip
+ * - sha256: รูปเดียวกันทุก byte (ใช้ซ้ำ)
+ * - phash (dHash 64 bit): รูปที่หน้าตาเหมือนกันแม้ถูกย่อ/บีบอัด/แก้บางส่วน (Slip ถูกแก้ไข)
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// ชนิดไฟล์ที่รับ (ตรวจจาก magic bytes ไม่เชื่อ mimetype ที่ client ส่งมา)
+const SLIP_IMAGE_TYPES = [
+    { contentType: 'image/jpeg', extension: 'jpg', matches: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { contentType: 'image/png', extension: 'png', matches: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { contentType: 'image/webp', extension: 'webp', matches: b => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+// ขนาดรูปขั้นต่ำ (Slip จริงจากแอปธนาคารใหญ่กว่านี้มาก)
+const MIN_DIMENSION = 100;
+
+/**
+ * หาชนิดรูปจาก magic bytes
+ * @param {Buffer} buffer
+ * @returns {{ contentType: string, extension: string }|null}
+ */
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    const type = SLIP_IMAGE_TYPES.find(t => t.matches(buffer));
+    return type ? { contentType: type.contentType, extension: type.extension } : null;
+}
+
+/**
+ * dHash: ย่อเป็น 9x8 grayscale แล้วเทียบความสว่างของ pixel ที่ติดกันในแนวนอน
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} hex 16 ตัวอักษร
+ */
+async function computePerceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+        .rotate() // หมุนตาม EXIF ก่อน รูปเดียวกันที่หมุนต่างกันจะได้ hash เดียวกัน
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const left = pixels[y * 9 + x];
+            const right = pixels[y * 9 + x + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * จำนวน bit ที่ต่างกันของ phash 2 ค่า (0 = เหมือนกัน, 64 = ต่างกันทั้งหมด)
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt('0x' + a) ^ BigInt('0x' + b);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * ตรวจรูป Slip และสร้าง hash
+ * @param {Buffer} buffer
+ * @returns {Promise<{ image?: Object, error?: string }>}
+ */
+async function inspectSlipImage(buffer) {
+    const type = detectImageType(buffer);
+    if (!type) {
+        return { error: 'รองรับเฉพาะไฟล์ JPG, PNG หรือ WEBP' };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        return { error: 'ไฟล์รูปเสียหรือไม่ใช่รูปภาพ' };
+    }
+
+    if (!metadata.width || !metadata.height || metadata.width < MIN_DIMENSION || metadata.height < MIN_DIMENSION) {
+        return { error: 'รูป Slip เล็กเกินไป' };
+    }
+
+    return {
+        image: {
+            contentType: type.contentType,
+            extension: type.extension,
+            sizeBytes: buffer.length,
+            width: metadata.width,
+            height: metadata.height,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            phash: await computePerceptualHash(buffer)
+        }
+    };
+}
+
+module.exports = {
+    SLIP_IMAGE_TYPES,
+    detectImageType,
+    computePerceptualHash,
+    hammingDistance,
+    inspectSlipImage
+};
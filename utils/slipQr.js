@@ -0,0 +1,118 @@
+/**
+ * Slip QR
+ * อ่าน mini QR ใน Slip ธนาคารไทยเองในเครื่อง แล้วตรวจด้วย payload แทนการส่งรูปทั้งใบให้ provider
+ * (ประหยัดค่า API + ขนาด request) ถ้าไม่พบ QR จะกลับไปตรวจด้วยรูปเหมือนเดิม
+ */
+
+const sharp = require('sharp');
+const jsQR = require('jsqr');
+
+// Configuration
+const SLIP_QR_CONFIG = {
+    enabled: process.env.SLIP_QR_DECODE_ENABLED !== 'false',
+    // ย่อรูปก่อนหา QR (รูปจากมือถือใหญ่มาก หาช้า)
+    maxDimension: 1200
+};
+
+/**
+ * แยก payload แบบ TLV (tag 2 หลัก + ความยาว 2 หลัก + ค่า)
+ * @returns {Object|null} { tag: value } หรือ null ถ้ารูปแบบไม่ถูกต้อง
+ */
+function parseTlv(payload) {
+    const fields = {};
+    let i = 0;
+    while (i < payload.length) {
+        const tag = payload.slice(i, i + 2);
+        const length = parseInt(payload.slice(i + 2, i + 4), 10);
+        if (!/^\d{2}$/.test(tag) || isNaN(length) || i + 4 + length > payload.length) {
+            return null;
+        }
+        fields[tag] = payload.slice(i + 4, i + 4 + length);
+        i += 4 + length;
+    }
+    return fields;
+}
+
+/**
+ * เป็น mini QR ของ Slip หรือไม่
+ * (ไม่ใช่ QR รับเงิน PromptPay ที่ขึ้นต้นด้วย 000201 ซึ่ง user อาจอัพโหลดมาผิดรูป)
+ * @param {string} payload
+ * @returns {boolean}
+ */
+function isSlipQrPayload(payload) {
+    if (typeof payload !== 'string' || payload.length < 20 || payload.length > 512) return false;
+    const fields = parseTlv(payload);
+    return !!fields && fields['00'] !== '01' && fields['51'] === 'TH';
+}
+
+// หา QR ในรูป RGBA ที่ย่อแล้ว
+async function scanRegion(image, region = null) {
+    let pipeline = image.clone();
+    if (region) pipeline = pipeline.extract(region);
+
+    const { data, info } = await pipeline
+        .resize(SLIP_QR_CONFIG.maxDimension, SLIP_QR_CONFIG.maxDimension, { fit: 'inside', withoutEnlargement: !region })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const code = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height);
+    return code ? code.data : null;
+}
+
+/**
+ * อ่าน payload จาก mini QR ใน Slip
+ * @param {Buffer} buffer - รูป Slip
+ * @returns {Promise<string|null>} payload หรือ null ถ้าไม่พบ QR ของ Slip
+ */
+async function decodeSlipQr(buffer) {
+    if (!SLIP_QR_CONFIG.enabled || !Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+    try {
+        // หมุนตาม EXIF ก่อน (extract ใช้พิกัดหลังหมุน)
+        const { data: rotated, info: { width, height } } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+        const image = sharp(rotated);
+
+        // รอบแรกทั้งรูป, รอบสอง (QR เล็กมาก) ขยายเฉพาะครึ่งล่างที่ธนาคารส่วนใหญ่วาง QR ไว้
+        const regions = [null, { left: 0, top: Math.floor(height / 2), width, height: height - Math.floor(height / 2) }];
+        for (const region of regions) {
+            const payload = await scanRegion(image, region);
+            if (payload && isSlipQrPayload(payload.trim())) {
+                return payload.trim();
+            }
+        }
+    } catch (error) {
+        console.error('Decode slip QR error:', error.message);
+    }
+
+    return null;
+}
+
+/**
+ * ตรวจ Slip โดยใช้ payload จาก QR ก่อน ถ้าไม่พบ QR (หรือ provider ไม่รองรับ) ค่อยส่งรูป
+ * @param {Object} provider - slip provider จาก utils/providers
+ * @param {Object} params
+ * @param {Buffer} params.buffer - รูป Slip
+ * @param {string} params.slipData - รูป Slip แบบ base64 (ใช้เมื่อ fallback)
+ * @param {Object} params.options - ส่งต่อให้ provider เช่น expectedAmount
+ * @returns {Promise<Object>} ผลของ provider + verifiedBy ('payload' | 'image')
+ */
+async function verifySlipPreferPayload(provider, { buffer, slipData, options = {} }) {
+    if (typeof provider.verifySlipByPayload === 'function') {
+        const payload = await decodeSlipQr(buffer);
+        if (payload) {
+            const result = await provider.verifySlipByPayload(payload, options);
+            return { ...result, verifiedBy: 'payload' };
+        }
+    }
+
+    const result = await provider.verifySlip(slipData, options);
+    return { ...result, verifiedBy: 'image' };
+}
+
+module.exports = {
+    SLIP_QR_CONFIG,
+    isSlipQrPayload,
+    decodeSlipQr,
+    verifySlipPreferPayload
+};
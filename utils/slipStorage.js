@@ -0,0 +1,125 @@
+/**
+ * Slip Storage
+ * เก็บไฟล์รูป Slip แบบเลือก backend ได้ด้วย SLIP_STORAGE_BACKEND
+ * - local (default): เก็บในดิสก์ (SLIP_STORAGE_DIR)
+ * - supabase: Supabase Storage bucket (SLIP_STORAGE_BUCKET) ควรตั้งเป็น private bucket
+ * ไฟล์ไม่ถูกเปิดเป็น public - อ่านผ่าน /api/slips/:slipId/image เท่านั้น
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { supabaseAdmin } = require('../config/supabase');
+
+// root ของแอป = express.static(__dirname) ใน server.js (ทุกไฟล์ในนี้เปิดเป็น public)
+const APP_ROOT = path.resolve(__dirname, '..');
+
+// Configuration
+const SLIP_STORAGE_CONFIG = {
+    backend: process.env.SLIP_STORAGE_BACKEND || 'local',
+    // ค่าเริ่มต้นอยู่นอก root ของแอป (ข้าง ๆ โฟลเดอร์แอป)
+    localDir: path.resolve(process.env.SLIP_STORAGE_DIR || path.join(APP_ROOT, '..', 'dips-hub-data', 'slips')),
+    bucket: process.env.SLIP_STORAGE_BUCKET || 'slips'
+};
+
+// ห้ามเก็บ Slip ใต้ root ของแอป ไม่เช่นนั้น static middleware จะเปิดไฟล์ให้โหลดได้โดยไม่ต้อง login
+const relativeToRoot = path.relative(APP_ROOT, SLIP_STORAGE_CONFIG.localDir);
+if (SLIP_STORAGE_CONFIG.backend === 'local' && !relativeToRoot.startsWith('..') && !path.isAbsolute(relativeToRoot)) {
+    throw new Error(`SLIP_STORAGE_DIR must be outside the app directory (${APP_ROOT}), got ${SLIP_STORAGE_CONFIG.localDir}`);
+}
+
+// key ต้องเป็น path ภายใน storage เท่านั้น (กัน path traversal)
+function assertSafeKey(key) {
+    if (!/^[a-zA-Z0-9/_-]+\.[a-z]+$/.test(key) || key.includes('..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+// Backends: save(key, buffer, contentType), read(key) -> Buffer, remove(key)
+const STORAGE_BACKENDS = {
+    local: {
+        async save(key, buffer) {
+            const filePath = path.join(SLIP_STORAGE_CONFIG.localDir, key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer, { flag: 'wx' }); // ไม่เขียนทับไฟล์เดิม
+        },
+        async read(key) {
+            return fs.readFile(path.join(SLIP_STORAGE_CONFIG.localDir, key));
+        },
+        async remove(key) {
+            await fs.rm(path.join(SLIP_STORAGE_CONFIG.localDir, key), { force: true });
+        }
+    },
+    supabase: {
+        async save(key, buffer, contentType) {
+            const { error } = await supabaseAdmin.storage
+                .from(SLIP_STORAGE_CONFIG.bucket)
+                .upload(key, buffer, { contentType, upsert: false });
+            if (error) throw error;
+        },
+        async read(key) {
+            const { data, error } = await supabaseAdmin.storage
+                .from(SLIP_STORAGE_CONFIG.bucket)
+                .download(key);
+            if (error) throw error;
+            return Buffer.from(await data.arrayBuffer());
+        },
+        async remove(key) {
+            const { error } = await supabaseAdmin.storage
+                .from(SLIP_STORAGE_CONFIG.bucket)
+                .remove([key]);
+            if (error) throw error;
+        }
+    }
+};
+
+function getBackend(name = SLIP_STORAGE_CONFIG.backend) {
+    const backend = STORAGE_BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown slip storage backend: ${name}`);
+    }
+    return backend;
+}
+
+/**
+ * สร้าง key ของไฟล์ (แยกโฟลเดอร์ตามเดือน)
+ * @returns {string} เช่น 2026-10/SLP1760000000000123.jpg
+ */
+function buildSlipKey(slipId, extension) {
+    const month = new Date().toISOString().slice(0, 7);
+    return `${month}/${slipId}.${extension}`;
+}
+
+/**
+ * บันทึกไฟล์ Slip
+ * @returns {Promise<{ backend: string, key: string }>}
+ */
+async function saveSlipFile(key, buffer, contentType) {
+    assertSafeKey(key);
+    await getBackend().save(key, buffer, contentType);
+    return { backend: SLIP_STORAGE_CONFIG.backend, key };
+}
+
+/**
+ * อ่านไฟล์ Slip จาก backend ที่ใช้ตอนบันทึก
+ * @returns {Promise<Buffer>}
+ */
+async function readSlipFile(backend, key) {
+    assertSafeKey(key);
+    return getBackend(backend).read(key);
+}
+
+/**
+ * ลบไฟล์ Slip (ใช้เมื่อบันทึกลง database ไม่สำเร็จ)
+ */
+async function removeSlipFile(backend, key) {
+    assertSafeKey(key);
+    await getBackend(backend).remove(key);
+}
+
+module.exports = {
+    SLIP_STORAGE_CONFIG,
+    buildSlipKey,
+    saveSlipFile,
+    readSlipFile,
+    removeSlipFile
+};
@@ -0,0 +1,213 @@
+/**
+ * Slip Uploads
+ * รับไฟล์รูป Slip -> ตรวจชนิด/ขนาด -> hash -> หา Slip ซ้ำ/คล้าย -> เก็บไฟล์ + metadata
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { inspectSlipImage } = require('./slipImage');
+const { buildSlipKey, saveSlipFile, readSlipFile, removeSlipFile } = require('./slipStorage');
+
+// Configuration
+const SLIP_UPLOAD_CONFIG = {
+    maxSizeBytes: (parseFloat(process.env.SLIP_MAX_UPLOAD_MB) || 5) * 1024 * 1024,
+    // phash ต่างกันไม่เกินกี่ bit ถึงถือว่าเป็นรูปเดียวกัน (0-64)
+    phashMaxDistance: parseInt(process.env.SLIP_PHASH_MAX_DISTANCE ?? 6) || 0
+};
+
+function generateSlipId() {
+    return `SLP${Date.now()}${crypto.randomInt(0, 1000).toString().padStart(3, '0')}`;
+}
+
+// แปลง slip_uploads row ให้ตรงกับ frontend
+function formatSlipUpload(s) {
+    return {
+        id: s.slip_id,
+        userId: s.user_id,
+        url: `/api/slips/${s.slip_id}/image`,
+        contentType: s.content_type,
+        sizeBytes: s.size_bytes,
+        width: s.width,
+        height: s.height,
+        sha256: s.sha256,
+        phash: s.phash,
+        flagged: s.flagged,
+        duplicateOf: s.duplicate_of,
+        similarSlips: s.similar_slips || [],
+        requestId: s.request_id,
+        transRef: s.trans_ref,
+        createdAt: s.created_at
+    };
+}
+
+/**
+ * หา Slip ที่ซ้ำ/คล้าย แล้วตัดสินว่าต้อง flag หรือไม่
+ * - Slip ของ user อื่น = flag
+ * - Slip ของตัวเองที่ถูกใช้แล้ว (แนบคำขอ / ตรวจผ่านแล้ว) = flag
+ * - Slip ของตัวเองที่ยังไม่ถูกใช้ = อัพโหลดซ้ำธรรมดา ไม่ flag
+ */
+async function findSlipMatches(userId, image) {
+    const { data, error } = await supabaseAdmin.rpc('find_similar_slips', {
+        p_sha256: image.sha256,
+        p_phash: image.phash,
+        p_max_distance: SLIP_UPLOAD_CONFIG.phashMaxDistance,
+        p_limit: 10
+    });
+
+    if (error) throw error;
+
+    const matches = (data || []).map(m => ({
+        slipId: m.slip_id,
+        userId: m.user_id,
+        distance: m.distance,
+        exact: m.exact,
+        used: !!(m.request_id || m.trans_ref)
+    }));
+
+    const suspicious = matches.filter(m => m.userId !== userId || m.used);
+    const exactMatch = matches.find(m => m.exact);
+
+    return {
+        matches,
+        flagged: suspicious.length > 0,
+        duplicateOf: exactMatch ? exactMatch.slipId : null
+    };
+}
+
+/**
+ * บันทึก Slip ที่อัพโหลด
+ * @param {string} userId
+ * @param {Buffer} buffer
+ * @returns {Promise<{ slip?: Object, error?: string }>}
+ */
+async function createSlipUpload(userId, buffer) {
+    if (!buffer || buffer.length === 0) {
+        return { error: 'กรุณาเลือกรูป Slip' };
+    }
+    if (buffer.length > SLIP_UPLOAD_CONFIG.maxSizeBytes) {
+        return { error: 'ไฟล์ใหญ่เกินไป' };
+    }
+
+    const { image, error: imageError } = await inspectSlipImage(buffer);
+    if (imageError) {
+        return { error: imageError };
+    }
+
+    const { matches, flagged, duplicateOf } = await findSlipMatches(userId, image);
+
+    const slipId = generateSlipId();
+    const stored = await saveSlipFile(buildSlipKey(slipId, image.extension), buffer, image.contentType);
+
+    const { data, error } = await supabaseAdmin
+        .from('slip_uploads')
+        .insert({
+            slip_id: slipId,
+            user_id: userId,
+            storage_backend: stored.backend,
+            storage_key: stored.key,
+            content_type: image.contentType,
+            size_bytes: image.sizeBytes,
+            width: image.width,
+            height: image.height,
+            sha256: image.sha256,
+            phash: image.phash,
+            flagged: flagged,
+            duplicate_of: duplicateOf,
+            similar_slips: matches.map(({ slipId, userId, distance, exact }) => ({ slipId, userId, distance, exact }))
+        })
+        .select()
+        .single();
+
+    if (error) {
+        await removeSlipFile(stored.backend, stored.key).catch(() => {});
+        throw error;
+    }
+
+    return { slip: formatSlipUpload(data) };
+}
+
+/**
+ * ดึง Slip (ถ้าระบุ userId ต้องเป็นเจ้าของ)
+ * @returns {Promise<Object|null>} slip_uploads row
+ */
+async function getSlipUpload(slipId, userId = null) {
+    let query = supabaseAdmin
+        .from('slip_uploads')
+        .select('*')
+        .eq('slip_id', slipId);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * อ่านไฟล์รูปของ Slip
+ * @param {Object} slip - slip_uploads row
+ * @returns {Promise<Buffer>}
+ */
+function readSlipImage(slip) {
+    return readSlipFile(slip.storage_backend, slip.storage_key);
+}
+
+/**
+ * แนบ Slip กับคำขอเติมเงิน
+ */
+async function attachSlipToRequest(slipId, userId, requestId) {
+    const { error } = await supabaseAdmin
+        .from('slip_uploads')
+        .update({ request_id: requestId })
+        .eq('slip_id', slipId)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
+
+/**
+ * บันทึกเลขอ้างอิงธุรกรรมหลังตรวจ Slip ผ่าน
+ */
+async function markSlipVerified(slipId, transRef) {
+    const { error } = await supabaseAdmin
+        .from('slip_uploads')
+        .update({ trans_ref: transRef })
+        .eq('slip_id', slipId);
+
+    if (error) throw error;
+}
+
+/**
+ * ดึง Slip ที่แนบกับคำขอ (สำหรับหน้า Admin)
+ * @param {string[]} requestIds
+ * @returns {Promise<Object>} { requestId: formatted slip }
+ */
+async function getSlipsForRequests(requestIds) {
+    if (requestIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+        .from('slip_uploads')
+        .select('*')
+        .in('request_id', requestIds)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const map = {};
+    for (const slip of data || []) {
+        // คำขอหนึ่งอาจแนบหลายครั้ง ใช้ล่าสุด
+        if (!map[slip.request_id]) map[slip.request_id] = formatSlipUpload(slip);
+    }
+    return map;
+}
+
+module.exports = {
+    SLIP_UPLOAD_CONFIG,
+    formatSlipUpload,
+    createSlipUpload,
+    getSlipUpload,
+    readSlipImage,
+    attachSlipToRequest,
+    markSlipVerified,
+    getSlipsForRequests
+};
@@ -0,0 +1,154 @@
+/**
+ * Slip Validator
+ * ตรวจว่า Slip โอนเข้าบัญชีของร้านจริง และเป็น Slip ล่าสุด (อยู่ในช่วงเวลาที่กำหนด)
+ * ใช้กับผลจาก thunderApi.verifySlip / verifySlipByPayload
+ */
+
+// แยก list จาก env (คั่นด้วย ,)
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+// Configuration
+const SLIP_RECEIVER_CONFIG = {
+    // PromptPay ID ของร้าน (เบอร์โทร / เลขบัตร / e-Wallet) - รวม PROMPTPAY_ID ที่ใช้สร้าง QR
+    promptPayIds: [...new Set([
+        ...parseList(process.env.SLIP_RECEIVER_PROMPTPAY_IDS),
+        ...parseList(process.env.PROMPTPAY_ID)
+    ])],
+    // บัญชีธนาคารของร้าน รูปแบบ bankCode:เลขบัญชี เช่น 004:1234567890
+    bankAccounts: parseList(process.env.SLIP_RECEIVER_BANK_ACCOUNTS).map(entry => {
+        const [bankCode, account] = entry.includes(':') ? entry.split(':') : ['', entry];
+        return { bankCode: bankCode.trim(), account: account.trim() };
+    }),
+    // ชื่อบัญชีผู้รับ (เทียบกับชื่อแบบ masked ใน Slip)
+    names: parseList(process.env.SLIP_RECEIVER_NAMES),
+    // อายุสูงสุดของ Slip (นาที)
+    maxAgeMinutes: parseInt(process.env.SLIP_MAX_AGE_MINUTES) || 1440,
+    // ยอมให้เวลาใน Slip ล้ำหน้าเวลา server ได้ (นาที) เผื่อนาฬิกาไม่ตรง
+    clockSkewMinutes: 5
+};
+
+// ต้องเห็นตัวเลขอย่างน้อยเท่านี้ถึงจะถือว่าเลขบัญชีตรงกัน
+const MIN_VISIBLE_DIGITS = 3;
+
+/**
+ * เทียบเลขแบบ masked (เช่น xxx-x-x1234-x) กับเลขจริง
+ * ตัวเลขที่มองเห็นต้องตรงตำแหน่งทั้งหมด (นับจากขวา)
+ */
+function maskedNumberMatches(masked, actual) {
+    const m = String(masked || '').toLowerCase().replace(/\*/g, 'x').replace(/[^0-9x]/g, '');
+    let a = String(actual || '').replace(/[^0-9]/g, '');
+    if (!m || !a) return false;
+
+    // เบอร์โทร PromptPay ใน Slip อาจอยู่ในรูป 66xxxxxxxxx
+    if (a.length === 10 && a.startsWith('0') && m.length === 11) {
+        a = '66' + a.slice(1);
+    }
+
+    if (m.length !== a.length) return false;
+
+    let visible = 0;
+    for (let i = 0; i < m.length; i++) {
+        if (m[i] === 'x') continue;
+        if (m[i] !== a[i]) return false;
+        visible++;
+    }
+
+    return visible >= MIN_VISIBLE_DIGITS;
+}
+
+/**
+ * ตัดคำนำหน้าและช่องว่างออกจากชื่อ
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/^(นาย|นางสาว|นาง|น\.ส\.|mr\.?|mrs\.?|ms\.?|miss)\s*/, '')
+        .replace(/[\s.]/g, '');
+}
+
+/**
+ * เทียบชื่อแบบ masked (ธนาคารมักแสดงนามสกุลแค่บางส่วน)
+ */
+function nameMatches(slipName, expectedName) {
+    const s = normalizeName(slipName);
+    const e = normalizeName(expectedName);
+    if (s.length < 3 || !e) return false;
+    return e.startsWith(s) || s.startsWith(e);
+}
+
+/**
+ * ตรวจว่าผู้รับใน Slip เป็นบัญชีของร้าน
+ * - ถ้าตั้ง PromptPay / บัญชีธนาคาร ต้องตรงอย่างน้อยหนึ่งรายการ
+ * - ถ้าตั้งชื่อ ต้องตรงอย่างน้อยหนึ่งชื่อ
+ * - ถ้าไม่ได้ตั้งอะไรเลย ถือว่าผ่าน (configured = false)
+ * @param {Object} slip - ผลจาก verifySlip
+ * @returns {{ valid: boolean, configured: boolean, error?: string }}
+ */
+function validateSlipReceiver(slip) {
+    const { promptPayIds, bankAccounts, names } = SLIP_RECEIVER_CONFIG;
+    const receiver = slip.receiver || {};
+    const hasAccountRules = promptPayIds.length > 0 || bankAccounts.length > 0;
+
+    if (!hasAccountRules && names.length === 0) {
+        return { valid: true, configured: false };
+    }
+
+    if (hasAccountRules) {
+        const promptPayMatch = !!receiver.proxyAccount &&
+            promptPayIds.some(id => maskedNumberMatches(receiver.proxyAccount, id));
+
+        const bankMatch = !!receiver.account &&
+            bankAccounts.some(acc =>
+                (!acc.bankCode || acc.bankCode === String(receiver.bankCode)) &&
+                maskedNumberMatches(receiver.account, acc.account)
+            );
+
+        if (!promptPayMatch && !bankMatch) {
+            return { valid: false, configured: true, error: 'บัญชีผู้รับใน Slip ไม่ใช่บัญชีของร้าน' };
+        }
+    }
+
+    if (names.length > 0) {
+        const slipNames = [receiver.nameTh, receiver.nameEn, slip.receiverName].filter(Boolean);
+        const matched = slipNames.some(slipName => names.some(name => nameMatches(slipName, name)));
+        if (!matched) {
+            return { valid: false, configured: true, error: 'ชื่อผู้รับใน Slip ไม่ตรงกับบัญชีของร้าน' };
+        }
+    }
+
+    return { valid: true, configured: true };
+}
+
+/**
+ * ตรวจว่า Slip อยู่ในช่วงเวลาที่รับได้
+ * @param {Object} slip - ผลจาก verifySlip
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateSlipDate(slip) {
+    const slipTime = Date.parse(slip.date);
+    if (isNaN(slipTime)) {
+        return { valid: false, error: 'ไม่พบวันที่ใน Slip' };
+    }
+
+    const now = Date.now();
+    if (slipTime > now + SLIP_RECEIVER_CONFIG.clockSkewMinutes * 60 * 1000) {
+        return { valid: false, error: 'วันที่ใน Slip ไม่ถูกต้อง' };
+    }
+
+    if (now - slipTime > SLIP_RECEIVER_CONFIG.maxAgeMinutes * 60 * 1000) {
+        return { valid: false, error: `Slip เก่าเกินไป (รับเฉพาะ Slip ภายใน ${SLIP_RECEIVER_CONFIG.maxAgeMinutes} นาที)` };
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    validateSlipReceiver,
+    validateSlipDate,
+    SLIP_RECEIVER_CONFIG
+};
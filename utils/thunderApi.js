@@ -4,14 +4,12 @@
  * Website: https://www.thundersolution.io.th
  */
 
-const https = require('https');
+const { requestJson, isTimeoutError } = require('./providers/httpClient');
 
 // Thunder API Configuration
 const THUNDER_CONFIG = {
     baseUrl: 'https://api.thunder.in.th/v1',
-    apiKey: process.env.THUNDER_API_KEY || '',
-    minAmount: parseInt(process.env.THUNDER_MIN_AMOUNT) || 10,
-    maxAmount: parseInt(process.env.THUNDER_MAX_AMOUNT) || 10000
+    apiKey: process.env.THUNDER_API_KEY || ''
 };
 
 /**
@@ -87,48 +85,45 @@ function calculateCRC16(str) {
  * ทำ HTTP Request ไปยัง Thunder API
  */
 function makeRequest(method, endpoint, data = null) {
-    return new Promise((resolve, reject) => {
-        // สร้าง full path โดยรวม basePath + endpoint
-        const fullPath = '/v1' + endpoint;
-        
-        const options = {
-            hostname: 'api.thunder.in.th',
-            port: 443,
-            path: fullPath,
-            method: method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${THUNDER_CONFIG.apiKey}`,
-                'Accept': 'application/json'
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(body);
-                    resolve({ status: res.statusCode, data: json });
-                } catch (e) {
-                    resolve({ status: res.statusCode, data: body });
-                }
-            });
-        });
-
-        req.on('error', reject);
-        req.setTimeout(30000, () => {
-            req.destroy();
-            reject(new Error('Request timeout'));
-        });
-
-        if (data) {
-            req.write(JSON.stringify(data));
-        }
-        req.end();
+    return requestJson(THUNDER_CONFIG.baseUrl + endpoint, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${THUNDER_CONFIG.apiKey}`,
+            'Accept': 'application/json'
+        },
+        body: data
     });
 }
 
+/**
+ * แปลงข้อมูล Slip จาก Thunder API ให้อยู่ในรูปแบบเดียวกัน
+ * receiver = ข้อมูลบัญชีผู้รับ (ใช้ตรวจว่าโอนเข้าบัญชีร้านจริง)
+ */
+function mapSlipInfo(slipInfo, raw) {
+    const receiverAccount = slipInfo.receiver?.account || {};
+    return {
+        success: true,
+        amount: slipInfo.amount?.amount || 0,
+        transRef: slipInfo.transRef || '',
+        sendingBank: slipInfo.sender?.bank?.name || '',
+        receivingBank: slipInfo.receiver?.bank?.name || '',
+        senderName: slipInfo.sender?.account?.name?.th || slipInfo.sender?.account?.name?.en || '',
+        receiverName: receiverAccount.name?.th || receiverAccount.name?.en || '',
+        receiver: {
+            bankCode: slipInfo.receiver?.bank?.id || '',
+            bankName: slipInfo.receiver?.bank?.name || '',
+            nameTh: receiverAccount.name?.th || '',
+            nameEn: receiverAccount.name?.en || '',
+            account: receiverAccount.bank?.account || '', // เลขบัญชีแบบ masked
+            proxyType: receiverAccount.proxy?.type || '',
+            proxyAccount: receiverAccount.proxy?.account || '' // PromptPay แบบ masked
+        },
+        date: slipInfo.date || '',
+        raw: raw
+    };
+}
+
 /**
  * ตรวจสอบ Slip ธนาคาร (EasySlip API)
  * @param {string} slipData - Base64 ของรูป slip
@@ -171,18 +166,7 @@ async function verifySlip(slipData) {
             
             // Thunder API response format
             if (data.status === 200 && data.data) {
-                const slipInfo = data.data;
-                return {
-                    success: true,
-                    amount: slipInfo.amount?.amount || 0,
-                    transRef: slipInfo.transRef || '',
-                    sendingBank: slipInfo.sender?.bank?.name || '',
-                    receivingBank: slipInfo.receiver?.bank?.name || '',
-                    senderName: slipInfo.sender?.account?.name?.th || slipInfo.sender?.account?.name?.en || '',
-                    receiverName: slipInfo.receiver?.account?.name?.th || slipInfo.receiver?.account?.name?.en || '',
-                    date: slipInfo.date || '',
-                    raw: data
-                };
+                return mapSlipInfo(data.data, data);
             } else {
                 return {
                     success: false,
@@ -201,7 +185,8 @@ async function verifySlip(slipData) {
         console.error('verifySlip error:', error);
         return {
             success: false,
-            error: error.message
+            error: error.message,
+            isTimeout: isTimeoutError(error)
         };
     }
 }
@@ -244,18 +229,7 @@ async function verifySlipByPayload(payload, checkDuplicate = true) {
             
             // Thunder API response format
             if (data.status === 200 && data.data) {
-                const slipInfo = data.data;
-                return {
-                    success: true,
-                    amount: slipInfo.amount?.amount || 0,
-                    transRef: slipInfo.transRef || '',
-                    sendingBank: slipInfo.sender?.bank?.name || '',
-                    receivingBank: slipInfo.receiver?.bank?.name || '',
-                    senderName: slipInfo.sender?.account?.name?.th || slipInfo.sender?.account?.name?.en || '',
-                    receiverName: slipInfo.receiver?.account?.name?.th || slipInfo.receiver?.account?.name?.en || '',
-                    date: slipInfo.date || '',
-                    raw: data
-                };
+                return mapSlipInfo(data.data, data);
             } else {
                 return {
                     success: false,
@@ -274,7 +248,8 @@ async function verifySlipByPayload(payload, checkDuplicate = true) {
         console.error('verifySlipByPayload error:', error);
         return {
             success: false,
-            error: error.message
+            error: error.message,
+            isTimeout: isTimeoutError(error)
         };
     }
 }
@@ -296,14 +271,7 @@ async function generateQR(amount, promptPayId = null, ref = null) {
             };
         }
 
-        // Validate amount
-        if (amount < THUNDER_CONFIG.minAmount || amount > THUNDER_CONFIG.maxAmount) {
-            return {
-                success: false,
-                error: `จำนวนเงินต้องอยู่ระหว่าง ${THUNDER_CONFIG.minAmount} - ${THUNDER_CONFIG.maxAmount} บาท`
-            };
-        }
-
+        // ขั้นต่ำ/สูงสุดตรวจที่ route ด้วย utils/topupLimits.js
         // สร้าง QR Code PromptPay ในระบบ (ไม่ต้องเรียก API)
         const qrResult = generatePromptPayQR(ppid, parseFloat(amount));
         
@@ -396,8 +364,6 @@ function isEnabled() {
 function getConfig() {
     return {
         enabled: isEnabled(),
-        minAmount: THUNDER_CONFIG.minAmount,
-        maxAmount: THUNDER_CONFIG.maxAmount,
         hasPromptPayId: !!process.env.PROMPTPAY_ID
     };
 }
@@ -0,0 +1,152 @@
+/**
+ * Topup Request Expiry Job
+ * เปลี่ยนคำขอเติมเงินที่ค้าง pending นานเกินอายุของ method (topup_request_ttls) เป็น expired
+ * และแจ้ง user ผ่าน Discord
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { notifyTopupExpired } = require('./discordNotify');
+
+// Configuration
+const TOPUP_EXPIRY_CONFIG = {
+    intervalMinutes: parseInt(process.env.TOPUP_EXPIRY_INTERVAL_MINUTES ?? 5) || 0, // 0 = ปิด scheduled job
+    notifyDiscord: process.env.TOPUP_EXPIRY_NOTIFY !== 'false',
+    // จำนวนคำขอสูงสุดต่อรอบ
+    batchSize: 500
+};
+
+const TOPUP_METHODS = ['promptpay', 'truemoney', 'bank_transfer'];
+
+// อายุสูงสุดที่ตั้งได้ (30 วัน)
+const MAX_TTL_MINUTES = 30 * 24 * 60;
+
+let expiryTimer = null;
+
+/**
+ * ดูอายุคำขอของทุก method
+ * @returns {Promise<Object[]>} [{ method, ttlMinutes, updatedBy, updatedAt }]
+ */
+async function getTopupRequestTtls() {
+    const { data, error } = await supabaseAdmin
+        .from('topup_request_ttls')
+        .select('*')
+        .order('method');
+
+    if (error) throw error;
+
+    return (data || []).map(t => ({
+        method: t.method,
+        ttlMinutes: t.ttl_minutes,
+        updatedBy: t.updated_by,
+        updatedAt: t.updated_at
+    }));
+}
+
+/**
+ * แก้อายุคำขอของ method
+ * @param {string} method
+ * @param {number} ttlMinutes - 0 = ไม่หมดอายุ
+ * @param {string} adminId
+ * @returns {Promise<{ ttl?: Object, error?: string }>}
+ */
+async function updateTopupRequestTtl(method, ttlMinutes, adminId) {
+    if (!TOPUP_METHODS.includes(method)) {
+        return { error: 'ช่องทางเติมเงินไม่ถูกต้อง' };
+    }
+
+    const ttl = parseInt(ttlMinutes);
+    if (isNaN(ttl) || ttl < 0 || ttl > MAX_TTL_MINUTES) {
+        return { error: `อายุคำขอต้องอยู่ระหว่าง 0 - ${MAX_TTL_MINUTES} นาที` };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('topup_request_ttls')
+        .upsert({
+            method: method,
+            ttl_minutes: ttl,
+            updated_by: adminId,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'method' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    return {
+        ttl: {
+            method: data.method,
+            ttlMinutes: data.ttl_minutes,
+            updatedBy: data.updated_by,
+            updatedAt: data.updated_at
+        }
+    };
+}
+
+/**
+ * เปลี่ยนคำขอที่หมดอายุเป็น expired 1 รอบ
+ * @param {Object} options
+ * @param {boolean} options.notify - แจ้ง user ผ่าน Discord หรือไม่
+ * @returns {Promise<{ expiredCount: number, items: Object[] }>}
+ */
+async function runTopupExpiry({ notify = TOPUP_EXPIRY_CONFIG.notifyDiscord } = {}) {
+    const { data, error } = await supabaseAdmin.rpc('expire_stale_topup_requests', {
+        p_limit: TOPUP_EXPIRY_CONFIG.batchSize
+    });
+
+    if (error) throw error;
+
+    const items = (data || []).map(r => ({
+        requestId: r.request_id,
+        userId: r.user_id,
+        method: r.method,
+        amount: parseFloat(r.amount),
+        createdAt: r.created_at
+    }));
+
+    if (notify && items.length > 0) {
+        await notifyTopupExpired(items);
+    }
+
+    return { expiredCount: items.length, items };
+}
+
+/**
+ * เริ่ม scheduled job (ถ้าตั้ง TOPUP_EXPIRY_INTERVAL_MINUTES)
+ */
+function startTopupExpiryJob() {
+    if (!TOPUP_EXPIRY_CONFIG.intervalMinutes || expiryTimer) {
+        return;
+    }
+
+    expiryTimer = setInterval(async () => {
+        try {
+            const result = await runTopupExpiry();
+            if (result.expiredCount > 0) {
+                console.log(`⌛ Topup expiry: ${result.expiredCount} request(s) expired`);
+            }
+        } catch (error) {
+            console.error('Topup expiry error:', error);
+        }
+    }, TOPUP_EXPIRY_CONFIG.intervalMinutes * 60 * 1000);
+
+    console.log(`✅ Topup request expiry job every ${TOPUP_EXPIRY_CONFIG.intervalMinutes} minute(s)`);
+}
+
+/**
+ * หยุด scheduled job
+ */
+function stopTopupExpiryJob() {
+    if (expiryTimer) {
+        clearInterval(expiryTimer);
+        expiryTimer = null;
+    }
+}
+
+module.exports = {
+    TOPUP_EXPIRY_CONFIG,
+    getTopupRequestTtls,
+    updateTopupRequestTtl,
+    runTopupExpiry,
+    startTopupExpiryJob,
+    stopTopupExpiryJob
+};
@@ -0,0 +1,382 @@
+/**
+ * Topup Limits
+ * วงเงินเติมเงินจาก topup_limits / topup_limit_settings / topup_user_limits (Admin แก้ได้)
+ * ทุก route ที่เติมเงินต้องเรียก checkTopupLimits ก่อนสร้างคำขอ / QR / รับซอง
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const TOPUP_LIMIT_METHODS = ['promptpay', 'bank_transfer', 'truemoney'];
+
+// ยอดสูงสุดที่ตั้งได้ต่อช่อง (กันพิมพ์ผิด)
+const MAX_LIMIT_AMOUNT = 10000000;
+
+function formatBaht(amount) {
+    return Number(amount).toLocaleString('th-TH', { maximumFractionDigits: 2 });
+}
+
+function formatMethodLimit(row) {
+    return {
+        method: row.method,
+        enabled: row.enabled,
+        minAmount: parseFloat(row.min_amount),
+        maxAmount: parseFloat(row.max_amount),
+        maxPending: row.max_pending,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+    };
+}
+
+function formatUserLimit(row) {
+    return {
+        userId: row.user_id,
+        dailyLimit: row.daily_limit !== null ? parseFloat(row.daily_limit) : null,
+        monthlyLimit: row.monthly_limit !== null ? parseFloat(row.monthly_limit) : null,
+        note: row.note,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+    };
+}
+
+// ตรวจยอดเงินที่ Admin กรอก (0 ได้ถ้า allowZero)
+function parseLimitAmount(value, { allowZero = false } = {}) {
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0 || (!allowZero && amount === 0) || amount > MAX_LIMIT_AMOUNT) {
+        return null;
+    }
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * ดูวงเงินทั้งหมด
+ * @returns {Promise<{ settings: Object, methods: Object[] }>}
+ */
+async function getTopupLimits() {
+    const [{ data: settings, error: settingsError }, { data: methods, error: methodsError }] = await Promise.all([
+        supabaseAdmin.from('topup_limit_settings').select('*').maybeSingle(),
+        supabaseAdmin.from('topup_limits').select('*').order('method')
+    ]);
+
+    if (settingsError) throw settingsError;
+    if (methodsError) throw methodsError;
+
+    return {
+        settings: {
+            dailyLimit: settings ? parseFloat(settings.daily_limit) : 0,
+            monthlyLimit: settings ? parseFloat(settings.monthly_limit) : 0,
+            updatedBy: settings?.updated_by || null,
+            updatedAt: settings?.updated_at || null
+        },
+        methods: (methods || []).map(formatMethodLimit)
+    };
+}
+
+/**
+ * วงเงินของ method เดียว
+ * @returns {Promise<Object|null>}
+ */
+async function getMethodLimit(method) {
+    const { data, error } = await supabaseAdmin
+        .from('topup_limits')
+        .select('*')
+        .eq('method', method)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? formatMethodLimit(data) : null;
+}
+
+/**
+ * วงเงินรายวัน/รายเดือนที่ใช้กับ user (เฉพาะ user ก่อน แล้วค่อยค่าเริ่มต้น)
+ * @returns {Promise<{ dailyLimit: number, monthlyLimit: number, custom: boolean }>} 0 = ไม่จำกัด
+ */
+async function getUserCaps(userId, settings = null) {
+    const [defaults, { data: custom, error }] = await Promise.all([
+        settings ? Promise.resolve(settings) : getTopupLimits().then(l => l.settings),
+        supabaseAdmin.from('topup_user_limits').select('*').eq('user_id', userId).maybeSingle()
+    ]);
+
+    if (error) throw error;
+
+    return {
+        dailyLimit: custom?.daily_limit != null ? parseFloat(custom.daily_limit) : defaults.dailyLimit,
+        monthlyLimit: custom?.monthly_limit != null ? parseFloat(custom.monthly_limit) : defaults.monthlyLimit,
+        custom: !!custom
+    };
+}
+
+/**
+ * ยอดเติมเงินวันนี้ / เดือนนี้ (รวมคำขอที่รอ + QR ที่ยังไม่หมดอายุ)
+ * @param {string} userId
+ * @param {string|null} excludeRequestId - ไม่นับคำขอนี้ (กำลังตรวจยอดจริงของคำขอนั้นอยู่)
+ * @returns {Promise<{ daily: number, monthly: number }>}
+ */
+async function getTopupUsage(userId, excludeRequestId = null) {
+    const { data, error } = await supabaseAdmin.rpc('get_topup_usage', {
+        p_user_id: userId,
+        p_exclude_request_id: excludeRequestId
+    });
+
+    if (error) throw error;
+
+    const usage = typeof data === 'string' ? JSON.parse(data) : data;
+    return { daily: parseFloat(usage.daily) || 0, monthly: parseFloat(usage.monthly) || 0 };
+}
+
+/**
+ * ตรวจว่าเติมเงินครั้งนี้ได้หรือไม่
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.method - promptpay, bank_transfer, truemoney
+ * @param {number|null} params.amount - null = ยังไม่รู้ยอด (เช่น ซองอั่งเปา) ตรวจแค่ว่ายังเหลือวงเงิน
+ * @param {boolean} params.checkPending - ตรวจจำนวนคำขอ pending ของ method
+ * @param {string|null} params.excludeRequestId - ส่งต่อให้ getTopupUsage
+ * @returns {Promise<{ allowed: boolean, error?: string, code?: string, limit?: Object, remaining?: Object }>}
+ */
+async function checkTopupLimits({ userId, method, amount = null, checkPending = true, excludeRequestId = null }) {
+    const { settings, methods } = await getTopupLimits();
+    const limit = methods.find(m => m.method === method);
+
+    if (!limit || !limit.enabled) {
+        return { allowed: false, code: 'METHOD_DISABLED', error: 'ช่องทางเติมเงินนี้ปิดใช้งานอยู่' };
+    }
+
+    if (amount !== null) {
+        if (amount < limit.minAmount) {
+            return { allowed: false, code: 'BELOW_MIN', error: `เติมขั้นต่ำ ${formatBaht(limit.minAmount)} บาทต่อครั้ง`, limit };
+        }
+        if (amount > limit.maxAmount) {
+            return { allowed: false, code: 'ABOVE_MAX', error: `เติมได้ไม่เกิน ${formatBaht(limit.maxAmount)} บาทต่อครั้ง`, limit };
+        }
+    }
+
+    if (checkPending && limit.maxPending > 0) {
+        const { count, error } = await supabaseAdmin
+            .from('topup_requests')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('method', method)
+            .eq('status', 'pending');
+
+        if (error) throw error;
+        if (count >= limit.maxPending) {
+            return {
+                allowed: false,
+                code: 'TOO_MANY_PENDING',
+                error: `คุณมีคำขอเติมเงินที่รอดำเนินการอยู่ ${count} รายการแล้ว กรุณารอการอนุมัติ`,
+                limit
+            };
+        }
+    }
+
+    const caps = await getUserCaps(userId, settings);
+    if (caps.dailyLimit === 0 && caps.monthlyLimit === 0) {
+        return { allowed: true, limit, remaining: { daily: null, monthly: null } };
+    }
+
+    const usage = await getTopupUsage(userId, excludeRequestId);
+    const remaining = {
+        daily: caps.dailyLimit > 0 ? Math.max(caps.dailyLimit - usage.daily, 0) : null,
+        monthly: caps.monthlyLimit > 0 ? Math.max(caps.monthlyLimit - usage.monthly, 0) : null
+    };
+    const needed = amount !== null ? amount : 0.01;
+
+    if (remaining.daily !== null && needed > remaining.daily) {
+        return {
+            allowed: false,
+            code: 'DAILY_LIMIT',
+            error: `เกินวงเงินเติมเงินรายวัน (เหลือ ${formatBaht(remaining.daily)} บาท)`,
+            limit,
+            remaining
+        };
+    }
+
+    if (remaining.monthly !== null && needed > remaining.monthly) {
+        return {
+            allowed: false,
+            code: 'MONTHLY_LIMIT',
+            error: `เกินวงเงินเติมเงินรายเดือน (เหลือ ${formatBaht(remaining.monthly)} บาท)`,
+            limit,
+            remaining
+        };
+    }
+
+    return { allowed: true, limit, remaining };
+}
+
+/**
+ * แก้วงเงินของ method
+ * @returns {Promise<{ limit?: Object, error?: string }>}
+ */
+async function updateMethodLimit(method, { enabled, minAmount, maxAmount, maxPending }, adminId) {
+    if (!TOPUP_LIMIT_METHODS.includes(method)) {
+        return { error: 'ช่องทางเติมเงินไม่ถูกต้อง' };
+    }
+
+    const current = await getMethodLimit(method);
+    const update = { method, updated_by: adminId, updated_at: new Date().toISOString() };
+
+    if (enabled !== undefined) update.enabled = !!enabled;
+    if (minAmount !== undefined) {
+        update.min_amount = parseLimitAmount(minAmount);
+        if (update.min_amount === null) return { error: 'ยอดขั้นต่ำไม่ถูกต้อง' };
+    }
+    if (maxAmount !== undefined) {
+        update.max_amount = parseLimitAmount(maxAmount);
+        if (update.max_amount === null) return { error: 'ยอดสูงสุดไม่ถูกต้อง' };
+    }
+    if (maxPending !== undefined) {
+        update.max_pending = parseInt(maxPending);
+        if (isNaN(update.max_pending) || update.max_pending < 0 || update.max_pending > 100) {
+            return { error: 'จำนวนคำขอ pending สูงสุดต้องอยู่ระหว่าง 0 - 100' };
+        }
+    }
+
+    const min = update.min_amount ?? current?.minAmount;
+    const max = update.max_amount ?? current?.maxAmount;
+    if (max === undefined) {
+        return { error: 'กรุณาระบุยอดสูงสุด' };
+    }
+    if (min !== undefined && min > max) {
+        return { error: 'ยอดขั้นต่ำต้องไม่มากกว่ายอดสูงสุด' };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('topup_limits')
+        .upsert(update, { onConflict: 'method' })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return { limit: formatMethodLimit(data) };
+}
+
+/**
+ * แก้วงเงินรายวัน/รายเดือนค่าเริ่มต้น (0 = ไม่จำกัด)
+ * @returns {Promise<{ settings?: Object, error?: string }>}
+ */
+async function updateLimitSettings({ dailyLimit, monthlyLimit }, adminId) {
+    const update = { id: true, updated_by: adminId, updated_at: new Date().toISOString() };
+
+    if (dailyLimit !== undefined) {
+        update.daily_limit = parseLimitAmount(dailyLimit, { allowZero: true });
+        if (update.daily_limit === null) return { error: 'วงเงินรายวันไม่ถูกต้อง' };
+    }
+    if (monthlyLimit !== undefined) {
+        update.monthly_limit = parseLimitAmount(monthlyLimit, { allowZero: true });
+        if (update.monthly_limit === null) return { error: 'วงเงินรายเดือนไม่ถูกต้อง' };
+    }
+
+    const { error } = await supabaseAdmin
+        .from('topup_limit_settings')
+        .upsert(update, { onConflict: 'id' });
+
+    if (error) throw error;
+    return { settings: (await getTopupLimits()).settings };
+}
+
+/**
+ * วงเงินเฉพาะ user ทั้งหมด
+ * @returns {Promise<Object[]>}
+ */
+async function listUserLimits() {
+    const { data, error } = await supabaseAdmin
+        .from('topup_user_limits')
+        .select('*')
+        .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(formatUserLimit);
+}
+
+/**
+ * ตั้งวงเงินเฉพาะ user (null = ใช้ค่าเริ่มต้น, 0 = ไม่จำกัด)
+ * @returns {Promise<{ userLimit?: Object, error?: string }>}
+ */
+async function setUserLimit(userId, { dailyLimit = null, monthlyLimit = null, note = null }, adminId) {
+    if (!userId || typeof userId !== 'string') {
+        return { error: 'กรุณาระบุ Discord ID' };
+    }
+
+    const row = {
+        user_id: userId.trim(),
+        daily_limit: null,
+        monthly_limit: null,
+        note: note ? String(note).slice(0, 200) : null,
+        updated_by: adminId,
+        updated_at: new Date().toISOString()
+    };
+
+    if (dailyLimit !== null && dailyLimit !== '') {
+        row.daily_limit = parseLimitAmount(dailyLimit, { allowZero: true });
+        if (row.daily_limit === null) return { error: 'วงเงินรายวันไม่ถูกต้อง' };
+    }
+    if (monthlyLimit !== null && monthlyLimit !== '') {
+        row.monthly_limit = parseLimitAmount(monthlyLimit, { allowZero: true });
+        if (row.monthly_limit === null) return { error: 'วงเงินรายเดือนไม่ถูกต้อง' };
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('topup_user_limits')
+        .upsert(row, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return { userLimit: formatUserLimit(data) };
+}
+
+/**
+ * ลบวงเงินเฉพาะ user (กลับไปใช้ค่าเริ่มต้น)
+ * @returns {Promise<Object|null>} แถวที่ลบ หรือ null ถ้าไม่มี
+ */
+async function deleteUserLimit(userId) {
+    const { data, error } = await supabaseAdmin
+        .from('topup_user_limits')
+        .delete()
+        .eq('user_id', userId)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? formatUserLimit(data) : null;
+}
+
+/**
+ * วงเงินที่แสดงให้ user (ช่องทางที่เปิด + วงเงินคงเหลือ)
+ * @returns {Promise<{ methods: Object[], dailyLimit: number, monthlyLimit: number, remaining: Object }>}
+ */
+async function getUserTopupLimits(userId) {
+    const { settings, methods } = await getTopupLimits();
+    const caps = await getUserCaps(userId, settings);
+    const usage = (caps.dailyLimit > 0 || caps.monthlyLimit > 0) ? await getTopupUsage(userId) : null;
+
+    return {
+        methods: methods.map(m => ({
+            method: m.method,
+            enabled: m.enabled,
+            minAmount: m.minAmount,
+            maxAmount: m.maxAmount
+        })),
+        dailyLimit: caps.dailyLimit,
+        monthlyLimit: caps.monthlyLimit,
+        remaining: {
+            daily: caps.dailyLimit > 0 ? Math.max(caps.dailyLimit - usage.daily, 0) : null,
+            monthly: caps.monthlyLimit > 0 ? Math.max(caps.monthlyLimit - usage.monthly, 0) : null
+        }
+    };
+}
+
+module.exports = {
+    TOPUP_LIMIT_METHODS,
+    getTopupLimits,
+    getMethodLimit,
+    getTopupUsage,
+    checkTopupLimits,
+    updateMethodLimit,
+    updateLimitSettings,
+    listUserLimits,
+    setUserLimit,
+    deleteUserLimit,
+    getUserTopupLimits
+};
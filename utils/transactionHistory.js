@@ -0,0 +1,229 @@
+/**
+ * Transaction History
+ * ดึงประวัติธุรกรรมแบบ cursor pagination + filters และ export เป็น CSV
+ * ใช้ร่วมกันระหว่าง /api/wallet/transactions และ /api/admin/transactions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const TRANSACTION_TYPES = [
+    'topup', 'purchase', 'refund',
+    'transfer_out', 'transfer_in',
+    'adjustment_credit', 'adjustment_debit',
+    'bonus'
+];
+
+// จำนวนแถวต่อรอบตอน export
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_MAX_ROWS = parseInt(process.env.TRANSACTION_EXPORT_MAX_ROWS) || 50000;
+
+/**
+ * เข้ารหัส cursor จากแถวสุดท้ายของหน้า
+ */
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ t: row.created_at, id: row.id })).toString('base64url');
+}
+
+/**
+ * ถอดรหัส cursor (คืน null ถ้าไม่ถูกต้อง)
+ */
+function decodeCursor(cursor) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!t || !id || isNaN(Date.parse(t)) || !/^[0-9a-f-]{36}$/i.test(id)) {
+            return null;
+        }
+        return { t, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * แปลง query string เป็น filters
+ * @param {Object} query - req.query (type, from, to, minAmount, maxAmount, method, userId, cursor)
+ * @returns {{ filters?: Object, error?: string }}
+ */
+function parseTransactionFilters(query = {}) {
+    const filters = {};
+
+    if (query.type) {
+        const types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+        const invalid = types.filter(t => !TRANSACTION_TYPES.includes(t));
+        if (invalid.length > 0) {
+            return { error: `type ไม่ถูกต้อง: ${invalid.join(', ')}` };
+        }
+        filters.types = types;
+    }
+
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                return { error: `${key} ต้องเป็นวันที่ที่ถูกต้อง` };
+            }
+            filters[key] = date.toISOString();
+        }
+    }
+
+    for (const key of ['minAmount', 'maxAmount']) {
+        if (query[key] !== undefined && query[key] !== '') {
+            const amount = parseFloat(query[key]);
+            if (isNaN(amount) || amount < 0) {
+                return { error: `${key} ต้องเป็นตัวเลขที่ไม่ติดลบ` };
+            }
+            filters[key] = amount;
+        }
+    }
+
+    if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+        return { error: 'minAmount ต้องไม่มากกว่า maxAmount' };
+    }
+
+    if (query.method) {
+        if (!/^[A-Za-z0-9_-]{1,50}$/.test(query.method)) {
+            return { error: 'method ไม่ถูกต้อง' };
+        }
+        filters.method = query.method;
+    }
+
+    if (query.userId) {
+        filters.userId = String(query.userId);
+    }
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: 'cursor ไม่ถูกต้อง' };
+        }
+        filters.cursor = cursor;
+    }
+
+    return { filters };
+}
+
+/**
+ * ดึงธุรกรรม 1 หน้า (เรียงใหม่ → เก่า)
+ * amount range เทียบกับยอดแบบไม่สนเครื่องหมาย (รายการหักเงินเก็บเป็นค่าติดลบ)
+ * @param {Object} filters - จาก parseTransactionFilters
+ * @param {number} limit
+ * @returns {Promise<{ rows: Array, nextCursor: string|null }>}
+ */
+async function queryTransactions(filters, limit) {
+    let query = supabaseAdmin
+        .from('transactions')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+
+    if (filters.userId) query = query.eq('user_id', filters.userId);
+    if (filters.types) query = query.in('type', filters.types);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+    if (filters.method) query = query.eq('details->>method', filters.method);
+
+    // รวมเงื่อนไข OR ทั้งหมดไว้ใน .or() เดียว
+    const orConditions = [];
+
+    if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+        const min = filters.minAmount ?? 0;
+        const positive = [`amount.gte.${min}`];
+        const negative = [`amount.lte.${-min}`];
+        if (filters.maxAmount !== undefined) {
+            positive.push(`amount.lte.${filters.maxAmount}`);
+            negative.push(`amount.gte.${-filters.maxAmount}`);
+        }
+        orConditions.push(`or(and(${positive.join(',')}),and(${negative.join(',')}))`);
+    }
+
+    if (filters.cursor) {
+        const { t, id } = filters.cursor;
+        orConditions.push(`or(created_at.lt."${t}",and(created_at.eq."${t}",id.lt.${id}))`);
+    }
+
+    if (orConditions.length > 0) {
+        query = query.or(`and(${orConditions.join(',')})`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        rows: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+/**
+ * escape ค่าใน CSV (ป้องกัน formula injection ใน Excel ด้วย)
+ */
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        str = `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Export ธุรกรรมเป็น CSV (stream ทีละ batch)
+ * @param {Object} res - Express response
+ * @param {Object} filters - จาก parseTransactionFilters (cursor จะถูกใช้เป็นจุดเริ่ม)
+ * @param {string} filename
+ */
+async function streamTransactionsCsv(res, filters, filename) {
+    const columns = ['transaction_id', 'user_id', 'type', 'amount', 'balance_after', 'method', 'product_name', 'order_id', 'details', 'created_at'];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // BOM ให้ Excel อ่านภาษาไทยได้
+    res.write('\uFEFF' + columns.join(',') + '\n');
+
+    let cursorFilters = { ...filters };
+    let exported = 0;
+
+    while (exported < EXPORT_MAX_ROWS) {
+        const { rows, nextCursor } = await queryTransactions(
+            cursorFilters,
+            Math.min(EXPORT_BATCH_SIZE, EXPORT_MAX_ROWS - exported)
+        );
+
+        for (const t of rows) {
+            res.write([
+                t.transaction_id,
+                t.user_id,
+                t.type,
+                parseFloat(t.amount),
+                parseFloat(t.balance_after),
+                t.details?.method,
+                t.details?.productName,
+                t.details?.orderId,
+                t.details,
+                t.created_at
+            ].map(csvEscape).join(',') + '\n');
+        }
+
+        exported += rows.length;
+        if (!nextCursor) break;
+        cursorFilters = { ...filters, cursor: decodeCursor(nextCursor) };
+    }
+
+    res.end();
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    parseTransactionFilters,
+    queryTransactions,
+    streamTransactionsCsv
+};
@@ -1,12 +1,21 @@
 /**
  * TrueMoney API Service
- * รองรับหลาย Provider: topup2p, paywong, custom
+ * รองรับหลาย Provider: easyslip, thunder, topup2p, paywong, custom
  */
 
-const https = require('https');
-const http = require('http');
+const { requestJson, isTimeoutError } = require('./providers/httpClient');
+
+// request body มาตรฐาน (topup2p, thunder, paywong, custom)
+function standardRedeemBody({ voucherHash, voucherLink, phone }) {
+    return {
+        voucher_hash: voucherHash,
+        mobile: phone,
+        voucher_url: voucherLink
+    };
+}
 
 // Provider Configurations
+// buildBody สร้าง request body ตามรูปแบบของแต่ละ provider
 const PROVIDERS = {
     // EasySlip API (Official)
     easyslip: {
@@ -14,7 +23,11 @@ const PROVIDERS = {
         baseUrl: 'https://developer.easyslip.com',
         redeemEndpoint: '/api/v1/voucher/redeem',
         authHeader: 'Authorization',
-        authPrefix: 'Bearer '
+        authPrefix: 'Bearer ',
+        buildBody: ({ voucherLink, phone }) => ({
+            voucher_url: voucherLink,
+            phone_number: phone
+        })
     },
     // Thunder Solution API
     thunder: {
@@ -22,7 +35,8 @@ const PROVIDERS = {
         baseUrl: 'https://api.thunder.in.th',
         redeemEndpoint: '/api/redeem',
         authHeader: 'Authorization',
-        authPrefix: ''
+        authPrefix: '',
+        buildBody: standardRedeemBody
     },
     // Topup2P API
     topup2p: {
@@ -30,7 +44,8 @@ const PROVIDERS = {
         baseUrl: 'https://api.topup2p.com',
         redeemEndpoint: '/v1/truemoney/voucher/redeem',
         authHeader: 'Authorization',
-        authPrefix: 'Bearer '
+        authPrefix: 'Bearer ',
+        buildBody: standardRedeemBody
     },
     // PayWong API  
     paywong: {
@@ -38,7 +53,8 @@ const PROVIDERS = {
         baseUrl: 'https://api.paywong.com',
         redeemEndpoint: '/truemoney/redeem',
         authHeader: 'X-API-Key',
-        authPrefix: ''
+        authPrefix: '',
+        buildBody: standardRedeemBody
     },
     // Custom สำหรับ Self-hosted API
     custom: {
@@ -46,7 +62,8 @@ const PROVIDERS = {
         baseUrl: process.env.TRUEMONEY_CUSTOM_URL || 'http://localhost:8080',
         redeemEndpoint: '/redeem',
         authHeader: 'X-API-Key',
-        authPrefix: ''
+        authPrefix: '',
+        buildBody: standardRedeemBody
     }
 };
 
@@ -89,73 +106,11 @@ function extractVoucherHash(input) {
     return null;
 }
 
-/**
- * ตรวจสอบว่า Voucher ถูกใช้ไปแล้วหรือไม่ (local cache)
- */
-const usedVouchers = new Set();
-
-function isVoucherUsed(voucherHash) {
-    return usedVouchers.has(voucherHash);
-}
-
-function markVoucherUsed(voucherHash) {
-    usedVouchers.add(voucherHash);
-    // เก็บแค่ 10000 รายการล่าสุด
-    if (usedVouchers.size > 10000) {
-        const first = usedVouchers.values().next().value;
-        usedVouchers.delete(first);
-    }
-}
-
-/**
- * ส่งคำขอ HTTP/HTTPS
- */
-function httpRequest(url, options, data = null) {
-    return new Promise((resolve, reject) => {
-        const isHttps = url.startsWith('https');
-        const client = isHttps ? https : http;
-        
-        const urlObj = new URL(url);
-        const reqOptions = {
-            hostname: urlObj.hostname,
-            port: urlObj.port || (isHttps ? 443 : 80),
-            path: urlObj.pathname + urlObj.search,
-            method: options.method || 'GET',
-            headers: options.headers || {},
-            timeout: 30000
-        };
-        
-        const req = client.request(reqOptions, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(body);
-                    resolve({ status: res.statusCode, data: json });
-                } catch (e) {
-                    resolve({ status: res.statusCode, data: body });
-                }
-            });
-        });
-        
-        req.on('error', reject);
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('Request timeout'));
-        });
-        
-        if (data) {
-            req.write(JSON.stringify(data));
-        }
-        
-        req.end();
-    });
-}
-
 /**
  * Redeem ซองอั่งเปา TrueMoney ผ่าน Provider API
+ * ไม่ตรวจซองซ้ำเอง - ผู้เรียกต้องจองซองผ่าน utils/voucherGuard.js ก่อน
  * @param {string} voucherLink - ลิ้งซองอั่งเปาหรือ voucher hash
- * @returns {Promise<{success: boolean, amount?: number, message?: string, transactionId?: string}>}
+ * @returns {Promise<{success: boolean, amount?: number, message?: string, transactionId?: string, isDuplicate?: boolean, isTransient?: boolean, isTimeout?: boolean}>}
  */
 async function redeemAngpao(voucherLink) {
     // ตรวจสอบว่าระบบเปิดใช้งานหรือไม่
@@ -175,14 +130,6 @@ async function redeemAngpao(voucherLink) {
         };
     }
     
-    // ตรวจสอบว่าใช้ไปแล้วหรือไม่ (local check)
-    if (isVoucherUsed(voucherHash)) {
-        return {
-            success: false,
-            message: 'ซองอั่งเปานี้ถูกใช้ไปแล้ว'
-        };
-    }
-    
     // ดึง Provider config
     const providerName = process.env.TRUEMONEY_PROVIDER || 'topup2p';
     const provider = PROVIDERS[providerName];
@@ -225,26 +172,13 @@ async function redeemAngpao(voucherLink) {
         }
         
         // สร้าง request body ตาม provider
-        let requestBody;
-        if (providerName === 'easyslip') {
-            // EasySlip format
-            requestBody = {
-                voucher_url: voucherLink,
-                phone_number: phone
-            };
-        } else {
-            // Standard format for other providers
-            requestBody = {
-                voucher_hash: voucherHash,
-                mobile: phone,
-                voucher_url: voucherLink
-            };
-        }
+        const requestBody = provider.buildBody({ voucherHash, voucherLink, phone });
         
-        const response = await httpRequest(url, { 
-            method: 'POST', 
-            headers 
-        }, requestBody);
+        const response = await requestJson(url, {
+            method: 'POST',
+            headers,
+            body: requestBody
+        });
         
         // ตรวจสอบ response
         if (response.status === 200 && response.data) {
@@ -265,27 +199,7 @@ async function redeemAngpao(voucherLink) {
                 const amount = parseFloat(data.amount || data.data?.amount || data.voucher_amount || 0);
                 const transactionId = data.transaction_id || data.txn_id || data.ref || Date.now().toString();
                 
-                // ตรวจสอบจำนวนเงิน
-                const minAmount = parseFloat(process.env.TRUEMONEY_MIN_AMOUNT || 10);
-                const maxAmount = parseFloat(process.env.TRUEMONEY_MAX_AMOUNT || 5000);
-                
-                if (amount < minAmount) {
-                    return {
-                        success: false,
-                        message: `จำนวนเงินต่ำกว่าขั้นต่ำ (${minAmount} บาท)`
-                    };
-                }
-                
-                if (amount > maxAmount) {
-                    return {
-                        success: false,
-                        message: `จำนวนเงินเกินที่กำหนด (สูงสุด ${maxAmount} บาท)`
-                    };
-                }
-                
-                // บันทึกว่าใช้ voucher แล้ว
-                markVoucherUsed(voucherHash);
-                
+                // รับซองไปแล้ว: วงเงินตรวจที่ route (utils/topupLimits.js) ไม่ตีกลับตรงนี้
                 return {
                     success: true,
                     amount: amount,
@@ -297,27 +211,29 @@ async function redeemAngpao(voucherLink) {
                 const errorMsg = data.message || data.error || data.msg || 'ไม่สามารถรับซองอั่งเปาได้';
                 
                 // ตรวจสอบว่าใช้ไปแล้วหรือยัง
-                if (errorMsg.includes('ใช้') || errorMsg.includes('used') || errorMsg.includes('claimed')) {
-                    markVoucherUsed(voucherHash);
-                }
+                const isDuplicate = errorMsg.includes('ใช้') || errorMsg.includes('used') || errorMsg.includes('claimed');
                 
                 return {
                     success: false,
-                    message: errorMsg
+                    message: errorMsg,
+                    isDuplicate: isDuplicate
                 };
             }
         } else {
-            // HTTP error
+            // HTTP error (429 / 5xx ลองใหม่ได้)
             return {
                 success: false,
-                message: `เกิดข้อผิดพลาดจาก API (${response.status})`
+                message: `เกิดข้อผิดพลาดจาก API (${response.status})`,
+                isTransient: response.status === 429 || response.status >= 500
             };
         }
     } catch (error) {
         console.error('TrueMoney API Error:', error);
         return {
             success: false,
-            message: 'ไม่สามารถเชื่อมต่อกับ API ได้'
+            message: 'ไม่สามารถเชื่อมต่อกับ API ได้',
+            isTransient: true,
+            isTimeout: isTimeoutError(error)
         };
     }
 }
@@ -330,9 +246,7 @@ function getConfigStatus() {
         enabled: process.env.TRUEMONEY_ANGPAO_ENABLED === 'true',
         provider: process.env.TRUEMONEY_PROVIDER || 'topup2p',
         hasPhone: !!process.env.TRUEMONEY_PHONE,
-        hasApiKey: !!process.env.TRUEMONEY_API_KEY,
-        minAmount: parseFloat(process.env.TRUEMONEY_MIN_AMOUNT || 10),
-        maxAmount: parseFloat(process.env.TRUEMONEY_MAX_AMOUNT || 5000)
+        hasApiKey: !!process.env.TRUEMONEY_API_KEY
     };
 }
 
@@ -343,8 +257,7 @@ function validateVoucherFormat(voucherLink) {
     const voucherHash = extractVoucherHash(voucherLink);
     return {
         valid: !!voucherHash,
-        voucherHash: voucherHash,
-        alreadyUsed: voucherHash ? isVoucherUsed(voucherHash) : false
+        voucherHash: voucherHash
     };
 }
 
@@ -0,0 +1,183 @@
+/**
+ * Voucher Guard
+ * ป้องกันการใช้ซองอั่งเปาซ้ำด้วย table redeemed_vouchers (แทน Set ในหน่วยความจำ)
+ * จองซอง (claim) ก่อนส่งไป provider แล้วค่อยเติมเงิน (complete) หรือปล่อยซอง (release)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { invalidateBalanceCache } = require('./cache');
+
+// Configuration
+const VOUCHER_GUARD_CONFIG = {
+    // ซองที่จองค้าง (processing) นานเกินนี้ จองใหม่ได้ เช่น server ล่มระหว่างเรียก provider (นาที)
+    staleClaimMinutes: parseInt(process.env.VOUCHER_CLAIM_STALE_MINUTES) || 10
+};
+
+// แปลง error จาก stored procedure เป็น error code
+function toVoucherError(error) {
+    const match = (error.message || '').match(/^(VOUCHER_ALREADY_REDEEMED|VOUCHER_IN_PROGRESS|VOUCHER_NOT_CLAIMED|INVALID_VOUCHER|INVALID_AMOUNT)/);
+    if (!match) return error;
+    const voucherError = new Error(error.message);
+    voucherError.code = match[1];
+    return voucherError;
+}
+
+/**
+ * หาซองที่เคยส่งเข้าระบบแล้ว
+ * @param {string} voucherHash
+ * @returns {Promise<Object|null>}
+ */
+async function findRedeemedVoucher(voucherHash) {
+    const { data, error } = await supabaseAdmin
+        .from('redeemed_vouchers')
+        .select('voucher_hash, user_id, status, amount, transaction_id, redeemed_at')
+        .eq('voucher_hash', voucherHash)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * จองซองก่อนส่งไป provider
+ * throw error.code = 'VOUCHER_ALREADY_REDEEMED' | 'VOUCHER_IN_PROGRESS'
+ * @returns {Promise<Object>} redeemed_vouchers row
+ */
+async function claimVoucher(voucherHash, userId, provider) {
+    const { data, error } = await supabaseAdmin.rpc('claim_voucher', {
+        p_voucher_hash: voucherHash,
+        p_user_id: userId,
+        p_provider: provider,
+        p_stale_minutes: VOUCHER_GUARD_CONFIG.staleClaimMinutes
+    });
+
+    if (error) throw toVoucherError(error);
+    return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+/**
+ * provider redeem สำเร็จ: เติมเงิน + ปิดซองใน transaction เดียว
+ * @returns {Promise<{ newBalance: number, transaction: Object }>}
+ */
+async function completeVoucherRedemption({ voucherHash, userId, amount, providerTransactionId, details = {} }) {
+    const { data, error } = await supabaseAdmin.rpc('complete_voucher_redemption', {
+        p_voucher_hash: voucherHash,
+        p_user_id: userId,
+        p_amount: amount,
+        p_provider_transaction_id: providerTransactionId,
+        p_details: details
+    });
+
+    if (error) throw toVoucherError(error);
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+    invalidateBalanceCache(userId);
+
+    return {
+        newBalance: parseFloat(result.newBalance),
+        transaction: {
+            id: result.transactionId,
+            userId: userId,
+            type: 'topup',
+            amount: parseFloat(result.amount),
+            balanceAfter: parseFloat(result.newBalance),
+            details: { ...details, voucherHash, transactionId: providerTransactionId },
+            timestamp: result.createdAt
+        }
+    };
+}
+
+/**
+ * provider ไม่สำเร็จ: ปล่อยซอง
+ * @param {string} status - failed (ลองใหม่ได้) หรือ rejected (ซองถูกใช้แล้ว ใช้ไม่ได้อีก)
+ */
+async function releaseVoucher(voucherHash, userId, status, errorMessage = null) {
+    const { error } = await supabaseAdmin
+        .from('redeemed_vouchers')
+        .update({
+            status: status,
+            error: errorMessage,
+            updated_at: new Date().toISOString()
+        })
+        .eq('voucher_hash', voucherHash)
+        .eq('user_id', userId)
+        .eq('status', 'processing');
+
+    if (error) throw error;
+}
+
+/**
+ * provider รับซองแล้วแต่ยังไม่เติมเงิน (เช่น ยอดเกินวงเงิน ส่งให้ Admin ตรวจ)
+ * ซอง = redeemed (ใช้ซ้ำไม่ได้) แต่ transaction_id ว่างจนกว่า Admin อนุมัติ
+ */
+async function holdRedeemedVoucher({ voucherHash, userId, amount, providerTransactionId, requestId, reason }) {
+    const now = new Date().toISOString();
+    const { error } = await supabaseAdmin
+        .from('redeemed_vouchers')
+        .update({
+            status: 'redeemed',
+            amount: amount,
+            provider_transaction_id: providerTransactionId,
+            error: reason,
+            details: { heldRequestId: requestId },
+            redeemed_at: now,
+            updated_at: now
+        })
+        .eq('voucher_hash', voucherHash)
+        .eq('user_id', userId)
+        .eq('status', 'processing');
+
+    if (error) throw error;
+}
+
+/**
+ * ผูกซองที่พักไว้ (holdRedeemedVoucher) กับ transaction หลัง Admin อนุมัติ
+ */
+async function linkVoucherTransaction(voucherHash, transactionId) {
+    const { error } = await supabaseAdmin
+        .from('redeemed_vouchers')
+        .update({
+            transaction_id: transactionId,
+            error: null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('voucher_hash', voucherHash)
+        .eq('status', 'redeemed')
+        .is('transaction_id', null);
+
+    if (error) throw error;
+}
+
+/**
+ * บันทึกซองที่ Admin รับเองแล้ว (approve คำขอซองอั่งเปาแบบ manual)
+ * ไม่เรียกใช้ใน flow อัตโนมัติ - เติมเงินไปแล้วก่อนเรียก
+ */
+async function markVoucherRedeemed({ voucherHash, userId, amount, transactionId, provider = 'manual' }) {
+    const now = new Date().toISOString();
+    const { error } = await supabaseAdmin
+        .from('redeemed_vouchers')
+        .upsert({
+            voucher_hash: voucherHash,
+            user_id: userId,
+            status: 'redeemed',
+            amount: amount,
+            provider: provider,
+            transaction_id: transactionId,
+            error: null,
+            redeemed_at: now,
+            updated_at: now
+        }, { onConflict: 'voucher_hash' });
+
+    if (error) throw error;
+}
+
+module.exports = {
+    VOUCHER_GUARD_CONFIG,
+    findRedeemedVoucher,
+    claimVoucher,
+    completeVoucherRedemption,
+    releaseVoucher,
+    holdRedeemedVoucher,
+    linkVoucherTransaction,
+    markVoucherRedeemed
+};
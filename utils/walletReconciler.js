@@ -0,0 +1,135 @@
+/**
+ * Wallet Reconciliation Job
+ * เทียบยอด wallets.balance กับผลรวมของ transactions และรายงาน wallet ที่ยอดไม่ตรง
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { notifyReconciliationReport } = require('./discordNotify');
+
+// Configuration
+const RECONCILE_CONFIG = {
+    intervalMinutes: parseInt(process.env.WALLET_RECONCILE_INTERVAL_MINUTES) || 0, // 0 = ปิด scheduled job
+    notifyDiscord: process.env.WALLET_RECONCILE_NOTIFY === 'true'
+};
+
+// รายงานล่าสุด (เก็บไว้ให้ admin ดูโดยไม่ต้องรันใหม่)
+let lastReport = null;
+let reconcileTimer = null;
+
+/**
+ * รัน reconciliation และสร้างรายงาน
+ * @param {Object} options
+ * @param {boolean} options.notify - ส่งสรุปไป Discord หรือไม่
+ * @returns {Promise<Object>} รายงาน drift
+ */
+async function runReconciliation({ notify = false } = {}) {
+    const { data: rows, error } = await supabaseAdmin.rpc('wallet_reconciliation_report');
+    if (error) throw error;
+
+    const { count: walletsChecked } = await supabaseAdmin
+        .from('wallets')
+        .select('*', { count: 'exact', head: true });
+
+    const items = (rows || []).map(r => ({
+        userId: r.user_id,
+        storedBalance: parseFloat(r.stored_balance),
+        ledgerBalance: parseFloat(r.ledger_balance),
+        drift: parseFloat(r.drift),
+        transactionCount: parseInt(r.transaction_count) || 0,
+        lastTransactionAt: r.last_transaction_at
+    }));
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        walletsChecked: walletsChecked || 0,
+        driftCount: items.length,
+        totalDrift: items.reduce((sum, i) => sum + i.drift, 0),
+        items: items
+    };
+
+    lastReport = report;
+
+    if (notify && report.driftCount > 0) {
+        await notifyReconciliationReport(report);
+    }
+
+    return report;
+}
+
+/**
+ * แก้ยอด wallet ให้ตรงกับ ledger
+ * @param {string} userId - Discord ID
+ * @param {number} expectedBalance - ยอดเดิมที่ admin เห็นในรายงาน
+ */
+async function fixWalletDrift(userId, expectedBalance) {
+    const { data, error } = await supabaseAdmin.rpc('fix_wallet_drift', {
+        p_user_id: userId,
+        p_expected_balance: expectedBalance
+    });
+
+    if (error) throw error;
+
+    const result = typeof data === 'string' ? JSON.parse(data) : data;
+
+    // เอา wallet ที่แก้แล้วออกจากรายงานล่าสุด
+    if (lastReport) {
+        lastReport.items = lastReport.items.filter(i => i.userId !== userId);
+        lastReport.driftCount = lastReport.items.length;
+        lastReport.totalDrift = lastReport.items.reduce((sum, i) => sum + i.drift, 0);
+    }
+
+    return {
+        userId: result.userId,
+        oldBalance: parseFloat(result.oldBalance),
+        newBalance: parseFloat(result.newBalance),
+        drift: parseFloat(result.drift)
+    };
+}
+
+/**
+ * ดึงรายงานล่าสุด
+ */
+function getLastReport() {
+    return lastReport;
+}
+
+/**
+ * เริ่ม scheduled job (ถ้าตั้ง WALLET_RECONCILE_INTERVAL_MINUTES)
+ */
+function startReconcileJob() {
+    if (!RECONCILE_CONFIG.intervalMinutes || reconcileTimer) {
+        return;
+    }
+
+    reconcileTimer = setInterval(async () => {
+        try {
+            const report = await runReconciliation({ notify: RECONCILE_CONFIG.notifyDiscord });
+            if (report.driftCount > 0) {
+                console.warn(`⚠️  Wallet reconciliation: ${report.driftCount} wallet(s) drifted (total ${report.totalDrift.toFixed(2)})`);
+            }
+        } catch (error) {
+            console.error('Wallet reconciliation error:', error);
+        }
+    }, RECONCILE_CONFIG.intervalMinutes * 60 * 1000);
+
+    console.log(`✅ Wallet reconciliation job every ${RECONCILE_CONFIG.intervalMinutes} minute(s)`);
+}
+
+/**
+ * หยุด scheduled job
+ */
+function stopReconcileJob() {
+    if (reconcileTimer) {
+        clearInterval(reconcileTimer);
+        reconcileTimer = null;
+    }
+}
+
+module.exports = {
+    runReconciliation,
+    fixWalletDrift,
+    getLastReport,
+    startReconcileJob,
+    stopReconcileJob,
+    RECONCILE_CONFIG
+};